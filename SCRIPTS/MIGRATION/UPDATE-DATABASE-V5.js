@@ -58,6 +58,9 @@ class DatabaseMigration {
             { name: 'category', type: 'VARCHAR(100)', default: "'Geral'" },
             { name: 'min_stock', type: 'INTEGER', default: '5' },
             { name: 'is_active', type: 'BOOLEAN', default: 'true' },
+            { name: 'cost_price', type: 'DECIMAL(10,2)' },
+            { name: 'barcode', type: 'VARCHAR(14)' },
+            { name: 'sku', type: 'VARCHAR(60)' },
             { name: 'created_at', type: 'TIMESTAMP', default: 'CURRENT_TIMESTAMP' },
             { name: 'updated_at', type: 'TIMESTAMP', default: 'CURRENT_TIMESTAMP' }
         ];
@@ -72,7 +75,11 @@ class DatabaseMigration {
             { name: 'total_items', type: 'INTEGER', default: '1' },
             { name: 'payment_method', type: 'VARCHAR(50)', default: "'dinheiro'" },
             { name: 'status', type: 'VARCHAR(20)', default: "'completed'" },
-            { name: 'empresa_id', type: 'INTEGER', default: '1' }
+            { name: 'empresa_id', type: 'INTEGER', default: '1' },
+            { name: 'refunded_amount', type: 'DECIMAL(10,2)', default: '0' },
+            { name: 'cancelled_at', type: 'TIMESTAMP' },
+            { name: 'cancelled_by', type: 'INTEGER REFERENCES users(id)' },
+            { name: 'cancel_reason', type: 'VARCHAR(255)' }
         ];
 
         for (const column of salesColumns) {
@@ -188,6 +195,17 @@ class DatabaseMigration {
                 { name: 'empresa_id', type: 'INTEGER', default: '1' },
                 { name: 'due_date', type: 'DATE' },
                 { name: 'status', type: 'VARCHAR(50)', default: "'pendente'" },
+                { name: 'sale_id', type: 'INTEGER REFERENCES sales(id)' },
+                { name: 'paid_amount', type: 'DECIMAL(15,2) NOT NULL', default: '0' },
+                { name: 'paid_at', type: 'DATE' },
+                { name: 'payment_method', type: 'VARCHAR(50)' },
+                { name: 'cancelled_at', type: 'TIMESTAMP' },
+                { name: 'cancel_reason', type: 'VARCHAR(255)' },
+                { name: 'recurrence_date', type: 'DATE' },
+                { name: 'recurrence_override', type: 'BOOLEAN NOT NULL', default: 'false' },
+                { name: 'installment_number', type: 'INTEGER' },
+                { name: 'installment_count', type: 'INTEGER' },
+                { name: 'fee_amount', type: 'DECIMAL(15,2) NOT NULL', default: '0' },
                 { name: 'created_at', type: 'TIMESTAMP', default: 'CURRENT_TIMESTAMP' },
                 { name: 'updated_at', type: 'TIMESTAMP', default: 'CURRENT_TIMESTAMP' }
             ];
@@ -233,6 +251,41 @@ class DatabaseMigration {
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- ✅ EMPRESA ATIVA DA SESSÃO
+            ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS empresa_id INTEGER REFERENCES empresas(id);
+
+            -- ✅ TABELA DE VÍNCULOS USUÁRIO x EMPRESA
+            CREATE TABLE IF NOT EXISTS user_empresas (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                role VARCHAR(50) DEFAULT 'user',
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, empresa_id)
+            );
+
+            -- Papéis personalizados têm até 50 caracteres (mesmo limite de empresa_roles.name)
+            ALTER TABLE user_empresas ALTER COLUMN role TYPE VARCHAR(50);
+
+            -- ✅ TABELA DE PAPÉIS PERSONALIZADOS POR EMPRESA
+            CREATE TABLE IF NOT EXISTS empresa_roles (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                name VARCHAR(50) NOT NULL,
+                description VARCHAR(255),
+                permissions TEXT[] NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (empresa_id, name)
+            );
+
+            -- ✅ VÍNCULO DA EMPRESA PRINCIPAL DE CADA USUÁRIO
+            INSERT INTO user_empresas (user_id, empresa_id, role)
+            SELECT id, empresa_id, role FROM users WHERE empresa_id IS NOT NULL
+            ON CONFLICT (user_id, empresa_id) DO NOTHING;
+
             -- ✅ TABELA DE ITENS DA VENDA
             CREATE TABLE IF NOT EXISTS sale_items (
                 id SERIAL PRIMARY KEY,
@@ -245,6 +298,331 @@ class DatabaseMigration {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS refunded_quantity INTEGER DEFAULT 0;
+            ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount DECIMAL(10,2) DEFAULT 0;
+
+            -- ✅ CONFIGURAÇÕES POR EMPRESA (ex.: permitir estoque negativo)
+            ALTER TABLE empresas ADD COLUMN IF NOT EXISTS configuracoes JSONB NOT NULL DEFAULT '{}';
+
+            -- ✅ TABELA DE CANCELAMENTOS E DEVOLUÇÕES DE VENDAS
+            CREATE TABLE IF NOT EXISTS sale_refunds (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL CHECK (type IN ('cancelamento', 'devolucao')),
+                amount DECIMAL(10,2) NOT NULL,
+                reason VARCHAR(255) NOT NULL,
+                items JSONB NOT NULL DEFAULT '[]',
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ TABELA DE CLIENTES (CPF/CNPJ sem máscara, único por empresa)
+            CREATE TABLE IF NOT EXISTS customers (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                full_name VARCHAR(200) NOT NULL,
+                document VARCHAR(14),
+                document_type VARCHAR(4) CHECK (document_type IN ('cpf', 'cnpj')),
+                email VARCHAR(100),
+                phone VARCHAR(20),
+                address TEXT,
+                notes TEXT,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (empresa_id, document)
+            );
+
+            ALTER TABLE sales ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+
+            -- ✅ FORNECEDORES E PEDIDOS DE COMPRA (draft → sent → received)
+            CREATE TABLE IF NOT EXISTS suppliers (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                name VARCHAR(200) NOT NULL,
+                document VARCHAR(14),
+                email VARCHAR(100),
+                phone VARCHAR(20),
+                contact_name VARCHAR(100),
+                notes TEXT,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (empresa_id, document)
+            );
+
+            CREATE TABLE IF NOT EXISTS purchase_orders (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+                order_code VARCHAR(50) UNIQUE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'received', 'cancelled')),
+                total_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+                expected_date DATE,
+                notes TEXT,
+                created_by INTEGER REFERENCES users(id),
+                sent_at TIMESTAMP,
+                received_at TIMESTAMP,
+                received_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS purchase_order_items (
+                id SERIAL PRIMARY KEY,
+                purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE CASCADE,
+                product_id INTEGER REFERENCES products(id),
+                product_name VARCHAR(200) NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                unit_cost DECIMAL(10,2) NOT NULL,
+                total_cost DECIMAL(15,2) NOT NULL
+            );
+
+            ALTER TABLE financial_accounts ADD COLUMN IF NOT EXISTS purchase_order_id INTEGER REFERENCES purchase_orders(id);
+
+            -- ✅ BAIXAS (PAGAMENTOS/RECEBIMENTOS) DE CONTAS A PAGAR/RECEBER
+            CREATE TABLE IF NOT EXISTS financial_settlements (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                financial_account_id INTEGER REFERENCES financial_accounts(id) ON DELETE CASCADE,
+                amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+                payment_date DATE NOT NULL,
+                payment_method VARCHAR(50) NOT NULL,
+                notes VARCHAR(255),
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ LANÇAMENTOS JÁ QUITADOS ANTES DO CONTROLE DE BAIXAS
+            UPDATE financial_accounts SET paid_amount = amount, paid_at = COALESCE(paid_at, due_date)
+            WHERE status IN ('pago', 'recebido') AND paid_amount = 0;
+
+            -- ✅ RECORRÊNCIAS (ALUGUEL, FOLHA, ASSINATURAS) QUE GERAM CONTAS A PAGAR/RECEBER
+            CREATE TABLE IF NOT EXISTS financial_recurrences (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                name VARCHAR(200) NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+                frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('mensal', 'semanal', 'dias')),
+                interval_days INTEGER CHECK (interval_days > 0),
+                start_date DATE NOT NULL,
+                end_date DATE,
+                generated_until DATE,
+                is_active BOOLEAN DEFAULT true,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            ALTER TABLE financial_accounts ADD COLUMN IF NOT EXISTS recurrence_id INTEGER REFERENCES financial_recurrences(id);
+
+            -- ✅ PLANO DE CONTAS HIERÁRQUICO E CENTROS DE CUSTO (CLASSIFICAÇÃO DOS LANÇAMENTOS)
+            CREATE TABLE IF NOT EXISTS chart_of_accounts (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                code VARCHAR(20) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                type VARCHAR(50) NOT NULL CHECK (type IN ('receita', 'despesa')),
+                parent_id INTEGER REFERENCES chart_of_accounts(id),
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(empresa_id, code)
+            );
+
+            CREATE TABLE IF NOT EXISTS cost_centers (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                code VARCHAR(20) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(empresa_id, code)
+            );
+
+            ALTER TABLE financial_accounts ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES chart_of_accounts(id);
+            ALTER TABLE financial_accounts ADD COLUMN IF NOT EXISTS cost_center_id INTEGER REFERENCES cost_centers(id);
+            ALTER TABLE financial_recurrences ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES chart_of_accounts(id);
+            ALTER TABLE financial_recurrences ADD COLUMN IF NOT EXISTS cost_center_id INTEGER REFERENCES cost_centers(id);
+
+            -- ✅ CONTAS BANCÁRIAS, EXTRATOS IMPORTADOS (OFX/CSV) E SUGESTÕES DE CONCILIAÇÃO
+            CREATE TABLE IF NOT EXISTS bank_accounts (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                name VARCHAR(100) NOT NULL,
+                bank_name VARCHAR(100),
+                agency VARCHAR(20),
+                account_number VARCHAR(30),
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS bank_statement_lines (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                bank_account_id INTEGER NOT NULL REFERENCES bank_accounts(id),
+                fitid VARCHAR(100) NOT NULL,
+                transaction_date DATE NOT NULL,
+                amount DECIMAL(15,2) NOT NULL CHECK (amount <> 0),
+                description VARCHAR(255),
+                status VARCHAR(20) NOT NULL DEFAULT 'pendente' CHECK (status IN ('pendente', 'conciliado')),
+                financial_account_id INTEGER REFERENCES financial_accounts(id),
+                settlement_id INTEGER REFERENCES financial_settlements(id),
+                reconciled_by INTEGER REFERENCES users(id),
+                reconciled_at TIMESTAMP,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(bank_account_id, fitid)
+            );
+
+            CREATE TABLE IF NOT EXISTS bank_reconciliation_matches (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                statement_line_id INTEGER NOT NULL REFERENCES bank_statement_lines(id) ON DELETE CASCADE,
+                financial_account_id INTEGER NOT NULL REFERENCES financial_accounts(id),
+                score INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'sugerida' CHECK (status IN ('sugerida', 'confirmada', 'rejeitada')),
+                decided_by INTEGER REFERENCES users(id),
+                decided_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(statement_line_id, financial_account_id)
+            );
+
+            -- ✅ LEITURA DE NOTIFICAÇÕES POR USUÁRIO (NOTIFICAÇÕES DA EMPRESA SÃO LIDAS POR CADA MEMBRO)
+            CREATE TABLE IF NOT EXISTS notification_reads (
+                notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (notification_id, user_id)
+            );
+
+            -- ✅ LEITURAS ANTERIORES (is_read): PESSOAIS PARA O DESTINATÁRIO, DA EMPRESA PARA TODOS OS MEMBROS
+            INSERT INTO notification_reads (notification_id, user_id)
+            SELECT n.id, n.user_id
+            FROM notifications n
+            WHERE n.is_read = true AND n.user_id IS NOT NULL
+            ON CONFLICT (notification_id, user_id) DO NOTHING;
+
+            INSERT INTO notification_reads (notification_id, user_id)
+            SELECT n.id, ue.user_id
+            FROM notifications n
+            JOIN user_empresas ue ON ue.empresa_id = n.empresa_id
+            WHERE n.is_read = true AND n.user_id IS NULL
+            ON CONFLICT (notification_id, user_id) DO NOTHING;
+
+            -- ✅ CATEGORIA DA NOTIFICAÇÃO (TIPO USADO NAS PREFERÊNCIAS)
+            ALTER TABLE notifications ADD COLUMN IF NOT EXISTS category VARCHAR(30) DEFAULT 'system';
+
+            UPDATE notifications
+            SET category = CASE metadata->>'category' WHEN 'stock' THEN 'low_stock' WHEN 'sales' THEN 'sale' ELSE 'system' END
+            WHERE category = 'system' AND metadata ? 'category';
+
+            -- ✅ PREFERÊNCIAS DE NOTIFICAÇÃO POR USUÁRIO E TIPO (CANAIS E PRIORIDADE MÍNIMA)
+            CREATE TABLE IF NOT EXISTS notification_preferences (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER REFERENCES empresas(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                notification_type VARCHAR(30) NOT NULL CHECK (notification_type IN ('sale', 'low_stock', 'financial_due', 'system')),
+                channels JSONB NOT NULL DEFAULT '["in_app"]',
+                min_priority VARCHAR(20) NOT NULL DEFAULT 'low' CHECK (min_priority IN ('low', 'medium', 'high')),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(empresa_id, user_id, notification_type)
+            );
+
+            -- ✅ HORÁRIO DE SILÊNCIO E WEBHOOK DO USUÁRIO
+            CREATE TABLE IF NOT EXISTS notification_settings (
+                empresa_id INTEGER NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                quiet_hours_start TIME,
+                quiet_hours_end TIME,
+                timezone VARCHAR(50) DEFAULT 'America/Sao_Paulo',
+                webhook_url VARCHAR(500),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (empresa_id, user_id)
+            );
+
+            -- ✅ REGRAS DE NOTIFICAÇÃO DA EMPRESA (CONDIÇÕES SOBRE EVENTOS DE VENDA, ESTOQUE OU AGENDADOS)
+            CREATE TABLE IF NOT EXISTS notification_rules (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                event VARCHAR(30) NOT NULL CHECK (event IN ('sale_created', 'stock_changed', 'schedule')),
+                conditions JSONB NOT NULL,
+                target_user_ids JSONB NOT NULL DEFAULT '[]',
+                target_roles JSONB NOT NULL DEFAULT '[]',
+                cooldown_minutes INTEGER NOT NULL DEFAULT 60 CHECK (cooldown_minutes >= 0),
+                priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+                message VARCHAR(500),
+                is_active BOOLEAN DEFAULT true,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ ÚLTIMO DISPARO POR REGRA E ASSUNTO (VENDA, PRODUTO OU AGENDAMENTO) PARA O COOLDOWN
+            CREATE TABLE IF NOT EXISTS notification_rule_triggers (
+                rule_id INTEGER NOT NULL REFERENCES notification_rules(id) ON DELETE CASCADE,
+                subject_key VARCHAR(50) NOT NULL,
+                last_triggered_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (rule_id, subject_key)
+            );
+
+            -- ✅ WEBHOOKS DE INTEGRAÇÃO POR EMPRESA (PAYLOAD ASSINADO COM HMAC DO SEGREDO DE CADA WEBHOOK)
+            CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+                url VARCHAR(500) NOT NULL,
+                events JSONB NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                description VARCHAR(255),
+                is_active BOOLEAN DEFAULT true,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ LOG DE ENTREGAS (FALHAS RETENTADAS COM BACKOFF; ESGOTADAS AS TENTATIVAS, FICAM EM DEAD_LETTER)
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER NOT NULL,
+                subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                event_id UUID NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pendente' CHECK (status IN ('pendente', 'entregue', 'falhou', 'dead_letter')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_status_code INTEGER,
+                last_error VARCHAR(500),
+                delivered_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ ALERTAS DE VENCIMENTO ENVIADOS (UM POR LANÇAMENTO, SITUAÇÃO E VENCIMENTO) E RESUMO DIÁRIO POR EMPRESA
+            CREATE TABLE IF NOT EXISTS financial_alerts (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                financial_account_id INTEGER NOT NULL REFERENCES financial_accounts(id) ON DELETE CASCADE,
+                alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('due_soon', 'overdue')),
+                due_date DATE NOT NULL,
+                notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(financial_account_id, alert_type, due_date)
+            );
+
+            CREATE TABLE IF NOT EXISTS financial_alert_digests (
+                empresa_id INTEGER NOT NULL,
+                digest_date DATE NOT NULL,
+                notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (empresa_id, digest_date)
+            );
+
             -- ✅ TABELA DE RELATÓRIOS
             CREATE TABLE IF NOT EXISTS reports (
                 id SERIAL PRIMARY KEY,
@@ -255,6 +633,113 @@ class DatabaseMigration {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- ✅ TABELA DE HISTÓRICO DE PREÇOS
+            CREATE TABLE IF NOT EXISTS product_price_history (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+                old_price DECIMAL(10,2),
+                new_price DECIMAL(10,2) NOT NULL,
+                old_cost DECIMAL(10,2),
+                new_cost DECIMAL(10,2),
+                reason VARCHAR(255),
+                changed_by INTEGER REFERENCES users(id),
+                changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ PREÇO INICIAL PARA PRODUTOS SEM HISTÓRICO
+            INSERT INTO product_price_history (empresa_id, product_id, new_price, new_cost, reason, changed_at)
+            SELECT p.empresa_id, p.id, p.price, p.cost_price, 'Preço inicial', p.created_at
+            FROM products p
+            WHERE NOT EXISTS (SELECT 1 FROM product_price_history h WHERE h.product_id = p.id);
+
+            -- ✅ KARDEX: MOVIMENTAÇÕES DE ESTOQUE
+            CREATE TABLE IF NOT EXISTS stock_movements (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+                movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('saldo_inicial', 'venda', 'cancelamento', 'devolucao', 'compra', 'ajuste', 'inventario')),
+                quantity INTEGER NOT NULL,
+                quantity_before INTEGER NOT NULL,
+                quantity_after INTEGER NOT NULL,
+                reference_type VARCHAR(30),
+                reference_id INTEGER,
+                notes VARCHAR(255),
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- ✅ SALDO INICIAL DO KARDEX PARA PRODUTOS SEM MOVIMENTAÇÕES
+            INSERT INTO stock_movements (empresa_id, product_id, movement_type, quantity, quantity_before, quantity_after, notes, created_at)
+            SELECT p.empresa_id, p.id, 'saldo_inicial', p.stock_quantity, 0, p.stock_quantity, 'Saldo existente na criação do kardex', p.created_at
+            FROM products p
+            WHERE p.stock_quantity <> 0
+              AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id);
+
+            -- ✅ INVENTÁRIO (CONTAGEM FÍSICA)
+            CREATE TABLE IF NOT EXISTS inventory_counts (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                category VARCHAR(100),
+                status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+                notes TEXT,
+                opened_by INTEGER REFERENCES users(id),
+                opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                posted_by INTEGER REFERENCES users(id),
+                posted_at TIMESTAMP,
+                cancelled_at TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS inventory_count_items (
+                id SERIAL PRIMARY KEY,
+                inventory_count_id INTEGER REFERENCES inventory_counts(id) ON DELETE CASCADE,
+                product_id INTEGER REFERENCES products(id),
+                counted_quantity INTEGER CHECK (counted_quantity >= 0),
+                counted_by INTEGER REFERENCES users(id),
+                counted_at TIMESTAMP,
+                system_quantity INTEGER,
+                adjustment INTEGER
+            );
+
+            -- ✅ VARIAÇÕES DE PRODUTO (TAMANHO/COR) COM SKU, EAN-13, PREÇO E ESTOQUE PRÓPRIOS
+            CREATE TABLE IF NOT EXISTS product_variants (
+                id SERIAL PRIMARY KEY,
+                empresa_id INTEGER DEFAULT 1,
+                product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+                sku VARCHAR(60) NOT NULL,
+                barcode VARCHAR(13),
+                size VARCHAR(30),
+                color VARCHAR(50),
+                price DECIMAL(10,2),
+                stock_quantity INTEGER DEFAULT 0,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (empresa_id, sku)
+            );
+
+            ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+            ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+
+            -- ✅ PEDIDO DE COMPRA E INVENTÁRIO POR VARIAÇÃO (O ESTOQUE DO PRODUTO É A SOMA DAS VARIAÇÕES)
+            ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+            ALTER TABLE inventory_count_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+            ALTER TABLE inventory_count_items DROP CONSTRAINT IF EXISTS inventory_count_items_inventory_count_id_product_id_key;
+
+            -- ✅ CUSTO UNITÁRIO NO ITEM DA VENDA (VENDAS ANTIGAS: CUSTO VIGENTE NA DATA, PELO HISTÓRICO DE PREÇOS)
+            ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10,2);
+
+            UPDATE sale_items si
+            SET unit_cost = (
+                SELECT h.new_cost
+                FROM product_price_history h
+                JOIN sales s ON s.id = si.sale_id
+                WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+                ORDER BY h.changed_at DESC
+                LIMIT 1
+            )
+            WHERE si.unit_cost IS NULL;
+
             -- ✅ ÍNDICES PARA PERFORMANCE
             CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
             CREATE INDEX IF NOT EXISTS idx_products_active ON products(is_active);
@@ -264,6 +749,35 @@ class DatabaseMigration {
             CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(is_read);
             CREATE INDEX IF NOT EXISTS idx_sessions_token ON user_sessions(session_token);
             CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
+            CREATE INDEX IF NOT EXISTS idx_price_history_product_date ON product_price_history(product_id, changed_at);
+            CREATE INDEX IF NOT EXISTS idx_user_empresas_empresa ON user_empresas(empresa_id);
+            CREATE INDEX IF NOT EXISTS idx_sale_refunds_sale ON sale_refunds(sale_id);
+            CREATE INDEX IF NOT EXISTS idx_customers_empresa_active ON customers(empresa_id, is_active);
+            CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id);
+            CREATE INDEX IF NOT EXISTS idx_purchase_orders_empresa_status ON purchase_orders(empresa_id, status);
+            CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order ON purchase_order_items(purchase_order_id);
+            CREATE INDEX IF NOT EXISTS idx_stock_movements_product_date ON stock_movements(product_id, created_at);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_products_empresa_barcode ON products(empresa_id, barcode) WHERE barcode IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_inventory_counts_empresa_status ON inventory_counts(empresa_id, status);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_products_empresa_sku ON products(empresa_id, sku) WHERE sku IS NOT NULL;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_empresa_barcode ON product_variants(empresa_id, barcode) WHERE barcode IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_count_items_unique ON inventory_count_items(inventory_count_id, product_id, COALESCE(variant_id, 0));
+            CREATE INDEX IF NOT EXISTS idx_financial_empresa_status_due ON financial_accounts(empresa_id, status, due_date);
+            CREATE INDEX IF NOT EXISTS idx_financial_settlements_account ON financial_settlements(financial_account_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_financial_recurrence_date ON financial_accounts(recurrence_id, recurrence_date);
+            CREATE INDEX IF NOT EXISTS idx_financial_recurrences_empresa ON financial_recurrences(empresa_id, is_active);
+            CREATE INDEX IF NOT EXISTS idx_financial_sale ON financial_accounts(sale_id);
+            CREATE INDEX IF NOT EXISTS idx_financial_category ON financial_accounts(empresa_id, category_id);
+            CREATE INDEX IF NOT EXISTS idx_financial_cost_center ON financial_accounts(empresa_id, cost_center_id);
+            CREATE INDEX IF NOT EXISTS idx_chart_of_accounts_parent ON chart_of_accounts(parent_id);
+            CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_account_status ON bank_statement_lines(bank_account_id, status);
+            CREATE INDEX IF NOT EXISTS idx_bank_matches_line_status ON bank_reconciliation_matches(statement_line_id, status);
+            CREATE INDEX IF NOT EXISTS idx_notification_reads_user ON notification_reads(user_id);
+            CREATE INDEX IF NOT EXISTS idx_financial_open_due ON financial_accounts(status, due_date);
+            CREATE INDEX IF NOT EXISTS idx_notification_rules_event ON notification_rules(empresa_id, event, is_active);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(status, next_attempt_at);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_empresa ON webhook_deliveries(empresa_id, created_at);
         `;
 
         await client.query(tablesSQL);
@@ -323,10 +837,53 @@ class DatabaseMigration {
         const checks = [
             { table: 'products', column: 'category' },
             { table: 'products', column: 'min_stock' },
+            { table: 'products', column: 'cost_price' },
+            { table: 'product_price_history', column: 'new_price' },
             { table: 'sales', column: 'sale_code' },
             { table: 'sales', column: 'payment_method' },
             { table: 'notifications', column: 'title' },
-            { table: 'user_sessions', column: 'session_token' }
+            { table: 'user_sessions', column: 'session_token' },
+            { table: 'user_sessions', column: 'empresa_id' },
+            { table: 'user_empresas', column: 'role' },
+            { table: 'empresa_roles', column: 'permissions' },
+            { table: 'sales', column: 'refunded_amount' },
+            { table: 'sale_items', column: 'refunded_quantity' },
+            { table: 'sale_refunds', column: 'amount' },
+            { table: 'sale_items', column: 'discount' },
+            { table: 'empresas', column: 'configuracoes' },
+            { table: 'customers', column: 'document' },
+            { table: 'sales', column: 'customer_id' },
+            { table: 'purchase_orders', column: 'status' },
+            { table: 'purchase_order_items', column: 'unit_cost' },
+            { table: 'financial_accounts', column: 'purchase_order_id' },
+            { table: 'stock_movements', column: 'quantity_after' },
+            { table: 'products', column: 'barcode' },
+            { table: 'inventory_count_items', column: 'counted_quantity' },
+            { table: 'products', column: 'sku' },
+            { table: 'product_variants', column: 'stock_quantity' },
+            { table: 'sale_items', column: 'variant_id' },
+            { table: 'purchase_order_items', column: 'variant_id' },
+            { table: 'inventory_count_items', column: 'variant_id' },
+            { table: 'financial_accounts', column: 'paid_amount' },
+            { table: 'financial_settlements', column: 'payment_date' },
+            { table: 'financial_recurrences', column: 'generated_until' },
+            { table: 'financial_accounts', column: 'recurrence_id' },
+            { table: 'financial_accounts', column: 'installment_number' },
+            { table: 'chart_of_accounts', column: 'parent_id' },
+            { table: 'financial_accounts', column: 'category_id' },
+            { table: 'bank_statement_lines', column: 'settlement_id' },
+            { table: 'bank_reconciliation_matches', column: 'score' },
+            { table: 'sale_items', column: 'unit_cost' },
+            { table: 'notification_reads', column: 'read_at' },
+            { table: 'notifications', column: 'category' },
+            { table: 'notification_preferences', column: 'channels' },
+            { table: 'notification_settings', column: 'quiet_hours_start' },
+            { table: 'financial_alerts', column: 'alert_type' },
+            { table: 'financial_alert_digests', column: 'digest_date' },
+            { table: 'notification_rules', column: 'conditions' },
+            { table: 'notification_rule_triggers', column: 'last_triggered_at' },
+            { table: 'webhook_subscriptions', column: 'secret' },
+            { table: 'webhook_deliveries', column: 'next_attempt_at' }
         ];
 
         for (const check of checks) {
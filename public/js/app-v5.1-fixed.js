@@ -184,6 +184,12 @@ class BizFlowApp {
                 this.carregarDadosIniciais();
             });
 
+            this.socket.on('venda-estornada', (data) => {
+                const mensagem = data.tipo === 'cancelamento' ? 'Venda cancelada' : 'Devolução registrada';
+                this.mostrarAlerta(`${mensagem}: ${data.venda?.sale_code || ''}`, 'warning');
+                this.carregarDadosIniciais();
+            });
+
             this.socket.on('notificacao-nova', (notificacao) => {
                 this.mostrarAlerta(`Nova notificação: ${notificacao.titulo}`, 'warning');
                 this.carregarNotificacoes();
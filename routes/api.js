@@ -1,23 +1,79 @@
 // routes/api.js - SISTEMA BIZFLOW FASE 5 COMPLETA - API OTIMIZADA
 import express from 'express';
-import { queryWithMetrics, redis, logger } from '../core/server.js';
+import { queryWithMetrics, pool, redis, logger } from '../core/server.js';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import BizFlowValidators from '../utils/validators.js';
+import BizFlowLogger from '../utils/logger.js';
+import BizFlowPermissions from '../utils/permissions.js';
+import BizFlowSpreadsheet from '../utils/spreadsheet.js';
+import BizFlowBankStatement from '../utils/bank-statement.js';
+import cron from 'node-cron';
+import reportsService from '../services/reports.js';
+import notificationService from '../services/notifications.js';
+import NotificationPreferences from '../utils/notification-preferences.js';
+import NotificationRules from '../utils/notification-rules.js';
+import BizFlowWebhooks from '../utils/webhooks.js';
 
 const router = express.Router();
 
 // ================= MIDDLEWARES FASE 5 COMPLETA =================
 
+// Papel com permissão de leitura entre empresas
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+// Empresas das quais o usuário é membro (user_empresas + empresa principal)
+async function getUserEmpresaIds(user) {
+  const cacheKey = `user_empresas:${user.id}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await queryWithMetrics(
+    `SELECT empresa_id FROM user_empresas WHERE user_id = $1 AND is_active = true
+     UNION
+     SELECT empresa_id FROM users WHERE id = $1 AND empresa_id IS NOT NULL`,
+    [user.id],
+    'select',
+    'user_empresas'
+  );
+
+  const empresaIds = result.rows.map(row => parseInt(row.empresa_id));
+  await redis.setex(cacheKey, 60, JSON.stringify(empresaIds));
+  return empresaIds;
+}
+
+async function userHasEmpresaAccess(user, empresaId) {
+  const empresaIds = await getUserEmpresaIds(user);
+  return empresaIds.includes(empresaId);
+}
+
 // Middleware de contexto empresarial com cache
+// O id vindo do cliente (header, query ou body) só é aceito se o usuário for membro da empresa
 async function empresaContext(req, res, next) {
   try {
-    let empresaId = req.headers['x-empresa-id'] || req.query.empresa_id || req.body.empresa_id;
+    const requestedEmpresa = req.headers['x-empresa-id'] || req.query.empresa_id || req.body?.empresa_id;
     
-    if (!empresaId && req.user) {
-      empresaId = req.user.empresa_id;
+    if (!requestedEmpresa && req.user) {
+      if (!req.user.empresa_id) {
+        BizFlowLogger.securityLog('Usuário sem empresa vinculada', {
+          userId: req.user.id,
+          path: req.originalUrl
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Usuário não está vinculado a nenhuma empresa'
+        });
+      }
+
+      req.empresa_id = parseInt(req.user.empresa_id);
+      return next();
     }
     
-    if (!empresaId) {
+    if (!requestedEmpresa) {
+      let empresaId;
+
       // Tentar cache primeiro
       const cacheKey = 'empresa:default';
       let defaultEmpresa = await redis.get(cacheKey);
@@ -37,14 +93,48 @@ async function empresaContext(req, res, next) {
         // Salvar no cache
         await redis.setex(cacheKey, 300, JSON.stringify({ id: empresaId }));
       }
+
+      req.empresa_id = parseInt(empresaId);
+      return next();
+    }
+
+    const empresaId = parseInt(requestedEmpresa);
+
+    if (isNaN(empresaId)) {
+      return res.status(400).json({ success: false, error: 'ID de empresa inválido' });
+    }
+
+    if (req.user && !(await userHasEmpresaAccess(req.user, empresaId))) {
+      // Super-admin pode consultar outras empresas, mas nunca alterar dados delas
+      const crossTenantRead = req.user.role === SUPER_ADMIN_ROLE && req.method === 'GET';
+
+      if (!crossTenantRead) {
+        BizFlowLogger.securityLog('Acesso negado a empresa de outro tenant', {
+          userId: req.user.id,
+          username: req.user.username,
+          userEmpresaId: req.user.empresa_id,
+          requestedEmpresaId: empresaId,
+          method: req.method,
+          path: req.originalUrl,
+          ip: req.ip
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado a esta empresa'
+        });
+      }
+
+      BizFlowLogger.auditLog('Leitura entre empresas por super-admin', req.user.id, {
+        requestedEmpresaId: empresaId,
+        path: req.originalUrl
+      });
     }
     
-    req.empresa_id = parseInt(empresaId);
+    req.empresa_id = empresaId;
     next();
   } catch (error) {
     logger.error('Erro no contexto empresarial:', error);
-    req.empresa_id = 1;
-    next();
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
   }
 }
 
@@ -71,9 +161,14 @@ async function requireAuth(req, res, next) {
 
     // Se não encontrou no cache, buscar no banco
     const sessionResult = await queryWithMetrics(
-      `SELECT u.*, us.expires_at 
+      `SELECT u.*, us.expires_at,
+              COALESCE(us.empresa_id, u.empresa_id) as active_empresa_id,
+              ue.role as empresa_role
        FROM user_sessions us 
        JOIN users u ON us.user_id = u.id 
+       LEFT JOIN user_empresas ue ON ue.user_id = u.id 
+         AND ue.empresa_id = COALESCE(us.empresa_id, u.empresa_id)
+         AND ue.is_active = true
        WHERE us.session_token = $1 AND us.expires_at > NOW() AND u.is_active = true`,
       [token],
       'select',
@@ -87,7 +182,14 @@ async function requireAuth(req, res, next) {
       });
     }
 
-    req.user = sessionResult.rows[0];
+    // Empresa e papel passam a ser os da empresa ativa na sessão
+    const { active_empresa_id, empresa_role, ...sessionUser } = sessionResult.rows[0];
+    req.user = {
+      ...sessionUser,
+      home_empresa_id: sessionUser.empresa_id,
+      empresa_id: active_empresa_id,
+      role: empresa_role && sessionUser.role !== SUPER_ADMIN_ROLE ? empresa_role : sessionUser.role
+    };
     
     // Salvar no cache por 1 hora
     await redis.setex(cacheKey, 3600, JSON.stringify(req.user));
@@ -102,14 +204,90 @@ async function requireAuth(req, res, next) {
   }
 }
 
+// Permissões do usuário na empresa (papel padrão ou personalizado da empresa)
+async function getUserPermissions(user, empresaId) {
+  if (user.role === SUPER_ADMIN_ROLE) {
+    return BizFlowPermissions.DEFAULT_ROLES[SUPER_ADMIN_ROLE];
+  }
+
+  const cacheKey = `permissions:${user.id}:${empresaId}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await queryWithMetrics(
+    `SELECT ue.role, er.permissions
+     FROM user_empresas ue
+     LEFT JOIN empresa_roles er ON er.empresa_id = ue.empresa_id AND er.name = ue.role
+     WHERE ue.user_id = $1 AND ue.empresa_id = $2 AND ue.is_active = true`,
+    [user.id, empresaId],
+    'select',
+    'user_empresas'
+  );
+
+  let permissions = [];
+  if (result.rows.length > 0) {
+    const { role, permissions: customPermissions } = result.rows[0];
+    permissions = BizFlowPermissions.resolveRolePermissions(
+      role,
+      customPermissions ? [{ name: role, permissions: customPermissions }] : []
+    );
+  }
+
+  await redis.setex(cacheKey, 60, JSON.stringify(permissions));
+  return permissions;
+}
+
+async function invalidatePermissionsCache() {
+  const keys = await redis.keys('permissions:*');
+  if (keys.length > 0) {
+    await redis.del(...keys);
+  }
+}
+
+// Middleware de permissão por ação (modulo:acao)
+// Deve vir depois de requireAuth/empresaContext e antes do cacheMiddleware.
+// Rotas de autenticação e /me/* são do próprio usuário e não exigem permissão.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const empresaId = req.empresa_id || parseInt(req.user.empresa_id);
+      const permissions = await getUserPermissions(req.user, empresaId);
+
+      if (!BizFlowPermissions.can(permissions, permission)) {
+        BizFlowLogger.securityLog('Permissão negada', {
+          userId: req.user.id,
+          empresaId,
+          permission,
+          method: req.method,
+          path: req.originalUrl
+        });
+        return res.status(403).json({
+          success: false,
+          error: `Permissão necessária: ${permission}`
+        });
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      logger.error('Erro na verificação de permissão:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  };
+}
+
 // Middleware de cache genérico
-const cacheMiddleware = (duration = 300, keyPrefix = 'cache') => {
+// A chave leva a empresa ativa (que pode vir da sessão, não da URL) e, em respostas por usuário, o usuário
+const cacheMiddleware = (duration = 300, keyPrefix = 'cache', { perUser = false } = {}) => {
   return async (req, res, next) => {
     if (req.method !== 'GET' || req.query.nocache) {
       return next();
     }
 
-    const cacheKey = `${keyPrefix}:${req.originalUrl}`;
+    const userScope = perUser ? `user-${req.user.id}:` : '';
+    const cacheKey = `cache:${keyPrefix}:${req.empresa_id}:${userScope}${req.originalUrl}`;
     
     try {
       const cachedData = await redis.get(cacheKey);
@@ -135,6 +313,14 @@ const cacheMiddleware = (duration = 300, keyPrefix = 'cache') => {
   };
 };
 
+// Remove as respostas em cache da empresa (todas as URLs e usuários) dos prefixos informados
+async function invalidateCache(empresaId, ...prefixes) {
+  const keys = (await Promise.all(prefixes.map(prefix => redis.keys(`cache:${prefix}:${empresaId}:*`)))).flat();
+  if (keys.length > 0) {
+    await redis.del(...keys);
+  }
+}
+
 // Middleware de sanitização
 function sanitizeInput(fields) {
   return (req, res, next) => {
@@ -211,18 +397,17 @@ router.post('/auth/login',
       const sessionToken = 'bizflow_' + Date.now() + '_' + crypto.randomBytes(32).toString('hex');
       const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
 
-      // Salvar sessão
+      // Salvar sessão (começa na empresa principal do usuário)
       await queryWithMetrics(
-        `INSERT INTO user_sessions (user_id, session_token, expires_at) 
-         VALUES ($1, $2, $3)`,
-        [user.id, sessionToken, expiresAt],
+        `INSERT INTO user_sessions (user_id, session_token, expires_at, empresa_id) 
+         VALUES ($1, $2, $3, $4)`,
+        [user.id, sessionToken, expiresAt, user.empresa_id],
         'insert',
         'user_sessions'
       );
 
-      // Salvar sessão no cache
-      const cacheKey = `session:${sessionToken}`;
-      await redis.setex(cacheKey, 3600, JSON.stringify(user));
+      // Sessão não vai para o cache aqui: o requireAuth monta e guarda na primeira requisição,
+      // já com o papel do usuário na empresa ativa (user_empresas) em vez do papel global
 
       // Remover password hash da resposta
       const { password_hash, ...userWithoutPassword } = user;
@@ -280,349 +465,6854 @@ router.post('/auth/logout', requireAuth, async (req, res) => {
   }
 });
 
-// ================= ROTAS DE EMPRESAS COM CACHE =================
+// ================= EMPRESAS DO USUÁRIO =================
 
-// Listar empresas
-router.get('/empresas', 
-  requireAuth, 
-  cacheMiddleware(300, 'empresas'),
+// Empresas das quais o usuário é membro, com o papel em cada uma
+router.get('/me/empresas', requireAuth, async (req, res) => {
+  try {
+    const result = await queryWithMetrics(
+      `SELECT e.id, e.nome, e.cnpj, ue.role,
+              (e.id = $2) as is_current
+       FROM user_empresas ue
+       JOIN empresas e ON ue.empresa_id = e.id
+       WHERE ue.user_id = $1 AND ue.is_active = true AND e.is_active = true
+       ORDER BY e.nome`,
+      [req.user.id, req.user.empresa_id],
+      'select',
+      'user_empresas'
+    );
+
+    res.json({
+      success: true,
+      data: {
+        empresa_atual: req.user.empresa_id,
+        empresas: result.rows
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar empresas do usuário:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Trocar a empresa ativa da sessão
+router.post('/me/empresas/switch',
+  requireAuth,
+  validateRequiredFields(['empresa_id']),
   async (req, res) => {
     try {
-      const result = await queryWithMetrics(
-        'SELECT * FROM empresas WHERE is_active = true ORDER BY nome',
-        [],
+      const token = req.headers.authorization?.replace('Bearer ', '');
+      const empresaId = parseInt(req.body.empresa_id);
+
+      if (isNaN(empresaId)) {
+        return res.status(400).json({ success: false, error: 'ID de empresa inválido' });
+      }
+
+      const membershipResult = await queryWithMetrics(
+        `SELECT ue.role, e.id, e.nome
+         FROM user_empresas ue
+         JOIN empresas e ON ue.empresa_id = e.id
+         WHERE ue.user_id = $1 AND ue.empresa_id = $2 AND ue.is_active = true AND e.is_active = true`,
+        [req.user.id, empresaId],
         'select',
-        'empresas'
+        'user_empresas'
       );
-      
-      res.json({
-        success: true,
-        data: result.rows
-      });
-    } catch (error) {
-      logger.error('Erro ao buscar empresas:', error);
-      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
-    }
-  }
-);
 
-// Criar empresa
-router.post('/empresas', 
-  requireAuth, 
-  sanitizeInput(['nome', 'cnpj', 'email', 'telefone']),
-  validateRequiredFields(['nome']),
-  async (req, res) => {
-    try {
-      const { nome, cnpj, email, telefone } = req.body;
-      
-      const result = await queryWithMetrics(
-        `INSERT INTO empresas (nome, cnpj, email, telefone) 
-         VALUES ($1, $2, $3, $4) 
-         RETURNING *`,
-        [nome, cnpj, email, telefone],
-        'insert',
-        'empresas'
+      if (membershipResult.rows.length === 0) {
+        BizFlowLogger.securityLog('Troca para empresa não autorizada', {
+          userId: req.user.id,
+          requestedEmpresaId: empresaId,
+          ip: req.ip
+        });
+        return res.status(403).json({ success: false, error: 'Usuário não é membro desta empresa' });
+      }
+
+      await queryWithMetrics(
+        'UPDATE user_sessions SET empresa_id = $1 WHERE session_token = $2',
+        [empresaId, token],
+        'update',
+        'user_sessions'
       );
 
-      // Invalidar cache de empresas
-      await redis.del('cache:empresas:/api/empresas');
+      // Sessão em cache ainda aponta para a empresa anterior
+      await redis.del(`session:${token}`);
+
+      // Mover os sockets desta sessão para a sala da nova empresa
+      const io = req.app.get('io');
+      if (io) {
+        const sockets = await io.in(`user-${req.user.id}`).fetchSockets();
+        sockets
+          .filter(s => s.data.token === token)
+          .forEach(s => {
+            s.leave(`empresa-${req.user.empresa_id}`);
+            s.join(`empresa-${empresaId}`);
+            s.data.user = { ...s.data.user, empresa_id: empresaId };
+            s.emit('empresa-switched', { empresa_id: empresaId });
+          });
+      }
+
+      const membership = membershipResult.rows[0];
+
+      BizFlowLogger.auditLog('Empresa ativa da sessão alterada', req.user.id, {
+        fromEmpresaId: req.user.empresa_id,
+        toEmpresaId: empresaId
+      });
 
       res.json({
         success: true,
-        data: result.rows[0],
-        message: "Empresa criada com sucesso!"
+        message: 'Empresa alterada com sucesso!',
+        data: {
+          empresa_id: membership.id,
+          empresa_nome: membership.nome,
+          role: req.user.role === SUPER_ADMIN_ROLE ? SUPER_ADMIN_ROLE : membership.role
+        }
       });
     } catch (error) {
-      logger.error('Erro ao criar empresa:', error);
+      logger.error('Erro ao trocar empresa:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// ================= ROTAS DE PRODUTOS COM CACHE =================
+// ================= PAPÉIS E PERMISSÕES =================
 
-// Listar produtos
-router.get('/produtos', 
-  requireAuth, 
-  empresaContext, 
-  cacheMiddleware(120, 'produtos'),
+// Papel padrão ou personalizado da empresa
+async function findRole(empresaId, roleName) {
+  if (BizFlowPermissions.isDefaultRole(roleName)) {
+    return { name: roleName, permissions: BizFlowPermissions.DEFAULT_ROLES[roleName], is_default: true };
+  }
+
+  const result = await queryWithMetrics(
+    'SELECT * FROM empresa_roles WHERE empresa_id = $1 AND name = $2',
+    [empresaId, roleName],
+    'select',
+    'empresa_roles'
+  );
+
+  return result.rows[0] || null;
+}
+
+// Catálogo de permissões
+router.get('/permissions',
+  requireAuth,
+  empresaContext,
+  requirePermission('roles:read'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: BizFlowPermissions.PERMISSIONS,
+        minhas_permissoes: req.permissions
+      }
+    });
+  }
+);
+
+// Listar papéis (padrão + personalizados da empresa)
+router.get('/roles',
+  requireAuth,
+  empresaContext,
+  requirePermission('roles:read'),
   async (req, res) => {
     try {
       const result = await queryWithMetrics(
-        'SELECT * FROM products WHERE empresa_id = $1 AND is_active = true ORDER BY name',
+        `SELECT id, name, description, permissions, created_at, updated_at
+         FROM empresa_roles WHERE empresa_id = $1 ORDER BY name`,
         [req.empresa_id],
         'select',
-        'products'
+        'empresa_roles'
       );
-      
+
+      const defaultRoles = Object.entries(BizFlowPermissions.DEFAULT_ROLES)
+        .filter(([name]) => name !== SUPER_ADMIN_ROLE)
+        .map(([name, permissions]) => ({ name, permissions, is_default: true }));
+
       res.json({
         success: true,
-        data: result.rows
+        data: [...defaultRoles, ...result.rows]
       });
     } catch (error) {
-      logger.error('Erro ao buscar produtos:', error);
+      logger.error('Erro ao listar papéis:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// Criar produto
-router.post('/produtos', 
-  requireAuth, 
-  empresaContext, 
-  sanitizeInput(['name', 'description', 'category']),
-  validateRequiredFields(['name', 'price']),
+// Criar papel personalizado
+router.post('/roles',
+  requireAuth,
+  empresaContext,
+  requirePermission('roles:manage'),
+  sanitizeInput(['name', 'description']),
+  validateRequiredFields(['name', 'permissions']),
   async (req, res) => {
     try {
-      const { name, description, price, stock_quantity, category } = req.body;
-      
+      const nameValidation = BizFlowPermissions.validateRoleName(req.body.name);
+      if (!nameValidation.isValid) {
+        return res.status(400).json({ success: false, error: nameValidation.error });
+      }
+
+      const permissionsValidation = BizFlowPermissions.validatePermissions(req.body.permissions);
+      if (!permissionsValidation.isValid) {
+        return res.status(400).json({ success: false, error: permissionsValidation.error });
+      }
+
+      if (!BizFlowPermissions.canGrant(req.permissions, permissionsValidation.normalized)) {
+        return res.status(403).json({ success: false, error: 'Não é possível conceder permissões que você não possui' });
+      }
+
       const result = await queryWithMetrics(
-        `INSERT INTO products (empresa_id, name, description, price, stock_quantity, category) 
-         VALUES ($1, $2, $3, $4, $5, $6) 
+        `INSERT INTO empresa_roles (empresa_id, name, description, permissions)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (empresa_id, name) DO NOTHING
          RETURNING *`,
-        [req.empresa_id, name, description, price, stock_quantity || 0, category],
+        [req.empresa_id, nameValidation.normalized, req.body.description || null, permissionsValidation.normalized],
         'insert',
-        'products'
+        'empresa_roles'
       );
 
-      // Invalidar cache de produtos
-      const cacheKey = `cache:produtos:/api/produtos?empresa_id=${req.empresa_id}`;
-      await redis.del(cacheKey);
+      if (result.rows.length === 0) {
+        return res.status(409).json({ success: false, error: 'Já existe um papel com este nome' });
+      }
 
-      res.json({
+      BizFlowLogger.auditLog('Papel personalizado criado', req.user.id, {
+        empresaId: req.empresa_id,
+        role: result.rows[0].name
+      });
+
+      res.status(201).json({
         success: true,
         data: result.rows[0],
-        message: "Produto adicionado com sucesso!"
+        message: 'Papel criado com sucesso!'
       });
     } catch (error) {
-      logger.error('Erro ao criar produto:', error);
+      logger.error('Erro ao criar papel:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// ================= ROTAS DE VENDAS OTIMIZADAS =================
-
-// Listar vendas
-router.get('/vendas', 
-  requireAuth, 
-  empresaContext, 
-  cacheMiddleware(180, 'vendas'),
+// Alterar permissões de um papel personalizado
+router.put('/roles/:id',
+  requireAuth,
+  empresaContext,
+  requirePermission('roles:manage'),
+  sanitizeInput(['description']),
+  validateRequiredFields(['permissions']),
   async (req, res) => {
     try {
+      const permissionsValidation = BizFlowPermissions.validatePermissions(req.body.permissions);
+      if (!permissionsValidation.isValid) {
+        return res.status(400).json({ success: false, error: permissionsValidation.error });
+      }
+
+      if (!BizFlowPermissions.canGrant(req.permissions, permissionsValidation.normalized)) {
+        return res.status(403).json({ success: false, error: 'Não é possível conceder permissões que você não possui' });
+      }
+
       const result = await queryWithMetrics(
-        `SELECT s.*, 
-                COUNT(si.id) as items_count
-         FROM sales s
-         LEFT JOIN sale_items si ON s.id = si.sale_id
-         WHERE s.empresa_id = $1
-         GROUP BY s.id
-         ORDER BY s.sale_date DESC 
-         LIMIT 50`,
-        [req.empresa_id],
-        'select',
-        'sales'
+        `UPDATE empresa_roles 
+         SET description = COALESCE($1, description), permissions = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND empresa_id = $4
+         RETURNING *`,
+        [req.body.description ?? null, permissionsValidation.normalized, req.params.id, req.empresa_id],
+        'update',
+        'empresa_roles'
       );
-      
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Papel não encontrado' });
+      }
+
+      await invalidatePermissionsCache();
+
+      BizFlowLogger.auditLog('Papel personalizado alterado', req.user.id, {
+        empresaId: req.empresa_id,
+        role: result.rows[0].name
+      });
+
       res.json({
         success: true,
-        data: result.rows
+        data: result.rows[0],
+        message: 'Papel atualizado com sucesso!'
       });
     } catch (error) {
-      logger.error('Erro ao buscar vendas:', error);
+      logger.error('Erro ao atualizar papel:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// Criar venda
-router.post('/vendas', 
-  requireAuth, 
-  empresaContext, 
-  validateRequiredFields(['items', 'total_amount', 'payment_method']),
+// Remover papel personalizado (apenas se nenhum membro o utiliza)
+router.delete('/roles/:id',
+  requireAuth,
+  empresaContext,
+  requirePermission('roles:manage'),
   async (req, res) => {
-    const client = await pool.connect();
-    
     try {
-      await client.query('BEGIN');
-      
-      const { items, total_amount, total_items, payment_method } = req.body;
-      const sale_code = 'V' + Date.now() + '_' + crypto.randomBytes(4).toString('hex');
-      
-      // Inserir venda
-      const saleResult = await client.query(
-        `INSERT INTO sales (empresa_id, sale_code, total_amount, total_items, payment_method) 
-         VALUES ($1, $2, $3, $4, $5) 
-         RETURNING *`,
-        [req.empresa_id, sale_code, total_amount, total_items, payment_method]
+      const roleResult = await queryWithMetrics(
+        `SELECT er.*, 
+                (SELECT COUNT(*) FROM user_empresas ue 
+                 WHERE ue.empresa_id = er.empresa_id AND ue.role = er.name AND ue.is_active = true) as members
+         FROM empresa_roles er WHERE er.id = $1 AND er.empresa_id = $2`,
+        [req.params.id, req.empresa_id],
+        'select',
+        'empresa_roles'
       );
-      
-      const sale = saleResult.rows[0];
-      
-      // Inserir itens da venda
-      for (const item of items) {
-        await client.query(
-          `INSERT INTO sale_items (sale_id, product_id, product_name, quantity, unit_price, total_price) 
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [sale.id, item.product_id, item.product_name, item.quantity, item.unit_price, item.total_price]
-        );
 
-        // Atualizar estoque
-        if (item.product_id) {
-          await client.query(
-            `UPDATE products SET stock_quantity = stock_quantity - $1 
-             WHERE id = $2 AND empresa_id = $3`,
-            [item.quantity, item.product_id, req.empresa_id]
-          );
-        }
+      if (roleResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Papel não encontrado' });
       }
-      
-      await client.query('COMMIT');
-
-      // Invalidar caches relacionados
-      await Promise.all([
-        redis.del(`cache:vendas:/api/vendas?empresa_id=${req.empresa_id}`),
-        redis.del(`cache:produtos:/api/produtos?empresa_id=${req.empresa_id}`),
-        redis.del(`cache:dashboard:/api/dashboard?empresa_id=${req.empresa_id}`)
-      ]);
 
-      // Emitir evento WebSocket
-      if (req.app.get('io')) {
-        req.app.get('io').to(`empresa-${req.empresa_id}`).emit('nova-venda', {
-          empresa_id: req.empresa_id,
-          venda: sale,
-          items: items
+      const members = parseInt(roleResult.rows[0].members);
+      if (members > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Papel em uso por ${members} membro(s) da empresa`
         });
       }
 
+      await queryWithMetrics(
+        'DELETE FROM empresa_roles WHERE id = $1 AND empresa_id = $2',
+        [req.params.id, req.empresa_id],
+        'delete',
+        'empresa_roles'
+      );
+
       res.json({
         success: true,
-        data: sale,
-        message: "Venda registrada com sucesso!"
+        message: 'Papel removido com sucesso!'
       });
-      
     } catch (error) {
-      await client.query('ROLLBACK');
-      logger.error('Erro ao registrar venda:', error);
+      logger.error('Erro ao remover papel:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
-    } finally {
-      client.release();
     }
   }
 );
 
-// ================= ROTAS DE NOTIFICAÇÕES =================
-
-// Listar notificações
-router.get('/notifications', 
-  requireAuth, 
-  empresaContext, 
-  cacheMiddleware(60, 'notifications'),
+// Alterar o papel de um membro na empresa atual
+router.put('/usuarios/:userId/role',
+  requireAuth,
+  empresaContext,
+  requirePermission('usuarios:manage'),
+  validateRequiredFields(['role']),
   async (req, res) => {
     try {
-      const result = await queryWithMetrics(
-        `SELECT * FROM notifications 
-         WHERE empresa_id = $1 AND (user_id IS NULL OR user_id = $2)
-         ORDER BY created_at DESC 
-         LIMIT 20`,
-        [req.empresa_id, req.user.id],
-        'select',
-        'notifications'
-      );
-      
+      const userId = parseInt(req.params.userId);
+      const roleName = String(req.body.role).trim().toLowerCase();
+
+      if (isNaN(userId)) {
+        return res.status(400).json({ success: false, error: 'ID de usuário inválido' });
+      }
+
+      if (userId === req.user.id) {
+        return res.status(400).json({ success: false, error: 'Não é possível alterar o próprio papel' });
+      }
+
+      if (roleName === SUPER_ADMIN_ROLE) {
+        return res.status(403).json({ success: false, error: `O papel "${SUPER_ADMIN_ROLE}" não pode ser atribuído por empresa` });
+      }
+
+      const role = await findRole(req.empresa_id, roleName);
+      if (!role) {
+        return res.status(400).json({ success: false, error: 'Papel não encontrado nesta empresa' });
+      }
+
+      const memberResult = await queryWithMetrics(
+        'SELECT role FROM user_empresas WHERE user_id = $1 AND empresa_id = $2 AND is_active = true',
+        [userId, req.empresa_id],
+        'select',
+        'user_empresas'
+      );
+
+      if (memberResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Usuário não é membro desta empresa' });
+      }
+
+      // Não conceder mais do que possui nem rebaixar quem tem mais acesso
+      const currentRoleName = memberResult.rows[0].role;
+      const currentRole = await findRole(req.empresa_id, currentRoleName);
+      if (!BizFlowPermissions.canGrant(req.permissions, role.permissions) ||
+          !BizFlowPermissions.canGrant(req.permissions, currentRole?.permissions || [])) {
+        return res.status(403).json({ success: false, error: 'Permissões insuficientes para esta alteração' });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE user_empresas SET role = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $2 AND empresa_id = $3
+         RETURNING user_id, empresa_id, role`,
+        [roleName, userId, req.empresa_id],
+        'update',
+        'user_empresas'
+      );
+
+      await invalidatePermissionsCache();
+
+      BizFlowLogger.auditLog('Papel de membro alterado', req.user.id, {
+        empresaId: req.empresa_id,
+        targetUserId: userId,
+        from: currentRoleName,
+        to: roleName
+      });
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Papel do usuário atualizado com sucesso!'
+      });
+    } catch (error) {
+      logger.error('Erro ao alterar papel do usuário:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= ROTAS DE EMPRESAS =================
+
+// Listar empresas (apenas as do usuário; super-admin vê todas)
+// Resultado depende do usuário, por isso sem cache por URL
+router.get('/empresas', 
+  requireAuth, 
+  requirePermission('empresas:read'),
+  async (req, res) => {
+    try {
+      const result = req.user.role === SUPER_ADMIN_ROLE
+        ? await queryWithMetrics(
+            'SELECT * FROM empresas WHERE is_active = true ORDER BY nome',
+            [],
+            'select',
+            'empresas'
+          )
+        : await queryWithMetrics(
+            'SELECT * FROM empresas WHERE is_active = true AND id = ANY($1::int[]) ORDER BY nome',
+            [await getUserEmpresaIds(req.user)],
+            'select',
+            'empresas'
+          );
+      
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar empresas:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar empresa
+router.post('/empresas', 
+  requireAuth, 
+  requirePermission('empresas:create'),
+  sanitizeInput(['nome', 'cnpj', 'email', 'telefone']),
+  validateRequiredFields(['nome']),
+  async (req, res) => {
+    try {
+      const { nome, cnpj, email, telefone } = req.body;
+      
+      const result = await queryWithMetrics(
+        `INSERT INTO empresas (nome, cnpj, email, telefone) 
+         VALUES ($1, $2, $3, $4) 
+         RETURNING *`,
+        [nome, cnpj, email, telefone],
+        'insert',
+        'empresas'
+      );
+
+      // Quem cria a empresa passa a ser administrador dela
+      await queryWithMetrics(
+        `INSERT INTO user_empresas (user_id, empresa_id, role) VALUES ($1, $2, 'admin')
+         ON CONFLICT (user_id, empresa_id) DO NOTHING`,
+        [req.user.id, result.rows[0].id],
+        'insert',
+        'user_empresas'
+      );
+      await redis.del(`user_empresas:${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Empresa criada com sucesso!"
+      });
+    } catch (error) {
+      logger.error('Erro ao criar empresa:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= CONFIGURAÇÕES DA EMPRESA =================
+
+// Valores padrão para empresas que nunca alteraram as configurações
+const EMPRESA_SETTINGS_DEFAULTS = {
+  permitir_estoque_negativo: false,
+  desconto_maximo_percentual: 0,
+  taxa_cartao_credito_percentual: 0,
+  prazo_recebimento_cartao_dias: 30,
+  parcelas_maximas: 12
+};
+
+async function getEmpresaSettings(empresaId) {
+  const cacheKey = `empresa_settings:${empresaId}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await queryWithMetrics(
+    'SELECT configuracoes FROM empresas WHERE id = $1',
+    [empresaId],
+    'select',
+    'empresas'
+  );
+
+  const settings = { ...EMPRESA_SETTINGS_DEFAULTS, ...(result.rows[0]?.configuracoes || {}) };
+  await redis.setex(cacheKey, 300, JSON.stringify(settings));
+  return settings;
+}
+
+function validateEmpresaSettings(body = {}) {
+  const settings = {};
+  const errors = [];
+
+  Object.keys(body).forEach(key => {
+    if (!(key in EMPRESA_SETTINGS_DEFAULTS) && key !== 'empresa_id') {
+      errors.push(`Configuração desconhecida: ${key}`);
+    }
+  });
+
+  if (body.permitir_estoque_negativo !== undefined) {
+    if (typeof body.permitir_estoque_negativo !== 'boolean') {
+      errors.push('permitir_estoque_negativo deve ser verdadeiro ou falso');
+    } else {
+      settings.permitir_estoque_negativo = body.permitir_estoque_negativo;
+    }
+  }
+
+  if (body.desconto_maximo_percentual !== undefined) {
+    const percentual = Number(body.desconto_maximo_percentual);
+    if (body.desconto_maximo_percentual === null || isNaN(percentual) || percentual < 0 || percentual > 100) {
+      errors.push('desconto_maximo_percentual deve estar entre 0 e 100');
+    } else {
+      settings.desconto_maximo_percentual = percentual;
+    }
+  }
+
+  if (body.taxa_cartao_credito_percentual !== undefined) {
+    const percentual = Number(body.taxa_cartao_credito_percentual);
+    if (body.taxa_cartao_credito_percentual === null || isNaN(percentual) || percentual < 0 || percentual > 100) {
+      errors.push('taxa_cartao_credito_percentual deve estar entre 0 e 100');
+    } else {
+      settings.taxa_cartao_credito_percentual = percentual;
+    }
+  }
+
+  if (body.prazo_recebimento_cartao_dias !== undefined) {
+    const dias = Number(body.prazo_recebimento_cartao_dias);
+    if (!Number.isInteger(dias) || dias < 0 || dias > 365) {
+      errors.push('prazo_recebimento_cartao_dias deve ser um número inteiro entre 0 e 365');
+    } else {
+      settings.prazo_recebimento_cartao_dias = dias;
+    }
+  }
+
+  if (body.parcelas_maximas !== undefined) {
+    const parcelas = Number(body.parcelas_maximas);
+    if (!Number.isInteger(parcelas) || parcelas < 1 || parcelas > 48) {
+      errors.push('parcelas_maximas deve ser um número inteiro entre 1 e 48');
+    } else {
+      settings.parcelas_maximas = parcelas;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(settings).length === 0) {
+    errors.push('Nenhuma configuração informada');
+  }
+
+  return { settings, errors };
+}
+
+// Consultar configurações da empresa atual
+router.get('/configuracoes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('configuracoes:read'),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await getEmpresaSettings(req.empresa_id)
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar configurações:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Alterar configurações da empresa atual
+router.put('/configuracoes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('configuracoes:manage'),
+  async (req, res) => {
+    try {
+      const { settings, errors } = validateEmpresaSettings(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE empresas 
+         SET configuracoes = COALESCE(configuracoes, '{}'::jsonb) || $1::jsonb, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2 
+         RETURNING configuracoes`,
+        [JSON.stringify(settings), req.empresa_id],
+        'update',
+        'empresas'
+      );
+
+      await redis.del(`empresa_settings:${req.empresa_id}`);
+
+      BizFlowLogger.auditLog('Configurações da empresa alteradas', req.user.id, {
+        empresaId: req.empresa_id,
+        changes: settings
+      });
+
+      res.json({
+        success: true,
+        data: { ...EMPRESA_SETTINGS_DEFAULTS, ...result.rows[0].configuracoes },
+        message: 'Configurações atualizadas com sucesso!'
+      });
+    } catch (error) {
+      logger.error('Erro ao atualizar configurações:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= ROTAS DE PRODUTOS COM CACHE =================
+
+// Listar produtos
+router.get('/produtos', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  cacheMiddleware(120, 'produtos'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        'SELECT * FROM products WHERE empresa_id = $1 AND is_active = true ORDER BY name',
+        [req.empresa_id],
+        'select',
+        'products'
+      );
+      
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar produtos:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar produto
+router.post('/produtos', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:create'),
+  sanitizeInput(['name', 'description', 'category']),
+  validateRequiredFields(['name', 'price']),
+  async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { name, description, price, cost_price, stock_quantity, category } = req.body;
+      const codes = { sku: req.body.sku, barcode: req.body.barcode };
+      const codeErrors = [];
+      normalizeCodeFields(codes, codeErrors);
+
+      if (codeErrors.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, error: codeErrors.join(', ') });
+      }
+
+      await assertCodesAvailable(client, req.empresa_id, codes);
+      
+      const result = await client.query(
+        `INSERT INTO products (empresa_id, name, description, price, cost_price, stock_quantity, category, sku, barcode) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+         RETURNING *`,
+        [req.empresa_id, name, description, price, cost_price ?? null, stock_quantity || 0, category, codes.sku ?? null, codes.barcode ?? null]
+      );
+
+      // Preço inicial no histórico
+      await client.query(
+        `INSERT INTO product_price_history (empresa_id, product_id, new_price, new_cost, reason, changed_by) 
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [req.empresa_id, result.rows[0].id, result.rows[0].price, result.rows[0].cost_price, 'Preço inicial', req.user.id]
+      );
+
+      // Saldo inicial no kardex
+      await logStockMovement(client, {
+        empresaId: req.empresa_id,
+        productId: result.rows[0].id,
+        type: 'saldo_inicial',
+        before: 0,
+        after: result.rows[0].stock_quantity,
+        referenceType: 'produto',
+        referenceId: result.rows[0].id,
+        userId: req.user.id
+      });
+
+      await client.query('COMMIT');
+      dispatchStockChanges(client);
+
+      // Invalidar cache de produtos
+      await invalidateCache(req.empresa_id, 'produtos', 'dashboard');
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Produto adicionado com sucesso!"
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status || isDuplicateCodeError(error)) {
+        return productCodeErrorResponse(res, error);
+      }
+      logger.error('Erro ao criar produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    } finally {
+      discardStockChanges(client);
+      client.release();
+    }
+  }
+);
+
+// Campos que podem ser alterados em PUT/PATCH /produtos/:id
+const PRODUCT_EDITABLE_FIELDS = ['name', 'description', 'price', 'cost_price', 'stock_quantity', 'min_stock', 'category', 'sku', 'barcode'];
+
+// Monta as alterações de um produto (PUT exige name e price; PATCH altera só o que foi enviado)
+function buildProductChanges(body = {}, partial = false) {
+  const fields = {};
+  const errors = [];
+  const defaults = { description: null, category: null, cost_price: null, min_stock: 5, sku: null, barcode: null };
+
+  if (!partial) {
+    ['name', 'price'].forEach(field => {
+      if (body[field] === undefined) {
+        errors.push(`Campo obrigatório faltando: ${field}`);
+      }
+    });
+  }
+
+  PRODUCT_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    } else if (!partial && field in defaults) {
+      fields[field] = defaults[field];
+    }
+  });
+
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    errors.push('Nome do produto não pode ser vazio');
+  }
+
+  if (fields.price !== undefined) {
+    const validation = BizFlowValidators.validatePrice(fields.price);
+    if (validation.isValid) fields.price = validation.normalized;
+    else errors.push(validation.error);
+  }
+
+  if (fields.cost_price !== undefined && fields.cost_price !== null) {
+    const validation = BizFlowValidators.validatePrice(fields.cost_price);
+    if (validation.isValid) fields.cost_price = validation.normalized;
+    else errors.push(`cost_price: ${validation.error}`);
+  }
+
+  ['stock_quantity', 'min_stock'].forEach(field => {
+    if (fields[field] === undefined) return;
+    const validation = BizFlowValidators.validateStockQuantity(fields[field]);
+    if (validation.isValid) fields[field] = validation.normalized;
+    else errors.push(`${field}: ${validation.error}`);
+  });
+
+  normalizeCodeFields(fields, errors);
+
+  if (partial && Object.keys(fields).length === 0) {
+    errors.push(`Nenhum campo para atualizar. Campos permitidos: ${PRODUCT_EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return { fields, errors };
+}
+
+// SKU e código de barras (EAN-13) de produtos e variações; vazio remove o código
+function normalizeCodeFields(fields, errors) {
+  ['sku', 'barcode'].forEach(field => {
+    if (fields[field] === '') fields[field] = null;
+  });
+
+  if (fields.sku !== undefined && fields.sku !== null) {
+    const validation = BizFlowValidators.validateSKU(fields.sku);
+    if (validation.isValid) fields.sku = validation.normalized;
+    else errors.push(validation.error);
+  }
+
+  if (fields.barcode !== undefined && fields.barcode !== null) {
+    const validation = BizFlowValidators.validateEAN13(fields.barcode);
+    if (validation.isValid) fields.barcode = validation.normalized;
+    else errors.push(validation.error);
+  }
+}
+
+const DUPLICATE_CODE_MESSAGES = {
+  idx_products_empresa_sku: 'SKU já cadastrado em outro produto ou variação',
+  product_variants_empresa_id_sku_key: 'SKU já cadastrado em outro produto ou variação',
+  idx_products_empresa_barcode: 'Código de barras já cadastrado em outro produto',
+  idx_product_variants_empresa_barcode: 'Código de barras já cadastrado em outro produto',
+  chart_of_accounts_empresa_id_code_key: 'Código já cadastrado no plano de contas',
+  cost_centers_empresa_id_code_key: 'Código de centro de custo já cadastrado'
+};
+
+function isDuplicateCodeError(error) {
+  return error.code === '23505' && Boolean(DUPLICATE_CODE_MESSAGES[error.constraint]);
+}
+
+function productCodeErrorResponse(res, error) {
+  if (isDuplicateCodeError(error)) {
+    return res.status(409).json({ success: false, error: DUPLICATE_CODE_MESSAGES[error.constraint] });
+  }
+  return res.status(error.status).json({ success: false, error: error.message });
+}
+
+function productVariantError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// SKU e código de barras são únicos na empresa entre produtos e variações (os índices
+// únicos cobrem cada tabela; o cruzamento é verificado aqui)
+async function assertCodesAvailable(client, empresaId, fields, { productId = null, variantId = null } = {}) {
+  for (const field of ['sku', 'barcode']) {
+    if (!fields[field]) continue;
+
+    const result = await client.query(
+      `SELECT id FROM products WHERE empresa_id = $1 AND ${field} = $2 AND id IS DISTINCT FROM $3
+       UNION ALL
+       SELECT id FROM product_variants WHERE empresa_id = $1 AND ${field} = $2 AND id IS DISTINCT FROM $4
+       LIMIT 1`,
+      [empresaId, fields[field], productId, variantId]
+    );
+
+    if (result.rows.length > 0) {
+      throw productVariantError(
+        field === 'sku' ? 'SKU já cadastrado em outro produto ou variação' : 'Código de barras já cadastrado em outro produto',
+        409
+      );
+    }
+  }
+}
+
+async function invalidateProductCache(empresaId) {
+  await invalidateCache(empresaId, 'produtos', 'dashboard');
+}
+
+// Registra no histórico qualquer mudança de preço ou custo (dentro da transação do chamador)
+async function recordPriceChange(client, before, after, userId, reason = null) {
+  const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+  const priceChanged = toNumber(before.price) !== toNumber(after.price);
+  const costChanged = toNumber(before.cost_price) !== toNumber(after.cost_price);
+
+  if (!priceChanged && !costChanged) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO product_price_history 
+       (empresa_id, product_id, old_price, new_price, old_cost, new_cost, reason, changed_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+     RETURNING *`,
+    [after.empresa_id, after.id, before.price, after.price, before.cost_price, after.cost_price, reason || null, userId]
+  );
+
+  return result.rows[0];
+}
+
+// Custo médio ponderado após uma entrada: sem saldo (ou sem custo anterior) vale o custo da entrada
+function weightedAverageCost(stockQuantity, currentCost, quantity, unitCost) {
+  const saldo = parseInt(stockQuantity) || 0;
+
+  if (currentCost === null || currentCost === undefined || saldo <= 0) {
+    return roundMoney(parseFloat(unitCost));
+  }
+
+  return roundMoney((saldo * parseFloat(currentCost) + quantity * parseFloat(unitCost)) / (saldo + quantity));
+}
+
+// Recalcula o custo médio do produto antes da entrada no estoque e registra no histórico de preços
+async function applyAverageCost(client, { empresaId, productId, quantity, unitCost, reason, userId }) {
+  const result = await client.query(
+    'SELECT * FROM products WHERE id = $1 AND empresa_id = $2 FOR UPDATE',
+    [productId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const before = result.rows[0];
+  const cost = weightedAverageCost(before.stock_quantity, before.cost_price, quantity, unitCost);
+
+  if (before.cost_price !== null && parseFloat(before.cost_price) === cost) {
+    return before;
+  }
+
+  const updated = await client.query(
+    'UPDATE products SET cost_price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [cost, before.id]
+  );
+
+  await recordPriceChange(client, before, updated.rows[0], userId, reason);
+  return updated.rows[0];
+}
+
+function updateProductHandler(partial) {
+  return async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+
+      if (isNaN(productId)) {
+        return res.status(400).json({ success: false, error: 'ID de produto inválido' });
+      }
+
+      const { fields, errors } = buildProductChanges(req.body, partial);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const client = await pool.connect();
+      let result;
+
+      try {
+        await client.query('BEGIN');
+
+        const current = await client.query(
+          'SELECT * FROM products WHERE id = $1 AND empresa_id = $2 AND is_active = true FOR UPDATE',
+          [productId, req.empresa_id]
+        );
+
+        if (current.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+
+        await assertCodesAvailable(client, req.empresa_id, fields, { productId });
+
+        // O saldo de produto com variações é a soma das variações
+        if (fields.stock_quantity !== undefined && fields.stock_quantity !== current.rows[0].stock_quantity) {
+          const variants = await client.query(
+            'SELECT 1 FROM product_variants WHERE product_id = $1 AND is_active = true LIMIT 1',
+            [productId]
+          );
+          if (variants.rows.length > 0) {
+            throw productVariantError('Produto com variações: ajuste o estoque em cada variação', 409);
+          }
+        }
+
+        result = await client.query(
+          `UPDATE products 
+           SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = $${columns.length + 1} AND empresa_id = $${columns.length + 2} 
+           RETURNING *`,
+          [...columns.map(column => fields[column]), productId, req.empresa_id]
+        );
+
+        await recordPriceChange(client, current.rows[0], result.rows[0], req.user.id, req.body.reason);
+        await logStockMovement(client, {
+          empresaId: req.empresa_id,
+          productId,
+          type: 'ajuste',
+          before: current.rows[0].stock_quantity,
+          after: result.rows[0].stock_quantity,
+          referenceType: 'produto',
+          referenceId: productId,
+          notes: req.body.reason,
+          userId: req.user.id
+        });
+
+        await client.query('COMMIT');
+        dispatchStockChanges(client);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        discardStockChanges(client);
+        client.release();
+      }
+
+      await invalidateProductCache(req.empresa_id);
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Produto atualizado com sucesso!"
+      });
+    } catch (error) {
+      if (error.status || isDuplicateCodeError(error)) {
+        return productCodeErrorResponse(res, error);
+      }
+      logger.error('Erro ao atualizar produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  };
+}
+
+// Aplica uma variação de estoque e registra no kardex (dentro da transação do chamador).
+// Com variantId o saldo da variação também muda; o kardex continua no nível do produto
+async function recordStockMovement(client, { empresaId, productId, variantId = null, type, quantity, referenceType = null, referenceId = null, notes = null, userId = null }) {
+  if (variantId) {
+    await client.query(
+      `UPDATE product_variants SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 AND product_id = $3`,
+      [quantity, variantId, productId]
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE products SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $2 AND empresa_id = $3 
+     RETURNING *`,
+    [quantity, productId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const after = result.rows[0].stock_quantity;
+  await logStockMovement(client, {
+    empresaId, productId, variantId, type, before: after - quantity, after, referenceType, referenceId, notes, userId
+  });
+
+  return result.rows[0];
+}
+
+// Registra no kardex um saldo já gravado em products (cadastro ou ajuste manual do produto)
+async function logStockMovement(client, { empresaId, productId, variantId = null, type, before, after, referenceType = null, referenceId = null, notes = null, userId = null }) {
+  if (before === after) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO stock_movements 
+       (empresa_id, product_id, variant_id, movement_type, quantity, quantity_before, quantity_after, reference_type, reference_id, notes, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+     RETURNING *`,
+    [
+      empresaId,
+      productId,
+      variantId,
+      type,
+      after - before,
+      before,
+      after,
+      referenceType,
+      referenceId,
+      notes ? BizFlowValidators.sanitizeString(String(notes)).substring(0, 255) : null,
+      userId
+    ]
+  );
+
+  // Regras de estoque e webhooks de estoque baixo são avaliados depois do COMMIT da transação
+  trackStockChange(client, empresaId, productId, before);
+
+  return result.rows[0];
+}
+
+// Atualizar produto (substituição completa)
+router.put('/produtos/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:update'),
+  sanitizeInput(['name', 'description', 'category', 'reason']),
+  updateProductHandler(false)
+);
+
+// Atualizar produto (parcial)
+router.patch('/produtos/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:update'),
+  sanitizeInput(['name', 'description', 'category', 'reason']),
+  updateProductHandler(true)
+);
+
+// Histórico de preços e custos do produto
+router.get('/produtos/:id/historico', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+
+      if (isNaN(productId)) {
+        return res.status(400).json({ success: false, error: 'ID de produto inválido' });
+      }
+
+      const product = await queryWithMetrics(
+        'SELECT id FROM products WHERE id = $1 AND empresa_id = $2',
+        [productId, req.empresa_id],
+        'select',
+        'products'
+      );
+
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT h.*, u.full_name as changed_by_name
+         FROM product_price_history h
+         LEFT JOIN users u ON h.changed_by = u.id
+         WHERE h.product_id = $1 AND h.empresa_id = $2
+         ORDER BY h.changed_at DESC`,
+        [productId, req.empresa_id],
+        'select',
+        'product_price_history'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar histórico do produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+const STOCK_MOVEMENT_TYPES = ['saldo_inicial', 'venda', 'cancelamento', 'devolucao', 'compra', 'ajuste', 'inventario'];
+
+// Kardex do produto: cada entrada/saída com saldo anterior e posterior
+router.get('/produtos/:id/movimentacoes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+      const { tipo } = req.query;
+
+      if (isNaN(productId)) {
+        return res.status(400).json({ success: false, error: 'ID de produto inválido' });
+      }
+
+      if (tipo && !STOCK_MOVEMENT_TYPES.includes(tipo)) {
+        return res.status(400).json({ success: false, error: `Tipo de movimentação inválido. Use: ${STOCK_MOVEMENT_TYPES.join(', ')}` });
+      }
+
+      const product = await queryWithMetrics(
+        'SELECT id, name, stock_quantity FROM products WHERE id = $1 AND empresa_id = $2',
+        [productId, req.empresa_id],
+        'select',
+        'products'
+      );
+
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT m.*, u.full_name as created_by_name
+         FROM stock_movements m
+         LEFT JOIN users u ON m.created_by = u.id
+         WHERE m.product_id = $1 AND m.empresa_id = $2 AND ($3::varchar IS NULL OR m.movement_type = $3)
+         ORDER BY m.created_at DESC, m.id DESC`,
+        [productId, req.empresa_id, tipo || null],
+        'select',
+        'stock_movements'
+      );
+
+      res.json({
+        success: true,
+        data: {
+          produto: product.rows[0],
+          movimentacoes: result.rows
+        }
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar movimentações do produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= IMPORTAÇÃO E EXPORTAÇÃO DE PRODUTOS (CSV/XLSX) =================
+// Colunas da planilha (cabeçalho em inglês ou português); a exportação usa os nomes da API
+const PRODUCT_SHEET_COLUMNS = {
+  sku: ['sku'],
+  name: ['name', 'nome'],
+  description: ['description', 'descricao', 'descrição'],
+  price: ['price', 'preco', 'preço'],
+  cost_price: ['cost_price', 'custo'],
+  stock_quantity: ['stock_quantity', 'estoque'],
+  min_stock: ['min_stock', 'estoque_minimo'],
+  category: ['category', 'categoria'],
+  barcode: ['barcode', 'codigo_barras', 'ean']
+};
+
+const PRODUCT_IMPORT_MAX_ROWS = 5000;
+
+function productImportError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// CSV chega como texto; XLSX em base64 (o corpo da API é JSON)
+async function parseProductSpreadsheet(formato, arquivo) {
+  if (!['csv', 'xlsx'].includes(formato)) {
+    throw productImportError('Formato inválido. Use: csv, xlsx', 400);
+  }
+
+  let sheet;
+  try {
+    sheet = formato === 'csv'
+      ? BizFlowSpreadsheet.parseCSV(arquivo)
+      : await BizFlowSpreadsheet.parseXLSX(Buffer.from(String(arquivo), 'base64'), { maxRows: PRODUCT_IMPORT_MAX_ROWS });
+  } catch (error) {
+    if (error.status) throw productImportError(error.message, error.status);
+    throw productImportError(`Não foi possível ler o arquivo ${formato.toUpperCase()}`, 400);
+  }
+
+  if (!sheet.columns.some(column => PRODUCT_SHEET_COLUMNS.sku.includes(column))) {
+    throw productImportError('A planilha precisa de uma coluna "sku"', 400);
+  }
+  if (sheet.records.length === 0) {
+    throw productImportError('A planilha não tem linhas de produtos', 400);
+  }
+  if (sheet.records.length > PRODUCT_IMPORT_MAX_ROWS) {
+    throw productImportError(`Limite de ${PRODUCT_IMPORT_MAX_ROWS} linhas por importação`, 413);
+  }
+
+  return sheet.records;
+}
+
+// "1.234,56" (planilha pt-BR) vira "1234.56"; células vazias não alteram o produto
+function readDecimalCell(value) {
+  return value.includes(',') ? value.replace(/\./g, '').replace(',', '.') : value;
+}
+
+// Valida cada linha isoladamente; o que depende do banco (SKU existente, códigos) vem depois
+function buildProductImportRows(records) {
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+
+  return records.map(({ linha, values }) => {
+    const fields = {};
+    const errors = [];
+
+    Object.entries(PRODUCT_SHEET_COLUMNS).forEach(([field, aliases]) => {
+      const column = aliases.find(alias => values[alias] !== undefined && values[alias] !== '');
+      if (column) fields[field] = values[column];
+    });
+
+    const skuValidation = BizFlowValidators.validateSKU(fields.sku);
+    if (skuValidation.isValid) fields.sku = skuValidation.normalized;
+    else errors.push(skuValidation.error);
+
+    ['name', 'description', 'category'].forEach(field => {
+      if (fields[field] !== undefined) fields[field] = BizFlowValidators.sanitizeString(fields[field]);
+    });
+
+    ['price', 'cost_price'].forEach(field => {
+      if (fields[field] === undefined) return;
+      const validation = BizFlowValidators.validatePrice(readDecimalCell(fields[field]));
+      if (validation.isValid) fields[field] = validation.normalized;
+      else errors.push(`${field}: ${validation.error}`);
+    });
+
+    ['stock_quantity', 'min_stock'].forEach(field => {
+      if (fields[field] === undefined) return;
+      const validation = BizFlowValidators.validateStockQuantity(fields[field]);
+      if (validation.isValid) fields[field] = validation.normalized;
+      else errors.push(`${field}: ${validation.error}`);
+    });
+
+    if (fields.barcode !== undefined) {
+      const validation = BizFlowValidators.validateEAN13(fields.barcode);
+      if (validation.isValid) fields.barcode = validation.normalized;
+      else errors.push(validation.error);
+    }
+
+    if (fields.sku && seenSkus.has(fields.sku)) {
+      errors.push(`SKU repetido na planilha (linha ${seenSkus.get(fields.sku)})`);
+    } else if (fields.sku) {
+      seenSkus.set(fields.sku, linha);
+    }
+
+    if (fields.barcode && seenBarcodes.has(fields.barcode)) {
+      errors.push(`Código de barras repetido na planilha (linha ${seenBarcodes.get(fields.barcode)})`);
+    } else if (fields.barcode) {
+      seenBarcodes.set(fields.barcode, linha);
+    }
+
+    return { linha, sku: fields.sku || values.sku || null, fields, errors };
+  });
+}
+
+// Regras que dependem do produto já cadastrado com o SKU da linha
+function checkProductImportRow(row, current, { isVariantSku, hasVariants }) {
+  row.current = current || null;
+  row.acao = current ? 'atualizar' : 'criar';
+
+  if (isVariantSku) {
+    row.errors.push('SKU pertence a uma variação de produto');
+  } else if (!current) {
+    ['name', 'price'].forEach(field => {
+      if (row.fields[field] === undefined) row.errors.push(`Campo obrigatório para produto novo: ${field}`);
+    });
+  } else if (current.is_active === false) {
+    row.errors.push('Produto com este SKU está desativado');
+  } else if (hasVariants && row.fields.stock_quantity !== undefined && row.fields.stock_quantity !== current.stock_quantity) {
+    row.errors.push('Produto com variações: ajuste o estoque em cada variação');
+  }
+}
+
+function summarizeProductImport(rows, dryRun) {
+  const invalid = rows.filter(row => row.errors.length > 0);
+
+  return {
+    dry_run: dryRun,
+    total_linhas: rows.length,
+    criar: rows.filter(row => row.acao === 'criar' && row.errors.length === 0).length,
+    atualizar: rows.filter(row => row.acao === 'atualizar' && row.errors.length === 0).length,
+    com_erro: invalid.length,
+    linhas: rows.map(row => ({ linha: row.linha, sku: row.sku, acao: row.acao || null, erros: row.errors }))
+  };
+}
+
+// Upsert por SKU: confere as linhas contra o banco e só grava se nenhuma tiver erro (tudo ou nada)
+async function importProducts(client, req, rows, dryRun) {
+  const skus = rows.map(row => row.fields.sku).filter(Boolean);
+
+  const existing = await client.query(
+    `SELECT p.*, EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true) as has_variants 
+     FROM products p 
+     WHERE p.empresa_id = $1 AND p.sku = ANY($2::varchar[]) 
+     FOR UPDATE OF p`,
+    [req.empresa_id, skus]
+  );
+  const variantSkus = await client.query(
+    'SELECT sku FROM product_variants WHERE empresa_id = $1 AND sku = ANY($2::varchar[])',
+    [req.empresa_id, skus]
+  );
+
+  for (const row of rows.filter(r => r.errors.length === 0)) {
+    const current = existing.rows.find(product => product.sku === row.fields.sku);
+    checkProductImportRow(row, current, {
+      isVariantSku: variantSkus.rows.some(variant => variant.sku === row.fields.sku),
+      hasVariants: Boolean(current?.has_variants)
+    });
+
+    if (row.errors.length === 0 && row.fields.barcode) {
+      try {
+        await assertCodesAvailable(client, req.empresa_id, { barcode: row.fields.barcode }, { productId: current?.id ?? null });
+      } catch (error) {
+        if (!error.status) throw error;
+        row.errors.push(error.message);
+      }
+    }
+  }
+
+  const resumo = summarizeProductImport(rows, dryRun);
+
+  if (dryRun || resumo.com_erro > 0) {
+    return resumo;
+  }
+
+  for (const row of rows) {
+    const { fields, current } = row;
+    const columns = Object.keys(fields);
+
+    if (current) {
+      const updated = await client.query(
+        `UPDATE products 
+         SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $${columns.length + 1} 
+         RETURNING *`,
+        [...columns.map(column => fields[column]), current.id]
+      );
+
+      await recordPriceChange(client, current, updated.rows[0], req.user.id, 'Importação de planilha');
+      await logStockMovement(client, {
+        empresaId: req.empresa_id,
+        productId: current.id,
+        type: 'ajuste',
+        before: current.stock_quantity,
+        after: updated.rows[0].stock_quantity,
+        referenceType: 'importacao',
+        notes: `Importação de planilha (linha ${row.linha})`,
+        userId: req.user.id
+      });
+    } else {
+      const created = await client.query(
+        `INSERT INTO products (empresa_id, ${columns.join(', ')}) 
+         VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}) 
+         RETURNING *`,
+        [req.empresa_id, ...columns.map(column => fields[column])]
+      );
+      const product = created.rows[0];
+
+      await client.query(
+        `INSERT INTO product_price_history (empresa_id, product_id, new_price, new_cost, reason, changed_by) 
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [req.empresa_id, product.id, product.price, product.cost_price, 'Preço inicial (importação)', req.user.id]
+      );
+      await logStockMovement(client, {
+        empresaId: req.empresa_id,
+        productId: product.id,
+        type: 'saldo_inicial',
+        before: 0,
+        after: product.stock_quantity,
+        referenceType: 'importacao',
+        notes: `Importação de planilha (linha ${row.linha})`,
+        userId: req.user.id
+      });
+    }
+  }
+
+  return resumo;
+}
+
+// Filtros da exportação: categoria, busca (nome, SKU ou código de barras) e estoque_baixo=true
+function buildProductExportQuery(empresaId, query = {}) {
+  const conditions = ['empresa_id = $1', 'is_active = true'];
+  const params = [empresaId];
+
+  if (query.categoria) {
+    params.push(query.categoria);
+    conditions.push(`category = $${params.length}`);
+  }
+
+  if (query.busca) {
+    params.push(`%${query.busca}%`);
+    conditions.push(`(name ILIKE $${params.length} OR sku ILIKE $${params.length} OR barcode ILIKE $${params.length})`);
+  }
+
+  if (query.estoque_baixo === 'true') {
+    conditions.push('stock_quantity <= min_stock');
+  }
+
+  return {
+    sql: `SELECT ${Object.keys(PRODUCT_SHEET_COLUMNS).join(', ')} FROM products WHERE ${conditions.join(' AND ')} ORDER BY name`,
+    params
+  };
+}
+
+// Importar produtos de planilha CSV/XLSX (dry_run apenas valida e mostra o que seria feito)
+router.post('/produtos/importar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:create'),
+  requirePermission('produtos:update'),
+  validateRequiredFields(['formato', 'arquivo']),
+  async (req, res) => {
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    let client;
+
+    try {
+      const records = await parseProductSpreadsheet(req.body.formato, req.body.arquivo);
+      const rows = buildProductImportRows(records);
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const resumo = await importProducts(client, req, rows, dryRun);
+
+      if (dryRun || resumo.com_erro > 0) {
+        await client.query('ROLLBACK');
+      } else {
+        await client.query('COMMIT');
+        dispatchStockChanges(client);
+        await invalidateProductCache(req.empresa_id);
+        BizFlowLogger.businessLog('Produtos importados de planilha', {
+          empresaId: req.empresa_id,
+          userId: req.user.id,
+          formato: req.body.formato,
+          criados: resumo.criar,
+          atualizados: resumo.atualizar
+        });
+      }
+
+      if (!dryRun && resumo.com_erro > 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Planilha com erros; nenhum produto foi importado',
+          detalhes: resumo
+        });
+      }
+
+      res.json({
+        success: true,
+        data: resumo,
+        message: dryRun
+          ? 'Pré-visualização da importação gerada'
+          : `Importação concluída: ${resumo.criar} produto(s) criado(s), ${resumo.atualizar} atualizado(s)`
+      });
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('Erro ao importar produtos:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    } finally {
+      if (client) {
+        discardStockChanges(client);
+        client.release();
+      }
+    }
+  }
+);
+
+// Exportar produtos em CSV/XLSX (as mesmas colunas aceitas na importação)
+router.get('/produtos/exportar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  requirePermission('relatorios:export'),
+  async (req, res) => {
+    try {
+      const formato = req.query.formato || 'csv';
+
+      if (!['csv', 'xlsx'].includes(formato)) {
+        return res.status(400).json({ success: false, error: 'Formato inválido. Use: csv, xlsx' });
+      }
+
+      const { sql, params } = buildProductExportQuery(req.empresa_id, req.query);
+      const result = await queryWithMetrics(sql, params, 'select', 'products');
+
+      const columns = Object.keys(PRODUCT_SHEET_COLUMNS);
+      const records = result.rows.map(row => ({
+        ...row,
+        price: parseFloat(row.price),
+        cost_price: row.cost_price === null ? null : parseFloat(row.cost_price)
+      }));
+      const filename = `produtos-${new Date().toISOString().split('T')[0]}.${formato}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (formato === 'xlsx') {
+        res.type(BizFlowSpreadsheet.XLSX_MIME);
+        return res.send(await BizFlowSpreadsheet.toXLSX(columns, records, 'Produtos'));
+      }
+
+      res.type('text/csv; charset=utf-8');
+      res.send(BizFlowSpreadsheet.toCSV(columns, records));
+    } catch (error) {
+      logger.error('Erro ao exportar produtos:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= VARIAÇÕES DE PRODUTO E CÓDIGO DE BARRAS =================
+const VARIANT_EDITABLE_FIELDS = ['sku', 'barcode', 'size', 'color', 'price', 'stock_quantity'];
+
+// PUT exige sku; price nulo herda o preço do produto. O estoque da variação é somado ao do
+// produto, então mudanças de estoque viram movimentações no kardex (nunca gravação direta)
+function buildVariantChanges(body = {}, partial = false) {
+  const fields = {};
+  const errors = [];
+
+  if (!partial && !body.sku) {
+    errors.push('Campo obrigatório faltando: sku');
+  }
+
+  VARIANT_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    } else if (!partial && ['barcode', 'size', 'color', 'price'].includes(field)) {
+      fields[field] = null;
+    }
+  });
+
+  normalizeCodeFields(fields, errors);
+
+  ['size', 'color'].forEach(field => {
+    if (typeof fields[field] === 'string') {
+      fields[field] = BizFlowValidators.sanitizeString(fields[field]) || null;
+    }
+  });
+
+  if (fields.price !== undefined && fields.price !== null && fields.price !== '') {
+    const validation = BizFlowValidators.validatePrice(fields.price);
+    if (validation.isValid) fields.price = validation.normalized;
+    else errors.push(validation.error);
+  } else if (fields.price === '') {
+    fields.price = null;
+  }
+
+  if (fields.stock_quantity !== undefined) {
+    const validation = BizFlowValidators.validateStockQuantity(fields.stock_quantity);
+    if (validation.isValid) fields.stock_quantity = validation.normalized;
+    else errors.push(`stock_quantity: ${validation.error}`);
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    errors.push(`Nenhum campo para atualizar. Campos permitidos: ${VARIANT_EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return { fields, errors };
+}
+
+function parseVariantParams(req) {
+  const productId = parseInt(req.params.id);
+  const variantId = req.params.variantId === undefined ? null : parseInt(req.params.variantId);
+
+  if (isNaN(productId)) {
+    throw productVariantError('ID de produto inválido', 400);
+  }
+  if (variantId !== null && isNaN(variantId)) {
+    throw productVariantError('ID de variação inválido', 400);
+  }
+
+  return { productId, variantId };
+}
+
+async function saveProductVariant(client, req, partial) {
+  const { productId, variantId } = parseVariantParams(req);
+  const { fields, errors } = buildVariantChanges(req.body, partial);
+
+  if (errors.length > 0) {
+    throw productVariantError(errors.join(', '), 400);
+  }
+
+  const product = await client.query(
+    'SELECT id FROM products WHERE id = $1 AND empresa_id = $2 AND is_active = true FOR UPDATE',
+    [productId, req.empresa_id]
+  );
+
+  if (product.rows.length === 0) {
+    throw productVariantError('Produto não encontrado', 404);
+  }
+
+  let current = null;
+  if (variantId) {
+    const result = await client.query(
+      'SELECT * FROM product_variants WHERE id = $1 AND product_id = $2 AND is_active = true FOR UPDATE',
+      [variantId, productId]
+    );
+    if (result.rows.length === 0) {
+      throw productVariantError('Variação não encontrada', 404);
+    }
+    current = result.rows[0];
+  }
+
+  await assertCodesAvailable(client, req.empresa_id, fields, { variantId });
+
+  const { stock_quantity: stock, ...rest } = fields;
+  const columns = Object.keys(rest);
+  let variant;
+
+  if (current) {
+    variant = columns.length > 0
+      ? (await client.query(
+          `UPDATE product_variants 
+           SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = $${columns.length + 1} 
+           RETURNING *`,
+          [...columns.map(column => rest[column]), variantId]
+        )).rows[0]
+      : current;
+  } else {
+    variant = (await client.query(
+      `INSERT INTO product_variants (empresa_id, product_id, ${columns.join(', ')}) 
+       VALUES ($1, $2, ${columns.map((column, index) => `$${index + 3}`).join(', ')}) 
+       RETURNING *`,
+      [req.empresa_id, productId, ...columns.map(column => rest[column])]
+    )).rows[0];
+  }
+
+  // Estoque da variação sempre via kardex, refletindo no saldo agregado do produto
+  if (stock !== undefined && stock !== variant.stock_quantity) {
+    await recordStockMovement(client, {
+      empresaId: req.empresa_id,
+      productId,
+      variantId: variant.id,
+      type: current ? 'ajuste' : 'saldo_inicial',
+      quantity: stock - variant.stock_quantity,
+      referenceType: 'variacao',
+      referenceId: variant.id,
+      notes: req.body.reason,
+      userId: req.user.id
+    });
+    variant = { ...variant, stock_quantity: stock };
+  }
+
+  await invalidateProductCache(req.empresa_id);
+
+  return {
+    data: variant,
+    message: current ? 'Variação atualizada com sucesso!' : 'Variação criada com sucesso!'
+  };
+}
+
+// Busca por código de barras (leitor do PDV): variação primeiro, depois produto
+router.get('/produtos/barcode/:ean', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const validation = BizFlowValidators.validateEAN13(req.params.ean);
+
+      if (!validation.isValid) {
+        return res.status(400).json({ success: false, error: validation.error });
+      }
+
+      const variant = await queryWithMetrics(
+        'SELECT * FROM product_variants WHERE empresa_id = $1 AND barcode = $2 AND is_active = true',
+        [req.empresa_id, validation.normalized],
+        'select',
+        'product_variants'
+      );
+
+      const product = await queryWithMetrics(
+        `SELECT * FROM products 
+         WHERE empresa_id = $1 AND is_active = true AND ${variant.rows.length > 0 ? 'id = $2' : 'barcode = $2'}`,
+        [req.empresa_id, variant.rows.length > 0 ? variant.rows[0].product_id : validation.normalized],
+        'select',
+        'products'
+      );
+
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Nenhum produto com este código de barras' });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          produto: product.rows[0],
+          variante: variant.rows[0] || null
+        }
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar produto por código de barras:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Listar variações ativas do produto
+router.get('/produtos/:id/variacoes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+
+      if (isNaN(productId)) {
+        return res.status(400).json({ success: false, error: 'ID de produto inválido' });
+      }
+
+      const product = await queryWithMetrics(
+        'SELECT id FROM products WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+        [productId, req.empresa_id],
+        'select',
+        'products'
+      );
+
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+      }
+
+      const result = await queryWithMetrics(
+        'SELECT * FROM product_variants WHERE product_id = $1 AND is_active = true ORDER BY size, color, sku',
+        [productId],
+        'select',
+        'product_variants'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao listar variações do produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar variação (estoque informado entra como saldo inicial no kardex)
+router.post('/produtos/:id/variacoes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:create'),
+  sanitizeInput(['reason']),
+  transactionalHandler('criar variação', (client, req) => saveProductVariant(client, req, false))
+);
+
+// Atualizar variação (PUT substitui; PATCH altera só o que foi enviado)
+router.put('/produtos/:id/variacoes/:variantId', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:update'),
+  sanitizeInput(['reason']),
+  transactionalHandler('atualizar variação', (client, req) => saveProductVariant(client, req, false))
+);
+
+router.patch('/produtos/:id/variacoes/:variantId', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:update'),
+  sanitizeInput(['reason']),
+  transactionalHandler('atualizar variação', (client, req) => saveProductVariant(client, req, true))
+);
+
+// Remover variação (soft-delete: continua referenciada pelas vendas e pelo kardex)
+router.delete('/produtos/:id/variacoes/:variantId', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:delete'),
+  transactionalHandler('remover variação', async (client, req) => {
+    const { productId, variantId } = parseVariantParams(req);
+
+    const result = await client.query(
+      `UPDATE product_variants v 
+       SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+       FROM products p 
+       WHERE v.id = $1 AND v.product_id = $2 AND v.is_active = true 
+         AND p.id = v.product_id AND p.empresa_id = $3 
+       RETURNING v.*`,
+      [variantId, productId, req.empresa_id]
+    );
+
+    if (result.rows.length === 0) {
+      throw productVariantError('Variação não encontrada', 404);
+    }
+
+    await invalidateProductCache(req.empresa_id);
+
+    return { data: result.rows[0], message: 'Variação removida com sucesso!' };
+  })
+);
+
+// Remover produto (soft-delete via is_active)
+router.delete('/produtos/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('produtos:delete'),
+  async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+
+      if (isNaN(productId)) {
+        return res.status(400).json({ success: false, error: 'ID de produto inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE products 
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND empresa_id = $2 AND is_active = true 
+         RETURNING *`,
+        [productId, req.empresa_id],
+        'update',
+        'products'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+      }
+
+      await invalidateProductCache(req.empresa_id);
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Produto removido com sucesso!"
+      });
+    } catch (error) {
+      logger.error('Erro ao remover produto:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= ROTAS DE CLIENTES =================
+
+// Campos que podem ser alterados em PUT/PATCH /clientes/:id
+const CUSTOMER_EDITABLE_FIELDS = ['full_name', 'document', 'email', 'phone', 'address', 'notes'];
+
+// Monta as alterações de um cliente (PUT exige full_name; PATCH altera só o que foi enviado).
+// O CPF/CNPJ é gravado sem máscara e document_type é derivado dele
+function buildCustomerChanges(body = {}, partial = false) {
+  const fields = {};
+  const errors = [];
+
+  if (!partial && body.full_name === undefined) {
+    errors.push('Campo obrigatório faltando: full_name');
+  }
+
+  CUSTOMER_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    } else if (!partial && field !== 'full_name') {
+      fields[field] = null;
+    }
+  });
+
+  if (fields.full_name !== undefined && (typeof fields.full_name !== 'string' || !fields.full_name.trim())) {
+    errors.push('Nome do cliente não pode ser vazio');
+  }
+
+  if (fields.document !== undefined) {
+    if (fields.document === null) {
+      fields.document_type = null;
+    } else {
+      const validation = BizFlowValidators.validateCPFCNPJ(fields.document);
+      if (validation.isValid) {
+        fields.document = validation.normalized;
+        fields.document_type = validation.type;
+      } else {
+        errors.push(validation.error);
+      }
+    }
+  }
+
+  if (fields.email) {
+    fields.email = String(fields.email).trim();
+    const validation = BizFlowValidators.validateEmail(fields.email);
+    if (!validation.isValid) errors.push(validation.error);
+  }
+
+  if (fields.phone) {
+    const validation = BizFlowValidators.validatePhone(String(fields.phone));
+    if (validation.isValid) fields.phone = validation.normalized;
+    else errors.push(validation.error);
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    errors.push(`Nenhum campo para atualizar. Campos permitidos: ${CUSTOMER_EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return { fields, errors };
+}
+
+// CPF/CNPJ repetido na empresa viola UNIQUE (empresa_id, document)
+function isDuplicateDocumentError(error) {
+  return error.code === '23505' && error.constraint === 'customers_empresa_id_document_key';
+}
+
+// Listar clientes (busca por nome, email ou documento).
+// Sem cacheMiddleware: dados pessoais e a chave de cache não separa empresas
+router.get('/clientes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:read'),
+  async (req, res) => {
+    try {
+      const { busca } = req.query;
+      const params = [req.empresa_id];
+      let filtro = '';
+
+      if (busca) {
+        const digits = String(busca).replace(/\D/g, '');
+        params.push(`%${busca}%`, `%${digits || busca}%`);
+        filtro = 'AND (full_name ILIKE $2 OR email ILIKE $2 OR document LIKE $3)';
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT * FROM customers WHERE empresa_id = $1 AND is_active = true ${filtro} ORDER BY full_name`,
+        params,
+        'select',
+        'customers'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar clientes:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Detalhe do cliente com resumo de compras
+router.get('/clientes/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:read'),
+  async (req, res) => {
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (isNaN(customerId)) {
+        return res.status(400).json({ success: false, error: 'ID de cliente inválido' });
+      }
+
+      const customer = await queryWithMetrics(
+        'SELECT * FROM customers WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+        [customerId, req.empresa_id],
+        'select',
+        'customers'
+      );
+
+      if (customer.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Cliente não encontrado' });
+      }
+
+      const [resumo, ultimasVendas] = await Promise.all([
+        queryWithMetrics(
+          `SELECT 
+            COUNT(*) as total_compras,
+            COALESCE(SUM(total_amount - COALESCE(refunded_amount, 0)), 0) as total_gasto,
+            COALESCE(AVG(total_amount - COALESCE(refunded_amount, 0)), 0) as ticket_medio,
+            MAX(sale_date) as ultima_compra
+           FROM sales 
+           WHERE customer_id = $1 AND empresa_id = $2 AND status <> 'cancelled'`,
+          [customerId, req.empresa_id],
+          'select',
+          'sales'
+        ),
+        queryWithMetrics(
+          `SELECT id, sale_code, total_amount, refunded_amount, payment_method, status, sale_date
+           FROM sales 
+           WHERE customer_id = $1 AND empresa_id = $2 
+           ORDER BY sale_date DESC 
+           LIMIT 10`,
+          [customerId, req.empresa_id],
+          'select',
+          'sales'
+        )
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...customer.rows[0],
+          resumo: resumo.rows[0],
+          ultimas_vendas: ultimasVendas.rows
+        }
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar cliente:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Cadastrar cliente
+router.post('/clientes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:create'),
+  sanitizeInput(['full_name', 'address', 'notes']),
+  async (req, res) => {
+    try {
+      const { fields, errors } = buildCustomerChanges(req.body, false);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const columns = Object.keys(fields);
+      const result = await queryWithMetrics(
+        `INSERT INTO customers (empresa_id, ${columns.join(', ')}) 
+         VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}) 
+         RETURNING *`,
+        [req.empresa_id, ...columns.map(column => fields[column])],
+        'insert',
+        'customers'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Cliente cadastrado com sucesso!"
+      });
+    } catch (error) {
+      if (isDuplicateDocumentError(error)) {
+        return res.status(409).json({ success: false, error: 'Já existe um cliente com este CPF/CNPJ' });
+      }
+      logger.error('Erro ao cadastrar cliente:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+function updateCustomerHandler(partial) {
+  return async (req, res) => {
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (isNaN(customerId)) {
+        return res.status(400).json({ success: false, error: 'ID de cliente inválido' });
+      }
+
+      const { fields, errors } = buildCustomerChanges(req.body, partial);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await queryWithMetrics(
+        `UPDATE customers 
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $${columns.length + 1} AND empresa_id = $${columns.length + 2} AND is_active = true 
+         RETURNING *`,
+        [...columns.map(column => fields[column]), customerId, req.empresa_id],
+        'update',
+        'customers'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Cliente não encontrado' });
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Cliente atualizado com sucesso!"
+      });
+    } catch (error) {
+      if (isDuplicateDocumentError(error)) {
+        return res.status(409).json({ success: false, error: 'Já existe um cliente com este CPF/CNPJ' });
+      }
+      logger.error('Erro ao atualizar cliente:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  };
+}
+
+// Atualizar cliente (substituição completa)
+router.put('/clientes/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:update'),
+  sanitizeInput(['full_name', 'address', 'notes']),
+  updateCustomerHandler(false)
+);
+
+// Atualizar cliente (parcial)
+router.patch('/clientes/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:update'),
+  sanitizeInput(['full_name', 'address', 'notes']),
+  updateCustomerHandler(true)
+);
+
+// Remover cliente (soft-delete: as vendas continuam vinculadas)
+router.delete('/clientes/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('clientes:delete'),
+  async (req, res) => {
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (isNaN(customerId)) {
+        return res.status(400).json({ success: false, error: 'ID de cliente inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE customers 
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND empresa_id = $2 AND is_active = true 
+         RETURNING *`,
+        [customerId, req.empresa_id],
+        'update',
+        'customers'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Cliente não encontrado' });
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Cliente removido com sucesso!"
+      });
+    } catch (error) {
+      logger.error('Erro ao remover cliente:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= ROTAS DE VENDAS OTIMIZADAS =================
+
+// Listar vendas
+router.get('/vendas', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('vendas:read'),
+  cacheMiddleware(180, 'vendas'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        `SELECT s.*, 
+                c.full_name as customer_name,
+                COUNT(si.id) as items_count
+         FROM sales s
+         LEFT JOIN sale_items si ON s.id = si.sale_id
+         LEFT JOIN customers c ON s.customer_id = c.id
+         WHERE s.empresa_id = $1
+         GROUP BY s.id, c.full_name
+         ORDER BY s.sale_date DESC 
+         LIMIT 50`,
+        [req.empresa_id],
+        'select',
+        'sales'
+      );
+      
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar vendas:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+function variantLabel(variant) {
+  return [variant.size, variant.color].filter(Boolean).join(' / ') || variant.sku;
+}
+
+// Recalcula a venda a partir de products.price (ou do preço da variação); o cliente só informa
+// produto, variação, quantidade e desconto. Produto com variações ativas exige variant_id.
+// Retorna as linhas calculadas e a lista de divergências (vazia quando a venda confere).
+function priceSaleItems(items, products, settings, variants = []) {
+  const lines = [];
+  const errors = [];
+  const requestedStock = new Map();
+
+  items.forEach((item, index) => {
+    const label = `Item ${index + 1}`;
+    const productId = parseInt(item.product_id);
+    const quantity = Number(item.quantity);
+    const product = products.find(p => p.id === productId);
+
+    if (!product) {
+      errors.push({ item: index + 1, error: `${label}: produto ${item.product_id ?? ''} não encontrado`.trim() });
+      return;
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ item: index + 1, error: `${label}: quantidade deve ser um número inteiro positivo` });
+      return;
+    }
+
+    const productVariants = variants.filter(v => v.product_id === product.id);
+    const variant = item.variant_id !== undefined && item.variant_id !== null
+      ? productVariants.find(v => v.id === parseInt(item.variant_id))
+      : null;
+
+    if (item.variant_id !== undefined && item.variant_id !== null && !variant) {
+      errors.push({ item: index + 1, error: `${label}: variação ${item.variant_id} não encontrada em "${product.name}"` });
+      return;
+    }
+
+    if (!variant && productVariants.length > 0) {
+      errors.push({ item: index + 1, error: `${label}: informe a variação (variant_id) de "${product.name}"` });
+      return;
+    }
+
+    const unitPrice = parseFloat(variant && variant.price !== null ? variant.price : product.price);
+    const gross = roundMoney(unitPrice * quantity);
+    const discount = roundMoney(Number(item.discount || 0));
+    const maxDiscount = roundMoney(gross * settings.desconto_maximo_percentual / 100);
+
+    if (isNaN(discount) || discount < 0) {
+      errors.push({ item: index + 1, error: `${label}: desconto inválido` });
+      return;
+    }
+
+    if (discount > maxDiscount) {
+      errors.push({
+        item: index + 1,
+        error: `${label}: desconto de ${discount.toFixed(2)} acima do permitido (${maxDiscount.toFixed(2)})`
+      });
+      return;
+    }
+
+    const totalPrice = roundMoney(gross - discount);
+
+    if (item.unit_price !== undefined && Math.abs(Number(item.unit_price) - unitPrice) >= 0.01) {
+      errors.push({
+        item: index + 1,
+        error: `${label}: preço unitário ${item.unit_price} difere do cadastrado (${unitPrice.toFixed(2)})`,
+        esperado: unitPrice
+      });
+    }
+
+    if (item.total_price !== undefined && Math.abs(Number(item.total_price) - totalPrice) >= 0.01) {
+      errors.push({
+        item: index + 1,
+        error: `${label}: total ${item.total_price} difere do calculado (${totalPrice.toFixed(2)})`,
+        esperado: totalPrice
+      });
+    }
+
+    const stockKey = variant ? `variante:${variant.id}` : `produto:${product.id}`;
+    const stock = requestedStock.get(stockKey) || {
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      name: variant ? `${product.name} (${variantLabel(variant)})` : product.name,
+      available: variant ? variant.stock_quantity : product.stock_quantity,
+      quantity: 0
+    };
+    stock.quantity += quantity;
+    requestedStock.set(stockKey, stock);
+
+    lines.push({
+      product_id: product.id,
+      variant_id: stock.variant_id,
+      product_name: stock.name,
+      quantity,
+      unit_price: unitPrice,
+      discount,
+      total_price: totalPrice
+    });
+  });
+
+  // Estoque considera a soma de todas as linhas do mesmo produto (ou da mesma variação)
+  if (!settings.permitir_estoque_negativo) {
+    requestedStock.forEach(stock => {
+      if (stock.available < stock.quantity) {
+        errors.push({
+          product_id: stock.product_id,
+          ...(stock.variant_id && { variant_id: stock.variant_id }),
+          error: `Estoque insuficiente para "${stock.name}": disponível ${stock.available}, solicitado ${stock.quantity}`
+        });
+      }
+    });
+  }
+
+  const totals = {
+    total_amount: roundMoney(lines.reduce((sum, line) => sum + line.total_price, 0)),
+    total_items: lines.reduce((sum, line) => sum + line.quantity, 0)
+  };
+
+  return { lines, totals, errors };
+}
+
+// Criar venda (preços, totais e estoque conferidos no servidor)
+router.post('/vendas', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('vendas:create'),
+  validateRequiredFields(['items', 'total_amount', 'payment_method']),
+  async (req, res) => {
+    const { items, total_amount, total_items, payment_method } = req.body;
+    const customerId = req.body.customer_id === undefined || req.body.customer_id === null || req.body.customer_id === ''
+      ? null
+      : parseInt(req.body.customer_id);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'A venda deve ter ao menos um item' });
+    }
+
+    if (Number.isNaN(customerId)) {
+      return res.status(400).json({ success: false, error: 'ID de cliente inválido' });
+    }
+
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const settings = await getEmpresaSettings(req.empresa_id);
+
+      // Cliente é opcional, mas se informado precisa ser um cliente ativo da empresa
+      if (customerId !== null) {
+        const customer = await client.query(
+          'SELECT id FROM customers WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+          [customerId, req.empresa_id]
+        );
+
+        if (customer.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ success: false, error: 'Cliente não encontrado' });
+        }
+      }
+
+      // Travar os produtos da venda até o fim da transação
+      const productIds = [...new Set(items.map(item => parseInt(item.product_id)).filter(id => !isNaN(id)))];
+      const productsResult = await client.query(
+        `SELECT id, name, price, cost_price, stock_quantity FROM products 
+         WHERE id = ANY($1::int[]) AND empresa_id = $2 AND is_active = true 
+         ORDER BY id 
+         FOR UPDATE`,
+        [productIds, req.empresa_id]
+      );
+
+      // Variações ativas dos produtos (também travadas: o estoque da variação é debitado)
+      const variantsResult = await client.query(
+        `SELECT id, product_id, sku, size, color, price, stock_quantity FROM product_variants 
+         WHERE product_id = ANY($1::int[]) AND empresa_id = $2 AND is_active = true 
+         ORDER BY id 
+         FOR UPDATE`,
+        [productsResult.rows.map(p => p.id), req.empresa_id]
+      );
+
+      const { lines, totals, errors } = priceSaleItems(items, productsResult.rows, settings, variantsResult.rows);
+
+      if (Math.abs(Number(total_amount) - totals.total_amount) >= 0.01) {
+        errors.push({
+          error: `Total da venda ${total_amount} difere do calculado (${totals.total_amount.toFixed(2)})`,
+          esperado: totals.total_amount
+        });
+      }
+
+      if (total_items !== undefined && Number(total_items) !== totals.total_items) {
+        errors.push({
+          error: `Quantidade total ${total_items} difere da calculada (${totals.total_items})`,
+          esperado: totals.total_items
+        });
+      }
+
+      if (errors.length > 0) {
+        await client.query('ROLLBACK');
+        BizFlowLogger.securityLog('Venda rejeitada por divergência de valores', {
+          empresaId: req.empresa_id,
+          userId: req.user.id,
+          errors: errors.map(e => e.error)
+        });
+        return res.status(422).json({
+          success: false,
+          error: 'Venda não confere com os preços, descontos ou estoque cadastrados',
+          detalhes: errors
+        });
+      }
+
+      const sale_code = 'V' + Date.now() + '_' + crypto.randomBytes(4).toString('hex');
+      
+      // Inserir venda com os valores calculados no servidor
+      const saleResult = await client.query(
+        `INSERT INTO sales (empresa_id, sale_code, total_amount, total_items, payment_method, customer_id) 
+         VALUES ($1, $2, $3, $4, $5, $6) 
+         RETURNING *`,
+        [req.empresa_id, sale_code, totals.total_amount, totals.total_items, payment_method, customerId]
+      );
+      
+      const sale = saleResult.rows[0];
+      const installments = buildSaleInstallments(sale, req.body, settings);
+      
+      // Inserir itens da venda (com o custo médio do produto no momento da venda)
+      for (const line of lines) {
+        const product = productsResult.rows.find(p => p.id === line.product_id);
+
+        await client.query(
+          `INSERT INTO sale_items (sale_id, product_id, variant_id, product_name, quantity, unit_price, discount, total_price, unit_cost) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [sale.id, line.product_id, line.variant_id, line.product_name, line.quantity, line.unit_price, line.discount, line.total_price, product?.cost_price ?? null]
+        );
+
+        // Atualizar estoque
+        await recordStockMovement(client, {
+          empresaId: req.empresa_id,
+          productId: line.product_id,
+          variantId: line.variant_id,
+          type: 'venda',
+          quantity: -line.quantity,
+          referenceType: 'venda',
+          referenceId: sale.id,
+          userId: req.user.id
+        });
+      }
+
+      // Cartão de crédito e crediário: uma conta a receber por parcela
+      const parcelas = await createSaleInstallments(client, req.empresa_id, sale, installments);
+      
+      await client.query('COMMIT');
+      dispatchStockChanges(client);
+
+      // Invalidar caches relacionados
+      await Promise.all([
+        invalidateCache(req.empresa_id, 'vendas', 'produtos', 'dashboard', 'financeiro', 'relatorios'),
+        reportsService.invalidateResultReports(req.empresa_id)
+      ]);
+
+      // Emitir evento WebSocket
+      if (req.app.get('io')) {
+        req.app.get('io').to(`empresa-${req.empresa_id}`).emit('nova-venda', {
+          empresa_id: req.empresa_id,
+          venda: sale,
+          items: lines
+        });
+      }
+
+      // Regras de notificação da empresa (sem aguardar: não atrasam a resposta da venda)
+      evaluateNotificationRules(req.empresa_id, 'sale_created', async () => [
+        { key: 'sale', context: NotificationRules.saleContext(sale) }
+      ]);
+
+      // Webhooks de integração (entrega em segundo plano, com novas tentativas)
+      publishWebhookEvent(req.empresa_id, 'venda.criada', { venda: sale, items: lines, parcelas });
+
+      res.json({
+        success: true,
+        data: { ...sale, parcelas },
+        message: "Venda registrada com sucesso!"
+      });
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('Erro ao registrar venda:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    } finally {
+      discardStockChanges(client);
+      client.release();
+    }
+  }
+);
+
+// ================= PARCELAMENTO DE VENDAS (CARTÃO DE CRÉDITO E CREDIÁRIO) =================
+// Vendas nessas formas de pagamento geram uma conta a receber por parcela, vinculada à venda
+const INSTALLMENT_PAYMENT_METHODS = ['cartao_credito', 'crediario'];
+
+function saleInstallmentError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Parcelas mensais; cartão vence após o prazo da operadora e desconta a taxa em cada parcela,
+// crediário exige cliente e vence em 30 dias (ou no primeiro vencimento informado)
+function buildSaleInstallments(sale, body, settings) {
+  const count = body.parcelas === undefined || body.parcelas === null || body.parcelas === ''
+    ? 1
+    : Number(body.parcelas);
+
+  if (!INSTALLMENT_PAYMENT_METHODS.includes(sale.payment_method)) {
+    if (count !== 1) {
+      throw saleInstallmentError('Parcelamento só é permitido em cartão de crédito ou crediário', 400);
+    }
+    return [];
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > settings.parcelas_maximas) {
+    throw saleInstallmentError(`Número de parcelas deve ser entre 1 e ${settings.parcelas_maximas}`, 400);
+  }
+
+  const saleDate = toISODate(sale.sale_date ? new Date(sale.sale_date) : new Date());
+  let firstDueDate;
+
+  if (sale.payment_method === 'crediario') {
+    if (!sale.customer_id) {
+      throw saleInstallmentError('Venda no crediário exige um cliente', 400);
+    }
+    firstDueDate = body.primeiro_vencimento || addDays(saleDate, 30);
+    if (!isISODate(firstDueDate) || firstDueDate < saleDate) {
+      throw saleInstallmentError('Primeiro vencimento inválido ou anterior à venda (use AAAA-MM-DD)', 400);
+    }
+  } else {
+    firstDueDate = addDays(saleDate, settings.prazo_recebimento_cartao_dias);
+  }
+
+  // Centavos que sobram da divisão ficam na primeira parcela
+  const totalCents = Math.round(parseFloat(sale.total_amount) * 100);
+  if (totalCents <= 0) {
+    return [];
+  }
+
+  const baseCents = Math.floor(totalCents / count);
+  const taxa = sale.payment_method === 'cartao_credito' ? settings.taxa_cartao_credito_percentual : 0;
+  const label = sale.payment_method === 'crediario' ? 'crediário' : 'cartão de crédito';
+
+  return Array.from({ length: count }, (_, index) => {
+    const gross = (index === 0 ? totalCents - baseCents * (count - 1) : baseCents) / 100;
+    const fee = roundMoney(gross * taxa / 100);
+
+    return {
+      name: `Venda ${sale.sale_code} - parcela ${index + 1}/${count} (${label})`,
+      installment_number: index + 1,
+      installment_count: count,
+      amount: roundMoney(gross - fee),
+      fee_amount: fee,
+      due_date: recurrenceOccurrenceDate({ frequency: 'mensal', start_date: firstDueDate }, index)
+    };
+  });
+}
+
+// Estorno de venda parcelada: abate as parcelas ainda não recebidas, da última para a primeira
+// (cancelando ou reduzindo o valor bruto e a taxa proporcional); só o restante é devolvido
+function planInstallmentOffset(parcelas, amount) {
+  const cancelar = [];
+  const reduzir = [];
+  let restante = roundMoney(amount);
+
+  [...parcelas]
+    .sort((a, b) => b.installment_number - a.installment_number)
+    .forEach(parcela => {
+      if (restante <= 0) return;
+
+      const fee = parseFloat(parcela.fee_amount) || 0;
+      const bruto = roundMoney(parseFloat(parcela.amount) + fee);
+
+      if (bruto <= restante) {
+        cancelar.push(parcela.id);
+        restante = roundMoney(restante - bruto);
+      } else {
+        const novoBruto = roundMoney(bruto - restante);
+        const novaTaxa = roundMoney(fee * novoBruto / bruto);
+        reduzir.push({ id: parcela.id, amount: roundMoney(novoBruto - novaTaxa), fee_amount: novaTaxa });
+        restante = 0;
+      }
+    });
+
+  return { cancelar, reduzir, restante };
+}
+
+async function createSaleInstallments(client, empresaId, sale, installments) {
+  const parcelas = [];
+
+  for (const installment of installments) {
+    const result = await client.query(
+      `INSERT INTO financial_accounts 
+         (empresa_id, name, type, amount, due_date, status, sale_id, installment_number, installment_count, fee_amount) 
+       VALUES ($1, $2, 'receita', $3, $4, $5, $6, $7, $8, $9) 
+       RETURNING *`,
+      [empresaId, installment.name, installment.amount, installment.due_date, FINANCIAL_STATUS.PENDING,
+        sale.id, installment.installment_number, installment.installment_count, installment.fee_amount]
+    );
+    parcelas.push(result.rows[0]);
+  }
+
+  return parcelas;
+}
+
+// Retorna o valor do estorno que não foi abatido das parcelas em aberto
+async function offsetSaleInstallments(client, saleId, amount, reason) {
+  const parcelas = await client.query(
+    `SELECT * FROM financial_accounts 
+     WHERE sale_id = $1 AND type = 'receita' AND installment_number IS NOT NULL 
+       AND status = $2 AND paid_amount = 0 
+     ORDER BY installment_number 
+     FOR UPDATE`,
+    [saleId, FINANCIAL_STATUS.PENDING]
+  );
+
+  const { cancelar, reduzir, restante } = planInstallmentOffset(parcelas.rows, amount);
+
+  if (cancelar.length > 0) {
+    await client.query(
+      `UPDATE financial_accounts 
+       SET status = $1, cancelled_at = CURRENT_TIMESTAMP, cancel_reason = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ANY($3::int[])`,
+      [FINANCIAL_STATUS.CANCELLED, String(reason || 'Estorno da venda').substring(0, 255), cancelar]
+    );
+  }
+
+  for (const parcela of reduzir) {
+    await client.query(
+      'UPDATE financial_accounts SET amount = $1, fee_amount = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [parcela.amount, parcela.fee_amount, parcela.id]
+    );
+  }
+
+  return restante;
+}
+
+// ================= CANCELAMENTO E DEVOLUÇÃO DE VENDAS =================
+
+const SALE_STATUS = {
+  COMPLETED: 'completed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled'
+};
+
+function saleReversalError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Cancelamento estorna todo o saldo da venda; devolução apenas os itens informados
+function buildReversalLines(saleItems, type, requestedItems) {
+  if (type === 'cancelamento') {
+    return saleItems
+      .map(item => ({ item, quantity: item.quantity - (item.refunded_quantity || 0) }))
+      .filter(line => line.quantity > 0);
+  }
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw saleReversalError('Informe os itens a devolver', 400);
+  }
+
+  const lines = [];
+  for (const requested of requestedItems) {
+    const item = saleItems.find(i => i.id === parseInt(requested.sale_item_id));
+    const quantity = Number(requested.quantity);
+
+    if (!item) {
+      throw saleReversalError(`Item ${requested.sale_item_id} não pertence a esta venda`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw saleReversalError('Quantidade a devolver deve ser um número inteiro positivo', 400);
+    }
+    if (lines.some(line => line.item.id === item.id)) {
+      throw saleReversalError(`Item ${item.id} informado mais de uma vez`, 400);
+    }
+
+    const available = item.quantity - (item.refunded_quantity || 0);
+    if (quantity > available) {
+      throw saleReversalError(`Quantidade a devolver de "${item.product_name}" excede o disponível (${available})`, 400);
+    }
+
+    lines.push({ item, quantity });
+  }
+
+  return lines;
+}
+
+// Preço unitário líquido do item: o desconto da linha é rateado pela quantidade vendida
+function netUnitPrice(item) {
+  if (item.total_price !== undefined && item.total_price !== null && item.quantity > 0) {
+    return parseFloat(item.total_price) / item.quantity;
+  }
+  return parseFloat(item.unit_price) - parseFloat(item.discount || 0) / (item.quantity || 1);
+}
+
+// Valor a estornar e novo status da venda a partir das linhas de estorno
+function summarizeReversal(sale, saleItems, lines, type) {
+  const remaining = roundMoney(parseFloat(sale.total_amount) - parseFloat(sale.refunded_amount || 0));
+  const itemsAmount = roundMoney(lines.reduce((sum, line) => sum + line.quantity * netUnitPrice(line.item), 0));
+  const amount = type === 'cancelamento' ? remaining : Math.min(remaining, itemsAmount);
+
+  const fullyReturned = saleItems.every(item => {
+    const line = lines.find(l => l.item.id === item.id);
+    return (item.refunded_quantity || 0) + (line ? line.quantity : 0) >= item.quantity;
+  });
+
+  const status = type === 'cancelamento'
+    ? SALE_STATUS.CANCELLED
+    : (fullyReturned ? SALE_STATUS.REFUNDED : SALE_STATUS.PARTIALLY_REFUNDED);
+
+  return { amount: Math.max(amount, 0), status };
+}
+
+// Estorna venda dentro da transação do chamador: itens, estoque, venda, registro e lançamento financeiro
+async function reverseSale(client, { empresaId, saleId, type, items, reason, userId }) {
+  const saleResult = await client.query(
+    'SELECT * FROM sales WHERE id = $1 AND empresa_id = $2 FOR UPDATE',
+    [saleId, empresaId]
+  );
+
+  if (saleResult.rows.length === 0) {
+    throw saleReversalError('Venda não encontrada', 404);
+  }
+
+  const sale = saleResult.rows[0];
+
+  if (sale.status === SALE_STATUS.CANCELLED || sale.status === SALE_STATUS.REFUNDED) {
+    throw saleReversalError('Venda já cancelada ou totalmente devolvida', 409);
+  }
+
+  const itemsResult = await client.query(
+    'SELECT * FROM sale_items WHERE sale_id = $1 ORDER BY id FOR UPDATE',
+    [sale.id]
+  );
+
+  const lines = buildReversalLines(itemsResult.rows, type, items);
+  const { amount, status } = summarizeReversal(sale, itemsResult.rows, lines, type);
+
+  for (const line of lines) {
+    await client.query(
+      'UPDATE sale_items SET refunded_quantity = COALESCE(refunded_quantity, 0) + $1 WHERE id = $2',
+      [line.quantity, line.item.id]
+    );
+
+    if (line.item.product_id) {
+      await recordStockMovement(client, {
+        empresaId,
+        productId: line.item.product_id,
+        variantId: line.item.variant_id,
+        type,
+        quantity: line.quantity,
+        referenceType: 'venda',
+        referenceId: sale.id,
+        notes: reason,
+        userId
+      });
+    }
+  }
+
+  const updatedSale = type === 'cancelamento'
+    ? await client.query(
+        `UPDATE sales 
+         SET status = $1, refunded_amount = COALESCE(refunded_amount, 0) + $2,
+             cancelled_at = CURRENT_TIMESTAMP, cancelled_by = $3, cancel_reason = $4
+         WHERE id = $5 RETURNING *`,
+        [status, amount, userId, reason, sale.id]
+      )
+    : await client.query(
+        `UPDATE sales SET status = $1, refunded_amount = COALESCE(refunded_amount, 0) + $2 
+         WHERE id = $3 RETURNING *`,
+        [status, amount, sale.id]
+      );
+
+  const refundResult = await client.query(
+    `INSERT INTO sale_refunds (empresa_id, sale_id, type, amount, reason, items, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7) 
+     RETURNING *`,
+    [
+      empresaId,
+      sale.id,
+      type,
+      amount,
+      reason,
+      JSON.stringify(lines.map(line => ({
+        sale_item_id: line.item.id,
+        product_id: line.item.product_id,
+        product_name: line.item.product_name,
+        quantity: line.quantity,
+        unit_price: roundMoney(netUnitPrice(line.item))
+      }))),
+      userId
+    ]
+  );
+
+  // Parcelas ainda não recebidas absorvem o estorno; só o restante é devolvido ao cliente
+  const aDevolver = await offsetSaleInstallments(client, sale.id, amount, reason);
+
+  let lancamento = null;
+  if (aDevolver > 0) {
+    const financialResult = await client.query(
+      `INSERT INTO financial_accounts (empresa_id, name, type, amount, due_date, status, paid_amount, paid_at, sale_id) 
+       VALUES ($1, $2, 'despesa', $3, CURRENT_DATE, 'pago', $3, CURRENT_DATE, $4) 
+       RETURNING *`,
+      [
+        empresaId,
+        `${type === 'cancelamento' ? 'Cancelamento' : 'Devolução'} da venda ${sale.sale_code}`,
+        aDevolver,
+        sale.id
+      ]
+    );
+    lancamento = financialResult.rows[0];
+  }
+
+  return { venda: updatedSale.rows[0], estorno: refundResult.rows[0], lancamento };
+}
+
+function reverseSaleHandler(type) {
+  return async (req, res) => {
+    const saleId = parseInt(req.params.id);
+
+    if (isNaN(saleId)) {
+      return res.status(400).json({ success: false, error: 'ID de venda inválido' });
+    }
+
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      result = await reverseSale(client, {
+        empresaId: req.empresa_id,
+        saleId,
+        type,
+        items: req.body.items,
+        reason: req.body.reason,
+        userId: req.user.id
+      });
+
+      await client.query('COMMIT');
+      dispatchStockChanges(client);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('Erro ao estornar venda:', error);
+      return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    } finally {
+      discardStockChanges(client);
+      client.release();
+    }
+
+    // Estorno já confirmado: falha em cache, WebSocket ou webhook só é registrada, não vira erro 500
+    try {
+      // Invalidar caches relacionados
+      await Promise.all([
+        invalidateCache(req.empresa_id, 'vendas', 'produtos', 'dashboard', 'financeiro', 'relatorios'),
+        reportsService.invalidateResultReports(req.empresa_id)
+      ]);
+
+      // Emitir evento WebSocket para os dashboards
+      if (req.app.get('io')) {
+        req.app.get('io').to(`empresa-${req.empresa_id}`).emit('venda-estornada', {
+          empresa_id: req.empresa_id,
+          tipo: type,
+          venda: result.venda,
+          estorno: result.estorno
+        });
+      }
+
+      publishWebhookEvent(req.empresa_id, type === 'cancelamento' ? 'venda.cancelada' : 'venda.devolvida', {
+        venda: result.venda,
+        estorno: result.estorno
+      });
+    } catch (error) {
+      logger.error('Erro ao propagar estorno de venda:', error);
+    }
+
+    BizFlowLogger.auditLog(type === 'cancelamento' ? 'Venda cancelada' : 'Devolução de venda registrada', req.user.id, {
+      saleId,
+      empresaId: req.empresa_id,
+      amount: result.estorno.amount,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: type === 'cancelamento' ? 'Venda cancelada com sucesso!' : 'Devolução registrada com sucesso!'
+    });
+  };
+}
+
+// Cancelar venda (estorna todo o saldo)
+router.post('/vendas/:id/cancelar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('vendas:cancel'),
+  sanitizeInput(['reason']),
+  validateRequiredFields(['reason']),
+  reverseSaleHandler('cancelamento')
+);
+
+// Devolução parcial de itens
+router.post('/vendas/:id/devolucao', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('vendas:refund'),
+  sanitizeInput(['reason']),
+  validateRequiredFields(['reason', 'items']),
+  reverseSaleHandler('devolucao')
+);
+
+// ================= FORNECEDORES E PEDIDOS DE COMPRA =================
+
+const SUPPLIER_EDITABLE_FIELDS = ['name', 'document', 'email', 'phone', 'contact_name', 'notes'];
+
+// Mesmas regras do cadastro de clientes (PUT exige name; PATCH altera só o que foi enviado)
+function buildSupplierChanges(body = {}, partial = false) {
+  const fields = {};
+  const errors = [];
+
+  if (!partial && body.name === undefined) {
+    errors.push('Campo obrigatório faltando: name');
+  }
+
+  SUPPLIER_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    } else if (!partial && field !== 'name') {
+      fields[field] = null;
+    }
+  });
+
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    errors.push('Nome do fornecedor não pode ser vazio');
+  }
+
+  if (fields.document !== undefined && fields.document !== null) {
+    const validation = BizFlowValidators.validateCPFCNPJ(fields.document);
+    if (validation.isValid) fields.document = validation.normalized;
+    else errors.push(validation.error);
+  }
+
+  if (fields.email) {
+    fields.email = String(fields.email).trim();
+    const validation = BizFlowValidators.validateEmail(fields.email);
+    if (!validation.isValid) errors.push(validation.error);
+  }
+
+  if (fields.phone) {
+    const validation = BizFlowValidators.validatePhone(String(fields.phone));
+    if (validation.isValid) fields.phone = validation.normalized;
+    else errors.push(validation.error);
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    errors.push(`Nenhum campo para atualizar. Campos permitidos: ${SUPPLIER_EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return { fields, errors };
+}
+
+function isDuplicateSupplierDocumentError(error) {
+  return error.code === '23505' && error.constraint === 'suppliers_empresa_id_document_key';
+}
+
+// Listar fornecedores
+router.get('/fornecedores', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('fornecedores:read'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        'SELECT * FROM suppliers WHERE empresa_id = $1 AND is_active = true ORDER BY name',
+        [req.empresa_id],
+        'select',
+        'suppliers'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar fornecedores:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Cadastrar fornecedor
+router.post('/fornecedores', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('fornecedores:manage'),
+  sanitizeInput(['name', 'contact_name', 'notes']),
+  async (req, res) => {
+    try {
+      const { fields, errors } = buildSupplierChanges(req.body, false);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const columns = Object.keys(fields);
+      const result = await queryWithMetrics(
+        `INSERT INTO suppliers (empresa_id, ${columns.join(', ')}) 
+         VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}) 
+         RETURNING *`,
+        [req.empresa_id, ...columns.map(column => fields[column])],
+        'insert',
+        'suppliers'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Fornecedor cadastrado com sucesso!"
+      });
+    } catch (error) {
+      if (isDuplicateSupplierDocumentError(error)) {
+        return res.status(409).json({ success: false, error: 'Já existe um fornecedor com este CPF/CNPJ' });
+      }
+      logger.error('Erro ao cadastrar fornecedor:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+function updateSupplierHandler(partial) {
+  return async (req, res) => {
+    try {
+      const supplierId = parseInt(req.params.id);
+
+      if (isNaN(supplierId)) {
+        return res.status(400).json({ success: false, error: 'ID de fornecedor inválido' });
+      }
+
+      const { fields, errors } = buildSupplierChanges(req.body, partial);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join(', ') });
+      }
+
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await queryWithMetrics(
+        `UPDATE suppliers 
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $${columns.length + 1} AND empresa_id = $${columns.length + 2} AND is_active = true 
+         RETURNING *`,
+        [...columns.map(column => fields[column]), supplierId, req.empresa_id],
+        'update',
+        'suppliers'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Fornecedor não encontrado' });
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Fornecedor atualizado com sucesso!"
+      });
+    } catch (error) {
+      if (isDuplicateSupplierDocumentError(error)) {
+        return res.status(409).json({ success: false, error: 'Já existe um fornecedor com este CPF/CNPJ' });
+      }
+      logger.error('Erro ao atualizar fornecedor:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  };
+}
+
+// Atualizar fornecedor (substituição completa)
+router.put('/fornecedores/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('fornecedores:manage'),
+  sanitizeInput(['name', 'contact_name', 'notes']),
+  updateSupplierHandler(false)
+);
+
+// Atualizar fornecedor (parcial)
+router.patch('/fornecedores/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('fornecedores:manage'),
+  sanitizeInput(['name', 'contact_name', 'notes']),
+  updateSupplierHandler(true)
+);
+
+// Remover fornecedor (soft-delete: pedidos antigos continuam referenciando)
+router.delete('/fornecedores/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('fornecedores:manage'),
+  async (req, res) => {
+    try {
+      const supplierId = parseInt(req.params.id);
+
+      if (isNaN(supplierId)) {
+        return res.status(400).json({ success: false, error: 'ID de fornecedor inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE suppliers 
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND empresa_id = $2 AND is_active = true 
+         RETURNING *`,
+        [supplierId, req.empresa_id],
+        'update',
+        'suppliers'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Fornecedor não encontrado' });
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Fornecedor removido com sucesso!"
+      });
+    } catch (error) {
+      logger.error('Erro ao remover fornecedor:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Rascunho → enviado → recebido; cancelamento só antes do recebimento
+const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+const PURCHASE_ORDER_TRANSITIONS = {
+  enviar: { from: [PURCHASE_ORDER_STATUS.DRAFT], to: PURCHASE_ORDER_STATUS.SENT },
+  cancelar: { from: [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT], to: PURCHASE_ORDER_STATUS.CANCELLED }
+};
+
+function purchaseOrderError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Itens do pedido: [{ product_id, variant_id, quantity, unit_cost }], um por produto/variação.
+// Produto com variações ativas é comprado por variação (variant_id obrigatório)
+function normalizePurchaseItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw purchaseOrderError('O pedido deve ter ao menos um item', 400);
+  }
+
+  const normalized = [];
+
+  for (const item of items) {
+    const productId = parseInt(item.product_id);
+    const variantId = item.variant_id !== undefined && item.variant_id !== null ? parseInt(item.variant_id) : null;
+    const quantity = Number(item.quantity);
+    const unitCost = BizFlowValidators.validatePrice(item.unit_cost);
+
+    if (isNaN(productId)) {
+      throw purchaseOrderError('ID de produto inválido', 400);
+    }
+    if (variantId !== null && isNaN(variantId)) {
+      throw purchaseOrderError(`ID de variação inválido no produto ${productId}`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw purchaseOrderError(`Quantidade do produto ${productId} deve ser um número inteiro positivo`, 400);
+    }
+    if (!unitCost.isValid) {
+      throw purchaseOrderError(`Custo unitário do produto ${productId}: ${unitCost.error}`, 400);
+    }
+    if (normalized.some(line => line.product_id === productId && line.variant_id === variantId)) {
+      throw purchaseOrderError(`Produto ${productId}${variantId ? ` (variação ${variantId})` : ''} informado mais de uma vez`, 400);
+    }
+
+    normalized.push({ product_id: productId, variant_id: variantId, quantity, unit_cost: unitCost.normalized });
+  }
+
+  return normalized;
+}
+
+// Produtos, entre os informados, com variações ativas (estoque controlado por variação)
+async function productsWithVariants(client, productIds) {
+  if (productIds.length === 0) return [];
+
+  const result = await client.query(
+    'SELECT DISTINCT product_id FROM product_variants WHERE product_id = ANY($1::int[]) AND is_active = true',
+    [productIds]
+  );
+
+  return result.rows.map(row => row.product_id);
+}
+
+function parseOrderDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  // validateDate recusa datas futuras; previsão de entrega e vencimento costumam ser futuras
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw purchaseOrderError('Data inválida (use AAAA-MM-DD)', 400);
+  }
+  return value;
+}
+
+async function getPurchaseOrderForUpdate(client, empresaId, orderId) {
+  const result = await client.query(
+    'SELECT * FROM purchase_orders WHERE id = $1 AND empresa_id = $2 FOR UPDATE',
+    [orderId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw purchaseOrderError('Pedido de compra não encontrado', 404);
+  }
+
+  return result.rows[0];
+}
+
+// Substitui os itens do pedido e recalcula o total (dentro da transação do chamador)
+async function savePurchaseOrderItems(client, empresaId, order, items) {
+  const products = await client.query(
+    'SELECT id, name FROM products WHERE id = ANY($1::int[]) AND empresa_id = $2 AND is_active = true',
+    [items.map(item => item.product_id), empresaId]
+  );
+
+  const missing = items.filter(item => !products.rows.some(p => p.id === item.product_id));
+  if (missing.length > 0) {
+    throw purchaseOrderError(`Produtos não encontrados: ${missing.map(item => item.product_id).join(', ')}`, 404);
+  }
+
+  const variants = await client.query(
+    'SELECT id, product_id, sku, size, color FROM product_variants WHERE product_id = ANY($1::int[]) AND is_active = true',
+    [items.map(item => item.product_id)]
+  );
+
+  await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1', [order.id]);
+
+  const saved = [];
+  for (const item of items) {
+    const product = products.rows.find(p => p.id === item.product_id);
+    const productVariants = variants.rows.filter(v => v.product_id === item.product_id);
+    const variant = item.variant_id !== null ? productVariants.find(v => v.id === item.variant_id) : null;
+
+    if (item.variant_id !== null && !variant) {
+      throw purchaseOrderError(`Variação ${item.variant_id} não encontrada em "${product.name}"`, 404);
+    }
+    if (!variant && productVariants.length > 0) {
+      throw purchaseOrderError(`Informe a variação (variant_id) de "${product.name}"`, 400);
+    }
+
+    const result = await client.query(
+      `INSERT INTO purchase_order_items (purchase_order_id, product_id, variant_id, product_name, quantity, unit_cost, total_cost) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING *`,
+      [
+        order.id,
+        item.product_id,
+        item.variant_id,
+        variant ? `${product.name} (${variantLabel(variant)})` : product.name,
+        item.quantity,
+        item.unit_cost,
+        roundMoney(item.quantity * item.unit_cost)
+      ]
+    );
+    saved.push(result.rows[0]);
+  }
+
+  const total = roundMoney(saved.reduce((sum, item) => sum + parseFloat(item.total_cost), 0));
+  const updated = await client.query(
+    'UPDATE purchase_orders SET total_amount = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [total, order.id]
+  );
+
+  return { ...updated.rows[0], items: saved };
+}
+
+async function createPurchaseOrder(client, { empresaId, supplierId, items, expectedDate, notes, userId }) {
+  const supplier = await client.query(
+    'SELECT id FROM suppliers WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+    [supplierId, empresaId]
+  );
+
+  if (supplier.rows.length === 0) {
+    throw purchaseOrderError('Fornecedor não encontrado', 404);
+  }
+
+  const order = await client.query(
+    `INSERT INTO purchase_orders (empresa_id, supplier_id, order_code, status, expected_date, notes, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7) 
+     RETURNING *`,
+    [
+      empresaId,
+      supplierId,
+      'PC' + Date.now() + '_' + crypto.randomBytes(4).toString('hex'),
+      PURCHASE_ORDER_STATUS.DRAFT,
+      expectedDate,
+      notes,
+      userId
+    ]
+  );
+
+  return savePurchaseOrderItems(client, empresaId, order.rows[0], items);
+}
+
+// Entrada no estoque e conta a pagar, uma única vez por pedido
+async function receivePurchaseOrder(client, { empresaId, orderId, dueDate, userId }) {
+  const order = await getPurchaseOrderForUpdate(client, empresaId, orderId);
+
+  if (order.status !== PURCHASE_ORDER_STATUS.SENT) {
+    throw purchaseOrderError('Somente pedidos enviados podem ser recebidos', 409);
+  }
+
+  const itemsResult = await client.query(
+    'SELECT * FROM purchase_order_items WHERE purchase_order_id = $1 ORDER BY product_id, variant_id',
+    [order.id]
+  );
+
+  // Produto que passou a ter variações depois do pedido: a entrada precisa ir para uma variação
+  const semVariacao = await productsWithVariants(
+    client,
+    itemsResult.rows.filter(item => item.variant_id === null).map(item => item.product_id)
+  );
+  if (semVariacao.length > 0) {
+    throw purchaseOrderError(`Produtos ${semVariacao.join(', ')} agora têm variações: altere o pedido informando a variação de cada item`, 409);
+  }
+
+  for (const item of itemsResult.rows) {
+    await applyAverageCost(client, {
+      empresaId,
+      productId: item.product_id,
+      quantity: item.quantity,
+      unitCost: item.unit_cost,
+      reason: `Custo médio (pedido de compra ${order.order_code})`,
+      userId
+    });
+
+    await recordStockMovement(client, {
+      empresaId,
+      productId: item.product_id,
+      variantId: item.variant_id,
+      type: 'compra',
+      quantity: item.quantity,
+      referenceType: 'pedido_compra',
+      referenceId: order.id,
+      userId
+    });
+  }
+
+  const supplier = await client.query('SELECT name FROM suppliers WHERE id = $1', [order.supplier_id]);
+
+  const financialResult = await client.query(
+    `INSERT INTO financial_accounts (empresa_id, name, type, amount, due_date, status, purchase_order_id) 
+     VALUES ($1, $2, 'despesa', $3, COALESCE($4::date, CURRENT_DATE + 30), 'pendente', $5) 
+     RETURNING *`,
+    [
+      empresaId,
+      `Pedido de compra ${order.order_code} - ${supplier.rows[0]?.name || 'Fornecedor'}`,
+      order.total_amount,
+      dueDate,
+      order.id
+    ]
+  );
+
+  const updated = await client.query(
+    `UPDATE purchase_orders 
+     SET status = $1, received_at = CURRENT_TIMESTAMP, received_by = $2, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $3 
+     RETURNING *`,
+    [PURCHASE_ORDER_STATUS.RECEIVED, userId, order.id]
+  );
+
+  return { pedido: { ...updated.rows[0], items: itemsResult.rows }, lancamento: financialResult.rows[0] };
+}
+
+// Executa a operação em transação e responde erros com status (400/404/409) diretamente
+// (pedidos de compra e inventários)
+function transactionalHandler(context, operation) {
+  return async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await operation(client, req);
+      await client.query('COMMIT');
+      dispatchStockChanges(client);
+      dispatchWebhookEvents(client);
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status || isDuplicateCodeError(error)) {
+        return productCodeErrorResponse(res, error);
+      }
+      logger.error(`Erro ao ${context}:`, error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    } finally {
+      discardStockChanges(client);
+      discardWebhookEvents(client);
+      client.release();
+    }
+  };
+}
+
+function parseOrderId(req) {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    throw purchaseOrderError('ID de pedido inválido', 400);
+  }
+  return orderId;
+}
+
+// Listar pedidos de compra (filtro opcional por status)
+router.get('/pedidos-compra', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:read'),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !Object.values(PURCHASE_ORDER_STATUS).includes(status)) {
+        return res.status(400).json({ success: false, error: 'Status de pedido inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT po.*, s.name as supplier_name, COUNT(poi.id) as items_count
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+         WHERE po.empresa_id = $1 AND ($2::varchar IS NULL OR po.status = $2)
+         GROUP BY po.id, s.name
+         ORDER BY po.created_at DESC
+         LIMIT 100`,
+        [req.empresa_id, status || null],
+        'select',
+        'purchase_orders'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar pedidos de compra:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Detalhe do pedido de compra com itens
+router.get('/pedidos-compra/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:read'),
+  async (req, res) => {
+    try {
+      const orderId = parseInt(req.params.id);
+
+      if (isNaN(orderId)) {
+        return res.status(400).json({ success: false, error: 'ID de pedido inválido' });
+      }
+
+      const order = await queryWithMetrics(
+        `SELECT po.*, s.name as supplier_name
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         WHERE po.id = $1 AND po.empresa_id = $2`,
+        [orderId, req.empresa_id],
+        'select',
+        'purchase_orders'
+      );
+
+      if (order.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Pedido de compra não encontrado' });
+      }
+
+      const items = await queryWithMetrics(
+        'SELECT * FROM purchase_order_items WHERE purchase_order_id = $1 ORDER BY id',
+        [orderId],
+        'select',
+        'purchase_order_items'
+      );
+
+      res.json({
+        success: true,
+        data: { ...order.rows[0], items: items.rows }
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar pedido de compra:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar pedido de compra (rascunho)
+router.post('/pedidos-compra', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:manage'),
+  sanitizeInput(['notes']),
+  validateRequiredFields(['supplier_id', 'items']),
+  transactionalHandler('criar pedido de compra', async (client, req) => {
+    const pedido = await createPurchaseOrder(client, {
+      empresaId: req.empresa_id,
+      supplierId: parseInt(req.body.supplier_id),
+      items: normalizePurchaseItems(req.body.items),
+      expectedDate: parseOrderDate(req.body.expected_date),
+      notes: req.body.notes || null,
+      userId: req.user.id
+    });
+
+    return { data: pedido, message: "Pedido de compra criado com sucesso!" };
+  })
+);
+
+// Gerar rascunho a partir das sugestões de reposição do relatório de estoque
+router.post('/pedidos-compra/reposicao', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:manage'),
+  validateRequiredFields(['supplier_id']),
+  transactionalHandler('gerar pedido de reposição', async (client, req) => {
+    const productIds = Array.isArray(req.body.product_ids)
+      ? req.body.product_ids.map(id => parseInt(id))
+      : null;
+
+    const reposicao = await reportsService.getRestockNeeds(req.empresa_id);
+    const draft = reportsService.buildRestockPurchaseOrder(reposicao, parseInt(req.body.supplier_id), productIds);
+
+    // A sugestão é por produto; produtos com variações são pedidos por variação, fora do rascunho
+    const comVariacoes = await productsWithVariants(client, draft.items.map(item => item.product_id));
+    const items = draft.items
+      .filter(item => !comVariacoes.includes(item.product_id))
+      .map(item => ({ ...item, variant_id: null }));
+
+    if (items.length === 0) {
+      throw purchaseOrderError(comVariacoes.length > 0
+        ? 'Os produtos a repor têm variações: crie o pedido informando a variação de cada item'
+        : 'Nenhum produto precisa de reposição', 422);
+    }
+
+    const pedido = await createPurchaseOrder(client, {
+      empresaId: req.empresa_id,
+      supplierId: draft.supplier_id,
+      items,
+      expectedDate: null,
+      notes: comVariacoes.length > 0
+        ? `${draft.notes} (produtos com variações não incluídos: ${comVariacoes.join(', ')})`
+        : draft.notes,
+      userId: req.user.id
+    });
+
+    return { data: pedido, message: "Pedido de compra gerado a partir da reposição de estoque!" };
+  })
+);
+
+// Alterar itens de um rascunho
+router.put('/pedidos-compra/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:manage'),
+  sanitizeInput(['notes']),
+  transactionalHandler('alterar pedido de compra', async (client, req) => {
+    const items = normalizePurchaseItems(req.body.items);
+    const order = await getPurchaseOrderForUpdate(client, req.empresa_id, parseOrderId(req));
+
+    if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      throw purchaseOrderError('Somente pedidos em rascunho podem ser alterados', 409);
+    }
+
+    const updated = await client.query(
+      'UPDATE purchase_orders SET expected_date = $1, notes = $2 WHERE id = $3 RETURNING *',
+      [parseOrderDate(req.body.expected_date), req.body.notes || null, order.id]
+    );
+
+    const pedido = await savePurchaseOrderItems(client, req.empresa_id, updated.rows[0], items);
+    return { data: pedido, message: "Pedido de compra atualizado com sucesso!" };
+  })
+);
+
+function transitionPurchaseOrder(action) {
+  const { from, to } = PURCHASE_ORDER_TRANSITIONS[action];
+
+  return async (client, req) => {
+    const order = await getPurchaseOrderForUpdate(client, req.empresa_id, parseOrderId(req));
+
+    if (!from.includes(order.status)) {
+      throw purchaseOrderError(`Pedido com status "${order.status}" não pode passar para "${to}"`, 409);
+    }
+
+    const updated = await client.query(
+      `UPDATE purchase_orders 
+       SET status = $1, 
+           sent_at = CASE WHEN $1 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END, 
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 
+       RETURNING *`,
+      [to, order.id]
+    );
+
+    BizFlowLogger.auditLog('Status do pedido de compra alterado', req.user.id, {
+      orderId: order.id,
+      from: order.status,
+      to,
+      empresaId: req.empresa_id
+    });
+
+    return {
+      data: updated.rows[0],
+      message: action === 'enviar' ? "Pedido de compra enviado!" : "Pedido de compra cancelado!"
+    };
+  };
+}
+
+// Enviar pedido ao fornecedor
+router.post('/pedidos-compra/:id/enviar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:manage'),
+  transactionalHandler('enviar pedido de compra', transitionPurchaseOrder('enviar'))
+);
+
+// Cancelar pedido (rascunho ou enviado)
+router.post('/pedidos-compra/:id/cancelar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:manage'),
+  transactionalHandler('cancelar pedido de compra', transitionPurchaseOrder('cancelar'))
+);
+
+// Receber pedido: entrada no estoque e despesa em financial_accounts
+router.post('/pedidos-compra/:id/receber', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('compras:receive'),
+  transactionalHandler('receber pedido de compra', async (client, req) => {
+    const result = await receivePurchaseOrder(client, {
+      empresaId: req.empresa_id,
+      orderId: parseOrderId(req),
+      dueDate: parseOrderDate(req.body.due_date),
+      userId: req.user.id
+    });
+
+    // Invalidar caches relacionados
+    await invalidateCache(req.empresa_id, 'produtos', 'dashboard', 'financeiro');
+
+    if (req.app.get('io')) {
+      req.app.get('io').to(`empresa-${req.empresa_id}`).emit('pedido-compra-recebido', {
+        empresa_id: req.empresa_id,
+        pedido: result.pedido
+      });
+    }
+
+    // Publicado só depois do COMMIT (ver transactionalHandler)
+    queueWebhookEvent(client, req.empresa_id, 'pedido_compra.recebido', {
+      pedido: result.pedido,
+      lancamento: result.lancamento
+    });
+
+    BizFlowLogger.auditLog('Pedido de compra recebido', req.user.id, {
+      orderId: result.pedido.id,
+      empresaId: req.empresa_id,
+      amount: result.lancamento.amount
+    });
+
+    return { data: result, message: "Pedido recebido: estoque atualizado e conta a pagar lançada!" };
+  })
+);
+
+// ================= INVENTÁRIO (CONTAGEM FÍSICA) =================
+
+const INVENTORY_STATUS = {
+  OPEN: 'open',
+  POSTED: 'posted',
+  CANCELLED: 'cancelled'
+};
+
+function inventoryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseInventoryId(req) {
+  const countId = parseInt(req.params.id);
+  if (isNaN(countId)) {
+    throw inventoryError('ID de inventário inválido', 400);
+  }
+  return countId;
+}
+
+// Lançamentos de contagem: [{ product_id (+ variant_id) | barcode, quantity, mode }].
+// mode 'set' substitui a quantidade contada; 'add' soma (leitura por código de barras sem
+// quantidade conta 1 unidade por leitura). Produto com variações é contado por variação
+function normalizeCountEntries(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw inventoryError('Informe ao menos uma contagem', 400);
+  }
+
+  return items.map(item => {
+    const barcode = item.barcode !== undefined && item.barcode !== null ? String(item.barcode).trim() : null;
+    const productId = item.product_id !== undefined ? parseInt(item.product_id) : NaN;
+    const variantId = item.variant_id !== undefined && item.variant_id !== null ? parseInt(item.variant_id) : null;
+    const mode = item.mode || (barcode && item.quantity === undefined ? 'add' : 'set');
+    const quantity = item.quantity === undefined && mode === 'add' ? 1 : Number(item.quantity);
+
+    if (isNaN(productId) && !barcode) {
+      throw inventoryError('Informe product_id ou barcode em cada contagem', 400);
+    }
+    if (variantId !== null && isNaN(variantId)) {
+      throw inventoryError('ID de variação inválido', 400);
+    }
+    if (!['set', 'add'].includes(mode)) {
+      throw inventoryError('Modo de contagem inválido (use set ou add)', 400);
+    }
+    if (!Number.isInteger(quantity) || (mode === 'set' ? quantity < 0 : quantity === 0)) {
+      throw inventoryError('Quantidade contada deve ser um número inteiro', 400);
+    }
+
+    return { product_id: isNaN(productId) ? null : productId, variant_id: variantId, barcode, quantity, mode };
+  });
+}
+
+// Diferença entre o contado e o saldo do sistema, valorizada pelo custo (ou preço, se não houver custo)
+function summarizeInventoryDifferences(rows) {
+  const itens = rows.map(row => {
+    const estoqueSistema = parseInt(row.estoque_sistema) || 0;
+    const contado = row.contado === null ? null : parseInt(row.contado);
+    const diferenca = contado === null ? null : contado - estoqueSistema;
+    const custoUnitario = parseFloat(row.custo ?? row.preco) || 0;
+
+    return {
+      product_id: row.product_id,
+      variant_id: row.variant_id ?? null,
+      produto: row.variant_id ? `${row.produto} (${variantLabel({ size: row.size, color: row.color, sku: row.variant_sku })})` : row.produto,
+      barcode: row.barcode,
+      categoria: row.categoria,
+      estoque_sistema: estoqueSistema,
+      contado,
+      diferenca,
+      valor_diferenca: diferenca === null ? null : roundMoney(diferenca * custoUnitario)
+    };
+  });
+
+  const contados = itens.filter(item => item.contado !== null);
+  const divergentes = contados.filter(item => item.diferenca !== 0);
+
+  return {
+    itens,
+    resumo: {
+      total_itens: itens.length,
+      itens_contados: contados.length,
+      itens_pendentes: itens.length - contados.length,
+      itens_divergentes: divergentes.length,
+      unidades_sobra: divergentes.filter(item => item.diferenca > 0).reduce((sum, item) => sum + item.diferenca, 0),
+      unidades_falta: divergentes.filter(item => item.diferenca < 0).reduce((sum, item) => sum - item.diferenca, 0),
+      valor_diferenca: roundMoney(divergentes.reduce((sum, item) => sum + item.valor_diferenca, 0))
+    }
+  };
+}
+
+async function getInventoryCountForUpdate(client, empresaId, countId, lock = 'FOR UPDATE') {
+  const result = await client.query(
+    `SELECT * FROM inventory_counts WHERE id = $1 AND empresa_id = $2 ${lock}`,
+    [countId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw inventoryError('Inventário não encontrado', 404);
+  }
+
+  return result.rows[0];
+}
+
+// Listar inventários (filtro opcional por status)
+router.get('/inventarios', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:read'),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !Object.values(INVENTORY_STATUS).includes(status)) {
+        return res.status(400).json({ success: false, error: 'Status de inventário inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT c.*, 
+                COUNT(i.id) as total_itens, 
+                COUNT(i.counted_quantity) as itens_contados
+         FROM inventory_counts c
+         LEFT JOIN inventory_count_items i ON i.inventory_count_id = c.id
+         WHERE c.empresa_id = $1 AND ($2::varchar IS NULL OR c.status = $2)
+         GROUP BY c.id
+         ORDER BY c.opened_at DESC
+         LIMIT 50`,
+        [req.empresa_id, status || null],
+        'select',
+        'inventory_counts'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar inventários:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Abrir inventário da empresa inteira ou de uma categoria (os produtos ativos do escopo entram agora)
+router.post('/inventarios', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:manage'),
+  sanitizeInput(['category', 'notes']),
+  transactionalHandler('abrir inventário', async (client, req) => {
+    const category = req.body.category || null;
+
+    // Serializa aberturas da mesma empresa para a verificação de sobreposição ser confiável
+    await client.query('SELECT id FROM empresas WHERE id = $1 FOR UPDATE', [req.empresa_id]);
+
+    const conflict = await client.query(
+      `SELECT id FROM inventory_counts 
+       WHERE empresa_id = $1 AND status = $2 AND (category IS NULL OR $3::varchar IS NULL OR category = $3)`,
+      [req.empresa_id, INVENTORY_STATUS.OPEN, category]
+    );
+
+    if (conflict.rows.length > 0) {
+      throw inventoryError(`Já existe um inventário aberto para este escopo (#${conflict.rows[0].id})`, 409);
+    }
+
+    const count = await client.query(
+      `INSERT INTO inventory_counts (empresa_id, category, status, notes, opened_by) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING *`,
+      [req.empresa_id, category, INVENTORY_STATUS.OPEN, req.body.notes || null, req.user.id]
+    );
+
+    // Um item por produto ou, para produtos com variações ativas, um por variação
+    const items = await client.query(
+      `INSERT INTO inventory_count_items (inventory_count_id, product_id, variant_id) 
+       SELECT $1, p.id, v.id FROM products p 
+       LEFT JOIN product_variants v ON v.product_id = p.id AND v.is_active = true 
+       WHERE p.empresa_id = $2 AND p.is_active = true AND ($3::varchar IS NULL OR p.category = $3) 
+       RETURNING id`,
+      [count.rows[0].id, req.empresa_id, category]
+    );
+
+    if (items.rows.length === 0) {
+      throw inventoryError('Nenhum produto ativo no escopo do inventário', 422);
+    }
+
+    BizFlowLogger.auditLog('Inventário aberto', req.user.id, {
+      countId: count.rows[0].id,
+      category,
+      empresaId: req.empresa_id
+    });
+
+    return {
+      data: { ...count.rows[0], total_itens: items.rows.length },
+      message: "Inventário aberto para contagem!"
+    };
+  })
+);
+
+// Itens do inventário sem o saldo do sistema (contagem às cegas)
+router.get('/inventarios/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:read'),
+  async (req, res) => {
+    try {
+      const countId = parseInt(req.params.id);
+
+      if (isNaN(countId)) {
+        return res.status(400).json({ success: false, error: 'ID de inventário inválido' });
+      }
+
+      const count = await queryWithMetrics(
+        'SELECT * FROM inventory_counts WHERE id = $1 AND empresa_id = $2',
+        [countId, req.empresa_id],
+        'select',
+        'inventory_counts'
+      );
+
+      if (count.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Inventário não encontrado' });
+      }
+
+      const items = await queryWithMetrics(
+        `SELECT i.id, i.product_id, i.variant_id, p.name as product_name, v.sku as variant_sku, v.size, v.color,
+                COALESCE(v.barcode, p.barcode) as barcode, p.category,
+                i.counted_quantity, i.counted_at, u.full_name as counted_by_name
+         FROM inventory_count_items i
+         JOIN products p ON p.id = i.product_id
+         LEFT JOIN product_variants v ON v.id = i.variant_id
+         LEFT JOIN users u ON u.id = i.counted_by
+         WHERE i.inventory_count_id = $1
+         ORDER BY p.name, v.size, v.color, v.sku`,
+        [countId],
+        'select',
+        'inventory_count_items'
+      );
+
+      res.json({
+        success: true,
+        data: { ...count.rows[0], items: items.rows }
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar inventário:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Registrar contagens (vários usuários ao mesmo tempo; cada lançamento atualiza só a linha
+// do produto e o inventário fica bloqueado em modo compartilhado até o commit)
+router.post('/inventarios/:id/contagens', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:count'),
+  transactionalHandler('registrar contagem', async (client, req) => {
+    const entries = normalizeCountEntries(req.body.items);
+    const count = await getInventoryCountForUpdate(client, req.empresa_id, parseInventoryId(req), 'FOR SHARE');
+
+    if (count.status !== INVENTORY_STATUS.OPEN) {
+      throw inventoryError('Inventário não está aberto para contagem', 409);
+    }
+
+    // Código de barras da variação identifica produto e variação
+    const barcodes = entries.filter(entry => entry.product_id === null).map(entry => entry.barcode);
+    const byBarcode = barcodes.length > 0
+      ? (await client.query(
+          `SELECT product_id, id as variant_id, barcode FROM product_variants 
+           WHERE empresa_id = $1 AND barcode = ANY($2::varchar[]) AND is_active = true 
+           UNION ALL 
+           SELECT id, NULL, barcode FROM products WHERE empresa_id = $1 AND barcode = ANY($2::varchar[])`,
+          [req.empresa_id, barcodes]
+        )).rows
+      : [];
+
+    const saved = [];
+
+    for (const entry of entries) {
+      const found = entry.product_id === null ? byBarcode.find(p => p.barcode === entry.barcode) : null;
+      const productId = entry.product_id ?? found?.product_id;
+      const variantId = entry.product_id !== null ? entry.variant_id : found?.variant_id ?? null;
+
+      if (!productId) {
+        throw inventoryError(`Código de barras ${entry.barcode} não encontrado`, 404);
+      }
+
+      let result;
+      try {
+        result = await client.query(
+          `UPDATE inventory_count_items 
+           SET counted_quantity = CASE WHEN $1 = 'add' THEN COALESCE(counted_quantity, 0) + $2 ELSE $2 END,
+               counted_by = $3, counted_at = CURRENT_TIMESTAMP 
+           WHERE inventory_count_id = $4 AND product_id = $5 AND variant_id IS NOT DISTINCT FROM $6 
+           RETURNING *`,
+          [entry.mode, entry.quantity, req.user.id, count.id, productId, variantId]
+        );
+      } catch (error) {
+        if (error.code === '23514') {
+          throw inventoryError(`Quantidade contada do produto ${productId} não pode ficar negativa`, 400);
+        }
+        throw error;
+      }
+
+      if (result.rows.length === 0) {
+        if (variantId === null && (await productsWithVariants(client, [productId])).length > 0) {
+          throw inventoryError(`Produto ${productId} tem variações: informe variant_id ou o código de barras da variação`, 400);
+        }
+        throw inventoryError(`Produto ${productId}${variantId ? ` (variação ${variantId})` : ''} não faz parte deste inventário`, 404);
+      }
+
+      saved.push(result.rows[0]);
+    }
+
+    // Acompanhamento em tempo real por quem está contando
+    if (req.app.get('io')) {
+      req.app.get('io').to(`empresa-${req.empresa_id}`).emit('inventario-contagem', {
+        empresa_id: req.empresa_id,
+        inventario_id: count.id,
+        items: saved.map(item => ({ product_id: item.product_id, variant_id: item.variant_id, counted_quantity: item.counted_quantity })),
+        usuario: req.user.id
+      });
+    }
+
+    return { data: saved, message: "Contagem registrada!" };
+  })
+);
+
+// Revisar diferenças entre o contado e products.stock_quantity
+router.get('/inventarios/:id/diferencas', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:manage'),
+  async (req, res) => {
+    try {
+      const countId = parseInt(req.params.id);
+
+      if (isNaN(countId)) {
+        return res.status(400).json({ success: false, error: 'ID de inventário inválido' });
+      }
+
+      const count = await queryWithMetrics(
+        'SELECT * FROM inventory_counts WHERE id = $1 AND empresa_id = $2',
+        [countId, req.empresa_id],
+        'select',
+        'inventory_counts'
+      );
+
+      if (count.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Inventário não encontrado' });
+      }
+
+      // Depois de efetivado, a comparação usa o saldo gravado no momento do ajuste
+      const result = await queryWithMetrics(
+        `SELECT i.product_id, i.variant_id, p.name as produto, v.sku as variant_sku, v.size, v.color,
+                COALESCE(v.barcode, p.barcode) as barcode, p.category as categoria,
+                COALESCE(i.system_quantity, CASE WHEN i.variant_id IS NULL THEN p.stock_quantity ELSE v.stock_quantity END) as estoque_sistema,
+                i.counted_quantity as contado, p.cost_price as custo, COALESCE(v.price, p.price) as preco
+         FROM inventory_count_items i
+         JOIN products p ON p.id = i.product_id
+         LEFT JOIN product_variants v ON v.id = i.variant_id
+         WHERE i.inventory_count_id = $1
+         ORDER BY p.name, v.size, v.color, v.sku`,
+        [countId],
+        'select',
+        'inventory_count_items'
+      );
+
+      res.json({
+        success: true,
+        data: { inventario: count.rows[0], ...summarizeInventoryDifferences(result.rows) }
+      });
+    } catch (error) {
+      logger.error('Erro ao calcular diferenças do inventário:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Efetivar: ajusta, em uma única transação, o estoque de cada item contado para a
+// quantidade contada (movimentação 'inventario' no kardex). Itens não contados ficam como estão.
+router.post('/inventarios/:id/efetivar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:manage'),
+  transactionalHandler('efetivar inventário', async (client, req) => {
+    const count = await getInventoryCountForUpdate(client, req.empresa_id, parseInventoryId(req));
+
+    if (count.status !== INVENTORY_STATUS.OPEN) {
+      throw inventoryError('Somente inventários abertos podem ser efetivados', 409);
+    }
+
+    // Produto com variações é ajustado por variação; o bloqueio do produto serializa com as vendas
+    const itemsResult = await client.query(
+      `SELECT i.*, CASE WHEN i.variant_id IS NULL THEN p.stock_quantity ELSE v.stock_quantity END as stock_quantity 
+       FROM inventory_count_items i 
+       JOIN products p ON p.id = i.product_id 
+       LEFT JOIN product_variants v ON v.id = i.variant_id 
+       WHERE i.inventory_count_id = $1 
+       ORDER BY i.product_id, i.variant_id 
+       FOR UPDATE OF i, p`,
+      [count.id]
+    );
+
+    const counted = itemsResult.rows.filter(item => item.counted_quantity !== null);
+
+    if (counted.length === 0) {
+      throw inventoryError('Nenhum item foi contado neste inventário', 422);
+    }
+
+    const semVariacao = await productsWithVariants(
+      client,
+      counted.filter(item => item.variant_id === null).map(item => item.product_id)
+    );
+    if (semVariacao.length > 0) {
+      throw inventoryError(`Produtos ${semVariacao.join(', ')} passaram a ter variações depois da abertura: cancele e abra um novo inventário`, 409);
+    }
+
+    const ajustes = [];
+
+    for (const item of counted) {
+      const adjustment = item.counted_quantity - item.stock_quantity;
+
+      if (adjustment !== 0) {
+        await recordStockMovement(client, {
+          empresaId: req.empresa_id,
+          productId: item.product_id,
+          variantId: item.variant_id,
+          type: 'inventario',
+          quantity: adjustment,
+          referenceType: 'inventario',
+          referenceId: count.id,
+          notes: `Inventário #${count.id}`,
+          userId: req.user.id
+        });
+        ajustes.push({ product_id: item.product_id, variant_id: item.variant_id, de: item.stock_quantity, para: item.counted_quantity, ajuste: adjustment });
+      }
+
+      await client.query(
+        'UPDATE inventory_count_items SET system_quantity = $1, adjustment = $2 WHERE id = $3',
+        [item.stock_quantity, adjustment, item.id]
+      );
+    }
+
+    const updated = await client.query(
+      `UPDATE inventory_counts 
+       SET status = $1, posted_by = $2, posted_at = CURRENT_TIMESTAMP 
+       WHERE id = $3 
+       RETURNING *`,
+      [INVENTORY_STATUS.POSTED, req.user.id, count.id]
+    );
+
+    // Invalidar caches relacionados
+    await Promise.all([
+      invalidateProductCache(req.empresa_id),
+      redis.del(`report:stock:${req.empresa_id}`)
+    ]);
+
+    if (req.app.get('io')) {
+      req.app.get('io').to(`empresa-${req.empresa_id}`).emit('inventario-efetivado', {
+        empresa_id: req.empresa_id,
+        inventario: updated.rows[0]
+      });
+    }
+
+    queueWebhookEvent(client, req.empresa_id, 'inventario.efetivado', {
+      inventario: updated.rows[0],
+      ajustes
+    });
+
+    BizFlowLogger.auditLog('Inventário efetivado', req.user.id, {
+      countId: count.id,
+      empresaId: req.empresa_id,
+      ajustes: ajustes.length
+    });
+
+    return {
+      data: {
+        inventario: updated.rows[0],
+        ajustes,
+        itens_nao_contados: itemsResult.rows.length - counted.length
+      },
+      message: "Inventário efetivado: estoque ajustado!"
+    };
+  })
+);
+
+// Cancelar inventário aberto (nenhum ajuste é feito)
+router.post('/inventarios/:id/cancelar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('inventario:manage'),
+  transactionalHandler('cancelar inventário', async (client, req) => {
+    const count = await getInventoryCountForUpdate(client, req.empresa_id, parseInventoryId(req));
+
+    if (count.status !== INVENTORY_STATUS.OPEN) {
+      throw inventoryError('Somente inventários abertos podem ser cancelados', 409);
+    }
+
+    const updated = await client.query(
+      'UPDATE inventory_counts SET status = $1, cancelled_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [INVENTORY_STATUS.CANCELLED, count.id]
+    );
+
+    return { data: updated.rows[0], message: "Inventário cancelado!" };
+  })
+);
+
+// ================= ROTAS DE NOTIFICAÇÕES =================
+
+// Listar notificações (sem cache por URL: a leitura é de cada usuário, em notification_reads)
+router.get('/notifications', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('notifications:read'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        `SELECT n.id, n.empresa_id, n.user_id, n.title, n.message, n.type, n.category, n.priority, n.metadata, n.created_at, n.updated_at,
+                (r.notification_id IS NOT NULL) as is_read, r.read_at
+         FROM notifications n
+         LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = $2
+         WHERE n.empresa_id = $1 AND (n.user_id IS NULL OR n.user_id = $2)
+         ORDER BY n.created_at DESC 
+         LIMIT 20`,
+        [req.empresa_id, req.user.id],
+        'select',
+        'notifications'
+      );
+      
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar notificações:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Marcar notificação como lida (só para o usuário: os demais membros continuam vendo como não lida)
+router.patch('/notifications/:id/read', requireAuth, empresaContext, requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    if (isNaN(notificationId)) {
+      return res.status(400).json({ success: false, error: 'ID de notificação inválido' });
+    }
+
+    await notificationService.markAsRead(notificationId, req.user.id, req.empresa_id);
+
+    res.json({
+      success: true,
+      message: 'Notificação marcada como lida'
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: 'Notificação não encontrada' });
+    }
+    logger.error('Erro ao marcar notificação como lida:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Preferências de notificação do usuário na empresa (tipos sem registro: só no app, todas as prioridades)
+router.get('/notifications/preferencias', requireAuth, empresaContext, requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const preferencias = await notificationService.getPreferences(req.empresa_id, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...preferencias,
+        tipos_disponiveis: NotificationPreferences.TYPES,
+        canais_disponiveis: NotificationPreferences.CHANNELS,
+        prioridades: NotificationPreferences.PRIORITIES
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar preferências de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Alterar preferências: só os tipos e campos enviados mudam (quiet_hours: null remove o horário de silêncio)
+router.put('/notifications/preferencias', requireAuth, empresaContext, requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const validation = NotificationPreferences.validate(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({ success: false, error: validation.errors.join('; ') });
+    }
+
+    const preferencias = await notificationService.updatePreferences(req.empresa_id, req.user.id, validation.normalized);
+
+    res.json({
+      success: true,
+      data: preferencias,
+      message: 'Preferências de notificação atualizadas'
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar preferências de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// ================= REGRAS DE NOTIFICAÇÃO =================
+// Regras da empresa avaliadas nos eventos de venda e estoque (depois do COMMIT) e pelo agendador.
+// O cooldown vale por regra e assunto (a venda, cada produto ou o agendamento)
+
+// Tipo usado nas preferências de notificação de cada usuário
+const RULE_EVENT_CATEGORIES = {
+  sale_created: 'sale',
+  stock_changed: 'low_stock',
+  schedule: 'sale'
+};
+
+// Produtos com saldo alterado por transação: avaliados após o COMMIT, descartados no ROLLBACK.
+// Guarda o saldo anterior à primeira movimentação de cada produto na transação
+const pendingStockChanges = new WeakMap();
+
+function trackStockChange(client, empresaId, productId, before) {
+  const changes = pendingStockChanges.get(client) || new Map();
+  if (!changes.has(empresaId)) changes.set(empresaId, new Map());
+  const products = changes.get(empresaId);
+  if (!products.has(parseInt(productId))) products.set(parseInt(productId), parseInt(before));
+  pendingStockChanges.set(client, changes);
+}
+
+function dispatchStockChanges(client) {
+  const changes = pendingStockChanges.get(client);
+  pendingStockChanges.delete(client);
+
+  for (const [empresaId, stockBefore] of changes || []) {
+    evaluateNotificationRules(empresaId, 'stock_changed', async () => {
+      const products = await queryWithMetrics(
+        'SELECT id, name, stock_quantity, min_stock, category FROM products WHERE id = ANY($1::int[]) AND empresa_id = $2',
+        [[...stockBefore.keys()], empresaId],
+        'select',
+        'products'
+      );
+      return products.rows.map(product => ({ key: `product:${product.id}`, context: NotificationRules.productContext(product) }));
+    });
+
+    publishLowStockEvents(empresaId, stockBefore);
+  }
+}
+
+function discardStockChanges(client) {
+  pendingStockChanges.delete(client);
+}
+
+// Nunca lança erro: uma regra com problema não afeta a venda/movimentação nem as demais regras
+async function evaluateNotificationRules(empresaId, event, loadSubjects) {
+  let disparos = 0;
+
+  try {
+    const rules = await queryWithMetrics(
+      'SELECT * FROM notification_rules WHERE empresa_id = $1 AND event = $2 AND is_active = true ORDER BY id',
+      [empresaId, event],
+      'select',
+      'notification_rules'
+    );
+
+    if (rules.rows.length === 0) return 0;
+
+    const subjects = await loadSubjects();
+
+    for (const rule of rules.rows) {
+      for (const { key, context } of subjects) {
+        try {
+          if (!NotificationRules.matches(rule.conditions, context)) continue;
+          if (!(await claimRuleTrigger(rule, key))) continue;
+
+          await sendRuleNotification(rule, context);
+          disparos++;
+        } catch (error) {
+          logger.error(`Erro ao disparar a regra de notificação ${rule.id}:`, error);
+        }
+      }
+    }
+
+    if (disparos > 0) {
+      BizFlowLogger.businessLog('Regras de notificação disparadas', { empresaId, event, disparos });
+    }
+  } catch (error) {
+    logger.error(`Erro ao avaliar regras de notificação (${event}) da empresa ${empresaId}:`, error);
+  }
+
+  return disparos;
+}
+
+// Registra o disparo só se o cooldown já passou; disparos simultâneos são resolvidos pelo próprio UPSERT
+async function claimRuleTrigger(rule, subjectKey) {
+  const result = await queryWithMetrics(
+    `INSERT INTO notification_rule_triggers (rule_id, subject_key) 
+     VALUES ($1, $2) 
+     ON CONFLICT (rule_id, subject_key) DO UPDATE SET last_triggered_at = CURRENT_TIMESTAMP 
+     WHERE notification_rule_triggers.last_triggered_at <= CURRENT_TIMESTAMP - make_interval(mins => $3) 
+     RETURNING rule_id`,
+    [rule.id, subjectKey, rule.cooldown_minutes],
+    'insert',
+    'notification_rule_triggers'
+  );
+
+  return result.rows.length > 0;
+}
+
+// Sem destinatários na regra a notificação é da empresa toda; senão uma por usuário
+async function sendRuleNotification(rule, context) {
+  const notification = {
+    empresa_id: rule.empresa_id,
+    title: `🔔 ${rule.name}`,
+    message: NotificationRules.renderMessage(rule, context),
+    type: rule.priority === 'high' ? 'warning' : 'info',
+    category: RULE_EVENT_CATEGORIES[rule.event],
+    priority: rule.priority,
+    metadata: { rule_id: rule.id, event: rule.event, ...context }
+  };
+
+  const userIds = rule.target_user_ids || [];
+  const roles = rule.target_roles || [];
+
+  if (userIds.length === 0 && roles.length === 0) {
+    return notificationService.createNotification(notification);
+  }
+
+  const targets = await queryWithMetrics(
+    `SELECT DISTINCT u.id FROM users u 
+     LEFT JOIN user_empresas ue ON ue.user_id = u.id AND ue.empresa_id = $1 AND ue.is_active = true 
+     WHERE u.is_active = true AND (ue.user_id IS NOT NULL OR u.empresa_id = $1) 
+       AND (u.id = ANY($2::int[]) OR ue.role = ANY($3::varchar[]))`,
+    [rule.empresa_id, userIds, roles],
+    'select',
+    'users'
+  );
+
+  await Promise.all(targets.rows.map(({ id }) => notificationService.createNotification({ ...notification, user_id: id })));
+}
+
+// Papéis precisam existir na empresa e usuários precisam ser membros dela
+async function validateRuleTargets(empresaId, rule) {
+  for (const roleName of rule.target_roles || []) {
+    if (!(await findRole(empresaId, roleName))) {
+      return `Papel não encontrado: ${roleName}`;
+    }
+  }
+
+  if ((rule.target_user_ids || []).length > 0) {
+    const members = await queryWithMetrics(
+      `SELECT u.id FROM users u 
+       WHERE u.id = ANY($2::int[]) 
+         AND (u.empresa_id = $1 OR EXISTS (
+           SELECT 1 FROM user_empresas ue WHERE ue.user_id = u.id AND ue.empresa_id = $1 AND ue.is_active = true
+         ))`,
+      [empresaId, rule.target_user_ids],
+      'select',
+      'users'
+    );
+
+    const found = members.rows.map(row => row.id);
+    const missing = rule.target_user_ids.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      return `Usuários que não são membros da empresa: ${missing.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Listar regras e o catálogo de eventos, campos e operadores
+router.get('/notifications/regras', requireAuth, empresaContext, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const result = await queryWithMetrics(
+      'SELECT * FROM notification_rules WHERE empresa_id = $1 ORDER BY event, name',
+      [req.empresa_id],
+      'select',
+      'notification_rules'
+    );
+
+    res.json({
+      success: true,
+      data: {
+        regras: result.rows,
+        eventos: NotificationRules.EVENTS,
+        operadores: NotificationRules.OPERATORS
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar regras de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar regra (ex.: { name: 'Venda acima de R$ 5.000', event: 'sale_created',
+// conditions: [{ field: 'sale.total_amount', operator: 'gt', value: 5000 }], target_roles: ['admin'] })
+router.post('/notifications/regras', requireAuth, empresaContext, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const { isValid, errors, rule } = NotificationRules.validateRule(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const targetError = await validateRuleTargets(req.empresa_id, rule);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const result = await queryWithMetrics(
+      `INSERT INTO notification_rules 
+         (empresa_id, name, event, conditions, target_user_ids, target_roles, cooldown_minutes, priority, message, is_active, created_by) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+       RETURNING *`,
+      [
+        req.empresa_id,
+        rule.name,
+        rule.event,
+        JSON.stringify(rule.conditions),
+        JSON.stringify(rule.target_user_ids),
+        JSON.stringify(rule.target_roles),
+        rule.cooldown_minutes,
+        rule.priority,
+        rule.message,
+        rule.is_active ?? true,
+        req.user.id
+      ],
+      'insert',
+      'notification_rules'
+    );
+
+    BizFlowLogger.auditLog('Regra de notificação criada', req.user.id, {
+      empresaId: req.empresa_id,
+      ruleId: result.rows[0].id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Regra de notificação criada com sucesso!'
+    });
+  } catch (error) {
+    logger.error('Erro ao criar regra de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Alterar regra (só os campos enviados; trocar o evento exige novas condições)
+router.put('/notifications/regras/:id', requireAuth, empresaContext, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ success: false, error: 'ID de regra inválido' });
+    }
+
+    const current = await queryWithMetrics(
+      'SELECT * FROM notification_rules WHERE id = $1 AND empresa_id = $2',
+      [ruleId, req.empresa_id],
+      'select',
+      'notification_rules'
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
+
+    const { isValid, errors, rule } = NotificationRules.validateRule(req.body, true, current.rows[0].event);
+    if (!isValid) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const targetError = await validateRuleTargets(req.empresa_id, rule);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const fields = Object.keys(rule);
+    const values = fields.map(field => (['conditions', 'target_user_ids', 'target_roles'].includes(field)
+      ? JSON.stringify(rule[field])
+      : rule[field]));
+
+    const result = await queryWithMetrics(
+      `UPDATE notification_rules 
+       SET ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND empresa_id = $2 
+       RETURNING *`,
+      [ruleId, req.empresa_id, ...values],
+      'update',
+      'notification_rules'
+    );
+
+    BizFlowLogger.auditLog('Regra de notificação alterada', req.user.id, {
+      empresaId: req.empresa_id,
+      ruleId,
+      changes: fields
+    });
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Regra de notificação atualizada com sucesso!'
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar regra de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover regra (o histórico de disparos sai junto)
+router.delete('/notifications/regras/:id', requireAuth, empresaContext, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ success: false, error: 'ID de regra inválido' });
+    }
+
+    const result = await queryWithMetrics(
+      'DELETE FROM notification_rules WHERE id = $1 AND empresa_id = $2 RETURNING id',
+      [ruleId, req.empresa_id],
+      'delete',
+      'notification_rules'
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+    }
+
+    BizFlowLogger.auditLog('Regra de notificação removida', req.user.id, {
+      empresaId: req.empresa_id,
+      ruleId
+    });
+
+    res.json({
+      success: true,
+      message: 'Regra de notificação removida com sucesso!'
+    });
+  } catch (error) {
+    logger.error('Erro ao remover regra de notificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// ================= WEBHOOKS DE INTEGRAÇÃO =================
+// Eventos de negócio enviados por POST (JSON) às URLs cadastradas pela empresa, assinados com
+// HMAC-SHA256 do segredo de cada webhook (cabeçalho X-BizFlow-Signature). Falhas são retentadas
+// com backoff pelo agendador; esgotadas as tentativas, a entrega fica em dead_letter até ser
+// reenviada manualmente
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pendente',
+  DELIVERED: 'entregue',
+  FAILED: 'falhou',
+  DEAD_LETTER: 'dead_letter'
+};
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_BATCH = 50;
+
+// Entrega em andamento reserva a linha por alguns minutos (next_attempt_at): o agendador não
+// reenvia ao mesmo tempo e, se o processo cair no meio do envio, ela volta para a fila
+const WEBHOOK_LEASE = '5 minutes';
+
+// Eventos gerados dentro de transactionalHandler: publicados após o COMMIT, descartados no ROLLBACK
+const pendingWebhookEvents = new WeakMap();
+
+function queueWebhookEvent(client, empresaId, event, data) {
+  const events = pendingWebhookEvents.get(client) || [];
+  events.push({ empresaId, event, data });
+  pendingWebhookEvents.set(client, events);
+}
+
+function dispatchWebhookEvents(client) {
+  const events = pendingWebhookEvents.get(client) || [];
+  pendingWebhookEvents.delete(client);
+
+  for (const { empresaId, event, data } of events) {
+    publishWebhookEvent(empresaId, event, data);
+  }
+}
+
+function discardWebhookEvents(client) {
+  pendingWebhookEvents.delete(client);
+}
+
+// Uma entrega por webhook ativo que assina o evento, com a primeira tentativa imediata.
+// Nunca lança erro: falha ao publicar não afeta a operação que gerou o evento
+async function publishWebhookEvent(empresaId, event, data) {
+  try {
+    const subscriptions = await queryWithMetrics(
+      'SELECT id, events FROM webhook_subscriptions WHERE empresa_id = $1 AND is_active = true',
+      [empresaId],
+      'select',
+      'webhook_subscriptions'
+    );
+
+    const targets = subscriptions.rows.filter(subscription => BizFlowWebhooks.subscribes(subscription, event));
+    if (targets.length === 0) return 0;
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, empresa_id: empresaId, created_at: new Date().toISOString(), data };
+
+    const deliveries = await queryWithMetrics(
+      `INSERT INTO webhook_deliveries (empresa_id, subscription_id, event_id, event, payload, next_attempt_at) 
+       SELECT $1::int, subscription_id, $3::uuid, $4::varchar, $5::jsonb, CURRENT_TIMESTAMP + $6::interval 
+       FROM unnest($2::int[]) AS subscription_id 
+       RETURNING *`,
+      [empresaId, targets.map(subscription => subscription.id), eventId, event, JSON.stringify(payload), WEBHOOK_LEASE],
+      'insert',
+      'webhook_deliveries'
+    );
+
+    for (const delivery of deliveries.rows) {
+      deliverWebhook(delivery)
+        .catch(error => logger.error(`Erro ao entregar webhook ${delivery.id}:`, error));
+    }
+
+    return deliveries.rows.length;
+  } catch (error) {
+    logger.error(`Erro ao publicar evento de webhook ${event} da empresa ${empresaId}:`, error);
+    return 0;
+  }
+}
+
+// Envia uma entrega já reservada. 2xx = entregue; qualquer outra resposta, erro de rede ou
+// tempo esgotado conta como tentativa com falha
+async function deliverWebhook(delivery) {
+  const subscription = await queryWithMetrics(
+    'SELECT url, secret, is_active FROM webhook_subscriptions WHERE id = $1',
+    [delivery.subscription_id],
+    'select',
+    'webhook_subscriptions'
+  );
+
+  // Webhook desativado: a entrega fica parada até ele ser reativado
+  if (subscription.rows.length === 0 || !subscription.rows[0].is_active) {
+    return false;
+  }
+
+  const { url, secret } = subscription.rows[0];
+  const body = JSON.stringify(delivery.payload);
+  const attempts = delivery.attempts + 1;
+  let statusCode = null;
+  let failure = null;
+
+  try {
+    await BizFlowWebhooks.assertPublicDestination(url);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BizFlow-Webhooks',
+        'X-BizFlow-Event': delivery.event,
+        'X-BizFlow-Delivery': String(delivery.id),
+        [BizFlowWebhooks.SIGNATURE_HEADER]: BizFlowWebhooks.sign(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    if (!response.ok) failure = `Destino respondeu HTTP ${response.status}`;
+  } catch (error) {
+    failure = error.name === 'TimeoutError' ? 'Tempo esgotado aguardando o destino' : error.message;
+  }
+
+  if (!failure) {
+    await queryWithMetrics(
+      `UPDATE webhook_deliveries 
+       SET status = $2, attempts = $3, last_status_code = $4, last_error = NULL, 
+           delivered_at = CURRENT_TIMESTAMP, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1`,
+      [delivery.id, WEBHOOK_DELIVERY_STATUS.DELIVERED, attempts, statusCode],
+      'update',
+      'webhook_deliveries'
+    );
+    return true;
+  }
+
+  const delay = BizFlowWebhooks.nextRetryDelay(attempts);
+  const status = delay === null ? WEBHOOK_DELIVERY_STATUS.DEAD_LETTER : WEBHOOK_DELIVERY_STATUS.FAILED;
+
+  await queryWithMetrics(
+    `UPDATE webhook_deliveries 
+     SET status = $2, attempts = $3, last_status_code = $4, last_error = $5, 
+         next_attempt_at = CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(secs => $6::int) END, 
+         updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $1`,
+    [delivery.id, status, attempts, statusCode, String(failure).substring(0, 500), delay],
+    'update',
+    'webhook_deliveries'
+  );
+
+  if (status === WEBHOOK_DELIVERY_STATUS.DEAD_LETTER) {
+    BizFlowLogger.businessLog('Entrega de webhook movida para dead-letter', {
+      deliveryId: delivery.id,
+      empresaId: delivery.empresa_id,
+      subscriptionId: delivery.subscription_id,
+      event: delivery.event,
+      attempts,
+      error: failure
+    });
+  }
+
+  return false;
+}
+
+// Reserva as entregas vencidas (pendentes abandonadas e falhas aguardando nova tentativa) e
+// reenvia uma a uma; SKIP LOCKED evita que duas instâncias peguem a mesma linha
+async function retryWebhookDeliveries() {
+  const due = await queryWithMetrics(
+    `UPDATE webhook_deliveries 
+     SET next_attempt_at = CURRENT_TIMESTAMP + $3::interval, updated_at = CURRENT_TIMESTAMP 
+     WHERE id IN (
+       SELECT d.id 
+       FROM webhook_deliveries d 
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id 
+       WHERE d.status = ANY($1::varchar[]) AND d.next_attempt_at <= CURRENT_TIMESTAMP AND s.is_active = true 
+       ORDER BY d.next_attempt_at 
+       LIMIT $2 
+       FOR UPDATE OF d SKIP LOCKED
+     ) 
+     RETURNING *`,
+    [[WEBHOOK_DELIVERY_STATUS.PENDING, WEBHOOK_DELIVERY_STATUS.FAILED], WEBHOOK_RETRY_BATCH, WEBHOOK_LEASE],
+    'update',
+    'webhook_deliveries'
+  );
+
+  let entregues = 0;
+
+  for (const delivery of due.rows) {
+    try {
+      if (await deliverWebhook(delivery)) entregues++;
+    } catch (error) {
+      logger.error(`Erro ao reenviar webhook ${delivery.id}:`, error);
+    }
+  }
+
+  if (due.rows.length > 0) {
+    BizFlowLogger.businessLog('Reenvio de webhooks', { tentativas: due.rows.length, entregues });
+  }
+
+  return { tentativas: due.rows.length, entregues };
+}
+
+// Estoque baixo: só quando a transação levou o saldo de acima para igual ou abaixo do mínimo
+async function publishLowStockEvents(empresaId, stockBefore) {
+  try {
+    const products = await queryWithMetrics(
+      `SELECT id, name, sku, category, stock_quantity, min_stock 
+       FROM products 
+       WHERE id = ANY($1::int[]) AND empresa_id = $2 AND min_stock IS NOT NULL AND stock_quantity <= min_stock`,
+      [[...stockBefore.keys()], empresaId],
+      'select',
+      'products'
+    );
+
+    for (const product of products.rows) {
+      const before = stockBefore.get(product.id);
+      if (before > product.min_stock) {
+        publishWebhookEvent(empresaId, 'produto.estoque_baixo', { produto: product, estoque_anterior: before });
+      }
+    }
+  } catch (error) {
+    logger.error(`Erro ao verificar estoque baixo para webhooks da empresa ${empresaId}:`, error);
+  }
+}
+
+function parseWebhookId(value) {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+}
+
+// Segredo mascarado na listagem e nas alterações; inteiro só na criação e ao gerar um novo
+function presentWebhook(subscription, showSecret = false) {
+  return {
+    ...subscription,
+    secret: showSecret ? subscription.secret : BizFlowWebhooks.maskSecret(subscription.secret)
+  };
+}
+
+// Listar webhooks da empresa (com as entregas em dead-letter de cada um) e o catálogo de eventos
+router.get('/webhooks', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const result = await queryWithMetrics(
+      `SELECT s.*, 
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = $2) as dead_letter 
+       FROM webhook_subscriptions s 
+       WHERE s.empresa_id = $1 
+       ORDER BY s.created_at DESC`,
+      [req.empresa_id, WEBHOOK_DELIVERY_STATUS.DEAD_LETTER],
+      'select',
+      'webhook_subscriptions'
+    );
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: result.rows.map(subscription => presentWebhook(subscription)),
+        eventos: BizFlowWebhooks.EVENTS
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar webhooks:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar webhook (ex.: { url: 'https://erp.exemplo.com/bizflow', events: ['venda.criada', 'venda.cancelada'] })
+router.post('/webhooks', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { isValid, errors, subscription } = BizFlowWebhooks.validateSubscription(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const result = await queryWithMetrics(
+      `INSERT INTO webhook_subscriptions (empresa_id, url, events, secret, description, is_active, created_by) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING *`,
+      [
+        req.empresa_id,
+        subscription.url,
+        JSON.stringify(subscription.events),
+        BizFlowWebhooks.generateSecret(),
+        subscription.description ?? null,
+        subscription.is_active ?? true,
+        req.user.id
+      ],
+      'insert',
+      'webhook_subscriptions'
+    );
+
+    BizFlowLogger.auditLog('Webhook criado', req.user.id, {
+      empresaId: req.empresa_id,
+      webhookId: result.rows[0].id,
+      events: subscription.events
+    });
+
+    res.status(201).json({
+      success: true,
+      data: presentWebhook(result.rows[0], true),
+      message: 'Webhook criado! Guarde o segredo: ele não será exibido novamente.'
+    });
+  } catch (error) {
+    logger.error('Erro ao criar webhook:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Alterar webhook (só os campos enviados); { regenerar_segredo: true } gera um novo segredo
+router.put('/webhooks/:id', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhookId = parseWebhookId(req.params.id);
+    if (webhookId === null) {
+      return res.status(400).json({ success: false, error: 'ID de webhook inválido' });
+    }
+
+    const { isValid, errors, subscription } = BizFlowWebhooks.validateSubscription(req.body, true);
+    if (!isValid) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const regenerate = req.body.regenerar_segredo === true;
+    if (regenerate) subscription.secret = BizFlowWebhooks.generateSecret();
+
+    const fields = Object.keys(subscription);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, error: 'Nenhuma alteração informada' });
+    }
+
+    const values = fields.map(field => (field === 'events' ? JSON.stringify(subscription[field]) : subscription[field]));
+
+    const result = await queryWithMetrics(
+      `UPDATE webhook_subscriptions 
+       SET ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND empresa_id = $2 
+       RETURNING *`,
+      [webhookId, req.empresa_id, ...values],
+      'update',
+      'webhook_subscriptions'
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook não encontrado' });
+    }
+
+    BizFlowLogger.auditLog('Webhook alterado', req.user.id, {
+      empresaId: req.empresa_id,
+      webhookId,
+      changes: fields
+    });
+
+    res.json({
+      success: true,
+      data: presentWebhook(result.rows[0], regenerate),
+      message: regenerate
+        ? 'Webhook atualizado! Guarde o novo segredo: ele não será exibido novamente.'
+        : 'Webhook atualizado com sucesso!'
+    });
+  } catch (error) {
+    logger.error('Erro ao atualizar webhook:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover webhook (o log de entregas sai junto)
+router.delete('/webhooks/:id', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhookId = parseWebhookId(req.params.id);
+    if (webhookId === null) {
+      return res.status(400).json({ success: false, error: 'ID de webhook inválido' });
+    }
+
+    const result = await queryWithMetrics(
+      'DELETE FROM webhook_subscriptions WHERE id = $1 AND empresa_id = $2 RETURNING id',
+      [webhookId, req.empresa_id],
+      'delete',
+      'webhook_subscriptions'
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook não encontrado' });
+    }
+
+    BizFlowLogger.auditLog('Webhook removido', req.user.id, {
+      empresaId: req.empresa_id,
+      webhookId
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook removido com sucesso!'
+    });
+  } catch (error) {
+    logger.error('Erro ao remover webhook:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Log de entregas, da mais recente para a mais antiga. Filtros: status (status=dead_letter = lista
+// de dead-letter), evento, webhook_id; paginação por limite (até 200) e pagina
+router.get('/webhooks/entregas', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const evento = req.query.evento || null;
+    const webhookId = req.query.webhook_id !== undefined ? parseWebhookId(req.query.webhook_id) : null;
+    const limite = Math.min(Math.max(parseInt(req.query.limite) || 50, 1), 200);
+    const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+
+    if (status && !Object.values(WEBHOOK_DELIVERY_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status inválido. Use: ${Object.values(WEBHOOK_DELIVERY_STATUS).join(', ')}`
+      });
+    }
+    if (req.query.webhook_id !== undefined && webhookId === null) {
+      return res.status(400).json({ success: false, error: 'ID de webhook inválido' });
+    }
+
+    const result = await queryWithMetrics(
+      `SELECT d.id, d.subscription_id, s.url, d.event_id, d.event, d.status, d.attempts, 
+              d.next_attempt_at, d.last_status_code, d.last_error, d.delivered_at, d.created_at, d.payload, 
+              COUNT(*) OVER() as total 
+       FROM webhook_deliveries d 
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id 
+       WHERE d.empresa_id = $1 
+         AND ($2::varchar IS NULL OR d.status = $2) 
+         AND ($3::varchar IS NULL OR d.event = $3) 
+         AND ($4::int IS NULL OR d.subscription_id = $4) 
+       ORDER BY d.created_at DESC, d.id DESC 
+       LIMIT $5 OFFSET $6`,
+      [req.empresa_id, status, evento, webhookId, limite, (pagina - 1) * limite],
+      'select',
+      'webhook_deliveries'
+    );
+
+    res.json({
+      success: true,
+      data: {
+        entregas: result.rows.map(({ total, ...entrega }) => entrega),
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+        pagina,
+        limite
+      }
+    });
+  } catch (error) {
+    logger.error('Erro ao listar entregas de webhooks:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Reenviar manualmente uma entrega com falha ou em dead-letter (tentativas recomeçam do zero)
+router.post('/webhooks/entregas/:id/reenviar', requireAuth, empresaContext, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const deliveryId = parseWebhookId(req.params.id);
+    if (deliveryId === null) {
+      return res.status(400).json({ success: false, error: 'ID de entrega inválido' });
+    }
+
+    const claimed = await queryWithMetrics(
+      `UPDATE webhook_deliveries 
+       SET status = $3, attempts = 0, next_attempt_at = CURRENT_TIMESTAMP + $5::interval, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND empresa_id = $2 AND status = ANY($4::varchar[]) 
+       RETURNING *`,
+      [
+        deliveryId,
+        req.empresa_id,
+        WEBHOOK_DELIVERY_STATUS.PENDING,
+        [WEBHOOK_DELIVERY_STATUS.FAILED, WEBHOOK_DELIVERY_STATUS.DEAD_LETTER],
+        WEBHOOK_LEASE
+      ],
+      'update',
+      'webhook_deliveries'
+    );
+
+    if (claimed.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Entrega não encontrada ou não está com falha' });
+    }
+
+    const entregue = await deliverWebhook(claimed.rows[0]);
+
+    const result = await queryWithMetrics(
+      'SELECT * FROM webhook_deliveries WHERE id = $1',
+      [deliveryId],
+      'select',
+      'webhook_deliveries'
+    );
+
+    BizFlowLogger.auditLog('Entrega de webhook reenviada', req.user.id, {
+      empresaId: req.empresa_id,
+      deliveryId,
+      entregue
+    });
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: entregue ? 'Webhook entregue com sucesso!' : 'Falha ao entregar o webhook; nova tentativa agendada.'
+    });
+  } catch (error) {
+    logger.error('Erro ao reenviar entrega de webhook:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// ================= ROTAS FINANCEIRAS COM CACHE =================
+
+// Listar contas financeiras
+router.get('/financeiro', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  cacheMiddleware(300, 'financeiro'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        'SELECT * FROM financial_accounts WHERE empresa_id = $1 ORDER BY due_date, created_at DESC',
+        [req.empresa_id],
+        'select',
+        'financial_accounts'
+      );
+      
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar contas financeiras:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar conta financeira
+router.post('/financeiro', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:create'),
+  sanitizeInput(['name']),
+  validateRequiredFields(['name', 'type', 'amount']),
+  async (req, res) => {
+    try {
+      const { name, type, amount, due_date } = req.body;
+
+      if (!['receita', 'despesa'].includes(type)) {
+        return res.status(400).json({ success: false, error: 'Tipo inválido. Use: receita, despesa' });
+      }
+
+      const classification = await resolveFinancialClassification(pool, req.empresa_id, type, req.body);
+      
+      const result = await queryWithMetrics(
+        `INSERT INTO financial_accounts (empresa_id, name, type, amount, due_date, category_id, cost_center_id) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) 
+         RETURNING *`,
+        [req.empresa_id, name, type, amount, due_date, classification.category_id ?? null, classification.cost_center_id ?? null],
+        'insert',
+        'financial_accounts'
+      );
+
+      // Invalidar cache financeiro
+      await invalidateCache(req.empresa_id, 'financeiro', 'dashboard');
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: "Conta financeira registrada com sucesso!"
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('Erro ao criar conta financeira:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= CONTAS A PAGAR/RECEBER: BAIXAS, CANCELAMENTO E VENCIDOS =================
+const FINANCIAL_STATUS = {
+  PENDING: 'pendente',
+  PARTIAL: 'parcial',
+  PAID: 'pago',
+  RECEIVED: 'recebido',
+  CANCELLED: 'cancelado'
+};
+
+const FINANCIAL_OPEN_STATUSES = [FINANCIAL_STATUS.PENDING, FINANCIAL_STATUS.PARTIAL];
+const FINANCIAL_PAYMENT_METHODS = ['dinheiro', 'pix', 'cartao', 'boleto', 'transferencia', 'cheque'];
+
+function financialError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Despesa quitada fica 'pago'; receita quitada fica 'recebido'
+function settledStatus(type) {
+  return type === 'receita' ? FINANCIAL_STATUS.RECEIVED : FINANCIAL_STATUS.PAID;
+}
+
+function parseFinancialId(req) {
+  const accountId = parseInt(req.params.id);
+  if (isNaN(accountId)) {
+    throw financialError('ID de lançamento inválido', 400);
+  }
+  return accountId;
+}
+
+// Baixa parcial ou total: valor padrão é o saldo em aberto; data padrão é hoje (não pode ser futura)
+function buildSettlement(account, body = {}) {
+  if (account.status === FINANCIAL_STATUS.CANCELLED) {
+    throw financialError('Lançamento cancelado não aceita baixa', 409);
+  }
+
+  const paid = parseFloat(account.paid_amount) || 0;
+  const balance = roundMoney(parseFloat(account.amount) - paid);
+
+  if (!FINANCIAL_OPEN_STATUSES.includes(account.status) || balance <= 0) {
+    throw financialError('Lançamento já quitado', 409);
+  }
+
+  let amount = balance;
+  if (body.amount !== undefined && body.amount !== null && body.amount !== '') {
+    const validation = BizFlowValidators.validatePrice(body.amount);
+    if (!validation.isValid || validation.normalized <= 0) {
+      throw financialError('Valor da baixa deve ser maior que zero', 400);
+    }
+    amount = roundMoney(validation.normalized);
+  }
+
+  if (amount > balance) {
+    throw financialError(`Valor da baixa maior que o saldo em aberto (${balance.toFixed(2)})`, 400);
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const paymentDate = body.payment_date || today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate) || isNaN(new Date(paymentDate).getTime()) || paymentDate > today) {
+    throw financialError('Data de pagamento inválida ou futura (use AAAA-MM-DD)', 400);
+  }
+
+  if (!FINANCIAL_PAYMENT_METHODS.includes(body.payment_method)) {
+    throw financialError(`Forma de pagamento inválida. Use: ${FINANCIAL_PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  const paidAmount = roundMoney(paid + amount);
+
+  return {
+    amount,
+    paymentDate,
+    paymentMethod: body.payment_method,
+    notes: body.notes ? BizFlowValidators.sanitizeString(String(body.notes)).substring(0, 255) : null,
+    paidAmount,
+    status: paidAmount >= roundMoney(parseFloat(account.amount)) ? settledStatus(account.type) : FINANCIAL_STATUS.PARTIAL
+  };
+}
+
+// Grava a baixa e atualiza valor pago, status e forma de pagamento do lançamento
+async function recordSettlement(client, { empresaId, account, settlement, userId }) {
+  const baixa = await client.query(
+    `INSERT INTO financial_settlements 
+       (empresa_id, financial_account_id, amount, payment_date, payment_method, notes, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7) 
+     RETURNING *`,
+    [empresaId, account.id, settlement.amount, settlement.paymentDate, settlement.paymentMethod, settlement.notes, userId]
+  );
+
+  const updated = await client.query(
+    `UPDATE financial_accounts 
+     SET paid_amount = $1, status = $2, paid_at = $3, payment_method = $4, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $5 
+     RETURNING *, amount - paid_amount as saldo`,
+    [settlement.paidAmount, settlement.status, settlement.paymentDate, settlement.paymentMethod, account.id]
+  );
+
+  return { lancamento: updated.rows[0], baixa: baixa.rows[0] };
+}
+
+async function getFinancialAccountForUpdate(client, empresaId, accountId) {
+  const result = await client.query(
+    'SELECT * FROM financial_accounts WHERE id = $1 AND empresa_id = $2 FOR UPDATE',
+    [accountId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw financialError('Lançamento não encontrado', 404);
+  }
+
+  return result.rows[0];
+}
+
+async function invalidateFinancialCache(empresaId) {
+  await Promise.all([
+    invalidateCache(empresaId, 'financeiro', 'dashboard'),
+    reportsService.invalidateResultReports(empresaId)
+  ]);
+}
+
+// Lançamentos vencidos: em aberto (pendente/parcial) com vencimento anterior a hoje
+router.get('/financeiro/vencidos', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const { tipo } = req.query;
+
+      if (tipo && !['receita', 'despesa'].includes(tipo)) {
+        return res.status(400).json({ success: false, error: 'Tipo inválido. Use: receita, despesa' });
+      }
+
+      const result = await queryWithMetrics(
+        `SELECT f.*, f.amount - f.paid_amount as saldo, CURRENT_DATE - f.due_date as dias_em_atraso
+         FROM financial_accounts f
+         WHERE f.empresa_id = $1 AND f.status = ANY($2::varchar[]) AND f.due_date < CURRENT_DATE
+           AND ($3::varchar IS NULL OR f.type = $3)
+         ORDER BY f.due_date, f.id`,
+        [req.empresa_id, FINANCIAL_OPEN_STATUSES, tipo || null],
+        'select',
+        'financial_accounts'
+      );
+
+      const totalPorTipo = type => roundMoney(result.rows
+        .filter(row => row.type === type)
+        .reduce((sum, row) => sum + parseFloat(row.saldo), 0));
+
+      res.json({
+        success: true,
+        data: {
+          lancamentos: result.rows,
+          quantidade: result.rows.length,
+          total_a_receber: totalPorTipo('receita'),
+          total_a_pagar: totalPorTipo('despesa')
+        }
+      });
+    } catch (error) {
+      logger.error('Erro ao listar lançamentos vencidos:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= PLANO DE CONTAS E CENTROS DE CUSTO =================
+// Códigos hierárquicos numéricos (ex.: 3, 3.1, 3.1.02); a subconta herda o tipo da conta-pai
+const CHART_ACCOUNT_CODE_PATTERN = /^\d{1,4}(\.\d{1,4}){0,5}$/;
+const COST_CENTER_CODE_PATTERN = /^[A-Z0-9._-]{1,20}$/;
+
+function readClassificationName(value) {
+  const name = value ? BizFlowValidators.sanitizeString(String(value)).trim() : '';
+  if (!name || name.length > 100) {
+    throw financialError('Nome é obrigatório (até 100 caracteres)', 400);
+  }
+  return name;
+}
+
+function readOptionalId(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = parseInt(value);
+  if (isNaN(id)) {
+    throw financialError(`${label} inválido`, 400);
+  }
+  return id;
+}
+
+// Conta do plano: code, name, type (receita/despesa) e parent_id opcional
+function buildChartAccount(body = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = String(body.code ?? '').trim();
+    if (!CHART_ACCOUNT_CODE_PATTERN.test(code)) {
+      throw financialError('Código da conta inválido (use números separados por ponto, ex.: 3.1.02)', 400);
+    }
+    fields.code = code;
+  }
+  if (!partial || body.name !== undefined) {
+    fields.name = readClassificationName(body.name);
+  }
+  if (!partial) {
+    if (!['receita', 'despesa'].includes(body.type)) {
+      throw financialError('Tipo inválido. Use: receita, despesa', 400);
+    }
+    fields.type = body.type;
+  } else if (body.type !== undefined) {
+    throw financialError('O tipo da conta não pode ser alterado', 400);
+  }
+  if (!partial || body.parent_id !== undefined) {
+    fields.parent_id = readOptionalId(body.parent_id, 'Conta-pai');
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    throw financialError('Nenhum campo válido para atualizar', 400);
+  }
+
+  return fields;
+}
+
+function buildCostCenter(body = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = String(body.code ?? '').trim().toUpperCase();
+    if (!COST_CENTER_CODE_PATTERN.test(code)) {
+      throw financialError('Código do centro de custo inválido (até 20 letras, números, ".", "_" ou "-")', 400);
+    }
+    fields.code = code;
+  }
+  if (!partial || body.name !== undefined) {
+    fields.name = readClassificationName(body.name);
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    throw financialError('Nenhum campo válido para atualizar', 400);
+  }
+
+  return fields;
+}
+
+// A conta-pai precisa ser do mesmo tipo e não pode ser a própria conta nem uma subconta dela
+function assertChartParent(accounts, { id = null, type, parentId }) {
+  if (parentId === null) return;
+
+  const byId = new Map(accounts.map(account => [account.id, account]));
+  const parent = byId.get(parentId);
+
+  if (!parent || parent.is_active === false) {
+    throw financialError('Conta-pai não encontrada', 404);
+  }
+  if (parent.type !== type) {
+    throw financialError('A conta-pai deve ser do mesmo tipo (receita/despesa)', 400);
+  }
+
+  for (let current = parent; current; current = byId.get(current.parent_id)) {
+    if (current.id === id) {
+      throw financialError('A conta-pai não pode ser a própria conta ou uma de suas subcontas', 400);
+    }
+  }
+}
+
+function emptyClassificationTotals() {
+  return { quantidade: 0, total_valor: 0, total_pago: 0, total_em_aberto: 0 };
+}
+
+function addClassificationTotals(target, source) {
+  target.quantidade += parseInt(source.quantidade) || 0;
+  target.total_valor = roundMoney(target.total_valor + (parseFloat(source.total_valor) || 0));
+  target.total_pago = roundMoney(target.total_pago + (parseFloat(source.total_pago) || 0));
+  target.total_em_aberto = roundMoney(target.total_em_aberto + (parseFloat(source.total_em_aberto) || 0));
+  return target;
+}
+
+// Árvore do plano de contas; com totais, cada conta acumula os lançamentos próprios e os das subcontas
+function buildChartTree(accounts, totalsByAccount = null) {
+  const nodes = new Map(accounts.map(account => [account.id, {
+    ...account,
+    ...(totalsByAccount && addClassificationTotals(emptyClassificationTotals(), totalsByAccount[account.id] || {})),
+    subcontas: []
+  }]));
+  const roots = [];
+
+  [...nodes.values()]
+    .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }))
+    .forEach(node => {
+      const parent = nodes.get(node.parent_id);
+      (parent ? parent.subcontas : roots).push(node);
+    });
+
+  if (totalsByAccount) {
+    const rollUp = node => {
+      node.subcontas.forEach(child => addClassificationTotals(node, rollUp(child)));
+      return node;
+    };
+    roots.forEach(rollUp);
+  }
+
+  return roots;
+}
+
+// Relatório financeiro agrupado: por categoria (acumulando na árvore do plano) ou por centro de custo
+const FINANCIAL_REPORT_GROUPINGS = {
+  categoria: 'category_id',
+  centro_custo: 'cost_center_id'
+};
+
+function buildFinancialGrouping(agrupar, totalsRows, classifications) {
+  const totals = {};
+  const semClassificacao = emptyClassificationTotals();
+
+  totalsRows.forEach(row => {
+    if (row.grupo_id === null || row.grupo_id === undefined) {
+      addClassificationTotals(semClassificacao, row);
+    } else {
+      totals[row.grupo_id] = row;
+    }
+  });
+
+  if (agrupar === 'categoria') {
+    return { plano_contas: buildChartTree(classifications, totals), sem_categoria: semClassificacao };
+  }
+
+  return {
+    centros_custo: classifications.map(center => addClassificationTotals({ ...center, ...emptyClassificationTotals() }, totals[center.id] || {})),
+    sem_centro_custo: semClassificacao
+  };
+}
+
+// Categoria (conta do plano) e centro de custo de um lançamento: ativos, da empresa e, no caso da
+// categoria, do mesmo tipo do lançamento; só devolve os campos informados no corpo
+async function resolveFinancialClassification(db, empresaId, type, body = {}) {
+  const fields = {};
+
+  if (body.category_id !== undefined) {
+    fields.category_id = readOptionalId(body.category_id, 'Categoria');
+    if (fields.category_id !== null) {
+      const category = await db.query(
+        'SELECT type FROM chart_of_accounts WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+        [fields.category_id, empresaId]
+      );
+      if (category.rows.length === 0) {
+        throw financialError('Categoria não encontrada no plano de contas', 404);
+      }
+      if (category.rows[0].type !== type) {
+        throw financialError(`A categoria deve ser do tipo ${type}`, 400);
+      }
+    }
+  }
+
+  if (body.cost_center_id !== undefined) {
+    fields.cost_center_id = readOptionalId(body.cost_center_id, 'Centro de custo');
+    if (fields.cost_center_id !== null) {
+      const center = await db.query(
+        'SELECT id FROM cost_centers WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+        [fields.cost_center_id, empresaId]
+      );
+      if (center.rows.length === 0) {
+        throw financialError('Centro de custo não encontrado', 404);
+      }
+    }
+  }
+
+  return fields;
+}
+
+async function loadChartOfAccounts(db, empresaId) {
+  const result = await db.query(
+    'SELECT * FROM chart_of_accounts WHERE empresa_id = $1 ORDER BY code',
+    [empresaId]
+  );
+  return result.rows;
+}
+
+// Plano de contas em árvore (inativas só com ?inativas=true)
+router.get('/financeiro/plano-contas', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const { tipo, inativas } = req.query;
+
+      if (tipo && !['receita', 'despesa'].includes(tipo)) {
+        return res.status(400).json({ success: false, error: 'Tipo inválido. Use: receita, despesa' });
+      }
+
+      const accounts = (await loadChartOfAccounts(pool, req.empresa_id))
+        .filter(account => (inativas === 'true' || account.is_active) && (!tipo || account.type === tipo));
+
+      res.json({
+        success: true,
+        data: buildChartTree(accounts)
+      });
+    } catch (error) {
+      logger.error('Erro ao listar plano de contas:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar conta no plano de contas
+router.post('/financeiro/plano-contas', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  sanitizeInput(['name']),
+  validateRequiredFields(['code', 'name', 'type']),
+  transactionalHandler('criar conta do plano de contas', async (client, req) => {
+    const fields = buildChartAccount(req.body);
+    assertChartParent(await loadChartOfAccounts(client, req.empresa_id), { type: fields.type, parentId: fields.parent_id });
+
+    const result = await client.query(
+      `INSERT INTO chart_of_accounts (empresa_id, code, name, type, parent_id) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING *`,
+      [req.empresa_id, fields.code, fields.name, fields.type, fields.parent_id]
+    );
+
+    return { data: result.rows[0], message: 'Conta cadastrada no plano de contas!' };
+  })
+);
+
+// Alterar código, nome ou conta-pai
+router.put('/financeiro/plano-contas/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  sanitizeInput(['name']),
+  transactionalHandler('alterar conta do plano de contas', async (client, req) => {
+    const accountId = parseInt(req.params.id);
+    const accounts = await loadChartOfAccounts(client, req.empresa_id);
+    const current = accounts.find(account => account.id === accountId && account.is_active);
+
+    if (!current) {
+      throw financialError('Conta não encontrada no plano de contas', 404);
+    }
+
+    const fields = buildChartAccount(req.body, true);
+    if (fields.parent_id !== undefined) {
+      assertChartParent(accounts, { id: current.id, type: current.type, parentId: fields.parent_id });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await client.query(
+      `UPDATE chart_of_accounts 
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $${columns.length + 1} 
+       RETURNING *`,
+      [...columns.map(column => fields[column]), current.id]
+    );
+
+    return { data: result.rows[0], message: 'Conta atualizada com sucesso!' };
+  })
+);
+
+// Desativar conta (lançamentos antigos continuam classificados nela)
+router.delete('/financeiro/plano-contas/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  transactionalHandler('desativar conta do plano de contas', async (client, req) => {
+    const accountId = parseInt(req.params.id);
+    const accounts = await loadChartOfAccounts(client, req.empresa_id);
+    const current = accounts.find(account => account.id === accountId && account.is_active);
+
+    if (!current) {
+      throw financialError('Conta não encontrada no plano de contas', 404);
+    }
+    if (accounts.some(account => account.parent_id === current.id && account.is_active)) {
+      throw financialError('Desative antes as subcontas desta conta', 409);
+    }
+
+    const result = await client.query(
+      'UPDATE chart_of_accounts SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [current.id]
+    );
+
+    return { data: result.rows[0], message: 'Conta desativada com sucesso!' };
+  })
+);
+
+// Centros de custo da empresa
+router.get('/financeiro/centros-custo', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        `SELECT * FROM cost_centers 
+         WHERE empresa_id = $1 AND ($2::boolean OR is_active = true) 
+         ORDER BY code`,
+        [req.empresa_id, req.query.inativos === 'true'],
+        'select',
+        'cost_centers'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao listar centros de custo:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar centro de custo
+router.post('/financeiro/centros-custo', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  sanitizeInput(['name']),
+  validateRequiredFields(['code', 'name']),
+  transactionalHandler('criar centro de custo', async (client, req) => {
+    const fields = buildCostCenter(req.body);
+
+    const result = await client.query(
+      'INSERT INTO cost_centers (empresa_id, code, name) VALUES ($1, $2, $3) RETURNING *',
+      [req.empresa_id, fields.code, fields.name]
+    );
+
+    return { data: result.rows[0], message: 'Centro de custo cadastrado com sucesso!' };
+  })
+);
+
+// Alterar código ou nome do centro de custo
+router.put('/financeiro/centros-custo/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  sanitizeInput(['name']),
+  transactionalHandler('alterar centro de custo', async (client, req) => {
+    const fields = buildCostCenter(req.body, true);
+    const columns = Object.keys(fields);
+
+    const result = await client.query(
+      `UPDATE cost_centers 
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $${columns.length + 1} AND empresa_id = $${columns.length + 2} AND is_active = true 
+       RETURNING *`,
+      [...columns.map(column => fields[column]), parseInt(req.params.id) || 0, req.empresa_id]
+    );
+
+    if (result.rows.length === 0) {
+      throw financialError('Centro de custo não encontrado', 404);
+    }
+
+    return { data: result.rows[0], message: 'Centro de custo atualizado com sucesso!' };
+  })
+);
+
+// Desativar centro de custo
+router.delete('/financeiro/centros-custo/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  async (req, res) => {
+    try {
+      const centerId = parseInt(req.params.id);
+
+      if (isNaN(centerId)) {
+        return res.status(400).json({ success: false, error: 'ID de centro de custo inválido' });
+      }
+
+      const result = await queryWithMetrics(
+        `UPDATE cost_centers 
+         SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND empresa_id = $2 AND is_active = true 
+         RETURNING *`,
+        [centerId, req.empresa_id],
+        'update',
+        'cost_centers'
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Centro de custo não encontrado' });
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Centro de custo desativado com sucesso!'
+      });
+    } catch (error) {
+      logger.error('Erro ao desativar centro de custo:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// ================= CONTAS BANCÁRIAS E CONCILIAÇÃO DE EXTRATOS =================
+const BANK_LINE_STATUS = {
+  PENDING: 'pendente',
+  RECONCILED: 'conciliado'
+};
+
+const BANK_MATCH_STATUS = {
+  SUGGESTED: 'sugerida',
+  CONFIRMED: 'confirmada',
+  REJECTED: 'rejeitada'
+};
+
+const BANK_STATEMENT_MAX_LINES = 5000;
+
+function readOptionalText(value, maxLength) {
+  if (value === undefined || value === null || value === '') return null;
+  return BizFlowValidators.sanitizeString(String(value)).trim().substring(0, maxLength) || null;
+}
+
+// Conta bancária: nome obrigatório; banco, agência e número são informativos
+function buildBankAccount(body = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) fields.name = readClassificationName(body.name);
+  if (!partial || body.bank_name !== undefined) fields.bank_name = readOptionalText(body.bank_name, 100);
+  if (!partial || body.agency !== undefined) fields.agency = readOptionalText(body.agency, 20);
+  if (!partial || body.account_number !== undefined) fields.account_number = readOptionalText(body.account_number, 30);
+
+  if (partial && Object.keys(fields).length === 0) {
+    throw financialError('Nenhum campo válido para atualizar', 400);
+  }
+
+  return fields;
+}
+
+function readBankStatement(formato, arquivo) {
+  if (!['ofx', 'csv'].includes(formato)) {
+    throw financialError('Formato inválido. Use: ofx, csv', 400);
+  }
+
+  let statement;
+  try {
+    statement = formato === 'ofx' ? BizFlowBankStatement.parseOFX(arquivo) : BizFlowBankStatement.parseCSV(arquivo);
+  } catch (error) {
+    throw financialError(error.message || `Não foi possível ler o arquivo ${formato.toUpperCase()}`, 400);
+  }
+
+  if (statement.lines.length === 0) {
+    throw financialError('O extrato não tem lançamentos válidos', 400);
+  }
+  if (statement.lines.length > BANK_STATEMENT_MAX_LINES) {
+    throw financialError(`Limite de ${BANK_STATEMENT_MAX_LINES} lançamentos por extrato`, 413);
+  }
+
+  return statement;
+}
+
+function parseBankAccountId(req) {
+  const bankAccountId = parseInt(req.params.id);
+  if (isNaN(bankAccountId)) {
+    throw financialError('ID de conta bancária inválido', 400);
+  }
+  return bankAccountId;
+}
+
+async function getBankAccount(db, empresaId, bankAccountId) {
+  const result = await db.query(
+    'SELECT * FROM bank_accounts WHERE id = $1 AND empresa_id = $2 AND is_active = true',
+    [bankAccountId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw financialError('Conta bancária não encontrada', 404);
+  }
+
+  return result.rows[0];
+}
+
+// Motor de conciliação: sugere lançamentos em aberto (valor, data e descrição) para as linhas
+// pendentes que não têm sugestão aguardando decisão; pares rejeitados não voltam a ser sugeridos
+async function suggestBankMatches(client, empresaId, bankAccountId) {
+  const lines = await client.query(
+    `SELECT l.* FROM bank_statement_lines l 
+     WHERE l.bank_account_id = $1 AND l.status = $2 
+       AND NOT EXISTS (
+         SELECT 1 FROM bank_reconciliation_matches m WHERE m.statement_line_id = l.id AND m.status = $3
+       )`,
+    [bankAccountId, BANK_LINE_STATUS.PENDING, BANK_MATCH_STATUS.SUGGESTED]
+  );
+  if (lines.rows.length === 0) return 0;
+
+  const dates = lines.rows.map(line => toISODate(line.transaction_date)).sort();
+  const accounts = await client.query(
+    `SELECT id, name, type, amount, paid_amount, due_date FROM financial_accounts 
+     WHERE empresa_id = $1 AND status = ANY($2::varchar[]) AND due_date BETWEEN $3 AND $4`,
+    [empresaId, FINANCIAL_OPEN_STATUSES,
+      addDays(dates[0], -BizFlowBankStatement.MATCH_WINDOW_DAYS),
+      addDays(dates[dates.length - 1], BizFlowBankStatement.MATCH_WINDOW_DAYS)]
+  );
+  const decided = await client.query(
+    'SELECT statement_line_id, financial_account_id FROM bank_reconciliation_matches WHERE statement_line_id = ANY($1::int[])',
+    [lines.rows.map(line => line.id)]
+  );
+
+  const excluded = new Set(decided.rows.map(match => `${match.statement_line_id}:${match.financial_account_id}`));
+  const matches = BizFlowBankStatement.suggestMatches(lines.rows, accounts.rows, excluded);
+
+  for (const match of matches) {
+    await client.query(
+      `INSERT INTO bank_reconciliation_matches (empresa_id, statement_line_id, financial_account_id, score) 
+       VALUES ($1, $2, $3, $4) 
+       ON CONFLICT (statement_line_id, financial_account_id) DO NOTHING`,
+      [empresaId, match.statement_line_id, match.financial_account_id, match.score]
+    );
+  }
+
+  return matches.length;
+}
+
+async function getBankMatchForUpdate(client, empresaId, matchId) {
+  const result = await client.query(
+    `SELECT m.*, l.bank_account_id, l.transaction_date, l.amount as line_amount, 
+       l.description as line_description, l.status as line_status 
+     FROM bank_reconciliation_matches m 
+     JOIN bank_statement_lines l ON l.id = m.statement_line_id 
+     WHERE m.id = $1 AND m.empresa_id = $2 
+     FOR UPDATE OF m, l`,
+    [matchId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw financialError('Sugestão de conciliação não encontrada', 404);
+  }
+
+  const match = result.rows[0];
+  if (match.status !== BANK_MATCH_STATUS.SUGGESTED) {
+    throw financialError('Sugestão já confirmada ou rejeitada', 409);
+  }
+
+  return match;
+}
+
+function parseBankMatchId(req) {
+  const matchId = parseInt(req.params.id);
+  if (isNaN(matchId)) {
+    throw financialError('ID de sugestão inválido', 400);
+  }
+  return matchId;
+}
+
+// Contas bancárias com a quantidade de linhas de extrato ainda não conciliadas
+router.get('/financeiro/contas-bancarias', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const result = await queryWithMetrics(
+        `SELECT b.*, 
+          (SELECT COUNT(*) FROM bank_statement_lines l 
+           WHERE l.bank_account_id = b.id AND l.status = $3) as linhas_pendentes 
+         FROM bank_accounts b 
+         WHERE b.empresa_id = $1 AND ($2::boolean OR b.is_active = true) 
+         ORDER BY b.name`,
+        [req.empresa_id, req.query.inativas === 'true', BANK_LINE_STATUS.PENDING],
+        'select',
+        'bank_accounts'
+      );
+
       res.json({
         success: true,
         data: result.rows
       });
     } catch (error) {
-      logger.error('Erro ao buscar notificações:', error);
+      logger.error('Erro ao listar contas bancárias:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// Marcar notificação como lida
-router.patch('/notifications/:id/read', requireAuth, async (req, res) => {
-  try {
-    await queryWithMetrics(
-      'UPDATE notifications SET is_read = true WHERE id = $1 AND (user_id IS NULL OR user_id = $2)',
-      [req.params.id, req.user.id],
-      'update',
-      'notifications'
+// Criar conta bancária
+router.post('/financeiro/contas-bancarias', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  validateRequiredFields(['name']),
+  transactionalHandler('criar conta bancária', async (client, req) => {
+    const fields = buildBankAccount(req.body);
+
+    const result = await client.query(
+      `INSERT INTO bank_accounts (empresa_id, name, bank_name, agency, account_number) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING *`,
+      [req.empresa_id, fields.name, fields.bank_name, fields.agency, fields.account_number]
     );
 
-    // Invalidar cache de notificações
-    await redis.del(`cache:notifications:/api/notifications`);
+    return { data: result.rows[0], message: 'Conta bancária cadastrada com sucesso!' };
+  })
+);
 
-    res.json({
-      success: true,
-      message: 'Notificação marcada como lida'
+// Alterar dados da conta bancária
+router.put('/financeiro/contas-bancarias/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  transactionalHandler('alterar conta bancária', async (client, req) => {
+    const bankAccount = await getBankAccount(client, req.empresa_id, parseBankAccountId(req));
+    const fields = buildBankAccount(req.body, true);
+    const columns = Object.keys(fields);
+
+    const result = await client.query(
+      `UPDATE bank_accounts 
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $${columns.length + 1} 
+       RETURNING *`,
+      [...columns.map(column => fields[column]), bankAccount.id]
+    );
+
+    return { data: result.rows[0], message: 'Conta bancária atualizada com sucesso!' };
+  })
+);
+
+// Desativar conta bancária (extratos e conciliações continuam no histórico)
+router.delete('/financeiro/contas-bancarias/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:manage'),
+  transactionalHandler('desativar conta bancária', async (client, req) => {
+    const bankAccount = await getBankAccount(client, req.empresa_id, parseBankAccountId(req));
+
+    const result = await client.query(
+      'UPDATE bank_accounts SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [bankAccount.id]
+    );
+
+    return { data: result.rows[0], message: 'Conta bancária desativada com sucesso!' };
+  })
+);
+
+// Importar extrato OFX ou CSV (linhas já importadas são ignoradas) e gerar sugestões de conciliação
+router.post('/financeiro/contas-bancarias/:id/extratos', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:reconcile'),
+  validateRequiredFields(['formato', 'arquivo']),
+  transactionalHandler('importar extrato bancário', async (client, req) => {
+    const bankAccount = await getBankAccount(client, req.empresa_id, parseBankAccountId(req));
+    const statement = readBankStatement(req.body.formato, req.body.arquivo);
+
+    let importadas = 0;
+    for (const line of statement.lines) {
+      const result = await client.query(
+        `INSERT INTO bank_statement_lines 
+           (empresa_id, bank_account_id, fitid, transaction_date, amount, description, created_by) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) 
+         ON CONFLICT (bank_account_id, fitid) DO NOTHING 
+         RETURNING id`,
+        [req.empresa_id, bankAccount.id, line.fitid, line.date, line.amount, line.description || null, req.user.id]
+      );
+      importadas += result.rowCount;
+    }
+
+    const sugestoes = await suggestBankMatches(client, req.empresa_id, bankAccount.id);
+
+    BizFlowLogger.businessLog('Extrato bancário importado', {
+      bankAccountId: bankAccount.id,
+      empresaId: req.empresa_id,
+      userId: req.user.id,
+      formato: req.body.formato,
+      importadas,
+      sugestoes
     });
-  } catch (error) {
-    logger.error('Erro ao marcar notificação como lida:', error);
-    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+
+    return {
+      data: {
+        importadas,
+        duplicadas: statement.lines.length - importadas,
+        com_erro: statement.errors.length,
+        erros: statement.errors,
+        sugestoes
+      },
+      message: `Extrato importado! ${importadas} lançamento(s) novo(s), ${sugestoes} sugestão(ões) de conciliação.`
+    };
+  })
+);
+
+// Linhas do extrato (padrão: pendentes) com as sugestões aguardando decisão
+router.get('/financeiro/contas-bancarias/:id/extrato', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const bankAccount = await getBankAccount(pool, req.empresa_id, parseBankAccountId(req));
+      const status = req.query.status || BANK_LINE_STATUS.PENDING;
+
+      if (!Object.values(BANK_LINE_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Status inválido. Use: ${Object.values(BANK_LINE_STATUS).join(', ')}`
+        });
+      }
+
+      const lines = await queryWithMetrics(
+        `SELECT l.*, f.name as financial_account_name 
+         FROM bank_statement_lines l 
+         LEFT JOIN financial_accounts f ON f.id = l.financial_account_id 
+         WHERE l.bank_account_id = $1 AND l.status = $2 
+         ORDER BY l.transaction_date, l.id`,
+        [bankAccount.id, status],
+        'select',
+        'bank_statement_lines'
+      );
+
+      const suggestions = await queryWithMetrics(
+        `SELECT m.id, m.statement_line_id, m.financial_account_id, m.score, 
+           f.name, f.type, f.amount, f.paid_amount, f.due_date, f.amount - f.paid_amount as saldo 
+         FROM bank_reconciliation_matches m 
+         JOIN financial_accounts f ON f.id = m.financial_account_id 
+         WHERE m.statement_line_id = ANY($1::int[]) AND m.status = $2 
+         ORDER BY m.score DESC`,
+        [lines.rows.map(line => line.id), BANK_MATCH_STATUS.SUGGESTED],
+        'select',
+        'bank_reconciliation_matches'
+      );
+
+      res.json({
+        success: true,
+        data: {
+          conta_bancaria: bankAccount,
+          linhas: lines.rows.map(line => ({
+            ...line,
+            sugestoes: suggestions.rows.filter(match => match.statement_line_id === line.id)
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error('Erro ao listar extrato bancário:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
   }
-});
+);
 
-// ================= ROTAS FINANCEIRAS COM CACHE =================
+// Rodar o motor de conciliação de novo (ex.: após cadastrar lançamentos que faltavam)
+router.post('/financeiro/contas-bancarias/:id/conciliar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:reconcile'),
+  transactionalHandler('gerar sugestões de conciliação', async (client, req) => {
+    const bankAccount = await getBankAccount(client, req.empresa_id, parseBankAccountId(req));
+    const sugestoes = await suggestBankMatches(client, req.empresa_id, bankAccount.id);
 
-// Listar contas financeiras
-router.get('/financeiro', 
+    return { data: { sugestoes }, message: `${sugestoes} nova(s) sugestão(ões) de conciliação.` };
+  })
+);
+
+// Confirmar sugestão: registra a baixa do lançamento com o valor e a data do extrato
+router.post('/financeiro/conciliacao/:id/confirmar', 
   requireAuth, 
   empresaContext, 
-  cacheMiddleware(300, 'financeiro'),
+  requirePermission('financeiro:reconcile'),
+  requirePermission('financeiro:settle'),
+  transactionalHandler('confirmar conciliação', async (client, req) => {
+    const match = await getBankMatchForUpdate(client, req.empresa_id, parseBankMatchId(req));
+    if (match.line_status !== BANK_LINE_STATUS.PENDING) {
+      throw financialError('Linha do extrato já conciliada', 409);
+    }
+
+    const account = await getFinancialAccountForUpdate(client, req.empresa_id, match.financial_account_id);
+    const settlement = buildSettlement(account, {
+      amount: Math.abs(parseFloat(match.line_amount)),
+      payment_date: toISODate(match.transaction_date),
+      payment_method: 'transferencia',
+      notes: `Conciliação bancária${match.line_description ? `: ${match.line_description}` : ''}`
+    });
+    const { lancamento, baixa } = await recordSettlement(client, {
+      empresaId: req.empresa_id,
+      account,
+      settlement,
+      userId: req.user.id
+    });
+
+    const linha = await client.query(
+      `UPDATE bank_statement_lines 
+       SET status = $1, financial_account_id = $2, settlement_id = $3, reconciled_by = $4, reconciled_at = CURRENT_TIMESTAMP 
+       WHERE id = $5 
+       RETURNING *`,
+      [BANK_LINE_STATUS.RECONCILED, account.id, baixa.id, req.user.id, match.statement_line_id]
+    );
+    await client.query(
+      `UPDATE bank_reconciliation_matches 
+       SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP 
+       WHERE id = $3`,
+      [BANK_MATCH_STATUS.CONFIRMED, req.user.id, match.id]
+    );
+
+    // As demais sugestões da linha (e do lançamento, se quitado) deixam de fazer sentido
+    await client.query(
+      `DELETE FROM bank_reconciliation_matches 
+       WHERE status = $1 AND (statement_line_id = $2 OR ($3::boolean AND financial_account_id = $4))`,
+      [BANK_MATCH_STATUS.SUGGESTED, match.statement_line_id, settlement.status !== FINANCIAL_STATUS.PARTIAL, account.id]
+    );
+    await invalidateFinancialCache(req.empresa_id);
+
+    BizFlowLogger.businessLog('Conciliação bancária confirmada', {
+      matchId: match.id,
+      accountId: account.id,
+      empresaId: req.empresa_id,
+      userId: req.user.id,
+      amount: settlement.amount
+    });
+
+    return {
+      data: { linha: linha.rows[0], lancamento, baixa },
+      message: 'Conciliação confirmada e baixa registrada!'
+    };
+  })
+);
+
+// Rejeitar sugestão: o par não volta a ser sugerido e a linha pode receber a próxima candidata
+router.post('/financeiro/conciliacao/:id/rejeitar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:reconcile'),
+  transactionalHandler('rejeitar conciliação', async (client, req) => {
+    const match = await getBankMatchForUpdate(client, req.empresa_id, parseBankMatchId(req));
+
+    const result = await client.query(
+      `UPDATE bank_reconciliation_matches 
+       SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP 
+       WHERE id = $3 
+       RETURNING *`,
+      [BANK_MATCH_STATUS.REJECTED, req.user.id, match.id]
+    );
+    const sugestoes = await suggestBankMatches(client, req.empresa_id, match.bank_account_id);
+
+    return {
+      data: { sugestao: result.rows[0], novas_sugestoes: sugestoes },
+      message: 'Sugestão rejeitada.'
+    };
+  })
+);
+
+// ================= RECORRÊNCIAS FINANCEIRAS =================
+// Mensal (mesmo dia, limitado ao fim do mês), semanal ou a cada N dias, com data final opcional
+const RECURRENCE_FREQUENCIES = ['mensal', 'semanal', 'dias'];
+
+// Ocorrências são geradas com antecedência para já aparecerem em contas a pagar/receber
+const RECURRENCE_HORIZON_DAYS = 45;
+
+function toISODate(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return value ? String(value).substring(0, 10) : null;
+}
+
+function isISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function recurrenceHorizon() {
+  return addDays(new Date().toISOString().split('T')[0], RECURRENCE_HORIZON_DAYS);
+}
+
+// N-ésima ocorrência calculada sempre a partir da data inicial (evita deriva de 31 → 28 → 28...)
+function recurrenceOccurrenceDate(recurrence, index) {
+  const start = toISODate(recurrence.start_date);
+
+  if (recurrence.frequency === 'mensal') {
+    const [year, month, day] = start.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + index, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+  }
+
+  const step = recurrence.frequency === 'semanal' ? 7 : parseInt(recurrence.interval_days);
+  return addDays(start, index * step);
+}
+
+// Datas ainda não geradas até o horizonte, respeitando a data final da recorrência
+function pendingRecurrenceDates(recurrence, untilDate) {
+  const endDate = toISODate(recurrence.end_date);
+  const limit = endDate && endDate < untilDate ? endDate : untilDate;
+  const generatedUntil = toISODate(recurrence.generated_until);
+  const dates = [];
+
+  for (let index = 0; ; index++) {
+    const date = recurrenceOccurrenceDate(recurrence, index);
+    if (date > limit) break;
+    if (!generatedUntil || date > generatedUntil) dates.push(date);
+  }
+
+  return dates;
+}
+
+function readFinancialName(value) {
+  const name = value ? BizFlowValidators.sanitizeString(String(value)).trim() : '';
+  if (!name || name.length > 200) {
+    throw financialError('Nome é obrigatório (até 200 caracteres)', 400);
+  }
+  return name;
+}
+
+function readFinancialAmount(value, minimum = 0) {
+  const validation = BizFlowValidators.validatePrice(value);
+  if (!validation.isValid || validation.normalized <= 0) {
+    throw financialError('Valor deve ser maior que zero', 400);
+  }
+  const amount = roundMoney(validation.normalized);
+  if (amount < minimum) {
+    throw financialError(`Valor não pode ser menor que o já baixado (${minimum.toFixed(2)})`, 400);
+  }
+  return amount;
+}
+
+function readRecurrenceEndDate(value, startDate) {
+  if (value === null || value === '') return null;
+  if (!isISODate(value) || value < toISODate(startDate)) {
+    throw financialError('Data final inválida ou anterior à data inicial (use AAAA-MM-DD)', 400);
+  }
+  return value;
+}
+
+function buildRecurrence(body = {}) {
+  if (!['receita', 'despesa'].includes(body.type)) {
+    throw financialError('Tipo inválido. Use: receita, despesa', 400);
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(body.frequency)) {
+    throw financialError(`Frequência inválida. Use: ${RECURRENCE_FREQUENCIES.join(', ')}`, 400);
+  }
+
+  const intervalDays = body.frequency === 'dias' ? parseInt(body.interval_days) : null;
+  if (body.frequency === 'dias' && (isNaN(intervalDays) || intervalDays < 1 || intervalDays > 365)) {
+    throw financialError('Intervalo em dias deve ser um número entre 1 e 365', 400);
+  }
+
+  if (!isISODate(body.start_date)) {
+    throw financialError('Data inicial inválida (use AAAA-MM-DD)', 400);
+  }
+
+  return {
+    name: readFinancialName(body.name),
+    type: body.type,
+    amount: readFinancialAmount(body.amount),
+    frequency: body.frequency,
+    interval_days: intervalDays,
+    start_date: body.start_date,
+    end_date: body.end_date === undefined ? null : readRecurrenceEndDate(body.end_date, body.start_date)
+  };
+}
+
+// Na série só mudam nome, valor, data final e classificação; outra frequência ou início exige nova recorrência
+function buildRecurrenceChanges(recurrence, body = {}, classification = {}) {
+  if (['frequency', 'interval_days', 'start_date', 'type'].some(field => body[field] !== undefined)) {
+    throw financialError('Tipo, frequência e data inicial não podem ser alterados; encerre a recorrência e crie outra', 400);
+  }
+
+  const changes = {};
+  if (body.name !== undefined) changes.name = readFinancialName(body.name);
+  if (body.amount !== undefined) changes.amount = readFinancialAmount(body.amount);
+  if (body.end_date !== undefined) changes.end_date = readRecurrenceEndDate(body.end_date, recurrence.start_date);
+  Object.assign(changes, classification);
+
+  if (Object.keys(changes).length === 0) {
+    throw financialError('Nenhum campo válido para atualizar', 400);
+  }
+
+  return changes;
+}
+
+// Edição de um lançamento em aberto (avulso ou uma única ocorrência da série)
+function buildAccountChanges(account, body = {}, classification = {}) {
+  if (!FINANCIAL_OPEN_STATUSES.includes(account.status)) {
+    throw financialError('Somente lançamentos em aberto podem ser alterados', 409);
+  }
+
+  const changes = {};
+  if (body.name !== undefined) changes.name = readFinancialName(body.name);
+  if (body.amount !== undefined) changes.amount = readFinancialAmount(body.amount, parseFloat(account.paid_amount) || 0);
+  if (body.due_date !== undefined) {
+    if (!isISODate(body.due_date)) {
+      throw financialError('Data de vencimento inválida (use AAAA-MM-DD)', 400);
+    }
+    changes.due_date = body.due_date;
+  }
+  Object.assign(changes, classification);
+
+  if (Object.keys(changes).length === 0) {
+    throw financialError('Nenhum campo válido para atualizar', 400);
+  }
+
+  // Valor reduzido até o já baixado quita o lançamento
+  const paid = parseFloat(account.paid_amount) || 0;
+  if (changes.amount !== undefined && paid > 0 && paid >= changes.amount) {
+    changes.status = settledStatus(account.type);
+  }
+
+  return changes;
+}
+
+// Gera as ocorrências pendentes da recorrência (o índice único impede duplicar uma data)
+async function generateRecurrenceOccurrences(client, recurrence, untilDate = recurrenceHorizon()) {
+  const dates = recurrence.is_active ? pendingRecurrenceDates(recurrence, untilDate) : [];
+
+  for (const date of dates) {
+    await client.query(
+      `INSERT INTO financial_accounts 
+         (empresa_id, name, type, amount, due_date, status, recurrence_id, recurrence_date, category_id, cost_center_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $5, $8, $9) 
+       ON CONFLICT (recurrence_id, recurrence_date) DO NOTHING`,
+      [recurrence.empresa_id, recurrence.name, recurrence.type, recurrence.amount, date, FINANCIAL_STATUS.PENDING,
+        recurrence.id, recurrence.category_id ?? null, recurrence.cost_center_id ?? null]
+    );
+  }
+
+  if (dates.length > 0) {
+    await client.query(
+      'UPDATE financial_recurrences SET generated_until = $1 WHERE id = $2',
+      [dates[dates.length - 1], recurrence.id]
+    );
+  }
+
+  return dates.length;
+}
+
+async function getRecurrenceForUpdate(client, empresaId, recurrenceId) {
+  const result = await client.query(
+    'SELECT * FROM financial_recurrences WHERE id = $1 AND empresa_id = $2 FOR UPDATE',
+    [recurrenceId, empresaId]
+  );
+
+  if (result.rows.length === 0) {
+    throw financialError('Recorrência não encontrada', 404);
+  }
+
+  return result.rows[0];
+}
+
+// Edição da série: a regra vale para as próximas gerações e para as ocorrências em aberto sem baixa
+// que não foram alteradas individualmente; ocorrências após a nova data final são canceladas
+async function updateRecurrenceSeries(client, recurrence, changes) {
+  const fields = Object.keys(changes);
+  const updated = await client.query(
+    `UPDATE financial_recurrences 
+     SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $${fields.length + 1} 
+     RETURNING *`,
+    [...fields.map(field => changes[field]), recurrence.id]
+  );
+  const recorrencia = updated.rows[0];
+
+  let ocorrenciasAtualizadas = 0;
+  if (changes.name !== undefined || changes.amount !== undefined) {
+    const result = await client.query(
+      `UPDATE financial_accounts 
+       SET name = $1, amount = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE recurrence_id = $3 AND status = $4 AND paid_amount = 0 AND recurrence_override = false`,
+      [recorrencia.name, recorrencia.amount, recurrence.id, FINANCIAL_STATUS.PENDING]
+    );
+    ocorrenciasAtualizadas = result.rowCount;
+  }
+
+  // A classificação da série vale para todas as ocorrências ainda em aberto
+  if (changes.category_id !== undefined || changes.cost_center_id !== undefined) {
+    const result = await client.query(
+      `UPDATE financial_accounts 
+       SET category_id = $1, cost_center_id = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE recurrence_id = $3 AND status = ANY($4::varchar[])`,
+      [recorrencia.category_id, recorrencia.cost_center_id, recurrence.id, FINANCIAL_OPEN_STATUSES]
+    );
+    ocorrenciasAtualizadas = Math.max(ocorrenciasAtualizadas, result.rowCount);
+  }
+
+  let ocorrenciasCanceladas = 0;
+  if (changes.end_date) {
+    const result = await client.query(
+      `UPDATE financial_accounts 
+       SET status = $1, cancelled_at = CURRENT_TIMESTAMP, cancel_reason = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE recurrence_id = $3 AND recurrence_date > $4 AND status = $5 AND paid_amount = 0`,
+      [FINANCIAL_STATUS.CANCELLED, 'Fim da recorrência', recurrence.id, changes.end_date, FINANCIAL_STATUS.PENDING]
+    );
+    ocorrenciasCanceladas = result.rowCount;
+  }
+
+  const ocorrenciasGeradas = await generateRecurrenceOccurrences(client, recorrencia);
+
+  return {
+    recorrencia,
+    ocorrencias_atualizadas: ocorrenciasAtualizadas,
+    ocorrencias_canceladas: ocorrenciasCanceladas,
+    ocorrencias_geradas: ocorrenciasGeradas
+  };
+}
+
+// Recorrências da empresa com o próximo vencimento em aberto
+router.get('/financeiro/recorrencias', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
   async (req, res) => {
     try {
       const result = await queryWithMetrics(
-        'SELECT * FROM financial_accounts WHERE empresa_id = $1 ORDER BY due_date, created_at DESC',
-        [req.empresa_id],
+        `SELECT r.*, u.full_name as created_by_name,
+          (SELECT MIN(f.due_date) FROM financial_accounts f 
+           WHERE f.recurrence_id = r.id AND f.status = ANY($2::varchar[])) as proximo_vencimento,
+          (SELECT COUNT(*) FROM financial_accounts f WHERE f.recurrence_id = r.id) as total_ocorrencias
+         FROM financial_recurrences r
+         LEFT JOIN users u ON r.created_by = u.id
+         WHERE r.empresa_id = $1
+         ORDER BY r.is_active DESC, r.name`,
+        [req.empresa_id, FINANCIAL_OPEN_STATUSES],
+        'select',
+        'financial_recurrences'
+      );
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Erro ao listar recorrências financeiras:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Criar recorrência e gerar as ocorrências do horizonte
+router.post('/financeiro/recorrencias', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:create'),
+  sanitizeInput(['name']),
+  validateRequiredFields(['name', 'type', 'amount', 'frequency', 'start_date']),
+  transactionalHandler('criar recorrência', async (client, req) => {
+    const fields = buildRecurrence(req.body);
+    const classification = await resolveFinancialClassification(client, req.empresa_id, fields.type, req.body);
+
+    const result = await client.query(
+      `INSERT INTO financial_recurrences 
+         (empresa_id, name, type, amount, frequency, interval_days, start_date, end_date, category_id, cost_center_id, created_by) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+       RETURNING *`,
+      [req.empresa_id, fields.name, fields.type, fields.amount, fields.frequency, fields.interval_days, fields.start_date,
+        fields.end_date, classification.category_id ?? null, classification.cost_center_id ?? null, req.user.id]
+    );
+
+    const ocorrenciasGeradas = await generateRecurrenceOccurrences(client, result.rows[0]);
+    await invalidateFinancialCache(req.empresa_id);
+
+    BizFlowLogger.businessLog('Recorrência financeira criada', {
+      recurrenceId: result.rows[0].id,
+      empresaId: req.empresa_id,
+      userId: req.user.id,
+      frequency: fields.frequency,
+      ocorrenciasGeradas
+    });
+
+    return {
+      data: { recorrencia: result.rows[0], ocorrencias_geradas: ocorrenciasGeradas },
+      message: `Recorrência criada com sucesso! ${ocorrenciasGeradas} lançamento(s) gerado(s).`
+    };
+  })
+);
+
+// Alterar a série inteira (nome, valor e data final)
+router.put('/financeiro/recorrencias/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:update'),
+  sanitizeInput(['name']),
+  transactionalHandler('alterar recorrência', async (client, req) => {
+    const recurrenceId = parseInt(req.params.id);
+    if (isNaN(recurrenceId)) {
+      throw financialError('ID de recorrência inválido', 400);
+    }
+
+    const recurrence = await getRecurrenceForUpdate(client, req.empresa_id, recurrenceId);
+    const classification = await resolveFinancialClassification(client, req.empresa_id, recurrence.type, req.body);
+    const result = await updateRecurrenceSeries(client, recurrence, buildRecurrenceChanges(recurrence, req.body, classification));
+    await invalidateFinancialCache(req.empresa_id);
+
+    return { data: result, message: 'Recorrência atualizada com sucesso!' };
+  })
+);
+
+// Encerrar recorrência: não gera mais ocorrências e cancela as futuras ainda sem baixa
+router.post('/financeiro/recorrencias/:id/encerrar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:update'),
+  transactionalHandler('encerrar recorrência', async (client, req) => {
+    const recurrenceId = parseInt(req.params.id);
+    if (isNaN(recurrenceId)) {
+      throw financialError('ID de recorrência inválido', 400);
+    }
+
+    const recurrence = await getRecurrenceForUpdate(client, req.empresa_id, recurrenceId);
+    if (!recurrence.is_active) {
+      throw financialError('Recorrência já encerrada', 409);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const endDate = toISODate(recurrence.end_date);
+    const result = await updateRecurrenceSeries(client, recurrence, {
+      end_date: endDate && endDate < today ? endDate : today,
+      is_active: false
+    });
+    await invalidateFinancialCache(req.empresa_id);
+
+    BizFlowLogger.businessLog('Recorrência financeira encerrada', {
+      recurrenceId,
+      empresaId: req.empresa_id,
+      userId: req.user.id,
+      ocorrenciasCanceladas: result.ocorrencias_canceladas
+    });
+
+    return { data: result, message: 'Recorrência encerrada com sucesso!' };
+  })
+);
+
+// Lançamento com o histórico de baixas
+router.get('/financeiro/:id', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const accountId = parseInt(req.params.id);
+
+      if (isNaN(accountId)) {
+        return res.status(400).json({ success: false, error: 'ID de lançamento inválido' });
+      }
+
+      const account = await queryWithMetrics(
+        'SELECT *, amount - paid_amount as saldo FROM financial_accounts WHERE id = $1 AND empresa_id = $2',
+        [accountId, req.empresa_id],
         'select',
         'financial_accounts'
       );
-      
+
+      if (account.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Lançamento não encontrado' });
+      }
+
+      const settlements = await queryWithMetrics(
+        `SELECT fs.*, u.full_name as created_by_name
+         FROM financial_settlements fs
+         LEFT JOIN users u ON fs.created_by = u.id
+         WHERE fs.financial_account_id = $1
+         ORDER BY fs.payment_date, fs.id`,
+        [accountId],
+        'select',
+        'financial_settlements'
+      );
+
       res.json({
         success: true,
-        data: result.rows
+        data: { ...account.rows[0], baixas: settlements.rows }
       });
     } catch (error) {
-      logger.error('Erro ao buscar contas financeiras:', error);
+      logger.error('Erro ao buscar lançamento financeiro:', error);
       res.status(500).json({ success: false, error: 'Erro interno do servidor' });
     }
   }
 );
 
-// Criar conta financeira
-router.post('/financeiro', 
+// Registrar pagamento (despesa) ou recebimento (receita), parcial ou total
+router.post('/financeiro/:id/baixa', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:settle'),
+  sanitizeInput(['notes']),
+  transactionalHandler('registrar baixa', async (client, req) => {
+    const accountId = parseFinancialId(req);
+    const account = await getFinancialAccountForUpdate(client, req.empresa_id, accountId);
+    const settlement = buildSettlement(account, req.body);
+    const { lancamento, baixa } = await recordSettlement(client, {
+      empresaId: req.empresa_id,
+      account,
+      settlement,
+      userId: req.user.id
+    });
+
+    await invalidateFinancialCache(req.empresa_id);
+
+    BizFlowLogger.businessLog('Baixa financeira registrada', {
+      accountId,
+      empresaId: req.empresa_id,
+      userId: req.user.id,
+      amount: settlement.amount,
+      status: settlement.status
+    });
+
+    const quitado = settlement.status !== FINANCIAL_STATUS.PARTIAL;
+    return {
+      data: { lancamento, baixa },
+      message: quitado
+        ? `Lançamento ${account.type === 'receita' ? 'recebido' : 'pago'} com sucesso!`
+        : `Baixa parcial registrada. Saldo em aberto: ${parseFloat(lancamento.saldo).toFixed(2)}`
+    };
+  })
+);
+
+// Cancelar lançamento em aberto (sem baixas registradas)
+router.post('/financeiro/:id/cancelar', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('financeiro:cancel'),
+  sanitizeInput(['reason']),
+  validateRequiredFields(['reason']),
+  transactionalHandler('cancelar lançamento', async (client, req) => {
+    const accountId = parseFinancialId(req);
+    const account = await getFinancialAccountForUpdate(client, req.empresa_id, accountId);
+
+    if (account.status === FINANCIAL_STATUS.CANCELLED) {
+      throw financialError('Lançamento já cancelado', 409);
+    }
+    if (!FINANCIAL_OPEN_STATUSES.includes(account.status) || parseFloat(account.paid_amount) > 0) {
+      throw financialError('Lançamento com baixas registradas não pode ser cancelado', 409);
+    }
+
+    const updated = await client.query(
+      `UPDATE financial_accounts 
+       SET status = $1, cancelled_at = CURRENT_TIMESTAMP, cancel_reason = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $3 
+       RETURNING *`,
+      [FINANCIAL_STATUS.CANCELLED, String(req.body.reason).substring(0, 255), accountId]
+    );
+
+    await invalidateFinancialCache(req.empresa_id);
+
+    BizFlowLogger.businessLog('Lançamento financeiro cancelado', {
+      accountId,
+      empresaId: req.empresa_id,
+      userId: req.user.id
+    });
+
+    return { data: updated.rows[0], message: 'Lançamento cancelado com sucesso!' };
+  })
+);
+
+// Alterar lançamento em aberto; em recorrências, escopo 'ocorrencia' (padrão) altera só este
+// lançamento e escopo 'serie' altera a recorrência inteira
+router.put('/financeiro/:id', 
   requireAuth, 
   empresaContext, 
+  requirePermission('financeiro:update'),
   sanitizeInput(['name']),
-  validateRequiredFields(['name', 'type', 'amount']),
-  async (req, res) => {
-    try {
-      const { name, type, amount, due_date } = req.body;
-      
-      const result = await queryWithMetrics(
-        `INSERT INTO financial_accounts (empresa_id, name, type, amount, due_date) 
-         VALUES ($1, $2, $3, $4, $5) 
-         RETURNING *`,
-        [req.empresa_id, name, type, amount, due_date],
-        'insert',
-        'financial_accounts'
-      );
+  transactionalHandler('alterar lançamento', async (client, req) => {
+    const accountId = parseFinancialId(req);
+    const account = await getFinancialAccountForUpdate(client, req.empresa_id, accountId);
+    const escopo = req.body.escopo || 'ocorrencia';
 
-      // Invalidar cache financeiro
-      await redis.del(`cache:financeiro:/api/financeiro?empresa_id=${req.empresa_id}`);
+    if (!['ocorrencia', 'serie'].includes(escopo)) {
+      throw financialError('Escopo inválido. Use: ocorrencia, serie', 400);
+    }
 
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: "Conta financeira registrada com sucesso!"
-      });
-    } catch (error) {
-      logger.error('Erro ao criar conta financeira:', error);
-      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    const classification = await resolveFinancialClassification(client, req.empresa_id, account.type, req.body);
+
+    if (escopo === 'serie') {
+      if (!account.recurrence_id) {
+        throw financialError('Lançamento não pertence a uma recorrência', 400);
+      }
+      if (req.body.due_date !== undefined) {
+        throw financialError('O vencimento segue a regra da recorrência; altere-o apenas na ocorrência', 400);
+      }
+
+      const recurrence = await getRecurrenceForUpdate(client, req.empresa_id, account.recurrence_id);
+      const result = await updateRecurrenceSeries(client, recurrence, buildRecurrenceChanges(recurrence, req.body, classification));
+      await invalidateFinancialCache(req.empresa_id);
+
+      return { data: result, message: 'Recorrência atualizada com sucesso!' };
     }
-  }
+
+    const changes = buildAccountChanges(account, req.body, classification);
+    if (account.recurrence_id) {
+      // Ocorrência alterada individualmente deixa de acompanhar as edições da série
+      changes.recurrence_override = true;
+    }
+
+    const fields = Object.keys(changes);
+    const updated = await client.query(
+      `UPDATE financial_accounts 
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $${fields.length + 1} 
+       RETURNING *, amount - paid_amount as saldo`,
+      [...fields.map(field => changes[field]), accountId]
+    );
+    await invalidateFinancialCache(req.empresa_id);
+
+    return { data: updated.rows[0], message: 'Lançamento atualizado com sucesso!' };
+  })
 );
 
 // ================= ROTAS DE RELATÓRIOS COM CACHE =================
@@ -631,6 +7321,7 @@ router.post('/financeiro',
 router.get('/relatorios/vendas', 
   requireAuth, 
   empresaContext, 
+  requirePermission('relatorios:read'),
   cacheMiddleware(600, 'relatorios'),
   async (req, res) => {
     try {
@@ -647,6 +7338,7 @@ router.get('/relatorios/vendas',
           COUNT(DISTINCT s.id) as vendas_por_dia
         FROM sales s
         WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled'
         GROUP BY DATE(s.sale_date), s.payment_method
         ORDER BY data DESC, s.payment_method`,
         [req.empresa_id],
@@ -663,7 +7355,8 @@ router.get('/relatorios/vendas',
           MAX(s.total_amount) as maior_venda,
           MIN(s.total_amount) as menor_venda
         FROM sales s
-        WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'`,
+        WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled'`,
         [req.empresa_id],
         'select',
         'sales'
@@ -693,6 +7386,7 @@ router.get('/relatorios/vendas',
 router.get('/relatorios/estoque', 
   requireAuth, 
   empresaContext, 
+  requirePermission('relatorios:read'),
   cacheMiddleware(600, 'relatorios'),
   async (req, res) => {
     try {
@@ -754,16 +7448,53 @@ router.get('/relatorios/estoque',
   }
 );
 
+// Conciliação do estoque com o kardex (sem cache: sempre reflete o momento da consulta)
+router.get('/relatorios/estoque/conciliacao', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const report = await reportsService.getStockReconciliation(req.empresa_id);
+
+      if (!report.conciliado) {
+        BizFlowLogger.businessLog('Divergência entre estoque e kardex', {
+          empresaId: req.empresa_id,
+          produtos: report.divergencias.map(p => ({ product_id: p.product_id, divergencia: p.divergencia }))
+        });
+      }
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Erro ao conciliar estoque:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
 // Relatório Financeiro
 router.get('/relatorios/financeiro', 
   requireAuth, 
   empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('financeiro:read'),
   cacheMiddleware(600, 'relatorios'),
   async (req, res) => {
     try {
-      const { mes, ano } = req.query;
+      const { mes, ano, agrupar } = req.query;
       const mesAtual = mes || new Date().getMonth() + 1;
       const anoAtual = ano || new Date().getFullYear();
+
+      if (agrupar && !FINANCIAL_REPORT_GROUPINGS[agrupar]) {
+        return res.status(400).json({
+          success: false,
+          error: `Agrupamento inválido. Use: ${Object.keys(FINANCIAL_REPORT_GROUPINGS).join(', ')}`
+        });
+      }
       
       // Receitas e Despesas
       const financeiroResult = await queryWithMetrics(
@@ -771,6 +7502,8 @@ router.get('/relatorios/financeiro',
           type as tipo,
           COUNT(*) as total_contas,
           SUM(amount) as total_valor,
+          SUM(paid_amount) as total_pago,
+          SUM(CASE WHEN status = 'cancelado' THEN 0 ELSE amount - paid_amount END) as total_em_aberto,
           AVG(amount) as valor_medio,
           status
         FROM financial_accounts 
@@ -790,16 +7523,43 @@ router.get('/relatorios/financeiro',
           COUNT(*) as total_vendas_quantidade,
           AVG(total_amount) as ticket_medio
         FROM sales 
-        WHERE empresa_id = $1 AND EXTRACT(MONTH FROM sale_date) = $2 
+        WHERE empresa_id = $1 AND status <> 'cancelled' AND EXTRACT(MONTH FROM sale_date) = $2 
           AND EXTRACT(YEAR FROM sale_date) = $3`,
         [req.empresa_id, mesAtual, anoAtual],
         'select',
         'sales'
       );
+
+      // Totais por categoria ou centro de custo (lançamentos cancelados ficam de fora)
+      let agrupamento = {};
+      if (agrupar) {
+        const column = FINANCIAL_REPORT_GROUPINGS[agrupar];
+        const totalsResult = await queryWithMetrics(
+          `SELECT 
+            ${column} as grupo_id,
+            COUNT(*) as quantidade,
+            SUM(amount) as total_valor,
+            SUM(paid_amount) as total_pago,
+            SUM(amount - paid_amount) as total_em_aberto
+          FROM financial_accounts 
+          WHERE empresa_id = $1 AND EXTRACT(MONTH FROM due_date) = $2 
+            AND EXTRACT(YEAR FROM due_date) = $3 AND status <> 'cancelado'
+          GROUP BY ${column}`,
+          [req.empresa_id, mesAtual, anoAtual],
+          'select',
+          'financial_accounts'
+        );
+        const classifications = agrupar === 'categoria'
+          ? await loadChartOfAccounts(pool, req.empresa_id)
+          : (await queryWithMetrics('SELECT * FROM cost_centers WHERE empresa_id = $1 ORDER BY code', [req.empresa_id], 'select', 'cost_centers')).rows;
+
+        agrupamento = buildFinancialGrouping(agrupar, totalsResult.rows, classifications);
+      }
       
       res.json({
         success: true,
         data: {
+          ...agrupamento,
           financeiro: financeiroResult.rows,
           vendas: vendasResult.rows[0] || { 
             total_vendas: 0, 
@@ -815,10 +7575,60 @@ router.get('/relatorios/financeiro',
   }
 );
 
+// DRE (Demonstração do Resultado) do mês
+router.get('/relatorios/dre', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const mes = req.query.mes !== undefined ? parseInt(req.query.mes) : new Date().getMonth() + 1;
+      const ano = req.query.ano !== undefined ? parseInt(req.query.ano) : new Date().getFullYear();
+
+      if (!(mes >= 1 && mes <= 12) || !(ano >= 2000 && ano <= 2100)) {
+        return res.status(400).json({ success: false, error: 'Período inválido (mes de 1 a 12 e ano com 4 dígitos)' });
+      }
+
+      const report = await reportsService.getIncomeStatement(req.empresa_id, mes, ano);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Erro ao gerar DRE:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Projeção do fluxo de caixa (30, 60 e 90 dias)
+router.get('/relatorios/fluxo-caixa', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('financeiro:read'),
+  async (req, res) => {
+    try {
+      const report = await reportsService.getCashFlowProjection(req.empresa_id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Erro ao projetar fluxo de caixa:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
 // Relatório de Produtos Mais Vendidos
 router.get('/relatorios/produtos-mais-vendidos', 
   requireAuth, 
   empresaContext, 
+  requirePermission('relatorios:read'),
   cacheMiddleware(600, 'relatorios'),
   async (req, res) => {
     try {
@@ -828,14 +7638,28 @@ router.get('/relatorios/produtos-mais-vendidos',
         `SELECT 
           p.name as produto,
           p.category as categoria,
-          SUM(si.quantity) as total_vendido,
-          SUM(si.total_price) as total_faturado,
+          SUM(si.quantity - COALESCE(si.refunded_quantity, 0)) as total_vendido,
+          SUM(si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0)) as total_faturado,
           COUNT(DISTINCT si.sale_id) as vezes_vendido,
-          AVG(si.quantity) as media_por_venda
+          AVG(si.quantity - COALESCE(si.refunded_quantity, 0)) as media_por_venda,
+          AVG(si.unit_price) as preco_medio_praticado,
+          AVG(COALESCE(ph.new_price, si.unit_price)) as preco_tabela_medio,
+          SUM((si.quantity - COALESCE(si.refunded_quantity, 0)) * COALESCE(si.unit_cost, ph.new_cost, p.cost_price)) as custo_total,
+          SUM(si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0)) FILTER (WHERE COALESCE(si.unit_cost, ph.new_cost, p.cost_price) IS NOT NULL)
+            - SUM((si.quantity - COALESCE(si.refunded_quantity, 0)) * COALESCE(si.unit_cost, ph.new_cost, p.cost_price)) as margem_bruta,
+          COUNT(*) FILTER (WHERE COALESCE(si.unit_cost, ph.new_cost, p.cost_price) IS NULL) as vendas_sem_custo
         FROM sale_items si
         JOIN products p ON si.product_id = p.id
         JOIN sales s ON si.sale_id = s.id
+        LEFT JOIN LATERAL (
+          SELECT h.new_price, h.new_cost
+          FROM product_price_history h
+          WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+          ORDER BY h.changed_at DESC
+          LIMIT 1
+        ) ph ON true
         WHERE s.empresa_id = $1
+          AND s.status <> 'cancelled' AND si.quantity > COALESCE(si.refunded_quantity, 0)
         GROUP BY p.id, p.name, p.category
         ORDER BY total_vendido DESC
         LIMIT $2`,
@@ -855,13 +7679,68 @@ router.get('/relatorios/produtos-mais-vendidos',
   }
 );
 
+// Margem bruta por produto, categoria ou mês
+router.get('/relatorios/margem', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('produtos:read'),
+  async (req, res) => {
+    try {
+      const { agrupar = 'produto', periodo = '30' } = req.query;
+
+      if (!reportsService.GROSS_MARGIN_GROUPINGS.includes(agrupar)) {
+        return res.status(400).json({
+          success: false,
+          error: `Agrupamento inválido. Use: ${reportsService.GROSS_MARGIN_GROUPINGS.join(', ')}`
+        });
+      }
+
+      const report = await reportsService.getGrossMarginReport(req.empresa_id, agrupar, periodo);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Erro ao gerar relatório de margem bruta:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
+// Relatório de Clientes (frequência, ticket médio, última compra e segmentação RFM).
+// O serviço de relatórios mantém seu próprio cache por empresa e período
+router.get('/relatorios/clientes', 
+  requireAuth, 
+  empresaContext, 
+  requirePermission('relatorios:read'),
+  requirePermission('clientes:read'),
+  async (req, res) => {
+    try {
+      const { periodo = '30' } = req.query;
+
+      const report = await reportsService.getCustomersReport(req.empresa_id, periodo);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Erro ao gerar relatório de clientes:', error);
+      res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    }
+  }
+);
+
 // ================= ROTA DE DASHBOARD COM CACHE =================
 
 // Dashboard Data
 router.get('/dashboard', 
   requireAuth, 
   empresaContext, 
-  cacheMiddleware(300, 'dashboard'),
+  requirePermission('dashboard:read'),
+  cacheMiddleware(300, 'dashboard', { perUser: true }),
   async (req, res) => {
     try {
       const [
@@ -874,14 +7753,28 @@ router.get('/dashboard',
       ] = await Promise.all([
         queryWithMetrics('SELECT COUNT(*) as total FROM empresas WHERE is_active = true', [], 'select', 'empresas'),
         queryWithMetrics('SELECT COUNT(*) as total FROM products WHERE empresa_id = $1 AND is_active = true', [req.empresa_id], 'select', 'products'),
-        queryWithMetrics('SELECT COUNT(*) as total, COALESCE(SUM(total_amount), 0) as total_vendas FROM sales WHERE empresa_id = $1', [req.empresa_id], 'select', 'sales'),
-        queryWithMetrics('SELECT COUNT(*) as total FROM users WHERE empresa_id = $1 AND is_active = true', [req.empresa_id], 'select', 'users'),
+        queryWithMetrics("SELECT COUNT(*) as total, COALESCE(SUM(total_amount - COALESCE(refunded_amount, 0)), 0) as total_vendas FROM sales WHERE empresa_id = $1 AND status <> 'cancelled'", [req.empresa_id], 'select', 'sales'),
+        queryWithMetrics(
+          `SELECT COUNT(*) as total FROM user_empresas ue
+           JOIN users u ON ue.user_id = u.id
+           WHERE ue.empresa_id = $1 AND ue.is_active = true AND u.is_active = true`,
+          [req.empresa_id],
+          'select',
+          'user_empresas'
+        ),
         queryWithMetrics(`SELECT 
           COUNT(*) as total_contas,
           SUM(CASE WHEN type = 'receita' THEN amount ELSE 0 END) as total_receitas,
           SUM(CASE WHEN type = 'despesa' THEN amount ELSE 0 END) as total_despesas
-          FROM financial_accounts WHERE empresa_id = $1`, [req.empresa_id], 'select', 'financial_accounts'),
-        queryWithMetrics('SELECT COUNT(*) as total FROM notifications WHERE empresa_id = $1 AND is_read = false', [req.empresa_id], 'select', 'notifications')
+          FROM financial_accounts WHERE empresa_id = $1 AND status <> 'cancelado'`, [req.empresa_id], 'select', 'financial_accounts'),
+        queryWithMetrics(
+          `SELECT COUNT(*) as total FROM notifications n 
+           WHERE n.empresa_id = $1 AND (n.user_id IS NULL OR n.user_id = $2) 
+             AND NOT EXISTS (SELECT 1 FROM notification_reads r WHERE r.notification_id = n.id AND r.user_id = $2)`,
+          [req.empresa_id, req.user.id],
+          'select',
+          'notifications'
+        )
       ]);
 
       res.json({
@@ -930,7 +7823,7 @@ router.get('/test', (req, res) => {
 // ================= ROTA DE STATUS DO CACHE =================
 
 // Status do cache
-router.get('/cache/status', requireAuth, async (req, res) => {
+router.get('/cache/status', requireAuth, requirePermission('sistema:read'), async (req, res) => {
   try {
     const keys = await redis.keys('*');
     const cacheInfo = {
@@ -950,15 +7843,8 @@ router.get('/cache/status', requireAuth, async (req, res) => {
 });
 
 // Limpar cache
-router.delete('/cache/clear', requireAuth, async (req, res) => {
+router.delete('/cache/clear', requireAuth, requirePermission('sistema:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Acesso negado. Apenas administradores podem limpar o cache.' 
-      });
-    }
-
     await redis.flushdb();
     
     res.json({
@@ -971,4 +7857,335 @@ router.delete('/cache/clear', requireAuth, async (req, res) => {
   }
 });
 
+// ================= AGENDADOR DAS RECORRÊNCIAS FINANCEIRAS =================
+// Gera diariamente as ocorrências que entram no horizonte (uma transação por recorrência)
+async function generateDueRecurrences() {
+  const recurrences = await queryWithMetrics(
+    `SELECT id, empresa_id FROM financial_recurrences 
+     WHERE is_active = true AND (end_date IS NULL OR generated_until IS NULL OR generated_until < end_date)`,
+    [],
+    'select',
+    'financial_recurrences'
+  );
+
+  let total = 0;
+  const empresas = new Set();
+
+  for (const { id, empresa_id } of recurrences.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query('SELECT * FROM financial_recurrences WHERE id = $1 FOR UPDATE SKIP LOCKED', [id]);
+      const geradas = locked.rows.length > 0 ? await generateRecurrenceOccurrences(client, locked.rows[0]) : 0;
+      await client.query('COMMIT');
+
+      total += geradas;
+      if (geradas > 0) empresas.add(empresa_id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Erro ao gerar ocorrências da recorrência ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  await Promise.all([...empresas].map(empresaId => invalidateFinancialCache(empresaId)));
+
+  if (total > 0) {
+    BizFlowLogger.businessLog('Ocorrências de recorrências financeiras geradas', { total, empresas: empresas.size });
+  }
+
+  return total;
+}
+
+// Chamado pelo servidor que monta este router (RECURRENCE_CRON sobrescreve o horário padrão)
+function startRecurrenceScheduler() {
+  const run = () => generateDueRecurrences()
+    .catch(error => logger.error('Erro no agendador de recorrências:', error));
+
+  const task = cron.schedule(process.env.RECURRENCE_CRON || '0 2 * * *', run, {
+    timezone: process.env.TZ || 'America/Sao_Paulo'
+  });
+  run();
+
+  return task;
+}
+
+// ================= ALERTAS DE VENCIMENTO FINANCEIRO =================
+// Lançamentos em aberto que vencem em até FINANCIAL_ALERT_DAYS dias (padrão 3) ou já vencidos.
+// Cada lançamento recebe um alerta por situação e vencimento (financial_alerts) e cada empresa um
+// resumo por dia (financial_alert_digests), mesmo que o agendador rode mais de uma vez
+const FINANCIAL_ALERT_DAYS = (() => {
+  const days = parseInt(process.env.FINANCIAL_ALERT_DAYS);
+  return Number.isInteger(days) && days >= 0 && days <= 60 ? days : 3;
+})();
+
+function formatBRDate(value) {
+  return toISODate(value).split('-').reverse().join('/');
+}
+
+function formatBRL(value) {
+  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+}
+
+function financialAlertNotification(account) {
+  const saldo = roundMoney(parseFloat(account.saldo));
+  const natureza = account.type === 'receita' ? 'a receber' : 'a pagar';
+  const vencido = account.alert_type === 'overdue';
+  const dias = Math.abs(parseInt(account.dias_em_atraso));
+
+  return {
+    empresa_id: account.empresa_id,
+    title: vencido ? '🔴 Lançamento vencido' : '📅 Vencimento próximo',
+    message: vencido
+      ? `"${account.name}" (${natureza}, ${formatBRL(saldo)}) venceu em ${formatBRDate(account.due_date)} e está em atraso há ${dias} dia(s)`
+      : `"${account.name}" (${natureza}, ${formatBRL(saldo)}) vence ${dias === 0 ? 'hoje' : `em ${dias} dia(s), em ${formatBRDate(account.due_date)}`}`,
+    type: vencido ? 'error' : 'warning',
+    category: 'financial_due',
+    priority: vencido ? 'high' : 'medium',
+    metadata: {
+      financial_account_id: account.id,
+      alert_type: account.alert_type,
+      due_date: toISODate(account.due_date),
+      saldo,
+      tipo: account.type,
+      action_required: true
+    }
+  };
+}
+
+function financialDigestNotification(resumo) {
+  const valores = (receber, pagar) => [
+    parseFloat(receber) > 0 && `${formatBRL(roundMoney(parseFloat(receber)))} a receber`,
+    parseFloat(pagar) > 0 && `${formatBRL(roundMoney(parseFloat(pagar)))} a pagar`
+  ].filter(Boolean).join(' e ');
+
+  const vencidos = parseInt(resumo.vencidos);
+  const aVencer = parseInt(resumo.a_vencer);
+  const partes = [
+    vencidos > 0 && `${vencidos} lançamento(s) vencido(s) (${valores(resumo.vencido_receber, resumo.vencido_pagar)})`,
+    aVencer > 0 && `${aVencer} vencendo em até ${FINANCIAL_ALERT_DAYS} dia(s) (${valores(resumo.a_vencer_receber, resumo.a_vencer_pagar)})`
+  ].filter(Boolean);
+
+  return {
+    empresa_id: resumo.empresa_id,
+    title: '📊 Resumo diário de vencimentos',
+    message: `${formatBRDate(resumo.hoje)}: ${partes.join('; ')}`,
+    type: vencidos > 0 ? 'warning' : 'info',
+    category: 'financial_due',
+    priority: vencidos > 0 ? 'high' : 'medium',
+    metadata: {
+      digest_date: toISODate(resumo.hoje),
+      vencidos,
+      a_vencer: aVencer,
+      dias_antecedencia: FINANCIAL_ALERT_DAYS
+    }
+  };
+}
+
+// Reserva o registro antes de notificar; se a notificação falhar, a reserva é desfeita
+// para a próxima execução tentar de novo
+async function notifyOnce(reserve, notification, attach, release) {
+  const reserved = await reserve();
+  if (reserved.rows.length === 0) return false;
+
+  try {
+    const created = await notificationService.createNotification(notification);
+    await attach(created.id);
+    return true;
+  } catch (error) {
+    await release();
+    throw error;
+  }
+}
+
+async function generateFinancialAlerts() {
+  const pending = await queryWithMetrics(
+    `SELECT f.id, f.empresa_id, f.name, f.type, f.due_date, f.amount - f.paid_amount as saldo, 
+            CURRENT_DATE - f.due_date as dias_em_atraso, 
+            CASE WHEN f.due_date < CURRENT_DATE THEN 'overdue' ELSE 'due_soon' END as alert_type
+     FROM financial_accounts f
+     WHERE f.status = ANY($1::varchar[]) AND f.due_date <= CURRENT_DATE + $2::int
+       AND NOT EXISTS (
+         SELECT 1 FROM financial_alerts a 
+         WHERE a.financial_account_id = f.id AND a.due_date = f.due_date 
+           AND a.alert_type = CASE WHEN f.due_date < CURRENT_DATE THEN 'overdue' ELSE 'due_soon' END
+       )
+     ORDER BY f.empresa_id, f.due_date, f.id`,
+    [FINANCIAL_OPEN_STATUSES, FINANCIAL_ALERT_DAYS],
+    'select',
+    'financial_accounts'
+  );
+
+  let alertas = 0;
+
+  for (const account of pending.rows) {
+    try {
+      const enviado = await notifyOnce(
+        () => queryWithMetrics(
+          `INSERT INTO financial_alerts (empresa_id, financial_account_id, alert_type, due_date) 
+           VALUES ($1, $2, $3, $4) 
+           ON CONFLICT (financial_account_id, alert_type, due_date) DO NOTHING 
+           RETURNING id`,
+          [account.empresa_id, account.id, account.alert_type, toISODate(account.due_date)],
+          'insert',
+          'financial_alerts'
+        ),
+        financialAlertNotification(account),
+        notificationId => queryWithMetrics(
+          'UPDATE financial_alerts SET notification_id = $1 WHERE financial_account_id = $2 AND alert_type = $3 AND due_date = $4',
+          [notificationId, account.id, account.alert_type, toISODate(account.due_date)],
+          'update',
+          'financial_alerts'
+        ),
+        () => queryWithMetrics(
+          'DELETE FROM financial_alerts WHERE financial_account_id = $1 AND alert_type = $2 AND due_date = $3',
+          [account.id, account.alert_type, toISODate(account.due_date)],
+          'delete',
+          'financial_alerts'
+        )
+      );
+      if (enviado) alertas++;
+
+      // Um evento por lançamento e vencimento, junto com o primeiro alerta de atraso
+      if (enviado && account.alert_type === 'overdue') {
+        publishWebhookEvent(account.empresa_id, 'financeiro.vencido', {
+          lancamento: {
+            id: account.id,
+            name: account.name,
+            type: account.type,
+            due_date: toISODate(account.due_date),
+            saldo: roundMoney(parseFloat(account.saldo)),
+            dias_em_atraso: parseInt(account.dias_em_atraso)
+          }
+        });
+      }
+    } catch (error) {
+      logger.error(`Erro ao alertar vencimento do lançamento ${account.id}:`, error);
+    }
+  }
+
+  const digests = await queryWithMetrics(
+    `SELECT f.empresa_id, CURRENT_DATE as hoje, 
+            COUNT(*) FILTER (WHERE f.due_date < CURRENT_DATE) as vencidos, 
+            COALESCE(SUM(f.amount - f.paid_amount) FILTER (WHERE f.due_date < CURRENT_DATE AND f.type = 'receita'), 0) as vencido_receber, 
+            COALESCE(SUM(f.amount - f.paid_amount) FILTER (WHERE f.due_date < CURRENT_DATE AND f.type = 'despesa'), 0) as vencido_pagar, 
+            COUNT(*) FILTER (WHERE f.due_date >= CURRENT_DATE) as a_vencer, 
+            COALESCE(SUM(f.amount - f.paid_amount) FILTER (WHERE f.due_date >= CURRENT_DATE AND f.type = 'receita'), 0) as a_vencer_receber, 
+            COALESCE(SUM(f.amount - f.paid_amount) FILTER (WHERE f.due_date >= CURRENT_DATE AND f.type = 'despesa'), 0) as a_vencer_pagar
+     FROM financial_accounts f
+     WHERE f.status = ANY($1::varchar[]) AND f.due_date <= CURRENT_DATE + $2::int
+       AND NOT EXISTS (SELECT 1 FROM financial_alert_digests d WHERE d.empresa_id = f.empresa_id AND d.digest_date = CURRENT_DATE)
+     GROUP BY f.empresa_id`,
+    [FINANCIAL_OPEN_STATUSES, FINANCIAL_ALERT_DAYS],
+    'select',
+    'financial_accounts'
+  );
+
+  let resumos = 0;
+
+  for (const resumo of digests.rows) {
+    try {
+      const enviado = await notifyOnce(
+        () => queryWithMetrics(
+          `INSERT INTO financial_alert_digests (empresa_id, digest_date) 
+           VALUES ($1, $2) 
+           ON CONFLICT (empresa_id, digest_date) DO NOTHING 
+           RETURNING empresa_id`,
+          [resumo.empresa_id, toISODate(resumo.hoje)],
+          'insert',
+          'financial_alert_digests'
+        ),
+        financialDigestNotification(resumo),
+        notificationId => queryWithMetrics(
+          'UPDATE financial_alert_digests SET notification_id = $1 WHERE empresa_id = $2 AND digest_date = $3',
+          [notificationId, resumo.empresa_id, toISODate(resumo.hoje)],
+          'update',
+          'financial_alert_digests'
+        ),
+        () => queryWithMetrics(
+          'DELETE FROM financial_alert_digests WHERE empresa_id = $1 AND digest_date = $2',
+          [resumo.empresa_id, toISODate(resumo.hoje)],
+          'delete',
+          'financial_alert_digests'
+        )
+      );
+      if (enviado) resumos++;
+    } catch (error) {
+      logger.error(`Erro ao enviar resumo de vencimentos da empresa ${resumo.empresa_id}:`, error);
+    }
+  }
+
+  if (alertas > 0 || resumos > 0) {
+    BizFlowLogger.businessLog('Alertas de vencimento financeiro enviados', { alertas, resumos, diasAntecedencia: FINANCIAL_ALERT_DAYS });
+  }
+
+  return { alertas, resumos };
+}
+
+// Chamado pelo servidor que monta este router (FINANCIAL_ALERTS_CRON sobrescreve o horário padrão).
+// Sem execução na inicialização: o serviço de notificações carrega a conexão de forma assíncrona
+function startFinancialAlertScheduler() {
+  const run = () => generateFinancialAlerts()
+    .catch(error => logger.error('Erro no agendador de alertas financeiros:', error));
+
+  return cron.schedule(process.env.FINANCIAL_ALERTS_CRON || '0 7 * * *', run, {
+    timezone: process.env.TZ || 'America/Sao_Paulo'
+  });
+}
+
+// ================= AGENDADOR DAS REGRAS DE NOTIFICAÇÃO =================
+// Regras 'schedule' avaliadas a cada 15 minutos (NOTIFICATION_RULES_CRON sobrescreve), com o
+// faturamento do dia e a hora local: "faturamento abaixo de R$ 5.000 às 18h" = daily.revenue < 5000
+// e time.hour >= 18, com cooldown de um dia
+async function evaluateScheduledRules() {
+  const empresas = await queryWithMetrics(
+    `SELECT DISTINCT empresa_id FROM notification_rules WHERE event = 'schedule' AND is_active = true`,
+    [],
+    'select',
+    'notification_rules'
+  );
+
+  let disparos = 0;
+
+  for (const { empresa_id } of empresas.rows) {
+    disparos += await evaluateNotificationRules(empresa_id, 'schedule', async () => {
+      const daily = await queryWithMetrics(
+        `SELECT COALESCE(SUM(total_amount - COALESCE(refunded_amount, 0)), 0) as revenue, COUNT(*) as sales_count 
+         FROM sales 
+         WHERE empresa_id = $1 AND sale_date >= CURRENT_DATE AND status <> 'cancelled'`,
+        [empresa_id],
+        'select',
+        'sales'
+      );
+      return [{ key: 'schedule', context: NotificationRules.scheduleContext(daily.rows[0], new Date(), process.env.TZ || 'America/Sao_Paulo') }];
+    });
+  }
+
+  return disparos;
+}
+
+// Chamado pelo servidor que monta este router
+function startNotificationRulesScheduler() {
+  const run = () => evaluateScheduledRules()
+    .catch(error => logger.error('Erro no agendador de regras de notificação:', error));
+
+  return cron.schedule(process.env.NOTIFICATION_RULES_CRON || '*/15 * * * *', run, {
+    timezone: process.env.TZ || 'America/Sao_Paulo'
+  });
+}
+
+// ================= AGENDADOR DE REENVIO DE WEBHOOKS =================
+// Chamado pelo servidor que monta este router (WEBHOOK_RETRY_CRON sobrescreve a frequência)
+function startWebhookRetryScheduler() {
+  const run = () => retryWebhookDeliveries()
+    .catch(error => logger.error('Erro no agendador de reenvio de webhooks:', error));
+
+  return cron.schedule(process.env.WEBHOOK_RETRY_CRON || '* * * * *', run, {
+    timezone: process.env.TZ || 'America/Sao_Paulo'
+  });
+}
+
+export { startRecurrenceScheduler, startFinancialAlertScheduler, startNotificationRulesScheduler, startWebhookRetryScheduler };
 export default router;
@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import CacheService from './cache-service.js';
 import BizFlowLogger from '../utils/logger.js';
+import BizFlowPermissions from '../utils/permissions.js';
 
 // ✅ DETECÇÃO AUTOMÁTICA DE AMBIENTE
 const IS_FRONTEND_MODE = typeof window !== 'undefined' || process.env.FRONTEND_MODE === 'true';
@@ -293,17 +294,35 @@ class FrontendAuth {
     }
   }
 
-  hasPermission(user, requiredRole) {
-    const roleHierarchy = {
-      'user': 1,
-      'manager': 2,
-      'admin': 3
-    };
+  // Papéis personalizados da empresa salvos no localStorage
+  getCustomRoles(empresaId) {
+    try {
+      const storedRoles = localStorage.getItem('bizflow_roles');
+      const roles = storedRoles ? JSON.parse(storedRoles) : [];
+      return roles.filter(role => role.empresa_id === empresaId);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Mesmas regras do backend: papel do usuário na empresa -> permissões
+  getUserPermissions(user, empresaId = user.empresa_id) {
+    if (user.role === 'super_admin') {
+      return BizFlowPermissions.DEFAULT_ROLES.super_admin;
+    }
 
-    const userLevel = roleHierarchy[user.role] || 0;
-    const requiredLevel = roleHierarchy[requiredRole] || 0;
+    const membership = (user.empresas || []).find(m => m.empresa_id === empresaId);
+    const roleName = membership?.role || (empresaId === user.empresa_id ? user.role : null);
 
-    return userLevel >= requiredLevel;
+    if (!roleName) {
+      return [];
+    }
+
+    return BizFlowPermissions.resolveRolePermissions(roleName, this.getCustomRoles(empresaId));
+  }
+
+  hasPermission(user, permission, empresaId) {
+    return BizFlowPermissions.can(this.getUserPermissions(user, empresaId), permission);
   }
 
   // Limpar sessões expiradas
@@ -469,17 +488,43 @@ class BackendAuth {
     return 'bizflow_backend_' + Date.now() + '_' + crypto.randomBytes(32).toString('hex');
   }
 
-  hasPermission(user, requiredRole) {
-    const roleHierarchy = {
-      'user': 1,
-      'manager': 2,
-      'admin': 3
-    };
+  async getUserPermissions(user, empresaId = user.empresa_id) {
+    if (user.role === 'super_admin') {
+      return BizFlowPermissions.DEFAULT_ROLES.super_admin;
+    }
 
-    const userLevel = roleHierarchy[user.role] || 0;
-    const requiredLevel = roleHierarchy[requiredRole] || 0;
+    const cacheKey = `permissions:${user.id}:${empresaId}`;
+    const cached = await CacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
 
-    return userLevel >= requiredLevel;
+    const membershipResult = await queryWithMetrics(
+      `SELECT ue.role, er.permissions
+       FROM user_empresas ue
+       LEFT JOIN empresa_roles er ON er.empresa_id = ue.empresa_id AND er.name = ue.role
+       WHERE ue.user_id = $1 AND ue.empresa_id = $2 AND ue.is_active = true`,
+      [user.id, empresaId],
+      'select',
+      'user_empresas'
+    );
+
+    let permissions = [];
+    if (membershipResult.rows.length > 0) {
+      const { role, permissions: customPermissions } = membershipResult.rows[0];
+      permissions = BizFlowPermissions.resolveRolePermissions(
+        role,
+        customPermissions ? [{ name: role, permissions: customPermissions }] : []
+      );
+    }
+
+    await CacheService.set(cacheKey, permissions, 60);
+    return permissions;
+  }
+
+  async hasPermission(user, permission, empresaId) {
+    const permissions = await this.getUserPermissions(user, empresaId);
+    return BizFlowPermissions.can(permissions, permission);
   }
 
   async updatePassword(userId, currentPassword, newPassword) {
@@ -634,6 +679,15 @@ class BackendAuth {
         'users'
       );
 
+      // Vínculo com a empresa principal (papel usado nas permissões)
+      await queryWithMetrics(
+        `INSERT INTO user_empresas (user_id, empresa_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, empresa_id) DO NOTHING`,
+        [result.rows[0].id, empresa_id, role],
+        'insert',
+        'user_empresas'
+      );
+
       BizFlowLogger.authLog('Usuário backend criado com sucesso', { 
         userId: result.rows[0].id, 
         username: result.rows[0].username 
@@ -691,11 +745,19 @@ class HybridAuthService {
     }
   }
 
-  hasPermission(user, requiredRole) {
+  async getUserPermissions(user, empresaId) {
+    if (IS_FRONTEND_MODE) {
+      return this.frontendAuth.getUserPermissions(user, empresaId);
+    } else {
+      return await this.backendAuth.getUserPermissions(user, empresaId);
+    }
+  }
+
+  async hasPermission(user, permission, empresaId) {
     if (IS_FRONTEND_MODE) {
-      return this.frontendAuth.hasPermission(user, requiredRole);
+      return this.frontendAuth.hasPermission(user, permission, empresaId);
     } else {
-      return this.backendAuth.hasPermission(user, requiredRole);
+      return await this.backendAuth.hasPermission(user, permission, empresaId);
     }
   }
 
@@ -166,7 +166,7 @@ class HybridCacheService {
       if (this.isFrontendMode) {
         let deleted = 0;
         for (const key of this.memoryCache.keys()) {
-          if (key.includes(pattern)) {
+          if (this.matchesPattern(key, pattern)) {
             this.memoryCache.delete(key);
             deleted++;
           }
@@ -184,7 +184,7 @@ class HybridCacheService {
       } else {
         let deleted = 0;
         for (const key of this.memoryCache.keys()) {
-          if (key.includes(pattern)) {
+          if (this.matchesPattern(key, pattern)) {
             this.memoryCache.delete(key);
             deleted++;
           }
@@ -198,6 +198,13 @@ class HybridCacheService {
     }
   }
 
+  // Mesmo padrão aceito pelo KEYS do Redis ("*" = qualquer trecho); sem "*", basta conter o texto
+  matchesPattern(key, pattern) {
+    if (!pattern.includes('*')) return key.includes(pattern);
+    const regex = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}$`).test(key);
+  }
+
   // ✅ FLUSH ALL
   async flush() {
     try {
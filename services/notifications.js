@@ -1,6 +1,8 @@
 // services/notifications.js - SISTEMA BIZFLOW FASE 5 COMPLETA HÍBRIDO
 import CacheService from './cache-service.js';
 import BizFlowLogger from '../utils/logger.js';
+import NotificationPreferences from '../utils/notification-preferences.js';
+import BizFlowWebhooks from '../utils/webhooks.js';
 
 // ✅ DETECÇÃO AUTOMÁTICA DE AMBIENTE
 const IS_FRONTEND_MODE = typeof window !== 'undefined' || process.env.FRONTEND_MODE === 'true';
@@ -9,6 +11,7 @@ const IS_BROWSER = typeof window !== 'undefined';
 // ✅ IMPORT DINÂMICO DO BACKEND (apenas se não for frontend)
 let queryWithMetrics;
 let io;
+let Mailer;
 
 if (!IS_FRONTEND_MODE) {
   import('../core/server.js').then(module => {
@@ -17,12 +20,34 @@ if (!IS_FRONTEND_MODE) {
   }).catch(error => {
     BizFlowLogger.errorLog(error, { context: 'NotificationService backend import' });
   });
+
+  import('../utils/mailer.js').then(module => {
+    Mailer = module.default;
+  }).catch(error => {
+    BizFlowLogger.errorLog(error, { context: 'NotificationService mailer import' });
+  });
+}
+
+// Webhook de notificação que não responde em 5s é abandonado
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// ✅ ESTADO DE LEITURA POR USUÁRIO
+// Notificações da empresa (user_id nulo) são lidas por cada membro separadamente: a leitura fica em
+// notification_reads (no frontend, em read_by) e não na coluna compartilhada is_read
+const NOTIFICATION_COLUMNS = 'n.id, n.empresa_id, n.user_id, n.title, n.message, n.type, n.category, n.priority, n.metadata, n.created_at, n.updated_at';
+
+// Notificação de outro usuário ou de outra empresa responde como inexistente (status para a rota)
+function notFoundError() {
+  const error = new Error('Notificação não encontrada ou acesso negado');
+  error.status = 404;
+  return error;
 }
 
 // ✅ SISTEMA DE NOTIFICAÇÕES FRONTEND
 class FrontendNotifications {
   constructor() {
     this.notifications = [];
+    this.preferences = {};
     this.init();
   }
 
@@ -38,6 +63,11 @@ class FrontendNotifications {
       if (stored) {
         this.notifications = JSON.parse(stored);
       }
+
+      const preferences = localStorage.getItem('bizflow_notification_preferences');
+      if (preferences) {
+        this.preferences = JSON.parse(preferences);
+      }
     } catch (error) {
       BizFlowLogger.errorLog(error, { context: 'FrontendNotifications.loadFromStorage' });
     }
@@ -46,6 +76,7 @@ class FrontendNotifications {
   saveToStorage() {
     try {
       localStorage.setItem('bizflow_notifications', JSON.stringify(this.notifications));
+      localStorage.setItem('bizflow_notification_preferences', JSON.stringify(this.preferences));
     } catch (error) {
       BizFlowLogger.errorLog(error, { context: 'FrontendNotifications.saveToStorage' });
     }
@@ -59,6 +90,7 @@ class FrontendNotifications {
         title, 
         message, 
         type = 'info',
+        category = 'system',
         metadata = {},
         priority = 'medium'
       } = notificationData;
@@ -74,9 +106,10 @@ class FrontendNotifications {
         title,
         message,
         type,
+        category: NotificationPreferences.normalizeType(category),
         metadata,
         priority,
-        is_read: false,
+        read_by: [],
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
@@ -84,8 +117,10 @@ class FrontendNotifications {
       this.notifications.unshift(notification);
       this.saveToStorage();
 
-      // Emitir evento para UI
-      this.emitNotification(notification);
+      // Emitir evento para UI (no navegador só existe o canal in_app)
+      if (this.shouldEmit(notification)) {
+        this.emitNotification(this.withReadState(notification, user_id));
+      }
 
       // Invalidar cache
       await this.invalidateNotificationCache(empresa_id, user_id);
@@ -98,7 +133,7 @@ class FrontendNotifications {
         priority: priority
       });
 
-      return notification;
+      return this.withReadState(notification, user_id);
 
     } catch (error) {
       BizFlowLogger.errorLog(error, { context: 'FrontendNotifications.createNotification' });
@@ -106,6 +141,55 @@ class FrontendNotifications {
     }
   }
 
+  // Notificação pessoal segue as preferências do usuário; a da empresa é sempre exibida,
+  // pois o navegador não conhece os demais membros
+  shouldEmit(notification) {
+    if (notification.user_id === null) return true;
+
+    const stored = this.preferences[`${notification.empresa_id}:${notification.user_id}`] || {};
+    const channels = NotificationPreferences.resolveChannels(
+      stored.tipos?.[notification.category] || null,
+      stored.settings || null,
+      notification.priority
+    );
+    return channels.includes('in_app');
+  }
+
+  async getPreferences(empresa_id, userId) {
+    const stored = this.preferences[`${empresa_id}:${userId}`] || {};
+    const rows = Object.entries(stored.tipos || {}).map(([notification_type, preference]) => ({ notification_type, ...preference }));
+    return NotificationPreferences.withDefaults(rows, stored.settings || null);
+  }
+
+  async updatePreferences(empresa_id, userId, { tipos = {}, settings = {} }) {
+    const key = `${empresa_id}:${userId}`;
+    const stored = this.preferences[key] || {};
+
+    this.preferences[key] = {
+      tipos: { ...stored.tipos, ...tipos },
+      settings: { ...stored.settings, ...settings }
+    };
+    this.saveToStorage();
+
+    BizFlowLogger.businessLog('Preferências de notificação frontend atualizadas', {
+      empresaId: empresa_id,
+      userId: userId,
+      tipos: Object.keys(tipos)
+    });
+
+    return this.getPreferences(empresa_id, userId);
+  }
+
+  // Lida por este usuário (is_read gravado antes de read_by existir vale para todos)
+  isReadBy(notification, userId) {
+    return (notification.read_by || []).includes(userId) || notification.is_read === true;
+  }
+
+  withReadState(notification, userId) {
+    const { read_by, ...view } = notification;
+    return { ...view, is_read: this.isReadBy(notification, userId) };
+  }
+
   emitNotification(notification) {
     try {
       // Emitir evento customizado para a UI
@@ -157,7 +241,7 @@ class FrontendNotifications {
       }
 
       if (filters.is_read !== undefined) {
-        filtered = filtered.filter(notif => notif.is_read === filters.is_read);
+        filtered = filtered.filter(notif => this.isReadBy(notif, user_id) === filters.is_read);
       }
 
       if (filters.priority) {
@@ -178,7 +262,7 @@ class FrontendNotifications {
       });
 
       // Aplicar paginação
-      const paginated = filtered.slice(offset, offset + limit);
+      const paginated = filtered.slice(offset, offset + limit).map(notif => this.withReadState(notif, user_id));
 
       // Salvar no cache
       await CacheService.set(cacheKey, paginated, 120);
@@ -198,29 +282,33 @@ class FrontendNotifications {
     }
   }
 
-  async markAsRead(notificationId, userId) {
+  async markAsRead(notificationId, userId, empresa_id) {
     try {
       const notification = this.notifications.find(notif => 
         notif.id === notificationId && 
+        notif.empresa_id == empresa_id &&
         (notif.user_id === null || notif.user_id === userId)
       );
 
       if (!notification) {
-        throw new Error('Notificação não encontrada ou acesso negado');
+        throw notFoundError();
       }
 
-      notification.is_read = true;
-      notification.updated_at = new Date().toISOString();
-      this.saveToStorage();
+      if (!this.isReadBy(notification, userId)) {
+        notification.read_by = [...(notification.read_by || []), userId];
+        this.saveToStorage();
+      }
 
       // Invalidar cache
       await this.invalidateNotificationCache(notification.empresa_id, userId);
 
+      const lida = this.withReadState(notification, userId);
+
       // Emitir atualização
       if (typeof window !== 'undefined' && window.dispatchEvent) {
         const event = new CustomEvent('bizflow-notification-read', {
           detail: {
-            ...notification,
+            ...lida,
             real_time: true
           }
         });
@@ -232,7 +320,7 @@ class FrontendNotifications {
         userId: userId
       });
 
-      return notification;
+      return lida;
 
     } catch (error) {
       BizFlowLogger.errorLog(error, { context: 'FrontendNotifications.markAsRead' });
@@ -247,9 +335,8 @@ class FrontendNotifications {
       this.notifications.forEach(notification => {
         if (notification.empresa_id === empresa_id && 
             (notification.user_id === null || notification.user_id === userId) &&
-            !notification.is_read) {
-          notification.is_read = true;
-          notification.updated_at = new Date().toISOString();
+            !this.isReadBy(notification, userId)) {
+          notification.read_by = [...(notification.read_by || []), userId];
           updatedCount++;
         }
       });
@@ -294,7 +381,7 @@ class FrontendNotifications {
       const unreadCount = this.notifications.filter(notif => 
         notif.empresa_id === empresa_id && 
         (notif.user_id === null || notif.user_id === userId) &&
-        !notif.is_read
+        !this.isReadBy(notif, userId)
       ).length;
 
       // Salvar no cache (1 minuto)
@@ -315,6 +402,7 @@ class FrontendNotifications {
         title: '⚠️ Estoque Baixo',
         message: `O produto "${product.name}" está com estoque baixo (${product.stock_quantity} unidades). Estoque mínimo: ${product.min_stock}`,
         type: 'warning',
+        category: 'low_stock',
         priority: 'high',
         metadata: {
           product_id: product.id,
@@ -347,6 +435,7 @@ class FrontendNotifications {
         title: '💰 Nova Venda Realizada',
         message: `Venda ${sale.sale_code} realizada - Total: R$ ${sale.total_amount}`,
         type: 'success',
+        category: 'sale',
         priority: 'medium',
         metadata: {
           sale_id: sale.id,
@@ -373,10 +462,10 @@ class FrontendNotifications {
 
   async invalidateNotificationCache(empresa_id, user_id) {
     try {
-      const patterns = [
-        `notifications:${empresa_id}:${user_id}:*`,
-        `notifications:unread:${empresa_id}:${user_id}`
-      ];
+      // Notificação da empresa (user_id nulo) muda a lista e o contador de todos os membros
+      const patterns = user_id === null || user_id === undefined
+        ? [`notifications:${empresa_id}:*`, `notifications:unread:${empresa_id}:*`]
+        : [`notifications:${empresa_id}:${user_id}:*`, `notifications:unread:${empresa_id}:${user_id}`];
 
       for (const pattern of patterns) {
         await CacheService.delPattern(pattern);
@@ -422,8 +511,9 @@ class FrontendNotifications {
       stats.by_priority[notif.priority] = (stats.by_priority[notif.priority] || 0) + 1;
     });
 
+    // Taxa de leitura: notificações lidas por ao menos um usuário
     if (stats.total > 0) {
-      const readCount = recent.filter(notif => notif.is_read).length;
+      const readCount = recent.filter(notif => (notif.read_by || []).length > 0 || notif.is_read === true).length;
       stats.read_rate = (readCount / stats.total) * 100;
     }
 
@@ -441,6 +531,7 @@ class BackendNotifications {
         title, 
         message, 
         type = 'info',
+        category = 'system',
         metadata = {},
         priority = 'medium'
       } = notificationData;
@@ -450,17 +541,18 @@ class BackendNotifications {
       }
 
       const result = await queryWithMetrics(
-        `INSERT INTO notifications (empresa_id, user_id, title, message, type, metadata, priority) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7) 
+        `INSERT INTO notifications (empresa_id, user_id, title, message, type, category, metadata, priority) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
          RETURNING *`,
-        [empresa_id, user_id, title, message, type, JSON.stringify(metadata), priority],
+        [empresa_id, user_id, title, message, type, NotificationPreferences.normalizeType(category), JSON.stringify(metadata), priority],
         'insert',
         'notifications'
       );
 
       const notification = result.rows[0];
 
-      this.emitNotification(notification);
+      // A notificação fica sempre na lista; as preferências só decidem por onde ela é entregue
+      const deliveries = await this.deliverNotification(notification);
 
       await this.invalidateNotificationCache(empresa_id, user_id);
 
@@ -469,7 +561,9 @@ class BackendNotifications {
         empresaId: empresa_id,
         userId: user_id,
         type: type,
-        priority: priority
+        category: notification.category,
+        priority: priority,
+        deliveries
       });
 
       return notification;
@@ -480,29 +574,192 @@ class BackendNotifications {
     }
   }
 
-  emitNotification(notification) {
+  // ✅ ENTREGA CONFORME AS PREFERÊNCIAS DE CADA DESTINATÁRIO
+  // Notificação da empresa (user_id nulo) vai para cada membro ativo (user_empresas ou empresa
+  // principal); falha de email ou webhook
+  // é registrada no log e não desfaz a notificação
+  async deliverNotification(notification) {
+    const deliveries = { in_app: 0, email: 0, webhook: 0, skipped: 0 };
+
     try {
-      if (io) {
-        if (notification.user_id) {
-          io.to(`user-${notification.user_id}`).emit('new-notification', {
+      const recipients = await this.getRecipients(notification);
+      const now = new Date();
+      const pending = [];
+
+      for (const recipient of recipients) {
+        const preference = recipient.channels
+          ? { channels: recipient.channels, min_priority: recipient.min_priority }
+          : null;
+        const channels = NotificationPreferences.resolveChannels(preference, recipient, notification.priority, now);
+
+        if (channels.length === 0) {
+          deliveries.skipped++;
+          continue;
+        }
+
+        if (channels.includes('in_app') && io) {
+          io.to(`user-${recipient.user_id}`).emit('new-notification', {
             ...notification,
+            is_read: false,
             real_time: true
           });
+          deliveries.in_app++;
         }
-        
-        io.to(`empresa-${notification.empresa_id}`).emit('company-notification', {
-          ...notification,
-          real_time: true
-        });
-        
-        BizFlowLogger.cacheLog('Notificação backend emitida via WebSocket', true, {
+
+        if (channels.includes('email') && recipient.email) {
+          pending.push(this.sendEmail(notification, recipient).then(sent => sent && deliveries.email++));
+        }
+
+        if (channels.includes('webhook')) {
+          pending.push(this.sendWebhook(notification, recipient).then(sent => sent && deliveries.webhook++));
+        }
+      }
+
+      await Promise.allSettled(pending);
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.deliverNotification', notificationId: notification.id });
+    }
+
+    return deliveries;
+  }
+
+  async getRecipients(notification) {
+    const result = await queryWithMetrics(
+      `SELECT u.id as user_id, u.email, 
+              p.channels, p.min_priority, 
+              s.quiet_hours_start, s.quiet_hours_end, s.timezone, s.webhook_url 
+       FROM users u 
+       LEFT JOIN notification_preferences p ON p.empresa_id = $1 AND p.user_id = u.id AND p.notification_type = $3 
+       LEFT JOIN notification_settings s ON s.empresa_id = $1 AND s.user_id = u.id 
+       WHERE u.is_active = true 
+         AND (u.empresa_id = $1 OR EXISTS (
+           SELECT 1 FROM user_empresas ue WHERE ue.user_id = u.id AND ue.empresa_id = $1 AND ue.is_active = true
+         )) 
+         AND ($2::int IS NULL OR u.id = $2)`,
+      [notification.empresa_id, notification.user_id, notification.category],
+      'select',
+      'notification_preferences'
+    );
+
+    return result.rows;
+  }
+
+  async sendEmail(notification, recipient) {
+    try {
+      if (!Mailer || !Mailer.isConfigured()) {
+        BizFlowLogger.businessLog('Email de notificação ignorado: SMTP não configurado', {
           notificationId: notification.id,
-          empresaId: notification.empresa_id,
-          userId: notification.user_id
+          userId: recipient.user_id
         });
+        return false;
+      }
+
+      await Mailer.send({
+        to: recipient.email,
+        subject: `[BizFlow] ${notification.title}`,
+        text: notification.message
+      });
+      return true;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.sendEmail', notificationId: notification.id, userId: recipient.user_id });
+      return false;
+    }
+  }
+
+  async sendWebhook(notification, recipient) {
+    try {
+      // URL salva antes da validação ou nome que passou a resolver para a rede interna
+      await BizFlowWebhooks.assertPublicDestination(recipient.webhook_url);
+
+      const response = await fetch(recipient.webhook_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'BizFlow-Notifications' },
+        body: JSON.stringify({ event: 'notification', user_id: recipient.user_id, notification }),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook respondeu HTTP ${response.status}`);
+      }
+      return true;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.sendWebhook', notificationId: notification.id, userId: recipient.user_id });
+      return false;
+    }
+  }
+
+  // ✅ PREFERÊNCIAS DO USUÁRIO NA EMPRESA
+  async getPreferences(empresa_id, userId) {
+    try {
+      const [preferences, settings] = await Promise.all([
+        queryWithMetrics(
+          `SELECT notification_type, channels, min_priority 
+           FROM notification_preferences WHERE empresa_id = $1 AND user_id = $2`,
+          [empresa_id, userId],
+          'select',
+          'notification_preferences'
+        ),
+        queryWithMetrics(
+          `SELECT quiet_hours_start, quiet_hours_end, timezone, webhook_url 
+           FROM notification_settings WHERE empresa_id = $1 AND user_id = $2`,
+          [empresa_id, userId],
+          'select',
+          'notification_settings'
+        )
+      ]);
+
+      return NotificationPreferences.withDefaults(preferences.rows, settings.rows[0] || null);
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.getPreferences' });
+      throw error;
+    }
+  }
+
+  // Recebe o resultado de NotificationPreferences.validate: só os tipos e campos enviados mudam
+  async updatePreferences(empresa_id, userId, { tipos = {}, settings = {} }) {
+    try {
+      for (const [type, preference] of Object.entries(tipos)) {
+        await queryWithMetrics(
+          `INSERT INTO notification_preferences (empresa_id, user_id, notification_type, channels, min_priority) 
+           VALUES ($1, $2, $3, $4, $5) 
+           ON CONFLICT (empresa_id, user_id, notification_type) 
+           DO UPDATE SET channels = EXCLUDED.channels, min_priority = EXCLUDED.min_priority, updated_at = CURRENT_TIMESTAMP`,
+          [empresa_id, userId, type, JSON.stringify(preference.channels), preference.min_priority],
+          'insert',
+          'notification_preferences'
+        );
       }
+
+      const fields = Object.keys(settings);
+      if (fields.length > 0) {
+        await queryWithMetrics(
+          `INSERT INTO notification_settings (empresa_id, user_id, ${fields.join(', ')}) 
+           VALUES ($1, $2, ${fields.map((field, index) => `$${index + 3}`).join(', ')}) 
+           ON CONFLICT (empresa_id, user_id) 
+           DO UPDATE SET ${fields.map(field => `${field} = EXCLUDED.${field}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+          [empresa_id, userId, ...fields.map(field => settings[field])],
+          'insert',
+          'notification_settings'
+        );
+      }
+
+      BizFlowLogger.businessLog('Preferências de notificação atualizadas', {
+        empresaId: empresa_id,
+        userId: userId,
+        tipos: Object.keys(tipos),
+        settings: fields
+      });
+
+      return await this.getPreferences(empresa_id, userId);
+
     } catch (error) {
-      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.emitNotification' });
+      BizFlowLogger.errorLog(error, { context: 'BackendNotifications.updatePreferences' });
+      throw error;
     }
   }
 
@@ -521,38 +778,40 @@ class BackendNotifications {
       }
 
       let query = `
-        SELECT * FROM notifications 
-        WHERE empresa_id = $1 AND (user_id IS NULL OR user_id = $2)
+        SELECT ${NOTIFICATION_COLUMNS}, (r.notification_id IS NOT NULL) as is_read, r.read_at
+        FROM notifications n
+        LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = $2
+        WHERE n.empresa_id = $1 AND (n.user_id IS NULL OR n.user_id = $2)
       `;
       const params = [empresa_id, user_id];
       let paramCount = 2;
 
       if (filters.type) {
         paramCount++;
-        query += ` AND type = $${paramCount}`;
+        query += ` AND n.type = $${paramCount}`;
         params.push(filters.type);
       }
 
       if (filters.is_read !== undefined) {
         paramCount++;
-        query += ` AND is_read = $${paramCount}`;
+        query += ` AND (r.notification_id IS NOT NULL) = $${paramCount}`;
         params.push(filters.is_read);
       }
 
       if (filters.priority) {
         paramCount++;
-        query += ` AND priority = $${paramCount}`;
+        query += ` AND n.priority = $${paramCount}`;
         params.push(filters.priority);
       }
 
       query += ` ORDER BY 
-        CASE priority
+        CASE n.priority
           WHEN 'high' THEN 1
           WHEN 'medium' THEN 2
           WHEN 'low' THEN 3
           ELSE 4
         END,
-        created_at DESC 
+        n.created_at DESC 
         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
 
       params.push(limit, offset);
@@ -583,26 +842,36 @@ class BackendNotifications {
     }
   }
 
-  async markAsRead(notificationId, userId) {
+  async markAsRead(notificationId, userId, empresa_id) {
     try {
       const result = await queryWithMetrics(
-        `UPDATE notifications 
-         SET is_read = true, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $1 AND (user_id IS NULL OR user_id = $2)
-         RETURNING *`,
-        [notificationId, userId],
-        'update',
+        `SELECT ${NOTIFICATION_COLUMNS} FROM notifications n 
+         WHERE n.id = $1 AND n.empresa_id = $3 AND (n.user_id IS NULL OR n.user_id = $2)`,
+        [notificationId, userId, empresa_id],
+        'select',
         'notifications'
       );
 
       if (result.rows.length === 0) {
-        throw new Error('Notificação não encontrada ou acesso negado');
+        throw notFoundError();
       }
 
-      const notification = result.rows[0];
+      // Ler de novo mantém a data da primeira leitura
+      const readResult = await queryWithMetrics(
+        `INSERT INTO notification_reads (notification_id, user_id) 
+         VALUES ($1, $2) 
+         ON CONFLICT (notification_id, user_id) DO UPDATE SET read_at = notification_reads.read_at 
+         RETURNING read_at`,
+        [notificationId, userId],
+        'insert',
+        'notification_reads'
+      );
+
+      const notification = { ...result.rows[0], is_read: true, read_at: readResult.rows[0].read_at };
 
       await this.invalidateNotificationCache(notification.empresa_id, userId);
 
+      // Só o leitor recebe o evento: para os demais membros a notificação continua não lida
       if (io) {
         io.to(`user-${userId}`).emit('notification-read', {
           ...notification,
@@ -626,16 +895,16 @@ class BackendNotifications {
   async markAllAsRead(empresa_id, userId) {
     try {
       const result = await queryWithMetrics(
-        `UPDATE notifications 
-         SET is_read = true, updated_at = CURRENT_TIMESTAMP 
-         WHERE empresa_id = $1 AND (user_id IS NULL OR user_id = $2) AND is_read = false
-         RETURNING COUNT(*) as updated_count`,
+        `INSERT INTO notification_reads (notification_id, user_id) 
+         SELECT n.id, $2 FROM notifications n 
+         WHERE n.empresa_id = $1 AND (n.user_id IS NULL OR n.user_id = $2) 
+         ON CONFLICT (notification_id, user_id) DO NOTHING`,
         [empresa_id, userId],
-        'update',
-        'notifications'
+        'insert',
+        'notification_reads'
       );
 
-      const updatedCount = parseInt(result.rows[0].updated_count);
+      const updatedCount = result.rowCount;
 
       await this.invalidateNotificationCache(empresa_id, userId);
 
@@ -671,8 +940,9 @@ class BackendNotifications {
 
       const result = await queryWithMetrics(
         `SELECT COUNT(*) as unread_count 
-         FROM notifications 
-         WHERE empresa_id = $1 AND (user_id IS NULL OR user_id = $2) AND is_read = false`,
+         FROM notifications n 
+         WHERE n.empresa_id = $1 AND (n.user_id IS NULL OR n.user_id = $2) 
+           AND NOT EXISTS (SELECT 1 FROM notification_reads r WHERE r.notification_id = n.id AND r.user_id = $2)`,
         [empresa_id, userId],
         'select',
         'notifications'
@@ -697,6 +967,7 @@ class BackendNotifications {
         title: '⚠️ Estoque Baixo',
         message: `O produto "${product.name}" está com estoque baixo (${product.stock_quantity} unidades). Estoque mínimo: ${product.min_stock}`,
         type: 'warning',
+        category: 'low_stock',
         priority: 'high',
         metadata: {
           product_id: product.id,
@@ -729,6 +1000,7 @@ class BackendNotifications {
         title: '💰 Nova Venda Realizada',
         message: `Venda ${sale.sale_code} realizada - Total: R$ ${sale.total_amount}`,
         type: 'success',
+        category: 'sale',
         priority: 'medium',
         metadata: {
           sale_id: sale.id,
@@ -755,10 +1027,10 @@ class BackendNotifications {
 
   async invalidateNotificationCache(empresa_id, user_id) {
     try {
-      const patterns = [
-        `notifications:${empresa_id}:${user_id}:*`,
-        `notifications:unread:${empresa_id}:${user_id}`
-      ];
+      // Notificação da empresa (user_id nulo) muda a lista e o contador de todos os membros
+      const patterns = user_id === null || user_id === undefined
+        ? [`notifications:${empresa_id}:*`, `notifications:unread:${empresa_id}:*`]
+        : [`notifications:${empresa_id}:${user_id}:*`, `notifications:unread:${empresa_id}:${user_id}`];
 
       for (const pattern of patterns) {
         await CacheService.delPattern(pattern);
@@ -800,11 +1072,12 @@ class HybridNotificationService {
     }
   }
 
-  async markAsRead(notificationId, userId) {
+  // Só notificações da empresa ativa: a mesma notificação não pode ser lida a partir de outra empresa
+  async markAsRead(notificationId, userId, empresa_id) {
     if (IS_FRONTEND_MODE) {
-      return await this.frontendNotifications.markAsRead(notificationId, userId);
+      return await this.frontendNotifications.markAsRead(notificationId, userId, empresa_id);
     } else {
-      return await this.backendNotifications.markAsRead(notificationId, userId);
+      return await this.backendNotifications.markAsRead(notificationId, userId, empresa_id);
     }
   }
 
@@ -824,6 +1097,22 @@ class HybridNotificationService {
     }
   }
 
+  async getPreferences(empresa_id, userId) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendNotifications.getPreferences(empresa_id, userId);
+    } else {
+      return await this.backendNotifications.getPreferences(empresa_id, userId);
+    }
+  }
+
+  async updatePreferences(empresa_id, userId, changes) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendNotifications.updatePreferences(empresa_id, userId, changes);
+    } else {
+      return await this.backendNotifications.updatePreferences(empresa_id, userId, changes);
+    }
+  }
+
   async createLowStockNotification(product) {
     if (IS_FRONTEND_MODE) {
       return await this.frontendNotifications.createLowStockNotification(product);
@@ -17,6 +17,192 @@ if (!IS_FRONTEND_MODE) {
   });
 }
 
+// ✅ SEGMENTOS RFM DO RELATÓRIO DE CLIENTES
+const RFM_SEGMENTS = {
+  campeoes: 'Campeões',
+  fieis: 'Clientes fiéis',
+  novos: 'Novos clientes',
+  precisam_atencao: 'Precisam de atenção',
+  em_risco: 'Em risco',
+  hibernando: 'Hibernando',
+  sem_compras: 'Sem compras'
+};
+
+// ✅ CONCILIAÇÃO DO ESTOQUE COM O KARDEX
+// Divergência = saldo em products menos a soma das movimentações registradas
+function buildStockReconciliation(rows) {
+  const produtos = rows.map(row => {
+    const estoqueAtual = parseInt(row.estoque_atual) || 0;
+    const estoqueKardex = parseInt(row.estoque_kardex) || 0;
+    return {
+      product_id: row.product_id,
+      produto: row.produto,
+      estoque_atual: estoqueAtual,
+      estoque_kardex: estoqueKardex,
+      movimentacoes: parseInt(row.movimentacoes) || 0,
+      divergencia: estoqueAtual - estoqueKardex
+    };
+  });
+
+  const divergentes = produtos.filter(p => p.divergencia !== 0);
+
+  return {
+    conciliado: divergentes.length === 0,
+    total_produtos: produtos.length,
+    produtos_divergentes: divergentes.length,
+    divergencias: divergentes,
+    verificado_em: new Date().toISOString()
+  };
+}
+
+// ✅ VALOR BAIXADO DE UM LANÇAMENTO FINANCEIRO
+// Lançamentos quitados antes das baixas parciais não têm paid_amount: contam pelo valor integral
+function settledAmount(item) {
+  if (item.paid_amount !== undefined && item.paid_amount !== null) {
+    return parseFloat(item.paid_amount) || 0;
+  }
+  return ['pago', 'recebido'].includes(item.status) ? parseFloat(item.amount) || 0 : 0;
+}
+
+function openAmount(item) {
+  return item.status === 'cancelado' ? 0 : (parseFloat(item.amount) || 0) - settledAmount(item);
+}
+
+// ✅ DATA LOCAL (AAAA-MM-DD) E VALORES COM 2 CASAS PARA DRE E PROJEÇÃO DE CAIXA
+function reportDate(value = new Date()) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+}
+
+function reportMoney(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+// ✅ DRE (DEMONSTRAÇÃO DO RESULTADO) DO MÊS
+// Receita bruta, descontos, devoluções, taxas de cartão e CMV vêm das vendas do mês; outras receitas e
+// despesas operacionais são os lançamentos avulsos (compras de mercadoria já entram no CMV)
+function buildIncomeStatement({ receitaBruta, descontos, devolucoes, taxasCartao, cmv, outrasReceitas, despesas = [] }) {
+  const percentual = (valor, base) => base > 0 ? Math.round((valor / base) * 10000) / 100 : 0;
+
+  const deducoes = {
+    descontos: reportMoney(descontos),
+    devolucoes: reportMoney(devolucoes),
+    taxas_cartao: reportMoney(taxasCartao)
+  };
+  deducoes.total = reportMoney(deducoes.descontos + deducoes.devolucoes + deducoes.taxas_cartao);
+
+  const receitaLiquida = reportMoney(reportMoney(receitaBruta) - deducoes.total);
+  const lucroBruto = reportMoney(receitaLiquida - reportMoney(cmv));
+
+  const porCategoria = despesas
+    .map(despesa => ({
+      categoria_id: despesa.categoria_id ?? null,
+      categoria: despesa.categoria || 'Sem categoria',
+      total: reportMoney(despesa.total)
+    }))
+    .sort((a, b) => b.total - a.total);
+  const totalDespesas = reportMoney(porCategoria.reduce((sum, despesa) => sum + despesa.total, 0));
+  const resultado = reportMoney(lucroBruto + reportMoney(outrasReceitas) - totalDespesas);
+
+  return {
+    receita_bruta: reportMoney(receitaBruta),
+    deducoes,
+    receita_liquida: receitaLiquida,
+    cmv: reportMoney(cmv),
+    lucro_bruto: lucroBruto,
+    outras_receitas: reportMoney(outrasReceitas),
+    despesas_operacionais: { total: totalDespesas, por_categoria: porCategoria },
+    resultado,
+    margem_bruta: percentual(lucroBruto, receitaLiquida),
+    margem_liquida: percentual(resultado, receitaLiquida)
+  };
+}
+
+// ✅ PROJEÇÃO DO FLUXO DE CAIXA (30/60/90 DIAS)
+// Saldo em aberto de receber e pagar por faixa de vencimento (até 30, 31 a 60 e 61 a 90 dias);
+// vencidos ficam à parte e o acumulado soma as faixas a partir de hoje
+const CASH_FLOW_HORIZONS = [30, 60, 90];
+
+function buildCashFlowProjection(rows, today = reportDate()) {
+  const dayIndex = iso => Math.round(new Date(`${iso}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+  const hoje = dayIndex(today);
+  const addDaysTo = days => new Date((hoje + days) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const vencidos = { a_receber: 0, a_pagar: 0 };
+  const periodos = CASH_FLOW_HORIZONS.map((dias, index) => ({
+    dias,
+    de: addDaysTo(index === 0 ? 0 : CASH_FLOW_HORIZONS[index - 1] + 1),
+    ate: addDaysTo(dias),
+    a_receber: 0,
+    a_pagar: 0
+  }));
+
+  rows.forEach(row => {
+    if (!row.due_date) return;
+    const dias = dayIndex(reportDate(row.due_date)) - hoje;
+    const destino = dias < 0 ? vencidos : periodos.find(periodo => dias <= periodo.dias);
+    if (!destino) return;
+
+    const campo = row.type === 'receita' ? 'a_receber' : 'a_pagar';
+    destino[campo] = reportMoney(destino[campo] + (parseFloat(row.saldo) || 0));
+  });
+
+  let acumulado = 0;
+  periodos.forEach(periodo => {
+    periodo.saldo = reportMoney(periodo.a_receber - periodo.a_pagar);
+    acumulado = reportMoney(acumulado + periodo.saldo);
+    periodo.saldo_acumulado = acumulado;
+  });
+
+  return {
+    data_base: today,
+    vencidos: { ...vencidos, saldo: reportMoney(vencidos.a_receber - vencidos.a_pagar) },
+    periodos,
+    saldo_projetado: acumulado
+  };
+}
+
+// ✅ MARGEM BRUTA POR PRODUTO, CATEGORIA OU MÊS
+// Receita líquida de devoluções; itens vendidos sem custo conhecido ficam fora da margem e são contados à parte
+const GROSS_MARGIN_GROUPINGS = {
+  produto: { select: 'product_id as grupo_id, produto as grupo', groupBy: 'product_id, produto' },
+  categoria: { select: 'NULL as grupo_id, categoria as grupo', groupBy: 'categoria' },
+  mes: { select: 'NULL as grupo_id, mes as grupo', groupBy: 'mes' }
+};
+
+function buildGrossMarginReport(rows, agrupar) {
+  const resumir = (grupo, row) => {
+    const receitaComCusto = reportMoney(row.receita_com_custo);
+    const custo = reportMoney(row.custo);
+    const margem = reportMoney(receitaComCusto - custo);
+
+    return {
+      ...grupo,
+      quantidade: parseInt(row.quantidade) || 0,
+      receita: reportMoney(row.receita),
+      custo,
+      margem_bruta: margem,
+      margem_percentual: receitaComCusto > 0 ? Math.round((margem / receitaComCusto) * 10000) / 100 : null,
+      itens_sem_custo: parseInt(row.itens_sem_custo) || 0
+    };
+  };
+
+  const grupos = rows
+    .map(row => resumir({ grupo_id: row.grupo_id ?? null, grupo: row.grupo }, row))
+    .sort((a, b) => agrupar === 'mes' ? String(a.grupo).localeCompare(String(b.grupo)) : b.margem_bruta - a.margem_bruta);
+
+  const totais = rows.reduce((total, row) => {
+    ['quantidade', 'receita', 'receita_com_custo', 'custo', 'itens_sem_custo'].forEach(campo => {
+      total[campo] += parseFloat(row[campo]) || 0;
+    });
+    return total;
+  }, { quantidade: 0, receita: 0, receita_com_custo: 0, custo: 0, itens_sem_custo: 0 });
+
+  return { agrupamento: agrupar, grupos, totais: resumir({}, totais) };
+}
+
 // ✅ SISTEMA DE RELATÓRIOS FRONTEND
 class FrontendReports {
   constructor() {
@@ -34,7 +220,8 @@ class FrontendReports {
       sales: [],
       products: [],
       financial: [],
-      customers: []
+      customers: [],
+      stockMovements: []
     };
 
     // Gerar dados de vendas demo
@@ -42,11 +229,15 @@ class FrontendReports {
       const date = new Date(now);
       date.setDate(date.getDate() - i);
       
+      const totalAmount = Math.random() * 1000 + 50;
+
       demoData.sales.push({
         id: i + 1,
         sale_date: date.toISOString(),
         sale_code: `V${1000 + i}`,
-        total_amount: Math.random() * 1000 + 50,
+        total_amount: totalAmount,
+        total_cost: totalAmount * (0.5 + Math.random() * 0.2),
+        product_id: (i % 5) + 1,
         total_items: Math.floor(Math.random() * 5) + 1,
         payment_method: ['cartão', 'dinheiro', 'pix'][Math.floor(Math.random() * 3)],
         empresa_id: 1
@@ -63,15 +254,29 @@ class FrontendReports {
     ];
     demoData.products = products;
 
+    // Saldo inicial do kardex de cada produto demo
+    demoData.stockMovements = products.map(p => ({
+      product_id: p.id,
+      movement_type: 'saldo_inicial',
+      quantity: p.stock_quantity,
+      quantity_before: 0,
+      quantity_after: p.stock_quantity
+    }));
+
     // Gerar dados financeiros demo
     for (let i = 0; i < 20; i++) {
+      const type = i % 2 === 0 ? 'receita' : 'despesa';
+      const amount = parseFloat((type === 'receita' ? Math.random() * 500 + 100 : Math.random() * 200 + 50).toFixed(2));
+      const status = ['pendente', 'parcial', type === 'receita' ? 'recebido' : 'pago'][Math.floor(Math.random() * 3)];
+
       demoData.financial.push({
         id: i + 1,
-        name: i % 2 === 0 ? `Venda Cliente ${i + 1}` : `Despesa ${i + 1}`,
-        type: i % 2 === 0 ? 'receita' : 'despesa',
-        amount: i % 2 === 0 ? Math.random() * 500 + 100 : Math.random() * 200 + 50,
+        name: type === 'receita' ? `Venda Cliente ${i + 1}` : `Despesa ${i + 1}`,
+        type,
+        amount,
+        paid_amount: status === 'pendente' ? 0 : status === 'parcial' ? parseFloat((amount / 2).toFixed(2)) : amount,
         due_date: new Date(now.getTime() + Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        status: ['pendente', 'recebido', 'pago'][Math.floor(Math.random() * 3)],
+        status,
         empresa_id: 1
       });
     }
@@ -279,6 +484,7 @@ class FrontendReports {
         estatisticas: estatisticas,
         reposicao_necessaria: reposicao_necessaria,
         alertas: alertas,
+        inventario: { inventarios_abertos: 0, ultimo_inventario: null },
         gerado_em: new Date().toISOString(),
         modo: 'frontend'
       };
@@ -324,16 +530,35 @@ class FrontendReports {
     return products
       .filter(p => p.stock_quantity <= p.min_stock)
       .map(p => ({
+        product_id: p.id,
         produto: p.name,
         quantidade_atual: p.stock_quantity,
         estoque_minimo: p.min_stock,
         quantidade_repor: p.min_stock - p.stock_quantity,
         preco: p.price,
+        custo: p.cost_price ?? null,
         categoria: p.category
       }))
       .sort((a, b) => b.quantidade_repor - a.quantidade_repor);
   }
 
+  async getRestockNeeds(empresa_id) {
+    return this.calculateRestockNeeds(this.demoData.products);
+  }
+
+  async getStockReconciliation(empresa_id) {
+    return buildStockReconciliation(this.demoData.products.map(p => {
+      const movimentacoes = this.demoData.stockMovements.filter(m => m.product_id === p.id);
+      return {
+        product_id: p.id,
+        produto: p.name,
+        estoque_atual: p.stock_quantity,
+        estoque_kardex: movimentacoes.reduce((sum, m) => sum + m.quantity, 0),
+        movimentacoes: movimentacoes.length
+      };
+    }));
+  }
+
   async getFinancialReport(empresa_id, mes = null, ano = null, useCache = true) {
     try {
       const mesAtual = mes || new Date().getMonth() + 1;
@@ -406,12 +631,16 @@ class FrontendReports {
           tipo: item.type,
           status: item.status,
           total_contas: 0,
-          total_valor: 0
+          total_valor: 0,
+          total_pago: 0,
+          total_em_aberto: 0
         };
       }
       
       grouped[key].total_contas++;
       grouped[key].total_valor += item.amount;
+      grouped[key].total_pago += settledAmount(item);
+      grouped[key].total_em_aberto += openAmount(item);
     });
 
     // Calcular valor médio
@@ -432,12 +661,16 @@ class FrontendReports {
           type: item.type,
           status: item.status,
           quantidade: 0,
-          valor_total: 0
+          valor_total: 0,
+          valor_pago: 0,
+          valor_em_aberto: 0
         };
       }
       
       summary[key].quantidade++;
       summary[key].valor_total += item.amount;
+      summary[key].valor_pago += settledAmount(item);
+      summary[key].valor_em_aberto += openAmount(item);
     });
 
     return Object.values(summary);
@@ -446,7 +679,7 @@ class FrontendReports {
   processCashFlow(financialData) {
     const dailyFlow = {};
     
-    financialData.forEach(item => {
+    financialData.filter(item => item.status !== 'cancelado').forEach(item => {
       const day = new Date(item.due_date).getDate();
       if (!dailyFlow[day]) {
         dailyFlow[day] = { dia: day, receitas: 0, despesas: 0, saldo: 0 };
@@ -470,19 +703,14 @@ class FrontendReports {
     let receitas_pendentes = 0;
     let despesas_pendentes = 0;
 
+    // Realizado = valores baixados; pendente = saldo em aberto (cancelados ficam de fora)
     financialData.forEach(item => {
       if (item.type === 'receita') {
-        if (item.status === 'recebido') {
-          receitas += item.amount;
-        } else {
-          receitas_pendentes += item.amount;
-        }
+        receitas += settledAmount(item);
+        receitas_pendentes += openAmount(item);
       } else {
-        if (item.status === 'pago') {
-          despesas += item.amount;
-        } else {
-          despesas_pendentes += item.amount;
-        }
+        despesas += settledAmount(item);
+        despesas_pendentes += openAmount(item);
       }
     });
 
@@ -513,6 +741,147 @@ class FrontendReports {
     };
   }
 
+  // ✅ DRE DO MÊS (DEMO: CUSTO DA VENDA EM total_cost, SEM DEVOLUÇÕES NEM TAXAS)
+  async getIncomeStatement(empresa_id, mes = null, ano = null, useCache = true) {
+    try {
+      const mesAtual = mes || new Date().getMonth() + 1;
+      const anoAtual = ano || new Date().getFullYear();
+
+      const cacheKey = `report:dre:${empresa_id}:${mesAtual}:${anoAtual}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('DRE frontend do cache', true, { empresa_id, mesAtual, anoAtual });
+          return cached;
+        }
+      }
+
+      const doMes = date => {
+        const parsed = new Date(date);
+        return parsed.getMonth() + 1 === mesAtual && parsed.getFullYear() === anoAtual;
+      };
+      const salesData = this.demoData.sales.filter(sale => doMes(sale.sale_date));
+      const financialData = this.demoData.financial.filter(item => item.status !== 'cancelado' && doMes(item.due_date));
+      const despesas = financialData.filter(item => item.type === 'despesa');
+
+      const report = {
+        periodo: `${mesAtual}/${anoAtual}`,
+        ...buildIncomeStatement({
+          receitaBruta: salesData.reduce((sum, sale) => sum + sale.total_amount, 0),
+          descontos: 0,
+          devolucoes: 0,
+          taxasCartao: 0,
+          cmv: salesData.reduce((sum, sale) => sum + (sale.total_cost || 0), 0),
+          outrasReceitas: financialData.filter(item => item.type === 'receita').reduce((sum, item) => sum + item.amount, 0),
+          despesas: despesas.length > 0 ? [{ categoria: null, total: despesas.reduce((sum, item) => sum + item.amount, 0) }] : []
+        }),
+        gerado_em: new Date().toISOString(),
+        modo: 'frontend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 1800);
+      }
+
+      BizFlowLogger.businessLog('DRE frontend gerado', { empresaId: empresa_id, periodo: report.periodo });
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'FrontendReports.getIncomeStatement' });
+      throw error;
+    }
+  }
+
+  // ✅ PROJEÇÃO DE CAIXA COM O SALDO EM ABERTO DOS LANÇAMENTOS DEMO
+  async getCashFlowProjection(empresa_id, useCache = true) {
+    try {
+      const hoje = reportDate();
+      const cacheKey = `report:cashflow:${empresa_id}:${hoje}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Projeção de caixa frontend do cache', true, { empresa_id });
+          return cached;
+        }
+      }
+
+      const report = {
+        ...buildCashFlowProjection(
+          this.demoData.financial
+            .filter(item => ['pendente', 'parcial'].includes(item.status))
+            .map(item => ({ type: item.type, due_date: item.due_date, saldo: openAmount(item) })),
+          hoje
+        ),
+        gerado_em: new Date().toISOString(),
+        modo: 'frontend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 600);
+      }
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'FrontendReports.getCashFlowProjection' });
+      throw error;
+    }
+  }
+
+  // ✅ MARGEM BRUTA (DEMO: UMA VENDA POR PRODUTO, CUSTO EM total_cost)
+  async getGrossMarginReport(empresa_id, agrupar = 'produto', periodo = '30', useCache = true) {
+    try {
+      const dias = parseInt(periodo) || 30;
+      const cacheKey = `report:margin:${empresa_id}:${agrupar}:${dias}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Relatório de margem frontend do cache', true, { empresa_id, agrupar, dias });
+          return cached;
+        }
+      }
+
+      const limite = new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+      const grupos = {};
+
+      this.demoData.sales.filter(sale => new Date(sale.sale_date) >= limite).forEach(sale => {
+        const produto = this.demoData.products.find(p => p.id === sale.product_id) || {};
+        const [grupoId, grupo] = agrupar === 'produto'
+          ? [produto.id ?? null, produto.name || 'Produto']
+          : [null, agrupar === 'categoria' ? produto.category || 'Sem categoria' : sale.sale_date.substring(0, 7)];
+
+        const linha = grupos[grupo] || (grupos[grupo] = {
+          grupo_id: grupoId, grupo, quantidade: 0, receita: 0, receita_com_custo: 0, custo: 0, itens_sem_custo: 0
+        });
+        linha.quantidade += sale.total_items;
+        linha.receita += sale.total_amount;
+        linha.receita_com_custo += sale.total_amount;
+        linha.custo += sale.total_cost;
+      });
+
+      const report = {
+        ...buildGrossMarginReport(Object.values(grupos), agrupar),
+        periodo: `${dias} dias`,
+        gerado_em: new Date().toISOString(),
+        modo: 'frontend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 1800);
+      }
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'FrontendReports.getGrossMarginReport' });
+      throw error;
+    }
+  }
+
   async getTopProductsReport(empresa_id, limite = 10, periodo = '30', useCache = true) {
     try {
       const cacheKey = `report:topproducts:${empresa_id}:${limite}:${periodo}`;
@@ -692,6 +1061,7 @@ class BackendReports {
           COUNT(DISTINCT s.id) as vendas_por_dia
         FROM sales s
         WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled'
         GROUP BY DATE(s.sale_date), s.payment_method
         ORDER BY data DESC, s.payment_method`,
         [empresa_id],
@@ -708,7 +1078,8 @@ class BackendReports {
           MIN(s.total_amount) as menor_venda,
           COUNT(DISTINCT DATE(s.sale_date)) as dias_com_venda
         FROM sales s
-        WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'`,
+        WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled'`,
         [empresa_id],
         'select',
         'sales'
@@ -719,9 +1090,9 @@ class BackendReports {
           payment_method,
           COUNT(*) as quantidade,
           SUM(total_amount) as total,
-          ROUND((COUNT(*) * 100.0 / (SELECT COUNT(*) FROM sales WHERE empresa_id = $1 AND sale_date >= CURRENT_DATE - INTERVAL '${dias} days')), 2) as percentual
+          ROUND((COUNT(*) * 100.0 / (SELECT COUNT(*) FROM sales WHERE empresa_id = $1 AND sale_date >= CURRENT_DATE - INTERVAL '${dias} days' AND status <> 'cancelled')), 2) as percentual
         FROM sales 
-        WHERE empresa_id = $1 AND sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+        WHERE empresa_id = $1 AND sale_date >= CURRENT_DATE - INTERVAL '${dias} days' AND status <> 'cancelled'
         GROUP BY payment_method
         ORDER BY total DESC`,
         [empresa_id],
@@ -732,13 +1103,14 @@ class BackendReports {
       const salesByCategory = await queryWithMetrics(
         `SELECT 
           p.category as categoria,
-          SUM(si.quantity) as total_itens,
-          SUM(si.total_price) as total_valor,
+          SUM(si.quantity - COALESCE(si.refunded_quantity, 0)) as total_itens,
+          SUM(si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0)) as total_valor,
           COUNT(DISTINCT s.id) as total_vendas
         FROM sale_items si
         JOIN products p ON si.product_id = p.id
         JOIN sales s ON si.sale_id = s.id
         WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled' AND si.quantity > COALESCE(si.refunded_quantity, 0)
         GROUP BY p.category
         ORDER BY total_valor DESC`,
         [empresa_id],
@@ -847,22 +1219,8 @@ class BackendReports {
         'products'
       );
 
-      const needRestock = await queryWithMetrics(
-        `SELECT 
-          name as produto,
-          stock_quantity as quantidade_atual,
-          min_stock as estoque_minimo,
-          (min_stock - stock_quantity) as quantidade_repor,
-          price as preco,
-          category as categoria
-        FROM products 
-        WHERE empresa_id = $1 AND is_active = true AND stock_quantity <= min_stock
-        ORDER BY (min_stock - stock_quantity) DESC
-        LIMIT 20`,
-        [empresa_id],
-        'select',
-        'products'
-      );
+      const needRestock = await this.getRestockNeeds(empresa_id, 20);
+      const inventory = await this.getInventoryStatus(empresa_id);
 
       const report = {
         produtos: productsData.rows,
@@ -877,8 +1235,9 @@ class BackendReports {
           maior_estoque: 0,
           menor_estoque: 0
         },
-        reposicao_necessaria: needRestock.rows,
+        reposicao_necessaria: needRestock,
         alertas: this.generateStockAlerts(productsData.rows),
+        inventario: inventory,
         gerado_em: new Date().toISOString(),
         modo: 'backend'
       };
@@ -901,94 +1260,869 @@ class BackendReports {
     }
   }
 
-  // ... (manter todos os outros métodos do backend reports)
+  // ✅ SITUAÇÃO DOS INVENTÁRIOS (contagens abertas e último efetivado com seus ajustes)
+  async getFinancialReport(empresa_id, mes = null, ano = null, useCache = true) {
+    try {
+      const mesAtual = mes || new Date().getMonth() + 1;
+      const anoAtual = ano || new Date().getFullYear();
 
-  analyzeSalesTrends(salesData) {
-    if (!salesData || salesData.length === 0) {
-      return { tendencia: 'estavel', variacao: 0 };
-    }
+      const cacheKey = `report:financial:${empresa_id}:${mesAtual}:${anoAtual}`;
 
-    const recentSales = salesData.slice(0, 7);
-    const totalSales = recentSales.reduce((sum, day) => sum + day.total_vendas, 0);
-    const avgSales = totalSales / recentSales.length;
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Relatório financeiro backend do cache', true, { empresa_id, mesAtual, anoAtual });
+          return cached;
+        }
+      }
 
-    const firstDay = recentSales[recentSales.length - 1]?.total_vendas || 0;
-    const lastDay = recentSales[0]?.total_vendas || 0;
-    const variation = firstDay > 0 ? ((lastDay - firstDay) / firstDay) * 100 : 0;
+      const financialData = await queryWithMetrics(
+        `SELECT 
+          type as tipo,
+          status,
+          COUNT(*) as total_contas,
+          SUM(amount) as total_valor,
+          SUM(paid_amount) as total_pago,
+          SUM(CASE WHEN status = 'cancelado' THEN 0 ELSE amount - paid_amount END) as total_em_aberto,
+          AVG(amount) as valor_medio
+        FROM financial_accounts 
+        WHERE empresa_id = $1 AND EXTRACT(MONTH FROM due_date) = $2 
+          AND EXTRACT(YEAR FROM due_date) = $3
+        GROUP BY type, status
+        ORDER BY type, status`,
+        [empresa_id, mesAtual, anoAtual],
+        'select',
+        'financial_accounts'
+      );
 
-    let trend = 'estavel';
-    if (variation > 10) trend = 'crescendo';
-    if (variation < -10) trend = 'decrescendo';
+      const salesData = await queryWithMetrics(
+        `SELECT 
+          COUNT(*) as total_vendas,
+          SUM(total_amount) as total_faturado,
+          AVG(total_amount) as ticket_medio
+        FROM sales 
+        WHERE empresa_id = $1 AND status <> 'cancelled' AND EXTRACT(MONTH FROM sale_date) = $2 
+          AND EXTRACT(YEAR FROM sale_date) = $3`,
+        [empresa_id, mesAtual, anoAtual],
+        'select',
+        'sales'
+      );
 
-    return {
-      tendencia: trend,
-      variacao: Math.round(variation * 100) / 100,
-      media_diaria: Math.round(avgSales * 100) / 100
-    };
-  }
+      const totalPor = (tipo, campo) => financialData.rows
+        .filter(row => row.tipo === tipo)
+        .reduce((sum, row) => sum + (parseFloat(row[campo]) || 0), 0);
 
-  generateStockAlerts(products) {
-    const alerts = [];
+      const receitas = totalPor('receita', 'total_pago');
+      const despesas = totalPor('despesa', 'total_pago');
+      const receitas_pendentes = totalPor('receita', 'total_em_aberto');
+      const despesas_pendentes = totalPor('despesa', 'total_em_aberto');
 
-    products.forEach(product => {
-      if (product.status_estoque === 'SEM ESTOQUE') {
-        alerts.push({
-          nivel: 'critico',
-          mensagem: `${product.produto} está sem estoque`,
-          produto: product.produto,
-          acao: 'repor_urgente'
-        });
-      } else if (product.status_estoque === 'CRÍTICO') {
-        alerts.push({
-          nivel: 'alto',
-          mensagem: `${product.produto} está com estoque crítico (${product.quantidade} unidades)`,
-          produto: product.produto,
-          acao: 'repor_breve'
-        });
+      const report = {
+        periodo: `${mesAtual}/${anoAtual}`,
+        financeiro: financialData.rows,
+        vendas: salesData.rows[0] || { total_vendas: 0, total_faturado: 0, ticket_medio: 0 },
+        saldo_previsto: {
+          receitas,
+          despesas,
+          receitas_pendentes,
+          despesas_pendentes,
+          saldo_atual: receitas - despesas,
+          saldo_previsto: (receitas + receitas_pendentes) - (despesas + despesas_pendentes)
+        },
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 1800);
       }
-    });
 
-    return alerts;
-  }
-}
+      BizFlowLogger.businessLog('Relatório financeiro backend gerado', {
+        empresaId: empresa_id,
+        periodo: report.periodo,
+        totalVendas: report.vendas.total_vendas
+      });
 
-// ✅ SERVIÇO DE RELATÓRIOS HÍBRIDO PRINCIPAL
-class HybridReportsService {
-  constructor() {
-    this.frontendReports = new FrontendReports();
-    this.backendReports = new BackendReports();
-    this.mode = IS_FRONTEND_MODE ? 'frontend' : 'backend';
-  }
+      return report;
 
-  async getSalesReport(empresa_id, periodo = '7', useCache = true) {
-    if (IS_FRONTEND_MODE) {
-      return await this.frontendReports.getSalesReport(empresa_id, periodo, useCache);
-    } else {
-      return await this.backendReports.getSalesReport(empresa_id, periodo, useCache);
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getFinancialReport' });
+      throw error;
     }
   }
 
-  async getStockReport(empresa_id, useCache = true) {
-    if (IS_FRONTEND_MODE) {
-      return await this.frontendReports.getStockReport(empresa_id, useCache);
-    } else {
-      return await this.backendReports.getStockReport(empresa_id, useCache);
-    }
+  async getInventoryStatus(empresa_id) {
+    const openData = await queryWithMetrics(
+      `SELECT COUNT(*) as total FROM inventory_counts WHERE empresa_id = $1 AND status = 'open'`,
+      [empresa_id],
+      'select',
+      'inventory_counts'
+    );
+
+    const lastData = await queryWithMetrics(
+      `SELECT 
+        c.id,
+        c.category as categoria,
+        c.posted_at as efetivado_em,
+        COUNT(CASE WHEN i.adjustment <> 0 THEN 1 END) as itens_ajustados,
+        COALESCE(SUM(i.adjustment), 0) as saldo_ajustes
+      FROM inventory_counts c
+      LEFT JOIN inventory_count_items i ON i.inventory_count_id = c.id
+      WHERE c.empresa_id = $1 AND c.status = 'posted'
+      GROUP BY c.id
+      ORDER BY c.posted_at DESC
+      LIMIT 1`,
+      [empresa_id],
+      'select',
+      'inventory_counts'
+    );
+
+    return {
+      inventarios_abertos: parseInt(openData.rows[0].total),
+      ultimo_inventario: lastData.rows[0] || null
+    };
   }
 
-  async getFinancialReport(empresa_id, mes = null, ano = null, useCache = true) {
-    if (IS_FRONTEND_MODE) {
-      return await this.frontendReports.getFinancialReport(empresa_id, mes, ano, useCache);
-    } else {
-      return await this.backendReports.getFinancialReport(empresa_id, mes, ano, useCache);
-    }
+  // Produtos no estoque mínimo ou abaixo (sem limite quando usado para gerar pedidos de compra)
+  async getRestockNeeds(empresa_id, limite = null) {
+    const result = await queryWithMetrics(
+      `SELECT 
+        id as product_id,
+        name as produto,
+        stock_quantity as quantidade_atual,
+        min_stock as estoque_minimo,
+        (min_stock - stock_quantity) as quantidade_repor,
+        price as preco,
+        cost_price as custo,
+        category as categoria
+      FROM products 
+      WHERE empresa_id = $1 AND is_active = true AND stock_quantity <= min_stock
+      ORDER BY (min_stock - stock_quantity) DESC
+      LIMIT $2`,
+      [empresa_id, limite],
+      'select',
+      'products'
+    );
+
+    return result.rows.map(row => ({
+      ...row,
+      custo: row.custo === null ? null : parseFloat(row.custo)
+    }));
   }
 
-  async getTopProductsReport(empresa_id, limite = 10, periodo = '30', useCache = true) {
-    if (IS_FRONTEND_MODE) {
-      return await this.frontendReports.getTopProductsReport(empresa_id, limite, periodo, useCache);
-    } else {
-      return await this.backendReports.getTopProductsReport(empresa_id, limite, periodo, useCache);
+  // Sem cache: a conciliação precisa refletir o kardex no momento da consulta
+  async getStockReconciliation(empresa_id) {
+    const result = await queryWithMetrics(
+      `SELECT 
+        p.id as product_id,
+        p.name as produto,
+        p.stock_quantity as estoque_atual,
+        COALESCE(SUM(m.quantity), 0) as estoque_kardex,
+        COUNT(m.id) as movimentacoes
+      FROM products p
+      LEFT JOIN stock_movements m ON m.product_id = p.id
+      WHERE p.empresa_id = $1
+      GROUP BY p.id, p.name, p.stock_quantity
+      ORDER BY p.name`,
+      [empresa_id],
+      'select',
+      'stock_movements'
+    );
+
+    return buildStockReconciliation(result.rows);
+  }
+
+  // ✅ DRE DO MÊS: VENDAS (RECEITA, DEDUÇÕES E CMV) E LANÇAMENTOS AVULSOS POR CATEGORIA
+  async getIncomeStatement(empresa_id, mes = null, ano = null, useCache = true) {
+    try {
+      const mesAtual = mes || new Date().getMonth() + 1;
+      const anoAtual = ano || new Date().getFullYear();
+
+      const cacheKey = `report:dre:${empresa_id}:${mesAtual}:${anoAtual}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('DRE backend do cache', true, { empresa_id, mesAtual, anoAtual });
+          return cached;
+        }
+      }
+
+      // CMV pelo custo gravado no item (vendas antigas: custo vigente na data, pelo histórico), descontando itens devolvidos
+      const itemsData = await queryWithMetrics(
+        `SELECT 
+          COALESCE(SUM(si.quantity * si.unit_price), 0) as receita_bruta,
+          COALESCE(SUM(si.discount), 0) as descontos,
+          COALESCE(SUM((si.quantity - COALESCE(si.refunded_quantity, 0)) * COALESCE(si.unit_cost, ph.new_cost, p.cost_price, 0)), 0) as cmv
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        LEFT JOIN products p ON si.product_id = p.id
+        LEFT JOIN LATERAL (
+          SELECT h.new_cost
+          FROM product_price_history h
+          WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+          ORDER BY h.changed_at DESC
+          LIMIT 1
+        ) ph ON true
+        WHERE s.empresa_id = $1 AND s.status <> 'cancelled' 
+          AND EXTRACT(MONTH FROM s.sale_date) = $2 AND EXTRACT(YEAR FROM s.sale_date) = $3`,
+        [empresa_id, mesAtual, anoAtual],
+        'select',
+        'sale_items'
+      );
+
+      const salesData = await queryWithMetrics(
+        `SELECT 
+          COALESCE(SUM(s.refunded_amount), 0) as devolucoes,
+          COALESCE(SUM((
+            SELECT SUM(f.fee_amount) FROM financial_accounts f 
+            WHERE f.sale_id = s.id AND f.type = 'receita' AND f.status <> 'cancelado'
+          )), 0) as taxas_cartao
+        FROM sales s
+        WHERE s.empresa_id = $1 AND s.status <> 'cancelled' 
+          AND EXTRACT(MONTH FROM s.sale_date) = $2 AND EXTRACT(YEAR FROM s.sale_date) = $3`,
+        [empresa_id, mesAtual, anoAtual],
+        'select',
+        'sales'
+      );
+
+      // Lançamentos de vendas (parcelas e devoluções) e de pedidos de compra já estão nas linhas acima
+      const financialData = await queryWithMetrics(
+        `SELECT 
+          f.type,
+          f.category_id as categoria_id,
+          c.name as categoria,
+          SUM(f.amount) as total
+        FROM financial_accounts f
+        LEFT JOIN chart_of_accounts c ON f.category_id = c.id
+        WHERE f.empresa_id = $1 AND f.status <> 'cancelado' 
+          AND f.sale_id IS NULL AND f.purchase_order_id IS NULL 
+          AND EXTRACT(MONTH FROM f.due_date) = $2 AND EXTRACT(YEAR FROM f.due_date) = $3
+        GROUP BY f.type, f.category_id, c.name`,
+        [empresa_id, mesAtual, anoAtual],
+        'select',
+        'financial_accounts'
+      );
+
+      const items = itemsData.rows[0] || {};
+      const sales = salesData.rows[0] || {};
+
+      const report = {
+        periodo: `${mesAtual}/${anoAtual}`,
+        ...buildIncomeStatement({
+          receitaBruta: items.receita_bruta,
+          descontos: items.descontos,
+          devolucoes: sales.devolucoes,
+          taxasCartao: sales.taxas_cartao,
+          cmv: items.cmv,
+          outrasReceitas: financialData.rows
+            .filter(row => row.type === 'receita')
+            .reduce((sum, row) => sum + (parseFloat(row.total) || 0), 0),
+          despesas: financialData.rows.filter(row => row.type === 'despesa')
+        }),
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 1800);
+      }
+
+      BizFlowLogger.businessLog('DRE backend gerado', {
+        empresaId: empresa_id,
+        periodo: report.periodo,
+        resultado: report.resultado
+      });
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getIncomeStatement' });
+      throw error;
+    }
+  }
+
+  // ✅ PROJEÇÃO DE CAIXA: SALDO EM ABERTO A RECEBER E A PAGAR NOS PRÓXIMOS 90 DIAS
+  async getCashFlowProjection(empresa_id, useCache = true) {
+    try {
+      const hoje = reportDate();
+      const cacheKey = `report:cashflow:${empresa_id}:${hoje}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Projeção de caixa backend do cache', true, { empresa_id });
+          return cached;
+        }
+      }
+
+      const limite = new Date();
+      limite.setDate(limite.getDate() + CASH_FLOW_HORIZONS[CASH_FLOW_HORIZONS.length - 1]);
+
+      const openData = await queryWithMetrics(
+        `SELECT 
+          type,
+          due_date,
+          SUM(amount - paid_amount) as saldo
+        FROM financial_accounts 
+        WHERE empresa_id = $1 AND status IN ('pendente', 'parcial') AND due_date <= $2
+        GROUP BY type, due_date`,
+        [empresa_id, reportDate(limite)],
+        'select',
+        'financial_accounts'
+      );
+
+      const report = {
+        ...buildCashFlowProjection(openData.rows, hoje),
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 600);
+      }
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getCashFlowProjection' });
+      throw error;
+    }
+  }
+
+  // ✅ MARGEM BRUTA: CUSTO GRAVADO NO ITEM DA VENDA (OU O VIGENTE NA DATA, PARA VENDAS ANTIGAS)
+  async getGrossMarginReport(empresa_id, agrupar = 'produto', periodo = '30', useCache = true) {
+    try {
+      const dias = parseInt(periodo) || 30;
+      const cacheKey = `report:margin:${empresa_id}:${agrupar}:${dias}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Relatório de margem backend do cache', true, { empresa_id, agrupar, dias });
+          return cached;
+        }
+      }
+
+      const grouping = GROSS_MARGIN_GROUPINGS[agrupar];
+
+      const marginData = await queryWithMetrics(
+        `WITH itens AS (
+          SELECT 
+            si.product_id,
+            COALESCE(p.name, si.product_name) as produto,
+            COALESCE(p.category, 'Sem categoria') as categoria,
+            TO_CHAR(s.sale_date, 'YYYY-MM') as mes,
+            si.quantity - COALESCE(si.refunded_quantity, 0) as quantidade,
+            si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0) as receita,
+            COALESCE(si.unit_cost, ph.new_cost) as custo_unitario
+          FROM sale_items si
+          JOIN sales s ON si.sale_id = s.id
+          LEFT JOIN products p ON si.product_id = p.id
+          LEFT JOIN LATERAL (
+            SELECT h.new_cost
+            FROM product_price_history h
+            WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+            ORDER BY h.changed_at DESC
+            LIMIT 1
+          ) ph ON true
+          WHERE s.empresa_id = $1 AND s.status <> 'cancelled' 
+            AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+        )
+        SELECT 
+          ${grouping.select},
+          SUM(quantidade) as quantidade,
+          SUM(receita) as receita,
+          SUM(receita) FILTER (WHERE custo_unitario IS NOT NULL) as receita_com_custo,
+          SUM(quantidade * custo_unitario) as custo,
+          COUNT(*) FILTER (WHERE custo_unitario IS NULL) as itens_sem_custo
+        FROM itens
+        GROUP BY ${grouping.groupBy}`,
+        [empresa_id],
+        'select',
+        'sale_items'
+      );
+
+      const report = {
+        ...buildGrossMarginReport(marginData.rows, agrupar),
+        periodo: `${dias} dias`,
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 1800);
+      }
+
+      BizFlowLogger.businessLog('Relatório de margem bruta backend gerado', {
+        empresaId: empresa_id,
+        agrupar,
+        periodo: dias
+      });
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getGrossMarginReport' });
+      throw error;
+    }
+  }
+
+  async getTopProductsReport(empresa_id, limite = 10, periodo = '30', useCache = true) {
+    try {
+      const cacheKey = `report:topproducts:${empresa_id}:${limite}:${periodo}`;
+      
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Relatório de top produtos backend do cache', true, { empresa_id, limite, periodo });
+          return cached;
+        }
+      }
+
+      const dias = parseInt(periodo);
+
+      // Preço e custo vigentes na data de cada venda vêm de product_price_history,
+      // assim a margem de períodos passados não muda quando o preço atual é alterado
+      const productsData = await queryWithMetrics(
+        `SELECT 
+          p.id as product_id,
+          p.name as produto,
+          p.category as categoria,
+          SUM(si.quantity - COALESCE(si.refunded_quantity, 0)) as total_vendido,
+          SUM(si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0)) as total_faturado,
+          COUNT(DISTINCT si.sale_id) as vezes_vendido,
+          AVG(si.quantity - COALESCE(si.refunded_quantity, 0)) as media_por_venda,
+          AVG(si.unit_price) as preco_medio_praticado,
+          AVG(COALESCE(ph.new_price, si.unit_price)) as preco_tabela_medio,
+          SUM((si.quantity - COALESCE(si.refunded_quantity, 0)) * COALESCE(si.unit_cost, ph.new_cost, p.cost_price)) as custo_total,
+          SUM(si.total_price * (si.quantity - COALESCE(si.refunded_quantity, 0)) / NULLIF(si.quantity, 0)) FILTER (WHERE COALESCE(si.unit_cost, ph.new_cost, p.cost_price) IS NOT NULL)
+            - SUM((si.quantity - COALESCE(si.refunded_quantity, 0)) * COALESCE(si.unit_cost, ph.new_cost, p.cost_price)) as margem_bruta,
+          COUNT(*) FILTER (WHERE COALESCE(si.unit_cost, ph.new_cost, p.cost_price) IS NULL) as vendas_sem_custo,
+          MAX(si.quantity - COALESCE(si.refunded_quantity, 0)) as maior_venda,
+          MIN(si.quantity - COALESCE(si.refunded_quantity, 0)) as menor_venda
+        FROM sale_items si
+        JOIN products p ON si.product_id = p.id
+        JOIN sales s ON si.sale_id = s.id
+        LEFT JOIN LATERAL (
+          SELECT h.new_price, h.new_cost
+          FROM product_price_history h
+          WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+          ORDER BY h.changed_at DESC
+          LIMIT 1
+        ) ph ON true
+        WHERE s.empresa_id = $1 AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled' AND si.quantity > COALESCE(si.refunded_quantity, 0)
+        GROUP BY p.id, p.name, p.category
+        ORDER BY total_vendido DESC
+        LIMIT $2`,
+        [empresa_id, limite],
+        'select',
+        'sale_items'
+      );
+
+      const produtos = productsData.rows.map(row => ({
+        ...row,
+        total_vendido: parseInt(row.total_vendido),
+        total_faturado: parseFloat(row.total_faturado),
+        vendas_sem_custo: parseInt(row.vendas_sem_custo),
+        margem_percentual: row.margem_bruta !== null && parseFloat(row.total_faturado) > 0
+          ? Math.round((parseFloat(row.margem_bruta) / parseFloat(row.total_faturado)) * 10000) / 100
+          : null
+      }));
+
+      const report = {
+        produtos: produtos,
+        limite: limite,
+        periodo: `${dias} dias`,
+        estatisticas: this.calculateProductsStats(produtos),
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 3600);
+      }
+
+      BizFlowLogger.businessLog('Relatório de top produtos backend gerado', {
+        empresaId: empresa_id,
+        limite: limite,
+        periodo: periodo
+      });
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getTopProductsReport' });
+      throw error;
+    }
+  }
+
+  async getProductSalesPriceReport(empresa_id, product_id, periodo = '30') {
+    try {
+      const dias = parseInt(periodo);
+
+      const salesData = await queryWithMetrics(
+        `SELECT 
+          s.id as sale_id,
+          s.sale_code,
+          s.sale_date,
+          si.quantity,
+          COALESCE(si.refunded_quantity, 0) as quantidade_devolvida,
+          (si.quantity - COALESCE(si.refunded_quantity, 0)) as quantidade_liquida,
+          si.unit_price as preco_praticado,
+          ph.new_price as preco_vigente,
+          ph.new_cost as custo_vigente,
+          (ph.new_price - si.unit_price) as desconto_unitario
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        LEFT JOIN LATERAL (
+          SELECT h.new_price, h.new_cost
+          FROM product_price_history h
+          WHERE h.product_id = si.product_id AND h.changed_at <= s.sale_date
+          ORDER BY h.changed_at DESC
+          LIMIT 1
+        ) ph ON true
+        WHERE s.empresa_id = $1 AND si.product_id = $2 
+          AND s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'
+          AND s.status <> 'cancelled'
+        ORDER BY s.sale_date DESC`,
+        [empresa_id, product_id],
+        'select',
+        'sale_items'
+      );
+
+      const historyData = await queryWithMetrics(
+        `SELECT * FROM product_price_history 
+         WHERE empresa_id = $1 AND product_id = $2 
+         ORDER BY changed_at DESC`,
+        [empresa_id, product_id],
+        'select',
+        'product_price_history'
+      );
+
+      return {
+        product_id: product_id,
+        periodo: `${dias} dias`,
+        vendas: salesData.rows,
+        historico_precos: historyData.rows,
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getProductSalesPriceReport' });
+      throw error;
+    }
+  }
+
+  async getCustomersReport(empresa_id, periodo = '30', useCache = true) {
+    try {
+      const cacheKey = `report:customers:${empresa_id}:${periodo}`;
+
+      if (useCache) {
+        const cached = await CacheService.get(cacheKey);
+        if (cached) {
+          BizFlowLogger.cacheLog('Relatório de clientes backend do cache', true, { empresa_id, periodo });
+          return cached;
+        }
+      }
+
+      const dias = parseInt(periodo) || 30;
+
+      // Frequência e valor consideram o período; recência usa a última compra de todo o histórico.
+      // Scores RFM de 1 a 5 por quintil (CUME_DIST) entre os clientes que já compraram
+      const customersData = await queryWithMetrics(
+        `WITH customer_stats AS (
+          SELECT 
+            c.id as customer_id,
+            c.full_name,
+            c.email,
+            c.phone,
+            c.document,
+            COUNT(s.id) FILTER (WHERE s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days') as frequencia,
+            COALESCE(SUM(s.total_amount - COALESCE(s.refunded_amount, 0))
+              FILTER (WHERE s.sale_date >= CURRENT_DATE - INTERVAL '${dias} days'), 0) as total_gasto,
+            COUNT(s.id) as total_compras,
+            COALESCE(SUM(s.total_amount - COALESCE(s.refunded_amount, 0)), 0) as total_gasto_historico,
+            MIN(s.sale_date) as primeira_compra,
+            MAX(s.sale_date) as ultima_compra
+          FROM customers c
+          LEFT JOIN sales s ON s.customer_id = c.id AND s.empresa_id = c.empresa_id AND s.status <> 'cancelled'
+          WHERE c.empresa_id = $1 AND c.is_active = true
+          GROUP BY c.id, c.full_name, c.email, c.phone, c.document
+        ),
+        rfm AS (
+          SELECT 
+            customer_id,
+            CEIL(CUME_DIST() OVER (ORDER BY ultima_compra) * 5)::int as r_score,
+            CASE WHEN frequencia = 0 THEN 1
+              ELSE CEIL(CUME_DIST() OVER (ORDER BY frequencia) * 5)::int END as f_score,
+            CASE WHEN total_gasto <= 0 THEN 1
+              ELSE CEIL(CUME_DIST() OVER (ORDER BY total_gasto) * 5)::int END as m_score
+          FROM customer_stats
+          WHERE ultima_compra IS NOT NULL
+        )
+        SELECT 
+          cs.*,
+          rfm.r_score,
+          rfm.f_score,
+          rfm.m_score,
+          EXTRACT(DAY FROM CURRENT_TIMESTAMP - cs.ultima_compra)::int as dias_desde_ultima_compra
+        FROM customer_stats cs
+        LEFT JOIN rfm ON rfm.customer_id = cs.customer_id
+        ORDER BY cs.total_gasto DESC, cs.full_name`,
+        [empresa_id],
+        'select',
+        'customers'
+      );
+
+      const anonymousData = await queryWithMetrics(
+        `SELECT 
+          COUNT(*) as total_vendas,
+          COALESCE(SUM(total_amount - COALESCE(refunded_amount, 0)), 0) as total_faturado
+        FROM sales 
+        WHERE empresa_id = $1 AND customer_id IS NULL AND status <> 'cancelled'
+          AND sale_date >= CURRENT_DATE - INTERVAL '${dias} days'`,
+        [empresa_id],
+        'select',
+        'sales'
+      );
+
+      const clientes = customersData.rows.map(row => {
+        const frequencia = parseInt(row.frequencia);
+        const totalGasto = parseFloat(row.total_gasto);
+        const segmento = this.classifyRFMSegment(row.r_score, row.f_score, row.m_score);
+
+        return {
+          ...row,
+          frequencia: frequencia,
+          total_compras: parseInt(row.total_compras),
+          total_gasto: totalGasto,
+          total_gasto_historico: parseFloat(row.total_gasto_historico),
+          ticket_medio: frequencia > 0 ? Math.round((totalGasto / frequencia) * 100) / 100 : 0,
+          rfm: row.r_score ? `${row.r_score}${row.f_score}${row.m_score}` : null,
+          segmento: segmento,
+          segmento_nome: RFM_SEGMENTS[segmento]
+        };
+      });
+
+      const report = {
+        clientes: clientes,
+        segmentos: this.summarizeRFMSegments(clientes),
+        vendas_sem_cliente: {
+          total_vendas: parseInt(anonymousData.rows[0].total_vendas),
+          total_faturado: parseFloat(anonymousData.rows[0].total_faturado)
+        },
+        periodo: `${dias} dias`,
+        estatisticas: this.calculateCustomersStats(clientes),
+        gerado_em: new Date().toISOString(),
+        modo: 'backend'
+      };
+
+      if (useCache) {
+        await CacheService.set(cacheKey, report, 3600);
+      }
+
+      BizFlowLogger.businessLog('Relatório de clientes backend gerado', {
+        empresaId: empresa_id,
+        periodo: periodo,
+        totalClientes: clientes.length
+      });
+
+      return report;
+
+    } catch (error) {
+      BizFlowLogger.errorLog(error, { context: 'BackendReports.getCustomersReport' });
+      throw error;
+    }
+  }
+
+  // Segmentação RFM a partir dos scores de recência, frequência e valor (1 a 5)
+  classifyRFMSegment(r, f, m) {
+    if (!r) return 'sem_compras';
+    if (r >= 4 && f >= 4 && m >= 4) return 'campeoes';
+    if (r >= 3 && f >= 3) return 'fieis';
+    if (r >= 4) return 'novos';
+    if (r <= 2 && (f >= 3 || m >= 4)) return 'em_risco';
+    if (r <= 2) return 'hibernando';
+    return 'precisam_atencao';
+  }
+
+  summarizeRFMSegments(clientes) {
+    return Object.entries(RFM_SEGMENTS).map(([segmento, nome]) => {
+      const doSegmento = clientes.filter(c => c.segmento === segmento);
+      return {
+        segmento: segmento,
+        nome: nome,
+        clientes: doSegmento.length,
+        total_gasto: Math.round(doSegmento.reduce((sum, c) => sum + c.total_gasto, 0) * 100) / 100
+      };
+    });
+  }
+
+  calculateCustomersStats(clientes) {
+    const ativos = clientes.filter(c => c.frequencia > 0);
+
+    if (ativos.length === 0) {
+      return { total_clientes: clientes.length, clientes_ativos: 0, ticket_medio: 0, frequencia_media: 0 };
+    }
+
+    const totalGasto = ativos.reduce((sum, c) => sum + c.total_gasto, 0);
+    const totalCompras = ativos.reduce((sum, c) => sum + c.frequencia, 0);
+
+    return {
+      total_clientes: clientes.length,
+      clientes_ativos: ativos.length,
+      ticket_medio: Math.round((totalGasto / totalCompras) * 100) / 100,
+      frequencia_media: Math.round((totalCompras / ativos.length) * 100) / 100,
+      total_gasto: Math.round(totalGasto * 100) / 100,
+      melhor_cliente: ativos.reduce((best, c) => (c.total_gasto > best.total_gasto ? c : best)).full_name
+    };
+  }
+
+  calculateProductsStats(products) {
+    if (!products || products.length === 0) {
+      return { total_vendido: 0, total_faturado: 0, media_vendas: 0 };
+    }
+
+    const totalVendido = products.reduce((sum, p) => sum + p.total_vendido, 0);
+    const totalFaturado = products.reduce((sum, p) => sum + p.total_faturado, 0);
+    const mediaVendas = products.reduce((sum, p) => sum + parseInt(p.vezes_vendido), 0) / products.length;
+
+    return {
+      total_vendido: totalVendido,
+      total_faturado: Math.round(totalFaturado * 100) / 100,
+      media_vendas: Math.round(mediaVendas * 100) / 100,
+      produto_mais_vendido: products[0]?.produto || 'N/A'
+    };
+  }
+
+  // ... (manter todos os outros métodos do backend reports)
+
+  analyzeSalesTrends(salesData) {
+    if (!salesData || salesData.length === 0) {
+      return { tendencia: 'estavel', variacao: 0 };
+    }
+
+    const recentSales = salesData.slice(0, 7);
+    const totalSales = recentSales.reduce((sum, day) => sum + day.total_vendas, 0);
+    const avgSales = totalSales / recentSales.length;
+
+    const firstDay = recentSales[recentSales.length - 1]?.total_vendas || 0;
+    const lastDay = recentSales[0]?.total_vendas || 0;
+    const variation = firstDay > 0 ? ((lastDay - firstDay) / firstDay) * 100 : 0;
+
+    let trend = 'estavel';
+    if (variation > 10) trend = 'crescendo';
+    if (variation < -10) trend = 'decrescendo';
+
+    return {
+      tendencia: trend,
+      variacao: Math.round(variation * 100) / 100,
+      media_diaria: Math.round(avgSales * 100) / 100
+    };
+  }
+
+  generateStockAlerts(products) {
+    const alerts = [];
+
+    products.forEach(product => {
+      if (product.status_estoque === 'SEM ESTOQUE') {
+        alerts.push({
+          nivel: 'critico',
+          mensagem: `${product.produto} está sem estoque`,
+          produto: product.produto,
+          acao: 'repor_urgente'
+        });
+      } else if (product.status_estoque === 'CRÍTICO') {
+        alerts.push({
+          nivel: 'alto',
+          mensagem: `${product.produto} está com estoque crítico (${product.quantidade} unidades)`,
+          produto: product.produto,
+          acao: 'repor_breve'
+        });
+      }
+    });
+
+    return alerts;
+  }
+}
+
+// ✅ SERVIÇO DE RELATÓRIOS HÍBRIDO PRINCIPAL
+class HybridReportsService {
+  constructor() {
+    this.frontendReports = new FrontendReports();
+    this.backendReports = new BackendReports();
+    this.mode = IS_FRONTEND_MODE ? 'frontend' : 'backend';
+    this.GROSS_MARGIN_GROUPINGS = Object.keys(GROSS_MARGIN_GROUPINGS);
+  }
+
+  async getSalesReport(empresa_id, periodo = '7', useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getSalesReport(empresa_id, periodo, useCache);
+    } else {
+      return await this.backendReports.getSalesReport(empresa_id, periodo, useCache);
+    }
+  }
+
+  async getStockReport(empresa_id, useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getStockReport(empresa_id, useCache);
+    } else {
+      return await this.backendReports.getStockReport(empresa_id, useCache);
+    }
+  }
+
+  async getFinancialReport(empresa_id, mes = null, ano = null, useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getFinancialReport(empresa_id, mes, ano, useCache);
+    } else {
+      return await this.backendReports.getFinancialReport(empresa_id, mes, ano, useCache);
+    }
+  }
+
+  async getIncomeStatement(empresa_id, mes = null, ano = null, useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getIncomeStatement(empresa_id, mes, ano, useCache);
+    } else {
+      return await this.backendReports.getIncomeStatement(empresa_id, mes, ano, useCache);
+    }
+  }
+
+  async getCashFlowProjection(empresa_id, useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getCashFlowProjection(empresa_id, useCache);
+    } else {
+      return await this.backendReports.getCashFlowProjection(empresa_id, useCache);
+    }
+  }
+
+  async getGrossMarginReport(empresa_id, agrupar = 'produto', periodo = '30', useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getGrossMarginReport(empresa_id, agrupar, periodo, useCache);
+    } else {
+      return await this.backendReports.getGrossMarginReport(empresa_id, agrupar, periodo, useCache);
+    }
+  }
+
+  async getTopProductsReport(empresa_id, limite = 10, periodo = '30', useCache = true) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getTopProductsReport(empresa_id, limite, periodo, useCache);
+    } else {
+      return await this.backendReports.getTopProductsReport(empresa_id, limite, periodo, useCache);
+    }
+  }
+
+  async getProductSalesPriceReport(empresa_id, product_id, periodo = '30') {
+    if (IS_FRONTEND_MODE) {
+      return {
+        message: 'Relatório de preços por venda não disponível em modo frontend',
+        modo: 'frontend',
+        gerado_em: new Date().toISOString()
+      };
+    } else {
+      return await this.backendReports.getProductSalesPriceReport(empresa_id, product_id, periodo);
     }
   }
 
@@ -1004,7 +2138,7 @@ class HybridReportsService {
     }
   }
 
-  async getCustomersReport(empresa_id, periodo = '30') {
+  async getCustomersReport(empresa_id, periodo = '30', useCache = true) {
     if (IS_FRONTEND_MODE) {
       return {
         message: 'Relatório de clientes não disponível em modo frontend',
@@ -1012,10 +2146,56 @@ class HybridReportsService {
         gerado_em: new Date().toISOString()
       };
     } else {
-      return await this.backendReports.getCustomersReport(empresa_id, periodo);
+      return await this.backendReports.getCustomersReport(empresa_id, periodo, useCache);
     }
   }
 
+  async getRestockNeeds(empresa_id) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getRestockNeeds(empresa_id);
+    } else {
+      return await this.backendReports.getRestockNeeds(empresa_id);
+    }
+  }
+
+  async getStockReconciliation(empresa_id) {
+    if (IS_FRONTEND_MODE) {
+      return await this.frontendReports.getStockReconciliation(empresa_id);
+    } else {
+      return await this.backendReports.getStockReconciliation(empresa_id);
+    }
+  }
+
+  // ✅ INVALIDAR DRE, MARGEM, FLUXO DE CAIXA E FINANCEIRO DA EMPRESA (venda criada, cancelada ou
+  // devolvida; lançamento baixado). Ficam de 10 a 30 min em cache; sem isso os números ficariam defasados
+  async invalidateResultReports(empresa_id) {
+    await Promise.all([
+      CacheService.delPattern(`report:dre:${empresa_id}:*`),
+      CacheService.delPattern(`report:margin:${empresa_id}:*`),
+      CacheService.delPattern(`report:cashflow:${empresa_id}:*`),
+      CacheService.delPattern(`report:financial:${empresa_id}:*`)
+    ]);
+  }
+
+  // ✅ SUGESTÕES DE REPOSIÇÃO → RASCUNHO DE PEDIDO DE COMPRA
+  // Repõe até o dobro do estoque mínimo, ao custo cadastrado; o rascunho pode ser ajustado antes do envio
+  buildRestockPurchaseOrder(reposicao, supplier_id, product_ids = null) {
+    const items = reposicao
+      .filter(item => !product_ids || product_ids.includes(item.product_id))
+      .map(item => ({
+        product_id: item.product_id,
+        quantity: Math.max(item.estoque_minimo * 2 - item.quantidade_atual, 1),
+        unit_cost: item.custo ?? 0
+      }));
+
+    return {
+      supplier_id: supplier_id,
+      status: 'draft',
+      notes: 'Gerado a partir das sugestões de reposição de estoque',
+      items: items
+    };
+  }
+
   // ✅ MÉTODOS ESPECÍFICOS DO FRONTEND
   exportReportToCSV(reportData, reportType) {
     if (IS_FRONTEND_MODE) {
@@ -0,0 +1,98 @@
+// tests/bank-statement.test.js - leitura de extratos (OFX/CSV) e sugestões de conciliação
+import BizFlowBankStatement from '../utils/bank-statement.js';
+
+describe('readAmount', () => {
+  test.each([
+    ['1.234,56', 1234.56],
+    ['1,234.56', 1234.56],
+    ['1234,56', 1234.56],
+    ['-150.00', -150],
+    ['R$ 10,00', 10],
+    ['-1.234.567', -1234567],
+    ['1,234,567.89', 1234567.89]
+  ])('"%s" vira %s', (value, expected) => {
+    expect(BizFlowBankStatement.readAmount(value)).toBe(expected);
+  });
+
+  test.each(['0,00', '', 'abc', '1.2.3,4,5'])('"%s" é inválido', value => {
+    expect(BizFlowBankStatement.readAmount(value)).toBeNull();
+  });
+});
+
+describe('readDate', () => {
+  test('aceita DD/MM/AAAA e AAAA-MM-DD e recusa datas inexistentes', () => {
+    expect(BizFlowBankStatement.readDate('05/03/2024')).toBe('2024-03-05');
+    expect(BizFlowBankStatement.readDate('2024-03-05T10:00:00')).toBe('2024-03-05');
+    expect(BizFlowBankStatement.readDate('31/02/2024')).toBeNull();
+  });
+});
+
+describe('parseOFX', () => {
+  test('lê transações SGML e aponta as inválidas pela posição', () => {
+    const ofx = [
+      'OFXHEADER:100',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240305120000[-3:BRT]<TRNAMT>-150.00<FITID>ABC1<MEMO>Aluguel &amp; condomínio',
+      '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240306<TRNAMT>abc<FITID>ABC2',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+
+    const { lines, errors } = BizFlowBankStatement.parseOFX(ofx);
+
+    expect(lines).toEqual([{ fitid: 'ABC1', date: '2024-03-05', amount: -150, description: 'Aluguel & condomínio' }]);
+    expect(errors).toEqual([{ linha: 2, erro: expect.any(String) }]);
+  });
+
+  test('recusa arquivo sem <OFX>', () => {
+    expect(() => BizFlowBankStatement.parseOFX('data;valor')).toThrow('Arquivo OFX inválido');
+  });
+});
+
+describe('parseCSV', () => {
+  test('linhas idênticas sem id ganham identificadores diferentes e estáveis', () => {
+    const csv = 'Data;Histórico;Valor\n05/03/2024;Tarifa;-10,00\n05/03/2024;Tarifa;-10,00\n';
+
+    const first = BizFlowBankStatement.parseCSV(csv);
+    const second = BizFlowBankStatement.parseCSV(csv);
+
+    expect(first.lines).toHaveLength(2);
+    expect(first.lines[0].fitid).not.toBe(first.lines[1].fitid);
+    expect(second.lines.map(line => line.fitid)).toEqual(first.lines.map(line => line.fitid));
+  });
+
+  test('aponta data e valor inválidos pelo nº da linha', () => {
+    const { lines, errors } = BizFlowBankStatement.parseCSV('data;valor\n99/99/2024;10\n05/03/2024;0\n');
+
+    expect(lines).toEqual([]);
+    expect(errors.map(error => error.linha)).toEqual([2, 3]);
+  });
+
+  test('exige as colunas data e valor', () => {
+    expect(() => BizFlowBankStatement.parseCSV('descricao;id\nTarifa;1')).toThrow('O CSV precisa das colunas "data" e "valor"');
+  });
+});
+
+describe('scoreMatch e suggestMatches', () => {
+  const line = { id: 1, date: '2024-03-05', amount: -150, description: 'PAG ALUGUEL LOJA' };
+  const account = { id: 10, type: 'despesa', amount: '150.00', paid_amount: '0', due_date: '2024-03-05', name: 'Aluguel da loja' };
+
+  test('valor exato, mesma data e descrição parecida somam a pontuação máxima', () => {
+    expect(BizFlowBankStatement.scoreMatch(line, account)).toBe(100);
+  });
+
+  test('saída não casa com receita nem valor acima do saldo em aberto', () => {
+    expect(BizFlowBankStatement.scoreMatch(line, { ...account, type: 'receita' })).toBe(0);
+    expect(BizFlowBankStatement.scoreMatch(line, { ...account, paid_amount: '100.00' })).toBe(0);
+  });
+
+  test('fora da janela de dias não é candidato', () => {
+    expect(BizFlowBankStatement.scoreMatch(line, { ...account, due_date: '2024-04-05' })).toBe(0);
+  });
+
+  test('pares excluídos não são sugeridos', () => {
+    expect(BizFlowBankStatement.suggestMatches([line], [account])).toEqual([
+      { statement_line_id: 1, financial_account_id: 10, score: 100 }
+    ]);
+    expect(BizFlowBankStatement.suggestMatches([line], [account], new Set(['1:10']))).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+// tests/mailer.test.js - SMTPTransport contra um servidor SMTP falso (net.createServer)
+import net from 'net';
+import { EventEmitter } from 'events';
+import { SMTPTransport } from '../utils/mailer.js';
+
+// Servidor SMTP mínimo: registra os comandos recebidos e responde pelo roteiro de cada teste.
+// EHLO responde em várias linhas, quebradas em pedaços, como servidores reais costumam fazer
+function startSMTPServer(overrides = {}) {
+  const session = { commands: [], message: null };
+
+  const replies = {
+    EHLO: socket => {
+      socket.write('250-smtp.teste.local\r\n250-AUTH PLA');
+      setTimeout(() => socket.write('IN LOGIN\r\n250 SIZE 10485760\r\n'), 10);
+    },
+    AUTH: socket => socket.write('235 2.7.0 Autenticado\r\n'),
+    MAIL: socket => socket.write('250 2.1.0 Ok\r\n'),
+    RCPT: socket => socket.write('250 2.1.5 Ok\r\n'),
+    DATA: socket => socket.write('354 Envie a mensagem\r\n'),
+    MESSAGE: socket => socket.write('250 2.0.0 Ok: enfileirada como 12345\r\n'),
+    QUIT: socket => socket.end('221 2.0.0 Tchau\r\n'),
+    ...overrides
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+
+    socket.write('220 smtp.teste.local ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.substring(0, index);
+        buffer = buffer.substring(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            session.message = data.join('\r\n');
+            data = null;
+            replies.MESSAGE(socket);
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'DATA') data = [];
+        (replies[verb] || (s => s.write('502 Comando não implementado\r\n')))(socket, line);
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+describe('SMTPTransport', () => {
+  let smtp;
+
+  afterEach(done => {
+    if (smtp) smtp.server.close(() => done());
+    else done();
+    smtp = null;
+  });
+
+  test('envia com EHLO, AUTH PLAIN, MAIL/RCPT/DATA e QUIT', async () => {
+    smtp = await startSMTPServer();
+    const transport = new SMTPTransport({ host: '127.0.0.1', port: smtp.port, user: 'loja@bizflow.com', pass: 'segredo' });
+
+    const result = await transport.send({
+      from: 'BizFlow <no-reply@bizflow.com>',
+      to: ['ana@cliente.com', 'bruno@cliente.com'],
+      subject: 'Relatório diário',
+      text: 'Vendas de hoje: R$ 1.234,56\n.linha começando com ponto'
+    });
+
+    const verbs = smtp.session.commands.map(command => command.split(' ')[0]);
+    expect(verbs).toEqual(['EHLO', 'AUTH', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+
+    const token = smtp.session.commands[1].split(' ')[2];
+    expect(smtp.session.commands[1]).toMatch(/^AUTH PLAIN /);
+    expect(Buffer.from(token, 'base64').toString('utf8')).toBe('\0loja@bizflow.com\0segredo');
+
+    expect(smtp.session.commands[2]).toBe('MAIL FROM:<no-reply@bizflow.com>');
+    expect(smtp.session.commands.slice(3, 5)).toEqual(['RCPT TO:<ana@cliente.com>', 'RCPT TO:<bruno@cliente.com>']);
+
+    const [headers, body] = smtp.session.message.split('\r\n\r\n');
+    expect(headers).toContain('To: ana@cliente.com, bruno@cliente.com');
+    expect(headers).toContain(`Subject: =?UTF-8?B?${Buffer.from('Relatório diário').toString('base64')}?=`);
+    expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'))
+      .toBe('Vendas de hoje: R$ 1.234,56\n.linha começando com ponto');
+
+    expect(result).toEqual({
+      accepted: ['ana@cliente.com', 'bruno@cliente.com'],
+      response: '250 2.0.0 Ok: enfileirada como 12345'
+    });
+  });
+
+  test('sem usuário não autentica', async () => {
+    smtp = await startSMTPServer();
+    const transport = new SMTPTransport({ host: '127.0.0.1', port: smtp.port });
+
+    await transport.send({ from: 'no-reply@bizflow.com', to: 'ana@cliente.com', subject: 'Oi', text: 'Teste' });
+
+    expect(smtp.session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('falha de autenticação interrompe o envio com o código SMTP', async () => {
+    smtp = await startSMTPServer({ AUTH: socket => socket.write('535 5.7.8 Credenciais inválidas\r\n') });
+    const transport = new SMTPTransport({ host: '127.0.0.1', port: smtp.port, user: 'loja', pass: 'errada' });
+
+    await expect(transport.send({ from: 'no-reply@bizflow.com', to: 'ana@cliente.com', subject: 'Oi', text: 'Teste' }))
+      .rejects.toThrow('SMTP 535: 535 5.7.8 Credenciais inválidas');
+    expect(smtp.session.commands.some(command => command.startsWith('MAIL'))).toBe(false);
+  });
+
+  test('destinatário recusado rejeita o envio', async () => {
+    smtp = await startSMTPServer({ RCPT: socket => socket.write('550 5.1.1 Caixa inexistente\r\n') });
+    const transport = new SMTPTransport({ host: '127.0.0.1', port: smtp.port });
+
+    await expect(transport.send({ from: 'no-reply@bizflow.com', to: 'ninguem@cliente.com', subject: 'Oi', text: 'Teste' }))
+      .rejects.toThrow('SMTP 550');
+    expect(smtp.session.commands).not.toContain('DATA');
+  });
+
+  test('exige ao menos um destinatário', async () => {
+    const transport = new SMTPTransport({ host: '127.0.0.1', port: 1 });
+
+    await expect(transport.send({ from: 'no-reply@bizflow.com', to: [], subject: 'Oi', text: 'Teste' }))
+      .rejects.toThrow('Informe ao menos um destinatário');
+  });
+});
+
+describe('SMTPTransport.replyReader', () => {
+  const transport = new SMTPTransport({ host: 'localhost' });
+
+  test('junta respostas de várias linhas e pedaços quebrados no meio da linha', async () => {
+    const socket = new EventEmitter();
+    const reader = transport.replyReader(socket);
+
+    socket.emit('data', Buffer.from('250-smtp.teste.local\r\n250-PIPE'));
+    socket.emit('data', Buffer.from('LINING\r\n250 8BITMIME\r\n354 Envie'));
+    socket.emit('data', Buffer.from('\r\n'));
+
+    await expect(reader.next()).resolves.toEqual({
+      code: 250,
+      text: '250-smtp.teste.local\n250-PIPELINING\n250 8BITMIME'
+    });
+    await expect(reader.next()).resolves.toEqual({ code: 354, text: '354 Envie' });
+  });
+
+  test('aceita linha final só com o código e fins de linha sem \\r', async () => {
+    const socket = new EventEmitter();
+    const reader = transport.replyReader(socket);
+
+    socket.emit('data', Buffer.from('220-bem-vindo\n220\n'));
+
+    await expect(reader.next()).resolves.toEqual({ code: 220, text: '220-bem-vindo\n220' });
+  });
+
+  test('quem espera resposta recebe o erro quando a conexão fecha', async () => {
+    const socket = new EventEmitter();
+    const reader = transport.replyReader(socket);
+    const pending = reader.next();
+
+    socket.emit('data', Buffer.from('250-incompleta\r\n'));
+    socket.emit('close');
+
+    await expect(pending).rejects.toThrow('Conexão SMTP encerrada pelo servidor');
+  });
+});
@@ -0,0 +1,76 @@
+// tests/permissions.test.js - papéis padrão, curingas e papéis personalizados
+import BizFlowPermissions from '../utils/permissions.js';
+
+describe('resolveRolePermissions e can', () => {
+  test('user vende, mas não cancela; manager cancela, mas não gerencia papéis', () => {
+    const user = BizFlowPermissions.resolveRolePermissions('user');
+    const manager = BizFlowPermissions.resolveRolePermissions('manager');
+
+    expect(BizFlowPermissions.can(user, 'vendas:create')).toBe(true);
+    expect(BizFlowPermissions.can(user, 'vendas:cancel')).toBe(false);
+    expect(BizFlowPermissions.can(manager, 'vendas:cancel')).toBe(true);
+    expect(BizFlowPermissions.can(manager, 'roles:manage')).toBe(false);
+  });
+
+  test('admin tem "*" e passa em qualquer permissão', () => {
+    expect(BizFlowPermissions.can(BizFlowPermissions.resolveRolePermissions('admin'), 'sistema:manage')).toBe(true);
+  });
+
+  test('"modulo:*" cobre só o próprio módulo', () => {
+    expect(BizFlowPermissions.can(['financeiro:*'], 'financeiro:settle')).toBe(true);
+    expect(BizFlowPermissions.can(['financeiro:*'], 'vendas:read')).toBe(false);
+  });
+
+  test('papel personalizado vem da empresa; desconhecido não tem permissões', () => {
+    const customRoles = [{ name: 'caixa', permissions: ['vendas:create'] }];
+
+    expect(BizFlowPermissions.resolveRolePermissions('caixa', customRoles)).toEqual(['vendas:create']);
+    expect(BizFlowPermissions.resolveRolePermissions('estoquista', customRoles)).toEqual([]);
+  });
+});
+
+describe('validatePermissions', () => {
+  test('aceita permissões do catálogo e curingas de módulos existentes, sem repetidas', () => {
+    expect(BizFlowPermissions.validatePermissions(['vendas:read', 'vendas:read', 'financeiro:*'])).toEqual({
+      isValid: true,
+      error: null,
+      normalized: ['vendas:read', 'financeiro:*']
+    });
+  });
+
+  test('recusa lista vazia e permissões fora do catálogo', () => {
+    expect(BizFlowPermissions.validatePermissions([]).isValid).toBe(false);
+    expect(BizFlowPermissions.validatePermissions(['vendas:apagar', 'inexistente:*']).error)
+      .toBe('Permissões inválidas: vendas:apagar, inexistente:*');
+  });
+});
+
+describe('validateRoleName', () => {
+  test('normaliza para minúsculas e aceita até 50 caracteres', () => {
+    expect(BizFlowPermissions.validateRoleName('  Caixa_Loja ').normalized).toBe('caixa_loja');
+    expect(BizFlowPermissions.validateRoleName('a'.repeat(50)).isValid).toBe(true);
+  });
+
+  test('recusa nomes curtos, longos, com espaço ou reservados', () => {
+    expect(BizFlowPermissions.validateRoleName('ab').isValid).toBe(false);
+    expect(BizFlowPermissions.validateRoleName('a'.repeat(51)).isValid).toBe(false);
+    expect(BizFlowPermissions.validateRoleName('caixa loja').isValid).toBe(false);
+    expect(BizFlowPermissions.validateRoleName('Admin').error).toBe('O papel "admin" é reservado');
+  });
+});
+
+describe('canGrant', () => {
+  test('quem concede não pode dar mais do que tem', () => {
+    const manager = BizFlowPermissions.resolveRolePermissions('manager');
+
+    expect(BizFlowPermissions.canGrant(manager, ['vendas:cancel', 'produtos:read'])).toBe(true);
+    expect(BizFlowPermissions.canGrant(manager, ['roles:manage'])).toBe(false);
+  });
+
+  test('curingas só são concedidos por quem tem o mesmo curinga', () => {
+    expect(BizFlowPermissions.canGrant(['financeiro:*'], ['financeiro:*'])).toBe(true);
+    expect(BizFlowPermissions.canGrant(['financeiro:*'], ['*'])).toBe(false);
+    expect(BizFlowPermissions.canGrant(['financeiro:read', 'financeiro:create'], ['financeiro:*'])).toBe(false);
+    expect(BizFlowPermissions.canGrant(['*'], ['*'])).toBe(true);
+  });
+});
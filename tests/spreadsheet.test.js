@@ -0,0 +1,115 @@
+// tests/spreadsheet.test.js - leitura/geração de CSV e XLSX da importação de produtos
+import JSZip from 'jszip';
+import BizFlowSpreadsheet from '../utils/spreadsheet.js';
+
+// XLSX mínimo com o XML da planilha informado (sem workbook: cai na busca por xl/worksheets)
+async function buildXLSX(sheetData) {
+  const zip = new JSZip();
+  zip.file('xl/worksheets/sheet1.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetData}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+describe('parseCSV', () => {
+  test('detecta ";" pelo cabeçalho e lê campos entre aspas', () => {
+    const { columns, records } = BizFlowSpreadsheet.parseCSV('﻿SKU;Nome;Preço\r\nA1;"Café; moído";10,50\r\nA2;"Diz ""oi""";3\r\n');
+
+    expect(columns).toEqual(['sku', 'nome', 'preço']);
+    expect(records).toEqual([
+      { linha: 2, values: { sku: 'A1', nome: 'Café; moído', 'preço': '10,50' } },
+      { linha: 3, values: { sku: 'A2', nome: 'Diz "oi"', 'preço': '3' } }
+    ]);
+  });
+
+  test('usa "," quando o cabeçalho tem mais vírgulas e ignora linhas vazias mantendo o nº da linha', () => {
+    const { records } = BizFlowSpreadsheet.parseCSV('sku,nome\nA1,Caneta\n,\nA2,Lápis');
+
+    expect(records.map(record => record.linha)).toEqual([2, 4]);
+    expect(records[1].values).toEqual({ sku: 'A2', nome: 'Lápis' });
+  });
+});
+
+describe('toCSV', () => {
+  test('gera com BOM, ";" e aspas quando o valor tem separador ou quebra de linha', () => {
+    const csv = BizFlowSpreadsheet.toCSV(['sku', 'nome'], [{ sku: 'A1', nome: 'Caneta; azul' }, { sku: 'A2', nome: null }]);
+
+    expect(csv).toBe('﻿sku;nome\r\nA1;"Caneta; azul"\r\nA2;\r\n');
+  });
+
+  test('neutraliza texto que seria lido como fórmula, mas mantém números negativos', () => {
+    const csv = BizFlowSpreadsheet.toCSV(['valor'], [
+      { valor: '=HYPERLINK("http://x")' },
+      { valor: '+1' },
+      { valor: '@SUM(A1)' },
+      { valor: '-12,50' },
+      { valor: '-1+1' }
+    ]);
+
+    expect(csv.split('\r\n').slice(1, -1)).toEqual([
+      `"'=HYPERLINK(""http://x"")"`,
+      "'+1",
+      "'@SUM(A1)",
+      '-12,50',
+      "'-1+1"
+    ]);
+  });
+});
+
+describe('XLSX', () => {
+  test('o que toXLSX gera o parseXLSX lê de volta', async () => {
+    const buffer = await BizFlowSpreadsheet.toXLSX(['sku', 'nome', 'preco'], [
+      { sku: 'A1', nome: 'Café & <leite>', preco: 10.5 },
+      { sku: 'A2', nome: '', preco: 3 }
+    ]);
+
+    const { columns, records } = await BizFlowSpreadsheet.parseXLSX(buffer);
+
+    expect(columns).toEqual(['sku', 'nome', 'preco']);
+    expect(records).toEqual([
+      { linha: 2, values: { sku: 'A1', nome: 'Café & <leite>', preco: '10.5' } },
+      { linha: 3, values: { sku: 'A2', nome: '', preco: '3' } }
+    ]);
+  });
+
+  test('linhas omitidas no XML mantêm a numeração da planilha', async () => {
+    const buffer = await buildXLSX(
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>sku</t></is></c></row>' +
+      '<row r="4"><c r="A4" t="inlineStr"><is><t>A4</t></is></c></row>'
+    );
+
+    const { records } = await BizFlowSpreadsheet.parseXLSX(buffer);
+
+    expect(records).toEqual([{ linha: 4, values: { sku: 'A4' } }]);
+  });
+
+  test('recusa número de linha acima do limite sem alocar a planilha', async () => {
+    const buffer = await buildXLSX(
+      '<row r="1"><c r="A1"><v>1</v></c></row>' +
+      '<row r="1048576"><c r="A1048576"><v>1</v></c></row>'
+    );
+
+    await expect(BizFlowSpreadsheet.parseXLSX(buffer, { maxRows: 5000 }))
+      .rejects.toMatchObject({ status: 413, message: 'Planilha passa do limite de 5000 linhas' });
+  });
+
+  test('recusa referência de coluna além de XFD', async () => {
+    const buffer = await buildXLSX('<row r="1"><c r="ZZZZZ1"><v>1</v></c></row>');
+
+    await expect(BizFlowSpreadsheet.parseXLSX(buffer)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('recusa arquivo interno que passa do limite depois de descompactado', async () => {
+    const buffer = await buildXLSX(`<row r="1"><c r="A1"><v>${'9'.repeat(21 * 1024 * 1024)}</v></c></row>`);
+
+    await expect(BizFlowSpreadsheet.parseXLSX(buffer)).rejects.toMatchObject({ status: 413 });
+  });
+
+  test('recusa XLSX sem planilhas', async () => {
+    const zip = new JSZip();
+    zip.file('docProps/app.xml', '<Properties/>');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    await expect(BizFlowSpreadsheet.parseXLSX(buffer)).rejects.toThrow('Arquivo XLSX sem planilhas');
+  });
+});
@@ -0,0 +1,111 @@
+// tests/webhooks.test.js - assinatura, novas tentativas e destinos aceitos dos webhooks
+import BizFlowWebhooks from '../utils/webhooks.js';
+
+describe('sign e verify', () => {
+  const secret = 'whsec_teste';
+  const body = JSON.stringify({ evento: 'venda.criada', id: 1 });
+
+  test('a assinatura gerada é aceita dentro da tolerância', () => {
+    const header = BizFlowWebhooks.sign(secret, body, 1700000000);
+
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(BizFlowWebhooks.verify(secret, body, header, 300, 1700000100)).toBe(true);
+  });
+
+  test('recusa timestamp antigo, corpo alterado, outro segredo e cabeçalho malformado', () => {
+    const header = BizFlowWebhooks.sign(secret, body, 1700000000);
+
+    expect(BizFlowWebhooks.verify(secret, body, header, 300, 1700000301)).toBe(false);
+    expect(BizFlowWebhooks.verify(secret, `${body} `, header, 300, 1700000000)).toBe(false);
+    expect(BizFlowWebhooks.verify('whsec_outro', body, header, 300, 1700000000)).toBe(false);
+    expect(BizFlowWebhooks.verify(secret, body, 't=1700000000,v1=abc', 300, 1700000000)).toBe(false);
+    expect(BizFlowWebhooks.verify(secret, body, undefined)).toBe(false);
+  });
+});
+
+describe('nextRetryDelay', () => {
+  test('espera cresce a cada falha e esgota depois da última tentativa', () => {
+    expect([1, 2, 3, 4, 5].map(attempts => BizFlowWebhooks.nextRetryDelay(attempts))).toEqual([60, 300, 1800, 7200, 43200]);
+    expect(BizFlowWebhooks.nextRetryDelay(BizFlowWebhooks.MAX_ATTEMPTS)).toBeNull();
+  });
+});
+
+describe('destinos', () => {
+  test.each([
+    'http://localhost/hook',
+    'http://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://10.0.0.5/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://100.64.0.1/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'ftp://exemplo.com.br/hook',
+    'não é url'
+  ])('recusa %s', url => {
+    expect(BizFlowWebhooks.isValidUrl(url)).toBe(false);
+  });
+
+  test.each([
+    'https://exemplo.com.br/webhooks/bizflow',
+    'http://8.8.8.8/hook',
+    'https://[2001:4860:4860::8888]/hook',
+    'http://172.32.0.1/hook'
+  ])('aceita %s', url => {
+    expect(BizFlowWebhooks.isValidUrl(url)).toBe(true);
+  });
+
+  test('recusa URL com mais de 500 caracteres', () => {
+    expect(BizFlowWebhooks.isValidUrl(`https://exemplo.com.br/${'a'.repeat(500)}`)).toBe(false);
+  });
+
+  test('assertPublicDestination recusa IP interno sem consultar o DNS', async () => {
+    await expect(BizFlowWebhooks.assertPublicDestination('http://[::ffff:7f00:1]/hook'))
+      .rejects.toThrow('Destino do webhook aponta para endereço interno');
+  });
+});
+
+describe('validateSubscription', () => {
+  test('normaliza eventos e aceita "*" como todos', () => {
+    const { isValid, subscription } = BizFlowWebhooks.validateSubscription({
+      url: 'https://exemplo.com.br/hook',
+      events: ['venda.criada', '*'],
+      description: '  ERP  '
+    });
+
+    expect(isValid).toBe(true);
+    expect(subscription).toEqual({ url: 'https://exemplo.com.br/hook', events: ['*'], description: 'ERP' });
+  });
+
+  test('acumula os erros de URL, eventos e is_active', () => {
+    const { isValid, errors } = BizFlowWebhooks.validateSubscription({
+      url: 'http://127.0.0.1/hook',
+      events: ['venda.criada', 'venda.apagada'],
+      is_active: 'sim'
+    });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      expect.stringContaining('URL inválida'),
+      'Eventos inválidos: venda.apagada',
+      'is_active deve ser verdadeiro ou falso'
+    ]);
+  });
+
+  test('alteração parcial só valida os campos enviados', () => {
+    expect(BizFlowWebhooks.validateSubscription({ is_active: false }, true)).toEqual({
+      isValid: true,
+      errors: [],
+      subscription: { is_active: false }
+    });
+  });
+
+  test('subscribes respeita "*" e a lista de eventos', () => {
+    expect(BizFlowWebhooks.subscribes({ events: ['*'] }, 'inventario.efetivado')).toBe(true);
+    expect(BizFlowWebhooks.subscribes({ events: ['venda.criada'] }, 'venda.cancelada')).toBe(false);
+  });
+});
@@ -0,0 +1,206 @@
+// utils/bank-statement.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+import crypto from 'crypto';
+import BizFlowSpreadsheet from './spreadsheet.js';
+
+// Colunas aceitas no CSV do extrato (cabeçalho em minúsculas)
+const CSV_COLUMNS = {
+  data: ['data', 'date', 'data_lancamento', 'data lançamento'],
+  descricao: ['descricao', 'descrição', 'historico', 'histórico', 'memo'],
+  valor: ['valor', 'amount', 'valor (r$)'],
+  id: ['id', 'fitid', 'documento']
+};
+
+// Lançamento só é sugerido com vencimento até 15 dias da data do extrato e pontuação mínima de 50
+const MATCH_WINDOW_DAYS = 15;
+const MATCH_MIN_SCORE = 50;
+const MATCH_MAX_SUGGESTIONS = 3;
+
+class BizFlowBankStatement {
+  constructor() {
+    this.MATCH_WINDOW_DAYS = MATCH_WINDOW_DAYS;
+    this.MATCH_MIN_SCORE = MATCH_MIN_SCORE;
+  }
+
+  // ✅ LER OFX (SGML 1.x ou XML 2.x): uma linha por <STMTTRN>
+  parseOFX(text) {
+    const content = String(text || '');
+    if (!/<OFX>/i.test(content)) {
+      throw new Error('Arquivo OFX inválido');
+    }
+
+    const lines = [];
+    const errors = [];
+    const seen = new Map();
+    const blocks = content.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+
+    blocks.forEach((block, index) => {
+      const tag = name => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? this.decodeEntities(match[1].trim()) : '';
+      };
+
+      const rawDate = tag('DTPOSTED').substring(0, 8);
+      const date = this.readDate(/^\d{8}$/.test(rawDate)
+        ? `${rawDate.substring(0, 4)}-${rawDate.substring(4, 6)}-${rawDate.substring(6, 8)}`
+        : '');
+      const amount = this.readAmount(tag('TRNAMT'));
+
+      if (!date || amount === null) {
+        errors.push({ linha: index + 1, erro: 'Transação sem data (DTPOSTED) ou valor (TRNAMT) válido' });
+        return;
+      }
+
+      lines.push({
+        fitid: tag('FITID') || this.fingerprint(seen, date, amount, tag('MEMO') || tag('NAME')),
+        date,
+        amount,
+        description: (tag('MEMO') || tag('NAME')).substring(0, 255)
+      });
+    });
+
+    return { lines, errors };
+  }
+
+  // ✅ LER CSV (colunas data, descricao, valor e id opcional; datas DD/MM/AAAA ou AAAA-MM-DD)
+  parseCSV(text) {
+    const { columns, records } = BizFlowSpreadsheet.parseCSV(text);
+    const column = name => CSV_COLUMNS[name].find(alias => columns.includes(alias));
+
+    if (!column('data') || !column('valor')) {
+      throw new Error('O CSV precisa das colunas "data" e "valor"');
+    }
+
+    const lines = [];
+    const errors = [];
+    const seen = new Map();
+
+    records.forEach(({ linha, values }) => {
+      const date = this.readDate(values[column('data')]);
+      const amount = this.readAmount(values[column('valor')]);
+      const description = (column('descricao') ? values[column('descricao')] : '').substring(0, 255);
+
+      if (!date) {
+        errors.push({ linha, erro: 'Data inválida (use DD/MM/AAAA ou AAAA-MM-DD)' });
+        return;
+      }
+      if (amount === null) {
+        errors.push({ linha, erro: 'Valor inválido ou zerado' });
+        return;
+      }
+
+      const id = column('id') ? values[column('id')] : '';
+      lines.push({
+        fitid: id || this.fingerprint(seen, date, amount, description),
+        date,
+        amount,
+        description
+      });
+    });
+
+    return { lines, errors };
+  }
+
+  // ✅ PONTUAR LANÇAMENTO x LINHA DO EXTRATO (valor até 60, data até 25, descrição até 15)
+  // Entrada no extrato só casa com receita e saída só com despesa; 0 = não é candidato
+  scoreMatch(line, account) {
+    const amount = parseFloat(line.amount);
+    if ((amount > 0) !== (account.type === 'receita')) return 0;
+
+    const value = Math.round(Math.abs(amount) * 100);
+    const open = Math.round(((parseFloat(account.amount) || 0) - (parseFloat(account.paid_amount) || 0)) * 100);
+    if (value > open) return 0;
+
+    const days = Math.abs(this.daysBetween(line.transaction_date ?? line.date, account.due_date));
+    if (isNaN(days) || days > MATCH_WINDOW_DAYS) return 0;
+
+    const valueScore = value === open ? 60 : 30;
+    const dateScore = Math.round(25 * (MATCH_WINDOW_DAYS - days) / MATCH_WINDOW_DAYS);
+
+    return valueScore + dateScore + this.descriptionScore(line.description, account.name);
+  }
+
+  // ✅ SUGESTÕES POR LINHA (até 3, maior pontuação primeiro; pares em `excluded` são ignorados)
+  suggestMatches(lines, accounts, excluded = new Set()) {
+    return lines.flatMap(line => accounts
+      .filter(account => !excluded.has(`${line.id}:${account.id}`))
+      .map(account => ({ statement_line_id: line.id, financial_account_id: account.id, score: this.scoreMatch(line, account) }))
+      .filter(match => match.score >= MATCH_MIN_SCORE)
+      .sort((a, b) => b.score - a.score || a.financial_account_id - b.financial_account_id)
+      .slice(0, MATCH_MAX_SUGGESTIONS));
+  }
+
+  descriptionScore(description, name) {
+    const tokens = text => new Set(String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length >= 3));
+
+    const a = tokens(description);
+    const b = tokens(name);
+    if (a.size === 0 || b.size === 0) return 0;
+
+    const shared = [...a].filter(token => b.has(token)).length;
+    return Math.round(15 * shared / Math.min(a.size, b.size));
+  }
+
+  // Datas do banco (DATE) chegam como meia-noite local; strings AAAA-MM-DD são usadas direto
+  daysBetween(a, b) {
+    const toTime = value => {
+      const iso = value instanceof Date
+        ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+        : String(value).substring(0, 10);
+      return new Date(`${iso}T00:00:00Z`).getTime();
+    };
+    return Math.round((toTime(a) - toTime(b)) / (24 * 60 * 60 * 1000));
+  }
+
+  // "1.234,56", "1,234.56", "-150.00" e "R$ 10,00" viram número com 2 casas; zero ou inválido = null
+  readAmount(value) {
+    let text = String(value ?? '').replace(/R\$|\s/g, '');
+    // O separador que aparece por último é o decimal (1.234,56 ou 1,234.56); o outro é de milhar
+    const decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    if (/^[-+]?\d{1,3}([.,])\d{3}(\1\d{3})+$/.test(text)) {
+      text = text.replace(/[.,]/g, '');
+    } else {
+      text = text.split(thousands).join('').replace(decimal, '.');
+    }
+    if (!/^[-+]?\d+(\.\d+)?$/.test(text)) return null;
+
+    const amount = Math.round(parseFloat(text) * 100) / 100;
+    return amount === 0 ? null : amount;
+  }
+
+  readDate(value) {
+    const text = String(value ?? '').trim();
+    const br = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    const iso = br ? `${br[3]}-${br[2]}-${br[1]}` : text.substring(0, 10);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null;
+    const date = new Date(`${iso}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+  }
+
+  // Linha sem identificador do banco: hash estável de data, valor e descrição (com a ordem
+  // entre linhas idênticas), para reimportar o mesmo arquivo sem duplicar
+  fingerprint(seen, date, amount, description) {
+    const key = `${date}|${amount.toFixed(2)}|${description}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    return crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex').substring(0, 32);
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export default new BizFlowBankStatement();
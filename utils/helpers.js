@@ -345,26 +345,26 @@ class BizFlowHelpers {
     return crypto.randomUUID();
   }
 
-  // ✅ CALCULAR DIGITO VERIFICADOR
+  // ✅ CALCULAR DÍGITO VERIFICADOR (GS1: EAN-13, EAN-8 e GTIN)
+  // Recebe os dígitos sem o verificador; pesos 3 e 1 alternados a partir da direita
   calculateCheckDigit(number) {
     let sum = 0;
-    let isEven = false;
 
-    for (let i = number.length - 1; i >= 0; i--) {
-      let digit = parseInt(number.charAt(i), 10);
+    for (let i = number.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+      sum += parseInt(number.charAt(i), 10) * weight;
+    }
 
-      if (isEven) {
-        digit *= 2;
-        if (digit > 9) {
-          digit -= 9;
-        }
-      }
+    return (10 - (sum % 10)) % 10;
+  }
 
-      sum += digit;
-      isEven = !isEven;
+  // ✅ VALIDAR EAN-13
+  isValidEAN13(code) {
+    if (!/^\d{13}$/.test(String(code))) {
+      return false;
     }
 
-    return (10 - (sum % 10)) % 10;
+    const value = String(code);
+    return this.calculateCheckDigit(value.substring(0, 12)) === parseInt(value.charAt(12), 10);
   }
 }
 
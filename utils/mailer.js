@@ -0,0 +1,209 @@
+// utils/mailer.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+// ✅ TRANSPORTE SMTP (sem dependências externas)
+// SMTP_SECURE=true abre TLS direto (porta 465); sem ele, STARTTLS é usado quando o servidor oferece.
+// Para testar localmente, aponte SMTP_HOST/SMTP_PORT para um servidor SMTP de testes (ex.: MailHog na 1025)
+class SMTPTransport {
+  constructor({ host, port = 587, secure = false, user = null, pass = null, timeout = 10000 }) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.pass = pass;
+    this.timeout = timeout;
+  }
+
+  async send({ from, to, subject, text }) {
+    const recipients = [].concat(to).filter(Boolean);
+    if (recipients.length === 0) {
+      throw new Error('Informe ao menos um destinatário');
+    }
+
+    let { socket, reader } = await this.connect();
+
+    try {
+      await this.expect(reader, [220]);
+      let ehlo = await this.command(socket, reader, `EHLO ${os.hostname()}`, [250]);
+
+      if (!this.secure && /STARTTLS/i.test(ehlo)) {
+        await this.command(socket, reader, 'STARTTLS', [220]);
+        ({ socket, reader } = await this.connect(socket));
+        ehlo = await this.command(socket, reader, `EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (this.user) {
+        const token = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await this.command(socket, reader, `AUTH PLAIN ${token}`, [235]);
+      }
+
+      await this.command(socket, reader, `MAIL FROM:<${this.address(from)}>`, [250]);
+      for (const recipient of recipients) {
+        await this.command(socket, reader, `RCPT TO:<${this.address(recipient)}>`, [250, 251]);
+      }
+      await this.command(socket, reader, 'DATA', [354]);
+      const response = await this.command(socket, reader, `${this.buildMessage({ from, to: recipients, subject, text })}\r\n.`, [250]);
+      await this.command(socket, reader, 'QUIT', [221]).catch(() => {});
+
+      return { accepted: recipients, response };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  // Conexão nova ou upgrade para TLS do socket já aberto (STARTTLS)
+  connect(plainSocket = null) {
+    if (plainSocket) {
+      plainSocket.removeAllListeners('data');
+      plainSocket.setTimeout(0);
+    }
+
+    return new Promise((resolve, reject) => {
+      const useTls = this.secure || plainSocket;
+      const socket = useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, socket: plainSocket || undefined })
+        : net.connect({ host: this.host, port: this.port });
+      const reader = this.replyReader(socket);
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('Tempo esgotado na conexão SMTP')));
+      socket.once(useTls ? 'secureConnect' : 'connect', () => resolve({ socket, reader }));
+      socket.once('error', reject);
+    });
+  }
+
+  // Respostas de várias linhas ("250-...") terminam na linha com espaço após o código ("250 ...")
+  replyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    const flush = () => {
+      while (waiting.length > 0 && (replies.length > 0 || failure)) {
+        const { resolve, reject } = waiting.shift();
+        if (replies.length > 0) resolve(replies.shift());
+        else reject(failure);
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.substring(0, index).replace(/\r$/, '');
+        buffer = buffer.substring(index + 1);
+        lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: parseInt(line.substring(0, 3)), text: lines.join('\n') });
+          lines = [];
+        }
+      }
+      flush();
+    });
+    socket.on('error', error => {
+      failure = error;
+      flush();
+    });
+    socket.on('close', () => {
+      failure = failure || new Error('Conexão SMTP encerrada pelo servidor');
+      flush();
+    });
+
+    return { next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      flush();
+    }) };
+  }
+
+  async expect(reader, codes) {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+    }
+    return reply.text;
+  }
+
+  command(socket, reader, line, codes) {
+    socket.write(`${line}\r\n`);
+    return this.expect(reader, codes);
+  }
+
+  // Corpo em base64: linhas nunca começam com "." e acentos chegam intactos
+  buildMessage({ from, to, subject, text }) {
+    const encodeHeader = value => /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    const body = Buffer.from(String(text || ''), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+    const domain = this.address(from).split('@')[1] || 'bizflow.local';
+
+    return [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${encodeHeader(String(subject || ''))}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      ...body
+    ].join('\r\n');
+  }
+
+  // "BizFlow <no-reply@bizflow.com>" -> "no-reply@bizflow.com"
+  address(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+  }
+}
+
+class BizFlowMailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  // ✅ TRANSPORTE PLUGÁVEL: qualquer objeto com send({ from, to, subject, text })
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // ✅ TRANSPORTE PADRÃO PELAS VARIÁVEIS SMTP_* (sem SMTP_HOST o email fica desativado)
+  getTransport() {
+    if (!this.transport && process.env.SMTP_HOST) {
+      this.transport = new SMTPTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null
+      });
+    }
+    return this.transport;
+  }
+
+  isConfigured() {
+    return Boolean(this.getTransport());
+  }
+
+  // ✅ ENVIAR EMAIL EM TEXTO
+  async send({ to, subject, text }) {
+    const transport = this.getTransport();
+    if (!transport) {
+      throw new Error('Envio de email não configurado (defina SMTP_HOST)');
+    }
+
+    return transport.send({
+      from: process.env.SMTP_FROM || 'BizFlow <no-reply@bizflow.com>',
+      to,
+      subject,
+      text
+    });
+  }
+}
+
+export { SMTPTransport };
+export default new BizFlowMailer();
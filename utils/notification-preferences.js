@@ -0,0 +1,188 @@
+// utils/notification-preferences.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+import BizFlowWebhooks from './webhooks.js';
+
+// ✅ TIPOS, CANAIS E PRIORIDADES DAS NOTIFICAÇÕES
+const NOTIFICATION_TYPES = {
+  sale: 'Vendas',
+  low_stock: 'Estoque baixo',
+  financial_due: 'Vencimentos financeiros',
+  system: 'Sistema'
+};
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'webhook'];
+const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high'];
+
+// Sem preferência gravada o usuário recebe tudo, só no app
+const DEFAULT_PREFERENCE = { channels: ['in_app'], min_priority: 'low' };
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+class BizFlowNotificationPreferences {
+  constructor() {
+    this.TYPES = NOTIFICATION_TYPES;
+    this.CHANNELS = NOTIFICATION_CHANNELS;
+    this.PRIORITIES = NOTIFICATION_PRIORITIES;
+    this.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+  }
+
+  // ✅ TIPO DA NOTIFICAÇÃO (desconhecido = system)
+  normalizeType(type) {
+    return Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type) ? type : 'system';
+  }
+
+  // ✅ PREFERÊNCIAS COMPLETAS (tipos sem registro recebem o padrão)
+  withDefaults(rows = [], settings = null) {
+    const tipos = Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => {
+      const row = rows.find(item => item.notification_type === type);
+      return [type, row
+        ? { channels: this.parseChannels(row.channels), min_priority: row.min_priority }
+        : { ...DEFAULT_PREFERENCE, channels: [...DEFAULT_PREFERENCE.channels] }];
+    }));
+
+    return {
+      tipos,
+      quiet_hours: settings?.quiet_hours_start && settings?.quiet_hours_end
+        ? { start: this.formatTime(settings.quiet_hours_start), end: this.formatTime(settings.quiet_hours_end) }
+        : null,
+      timezone: settings?.timezone || DEFAULT_TIMEZONE,
+      webhook_url: settings?.webhook_url || null
+    };
+  }
+
+  // ✅ VALIDAR ALTERAÇÃO
+  // { tipos: { sale: { channels: ['in_app', 'email'], min_priority: 'medium' } }, quiet_hours: { start: '22:00', end: '07:00' } | null, timezone, webhook_url }
+  validate(body = {}) {
+    const errors = [];
+    const tipos = {};
+    const settings = {};
+
+    if (body.tipos !== undefined) {
+      if (!body.tipos || typeof body.tipos !== 'object' || Array.isArray(body.tipos)) {
+        errors.push('tipos deve ser um objeto por tipo de notificação');
+      } else {
+        for (const [type, preference] of Object.entries(body.tipos)) {
+          if (!NOTIFICATION_TYPES[type]) {
+            errors.push(`Tipo de notificação inválido: ${type}`);
+            continue;
+          }
+
+          const channels = preference?.channels ?? DEFAULT_PREFERENCE.channels;
+          const minPriority = preference?.min_priority ?? DEFAULT_PREFERENCE.min_priority;
+
+          if (!Array.isArray(channels) || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+            errors.push(`Canais inválidos em ${type} (use ${NOTIFICATION_CHANNELS.join(', ')})`);
+            continue;
+          }
+          if (!NOTIFICATION_PRIORITIES.includes(minPriority)) {
+            errors.push(`Prioridade mínima inválida em ${type} (use ${NOTIFICATION_PRIORITIES.join(', ')})`);
+            continue;
+          }
+
+          tipos[type] = { channels: [...new Set(channels)], min_priority: minPriority };
+        }
+      }
+    }
+
+    if (body.quiet_hours !== undefined) {
+      if (body.quiet_hours === null) {
+        settings.quiet_hours_start = null;
+        settings.quiet_hours_end = null;
+      } else if (!this.isTime(body.quiet_hours?.start) || !this.isTime(body.quiet_hours?.end) ||
+                 body.quiet_hours.start === body.quiet_hours.end) {
+        errors.push('Horário de silêncio inválido (use { start: "HH:MM", end: "HH:MM" } com horários diferentes)');
+      } else {
+        settings.quiet_hours_start = body.quiet_hours.start;
+        settings.quiet_hours_end = body.quiet_hours.end;
+      }
+    }
+
+    if (body.timezone !== undefined) {
+      if (!this.isTimezone(body.timezone)) {
+        errors.push('Fuso horário inválido (ex.: America/Sao_Paulo)');
+      } else {
+        settings.timezone = body.timezone;
+      }
+    }
+
+    if (body.webhook_url !== undefined) {
+      if (body.webhook_url === null || body.webhook_url === '') {
+        settings.webhook_url = null;
+      } else if (!this.isWebhookUrl(body.webhook_url)) {
+        errors.push('URL do webhook inválida (use http:// ou https:// com endereço público, até 500 caracteres)');
+      } else {
+        settings.webhook_url = body.webhook_url;
+      }
+    }
+
+    return { isValid: errors.length === 0, errors, normalized: { tipos, settings } };
+  }
+
+  // ✅ HORÁRIO DE SILÊNCIO NO FUSO DO USUÁRIO (intervalo pode virar a meia-noite, ex.: 22:00 às 07:00)
+  isQuietTime(settings, now = new Date()) {
+    const start = settings?.quiet_hours_start ? this.toMinutes(settings.quiet_hours_start) : null;
+    const end = settings?.quiet_hours_end ? this.toMinutes(settings.quiet_hours_end) : null;
+    if (start === null || end === null || start === end) return false;
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.isTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const current = parseInt(parts.find(part => part.type === 'hour').value) * 60 +
+      parseInt(parts.find(part => part.type === 'minute').value);
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  // ✅ CANAIS DE ENTREGA DE UMA NOTIFICAÇÃO
+  // Abaixo da prioridade mínima nada é entregue (a notificação continua na lista); no horário
+  // de silêncio só prioridade alta passa. Webhook exige URL cadastrada
+  resolveChannels(preference, settings, priority = 'medium', now = new Date()) {
+    const { channels, min_priority } = preference || DEFAULT_PREFERENCE;
+    const level = NOTIFICATION_PRIORITIES.indexOf(priority);
+
+    if (level < NOTIFICATION_PRIORITIES.indexOf(min_priority)) return [];
+    if (priority !== 'high' && this.isQuietTime(settings, now)) return [];
+
+    return this.parseChannels(channels).filter(channel => channel !== 'webhook' || Boolean(settings?.webhook_url));
+  }
+
+  // JSONB chega como array; no frontend pode vir como texto
+  parseChannels(channels) {
+    const list = typeof channels === 'string' ? JSON.parse(channels) : channels;
+    return Array.isArray(list) ? list.filter(channel => NOTIFICATION_CHANNELS.includes(channel)) : [];
+  }
+
+  isTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+
+  isTimezone(value) {
+    if (!value || typeof value !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Mesma regra dos webhooks da empresa: só http(s) para endereço público
+  isWebhookUrl(value) {
+    return BizFlowWebhooks.isValidUrl(value);
+  }
+
+  // Colunas TIME chegam como "22:00:00"
+  formatTime(value) {
+    return String(value).substring(0, 5);
+  }
+
+  toMinutes(value) {
+    const [hours, minutes] = String(value).split(':').map(part => parseInt(part));
+    return isNaN(hours) || isNaN(minutes) ? null : hours * 60 + minutes;
+  }
+}
+
+export default new BizFlowNotificationPreferences();
@@ -0,0 +1,254 @@
+// utils/notification-rules.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+
+// ✅ EVENTOS E CAMPOS QUE AS REGRAS PODEM AVALIAR
+// sale_created: a cada venda registrada; stock_changed: a cada produto com saldo alterado;
+// schedule: periodicamente pelo agendador (faturamento do dia e horário local)
+const RULE_EVENTS = {
+  sale_created: {
+    descricao: 'Venda registrada',
+    campos: {
+      'sale.total_amount': { tipo: 'number', descricao: 'Valor total da venda' },
+      'sale.total_items': { tipo: 'number', descricao: 'Quantidade de itens da venda' },
+      'sale.payment_method': { tipo: 'string', descricao: 'Forma de pagamento' },
+      'sale.customer_id': { tipo: 'number', descricao: 'ID do cliente' }
+    }
+  },
+  stock_changed: {
+    descricao: 'Estoque do produto alterado',
+    campos: {
+      'product.id': { tipo: 'number', descricao: 'ID do produto' },
+      'product.stock_quantity': { tipo: 'number', descricao: 'Estoque atual' },
+      'product.min_stock': { tipo: 'number', descricao: 'Estoque mínimo cadastrado' },
+      'product.below_min_stock': { tipo: 'boolean', descricao: 'Estoque igual ou abaixo do mínimo' },
+      'product.category': { tipo: 'string', descricao: 'Categoria do produto' }
+    }
+  },
+  schedule: {
+    descricao: 'Verificação periódica',
+    campos: {
+      'daily.revenue': { tipo: 'number', descricao: 'Faturamento do dia (sem vendas canceladas e devoluções)' },
+      'daily.sales_count': { tipo: 'number', descricao: 'Quantidade de vendas do dia' },
+      'time.hour': { tipo: 'number', descricao: 'Hora atual (0 a 23)' },
+      'time.weekday': { tipo: 'number', descricao: 'Dia da semana (0 = domingo)' }
+    }
+  }
+};
+
+const RULE_OPERATORS = {
+  gt: { descricao: 'maior que', tipos: ['number'], test: (a, b) => a > b },
+  gte: { descricao: 'maior ou igual a', tipos: ['number'], test: (a, b) => a >= b },
+  lt: { descricao: 'menor que', tipos: ['number'], test: (a, b) => a < b },
+  lte: { descricao: 'menor ou igual a', tipos: ['number'], test: (a, b) => a <= b },
+  eq: { descricao: 'igual a', tipos: ['number', 'string', 'boolean'], test: (a, b) => a === b },
+  neq: { descricao: 'diferente de', tipos: ['number', 'string', 'boolean'], test: (a, b) => a !== b }
+};
+
+const RULE_PRIORITIES = ['low', 'medium', 'high'];
+const MAX_RULE_CONDITIONS = 10;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+class BizFlowNotificationRules {
+  constructor() {
+    this.EVENTS = RULE_EVENTS;
+    this.OPERATORS = Object.fromEntries(Object.entries(RULE_OPERATORS).map(([key, { descricao, tipos }]) => [key, { descricao, tipos }]));
+    this.MAX_COOLDOWN_MINUTES = MAX_COOLDOWN_MINUTES;
+  }
+
+  // ✅ VALIDAR REGRA (partial = alteração: só os campos enviados)
+  // { name, event, conditions: [{ field, operator, value }], target_user_ids, target_roles,
+  //   cooldown_minutes, priority, message (aceita {{campo}}), is_active }
+  validateRule(body = {}, partial = false, currentEvent = null) {
+    const errors = [];
+    const rule = {};
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('name')) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (name.length < 3 || name.length > 100) errors.push('Nome da regra deve ter de 3 a 100 caracteres');
+      else rule.name = name;
+    }
+
+    if (!partial || has('event')) {
+      if (!RULE_EVENTS[body.event]) errors.push(`Evento inválido (use ${Object.keys(RULE_EVENTS).join(', ')})`);
+      else rule.event = body.event;
+    }
+
+    const event = rule.event || currentEvent;
+
+    if (!partial || has('conditions') || (has('event') && event)) {
+      const conditions = body.conditions;
+      if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_RULE_CONDITIONS) {
+        errors.push(`Informe de 1 a ${MAX_RULE_CONDITIONS} condições`);
+      } else if (event && RULE_EVENTS[event]) {
+        const normalized = conditions.map((condition, index) => this.validateCondition(condition, event, index + 1, errors));
+        if (normalized.every(Boolean)) rule.conditions = normalized;
+      }
+    }
+
+    if (!partial || has('target_user_ids')) {
+      const ids = body.target_user_ids ?? [];
+      if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        errors.push('target_user_ids deve ser uma lista de IDs de usuário');
+      } else {
+        rule.target_user_ids = [...new Set(ids)];
+      }
+    }
+
+    if (!partial || has('target_roles')) {
+      const roles = body.target_roles ?? [];
+      if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || !role.trim())) {
+        errors.push('target_roles deve ser uma lista de nomes de papéis');
+      } else {
+        rule.target_roles = [...new Set(roles.map(role => role.trim().toLowerCase()))];
+      }
+    }
+
+    if (!partial || has('cooldown_minutes')) {
+      const cooldown = body.cooldown_minutes ?? 60;
+      if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+        errors.push(`cooldown_minutes deve ser um número inteiro entre 0 e ${MAX_COOLDOWN_MINUTES}`);
+      } else {
+        rule.cooldown_minutes = cooldown;
+      }
+    }
+
+    if (!partial || has('priority')) {
+      const priority = body.priority ?? 'medium';
+      if (!RULE_PRIORITIES.includes(priority)) errors.push(`Prioridade inválida (use ${RULE_PRIORITIES.join(', ')})`);
+      else rule.priority = priority;
+    }
+
+    if (!partial || has('message')) {
+      const message = body.message ?? null;
+      if (message !== null && (typeof message !== 'string' || message.length > 500)) {
+        errors.push('Mensagem deve ter até 500 caracteres');
+      } else {
+        rule.message = message ? message.trim() : null;
+      }
+    }
+
+    if (has('is_active')) {
+      if (typeof body.is_active !== 'boolean') errors.push('is_active deve ser verdadeiro ou falso');
+      else rule.is_active = body.is_active;
+    }
+
+    if (partial && errors.length === 0 && Object.keys(rule).length === 0) {
+      errors.push('Nenhuma alteração informada');
+    }
+
+    return { isValid: errors.length === 0, errors, rule };
+  }
+
+  validateCondition(condition, event, position, errors) {
+    const field = RULE_EVENTS[event].campos[condition?.field];
+    const operator = RULE_OPERATORS[condition?.operator];
+
+    if (!field) {
+      errors.push(`Condição ${position}: campo inválido para ${event} (use ${Object.keys(RULE_EVENTS[event].campos).join(', ')})`);
+      return null;
+    }
+    if (!operator || !operator.tipos.includes(field.tipo)) {
+      errors.push(`Condição ${position}: operador inválido para ${condition.field}`);
+      return null;
+    }
+
+    const value = field.tipo === 'number' ? Number(condition.value) : condition.value;
+    const valid = field.tipo === 'number'
+      ? condition.value !== null && condition.value !== '' && Number.isFinite(value)
+      : typeof value === field.tipo && (field.tipo !== 'string' || value.length <= 100);
+
+    if (!valid) {
+      errors.push(`Condição ${position}: valor inválido para ${condition.field} (${field.tipo})`);
+      return null;
+    }
+
+    return { field: condition.field, operator: condition.operator, value };
+  }
+
+  // ✅ TODAS AS CONDIÇÕES PRECISAM SER VERDADEIRAS (campo ausente no contexto = falsa)
+  matches(conditions, context) {
+    return conditions.every(({ field, operator, value }) => {
+      const actual = this.readField(context, field);
+      if (actual === null || actual === undefined) return false;
+      return RULE_OPERATORS[operator].test(actual, value);
+    });
+  }
+
+  // ✅ CONTEXTOS DOS EVENTOS (valores numéricos já convertidos)
+  saleContext(sale) {
+    return {
+      sale: {
+        id: sale.id,
+        sale_code: sale.sale_code,
+        total_amount: parseFloat(sale.total_amount),
+        total_items: parseInt(sale.total_items),
+        payment_method: sale.payment_method,
+        customer_id: sale.customer_id === null || sale.customer_id === undefined ? null : parseInt(sale.customer_id)
+      }
+    };
+  }
+
+  productContext(product) {
+    const stock = parseInt(product.stock_quantity);
+    const minStock = product.min_stock === null || product.min_stock === undefined ? null : parseInt(product.min_stock);
+
+    return {
+      product: {
+        id: product.id,
+        name: product.name,
+        stock_quantity: stock,
+        min_stock: minStock,
+        below_min_stock: minStock !== null && stock <= minStock,
+        category: product.category ?? null
+      }
+    };
+  }
+
+  // Hora e dia da semana no fuso informado (padrão America/Sao_Paulo)
+  scheduleContext(daily, now = new Date(), timeZone = 'America/Sao_Paulo') {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', hourCycle: 'h23', weekday: 'short' }).formatToParts(now);
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+      daily: {
+        revenue: Math.round(parseFloat(daily.revenue || 0) * 100) / 100,
+        sales_count: parseInt(daily.sales_count || 0)
+      },
+      time: {
+        hour: parseInt(parts.find(part => part.type === 'hour').value),
+        weekday: weekdays.indexOf(parts.find(part => part.type === 'weekday').value)
+      }
+    };
+  }
+
+  // ✅ TEXTO DA NOTIFICAÇÃO: mensagem da regra com {{campo}} substituído, ou resumo do evento
+  renderMessage(rule, context) {
+    if (rule.message) {
+      return rule.message.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, field) => {
+        const value = this.readField(context, field);
+        return value === null || value === undefined ? match : this.formatValue(field, value);
+      });
+    }
+
+    if (rule.event === 'sale_created') {
+      return `Venda ${context.sale.sale_code} de ${this.formatValue('sale.total_amount', context.sale.total_amount)} (${context.sale.total_items} itens)`;
+    }
+    if (rule.event === 'stock_changed') {
+      return `Produto "${context.product.name}" com estoque ${context.product.stock_quantity} (mínimo ${context.product.min_stock ?? '-'})`;
+    }
+    return `Faturamento do dia: ${this.formatValue('daily.revenue', context.daily.revenue)} em ${context.daily.sales_count} venda(s)`;
+  }
+
+  formatValue(field, value) {
+    if (/(amount|revenue)$/.test(field) && typeof value === 'number') {
+      return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+    }
+    return String(value);
+  }
+
+  readField(context, field) {
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+  }
+}
+
+export default new BizFlowNotificationRules();
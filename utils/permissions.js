@@ -0,0 +1,184 @@
+// utils/permissions.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+
+// ✅ CATÁLOGO DE PERMISSÕES (modulo:acao)
+const PERMISSIONS = {
+  'dashboard:read': 'Visualizar dashboard',
+  'empresas:read': 'Listar empresas',
+  'empresas:create': 'Criar empresas',
+  'configuracoes:read': 'Visualizar configurações da empresa',
+  'configuracoes:manage': 'Alterar configurações da empresa',
+  'usuarios:manage': 'Alterar papel dos membros da empresa',
+  'roles:read': 'Listar papéis e permissões',
+  'roles:manage': 'Criar, alterar e remover papéis personalizados',
+  'produtos:read': 'Listar produtos e histórico de preços',
+  'produtos:create': 'Cadastrar produtos',
+  'produtos:update': 'Alterar produtos',
+  'produtos:delete': 'Desativar produtos',
+  'vendas:read': 'Listar vendas',
+  'vendas:create': 'Registrar vendas',
+  'vendas:cancel': 'Cancelar vendas',
+  'vendas:refund': 'Registrar devoluções de vendas',
+  'clientes:read': 'Listar clientes',
+  'clientes:create': 'Cadastrar clientes',
+  'clientes:update': 'Alterar clientes',
+  'clientes:delete': 'Desativar clientes',
+  'fornecedores:read': 'Listar fornecedores',
+  'fornecedores:manage': 'Cadastrar, alterar e desativar fornecedores',
+  'compras:read': 'Listar pedidos de compra',
+  'compras:manage': 'Criar, enviar e cancelar pedidos de compra',
+  'compras:receive': 'Receber pedidos de compra (entrada no estoque)',
+  'inventario:read': 'Listar inventários e itens a contar',
+  'inventario:count': 'Registrar contagens de inventário',
+  'inventario:manage': 'Abrir, revisar, efetivar e cancelar inventários',
+  'financeiro:read': 'Visualizar lançamentos financeiros',
+  'financeiro:create': 'Criar lançamentos financeiros',
+  'financeiro:update': 'Alterar lançamentos e recorrências financeiras',
+  'financeiro:settle': 'Registrar pagamentos e recebimentos (baixas)',
+  'financeiro:cancel': 'Cancelar lançamentos financeiros',
+  'financeiro:manage': 'Gerenciar plano de contas, centros de custo e contas bancárias',
+  'financeiro:reconcile': 'Importar extratos bancários e conciliar lançamentos',
+  'relatorios:read': 'Visualizar relatórios',
+  'relatorios:export': 'Exportar relatórios',
+  'notifications:read': 'Visualizar notificações',
+  'notifications:manage': 'Criar, alterar e remover regras de notificação da empresa',
+  'webhooks:manage': 'Gerenciar webhooks de integração e consultar entregas',
+  'sistema:read': 'Visualizar status do sistema e cache',
+  'sistema:manage': 'Limpar cache e administrar o sistema'
+};
+
+// ✅ PAPÉIS PADRÃO (substituem a antiga hierarquia user < manager < admin)
+const USER_PERMISSIONS = [
+  'dashboard:read',
+  'empresas:read',
+  'configuracoes:read',
+  'produtos:read',
+  'vendas:read',
+  'vendas:create',
+  'clientes:read',
+  'clientes:create',
+  'inventario:read',
+  'inventario:count',
+  'relatorios:read',
+  'notifications:read'
+];
+
+const MANAGER_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'produtos:create',
+  'produtos:update',
+  'produtos:delete',
+  'vendas:cancel',
+  'vendas:refund',
+  'clientes:update',
+  'clientes:delete',
+  'fornecedores:read',
+  'fornecedores:manage',
+  'compras:read',
+  'compras:manage',
+  'compras:receive',
+  'inventario:manage',
+  'financeiro:read',
+  'financeiro:create',
+  'financeiro:update',
+  'financeiro:settle',
+  'financeiro:cancel',
+  'financeiro:manage',
+  'financeiro:reconcile',
+  'relatorios:export',
+  'roles:read',
+  'sistema:read'
+];
+
+const DEFAULT_ROLES = {
+  user: USER_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  admin: ['*'],
+  super_admin: ['*']
+};
+
+class BizFlowPermissions {
+  constructor() {
+    this.PERMISSIONS = PERMISSIONS;
+    this.DEFAULT_ROLES = DEFAULT_ROLES;
+  }
+
+  // ✅ VERIFICAR SE É UM PAPEL PADRÃO (nomes reservados)
+  isDefaultRole(roleName) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, roleName);
+  }
+
+  // ✅ PERMISSÕES DE UM PAPEL (papéis personalizados vêm da empresa)
+  resolveRolePermissions(roleName, customRoles = []) {
+    if (this.isDefaultRole(roleName)) {
+      return DEFAULT_ROLES[roleName];
+    }
+
+    const customRole = customRoles.find(role => role.name === roleName);
+    return customRole ? customRole.permissions || [] : [];
+  }
+
+  // ✅ VERIFICAR PERMISSÃO (aceita curingas '*' e 'modulo:*')
+  can(permissions = [], required) {
+    const [modulo] = required.split(':');
+
+    return permissions.some(permission =>
+      permission === '*' ||
+      permission === required ||
+      permission === `${modulo}:*`
+    );
+  }
+
+  // ✅ VALIDAR LISTA DE PERMISSÕES DE UM PAPEL
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return { isValid: false, error: 'Informe ao menos uma permissão' };
+    }
+
+    const modulos = new Set(Object.keys(PERMISSIONS).map(p => p.split(':')[0]));
+    const invalid = permissions.filter(permission => {
+      if (typeof permission !== 'string') return true;
+      if (permission === '*' || PERMISSIONS[permission]) return false;
+      const [modulo, acao] = permission.split(':');
+      return !(acao === '*' && modulos.has(modulo));
+    });
+
+    if (invalid.length > 0) {
+      return { isValid: false, error: `Permissões inválidas: ${invalid.join(', ')}` };
+    }
+
+    return { isValid: true, error: null, normalized: [...new Set(permissions)] };
+  }
+
+  // ✅ VALIDAR NOME DE PAPEL PERSONALIZADO
+  validateRoleName(name) {
+    if (!name || typeof name !== 'string') {
+      return { isValid: false, error: 'Nome do papel é obrigatório' };
+    }
+
+    const normalized = name.trim().toLowerCase();
+
+    if (!/^[a-z0-9_-]{3,50}$/.test(normalized)) {
+      return { isValid: false, error: 'Nome do papel deve ter de 3 a 50 caracteres (letras, números, _ ou -)' };
+    }
+
+    if (this.isDefaultRole(normalized)) {
+      return { isValid: false, error: `O papel "${normalized}" é reservado` };
+    }
+
+    return { isValid: true, error: null, normalized };
+  }
+
+  // ✅ QUEM CONCEDE NÃO PODE DAR MAIS DO QUE TEM
+  canGrant(granterPermissions, permissions) {
+    // Curingas só podem ser concedidos por quem já possui o mesmo curinga
+    return permissions.every(permission => {
+      if (permission === '*') return granterPermissions.includes('*');
+      if (permission.endsWith(':*')) {
+        return granterPermissions.includes('*') || granterPermissions.includes(permission);
+      }
+      return this.can(granterPermissions, permission);
+    });
+  }
+}
+
+export default new BizFlowPermissions();
@@ -0,0 +1,289 @@
+// utils/spreadsheet.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+import JSZip from 'jszip';
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Limite por arquivo interno do XLSX depois de descompactado; um ZIP pequeno pode inflar para gigabytes
+const XLSX_MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+// Limites da própria planilha do Excel: 1.048.576 linhas e colunas até XFD
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_COLUMNS = 16384;
+
+// Células iniciadas por estes caracteres viram fórmula ao abrir o CSV no Excel/LibreOffice
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Erro de planilha com status HTTP sugerido (o chamador decide se repassa)
+function spreadsheetError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class BizFlowSpreadsheet {
+  constructor() {
+    this.XLSX_MIME = XLSX_MIME;
+  }
+
+  // ✅ LER CSV (separador ";" ou "," detectado pelo cabeçalho, campos entre aspas)
+  parseCSV(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return this.toRecords(rows);
+  }
+
+  // ✅ GERAR CSV (";" e BOM para abrir acentuado no Excel pt-BR)
+  toCSV(columns, records) {
+    const escape = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Texto que seria lido como fórmula ganha "'" na frente; números negativos continuam números
+      if (CSV_FORMULA_PREFIX.test(text) && !/^-\d+([.,]\d+)?$/.test(text)) text = `'${text}`;
+      return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      columns.join(';'),
+      ...records.map(record => columns.map(column => escape(record[column])).join(';'))
+    ];
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  // ✅ LER XLSX (primeira planilha; textos compartilhados, inline e números)
+  // maxRows limita as linhas de dados: o nº da linha vem do arquivo e define o tamanho do resultado
+  async parseXLSX(buffer, { maxRows = XLSX_MAX_ROWS - 1 } = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+    const sheetPath = await this.firstSheetPath(zip);
+    const sheetFile = sheetPath && zip.file(sheetPath);
+
+    if (!sheetFile) {
+      throw new Error('Arquivo XLSX sem planilhas');
+    }
+
+    const sharedFile = zip.file('xl/sharedStrings.xml');
+    const sharedStrings = sharedFile
+      ? [...(await this.readEntry(sharedFile)).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => this.readText(match[1]))
+      : [];
+
+    const xml = await this.readEntry(sheetFile);
+    const rows = [];
+
+    for (const rowMatch of xml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+      const rowNumber = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1]) || rows.length + 1;
+      if (rowNumber > maxRows + 1) {
+        throw spreadsheetError(`Planilha passa do limite de ${maxRows} linhas`, 413);
+      }
+      const row = [];
+
+      for (const cellMatch of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attributes = cellMatch[1];
+        const body = cellMatch[2] || '';
+        const ref = (attributes.match(/\br="([A-Z]+)\d+"/) || [])[1];
+        const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+        const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+        let value = '';
+        if (type === 's') value = sharedStrings[parseInt(rawValue)] ?? '';
+        else if (type === 'inlineStr') value = this.readText(body);
+        else if (rawValue !== undefined) value = this.decodeXml(rawValue);
+
+        const column = ref ? this.columnIndex(ref) : row.length;
+        if (ref?.length > 3 || column >= XLSX_MAX_COLUMNS) {
+          throw spreadsheetError('Planilha com coluna além de XFD', 400);
+        }
+        row[column] = value;
+      }
+
+      // Linhas omitidas no XML (vazias) mantêm a numeração da planilha
+      rows[rowNumber - 1] = Array.from(row, value => value ?? '');
+    }
+
+    return this.toRecords(Array.from(rows, row => row || []));
+  }
+
+  // ✅ GERAR XLSX (uma planilha, textos inline e números como número)
+  async toXLSX(columns, records, sheetName = 'Planilha1') {
+    const cell = (value, ref) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      const text = value === null || value === undefined ? '' : String(value);
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.encodeXml(text)}</t></is></c>`;
+    };
+
+    const rows = [columns, ...records.map(record => columns.map(column => record[column]))]
+      .map((values, rowIndex) =>
+        `<row r="${rowIndex + 1}">${values.map((value, colIndex) => cell(value, `${this.columnName(colIndex)}${rowIndex + 1}`)).join('')}</row>`
+      );
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>');
+    zip.file('_rels/.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+    zip.file('xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${this.encodeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>');
+    zip.file('xl/_rels/workbook.xml.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${rows.join('')}</sheetData>` +
+      '</worksheet>');
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  // ✅ LINHAS -> REGISTROS (cabeçalho em minúsculas; linhas vazias ignoradas, mantendo o nº da linha)
+  toRecords(rows) {
+    const [header = [], ...dataRows] = rows;
+    const columns = header.map(column => String(column).trim().toLowerCase());
+
+    const records = dataRows
+      .map((row, index) => ({ row, linha: index + 2 }))
+      .filter(({ row }) => row.some(value => String(value ?? '').trim() !== ''))
+      .map(({ row, linha }) => ({
+        linha,
+        values: Object.fromEntries(columns.map((column, i) => [column, String(row[i] ?? '').trim()]))
+      }));
+
+    return { columns, records };
+  }
+
+  async firstSheetPath(zip) {
+    const workbookFile = zip.file('xl/workbook.xml');
+    const relsFile = zip.file('xl/_rels/workbook.xml.rels');
+    const workbook = workbookFile && await this.readEntry(workbookFile);
+    const rels = relsFile && await this.readEntry(relsFile);
+    const sheetId = workbook && (workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/) || [])[1];
+
+    if (sheetId && rels) {
+      const relationship = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => tag.includes(`Id="${sheetId}"`));
+      const target = relationship && (relationship.match(/Target="([^"]+)"/) || [])[1];
+      if (target) {
+        return target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+      }
+    }
+
+    return Object.keys(zip.files).find(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)) || null;
+  }
+
+  // ✅ LER ARQUIVO INTERNO DO ZIP COM LIMITE DE TAMANHO
+  // O tamanho declarado no cabeçalho pode ser falso, então a contagem continua durante a descompactação
+  readEntry(file) {
+    const tooLarge = () => spreadsheetError(`Planilha muito grande (limite de ${XLSX_MAX_ENTRY_BYTES / 1024 / 1024} MB descompactado)`, 413);
+
+    if (file._data?.uncompressedSize > XLSX_MAX_ENTRY_BYTES) {
+      return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = file.internalStream('uint8array');
+
+      stream
+        .on('data', chunk => {
+          size += chunk.length;
+          if (size > XLSX_MAX_ENTRY_BYTES) {
+            stream.pause();
+            reject(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks, size).toString('utf8')))
+        .resume();
+    });
+  }
+
+  readText(xml) {
+    return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => this.decodeXml(match[1])).join('');
+  }
+
+  columnIndex(letters) {
+    return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  encodeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export default new BizFlowSpreadsheet();
@@ -1,6 +1,7 @@
 // utils/validators.js - SISTEMA BIZFLOW FASE 5 COMPLETA
 import validator from 'validator';
 import Joi from 'joi';
+import BizFlowHelpers from './helpers.js';
 
 class BizFlowValidators {
   // ✅ VALIDAÇÃO DE EMAIL
@@ -87,6 +88,55 @@ class BizFlowValidators {
     return { isValid: true, error: null, normalized: cleanCNPJ };
   }
 
+  // ✅ VALIDAÇÃO DE CPF/CNPJ (documento de clientes)
+  validateCPFCNPJ(document) {
+    if (!document) return { isValid: false, error: 'CPF/CNPJ é obrigatório' };
+
+    const cleanDocument = String(document).replace(/\D/g, '');
+
+    if (cleanDocument.length !== 11 && cleanDocument.length !== 14) {
+      return { isValid: false, error: 'CPF deve ter 11 dígitos e CNPJ 14 dígitos' };
+    }
+
+    const type = cleanDocument.length === 11 ? 'cpf' : 'cnpj';
+
+    if (!BizFlowHelpers.isValidCPFCNPJ(cleanDocument)) {
+      return { isValid: false, error: `${type.toUpperCase()} inválido` };
+    }
+
+    return { isValid: true, error: null, normalized: cleanDocument, type };
+  }
+
+  // ✅ VALIDAÇÃO DE CÓDIGO DE BARRAS (EAN-13 com dígito verificador)
+  validateEAN13(barcode) {
+    if (!barcode) return { isValid: false, error: 'Código de barras é obrigatório' };
+
+    const cleanBarcode = String(barcode).trim();
+
+    if (!/^\d{13}$/.test(cleanBarcode)) {
+      return { isValid: false, error: 'Código de barras EAN-13 deve ter 13 dígitos' };
+    }
+
+    if (!BizFlowHelpers.isValidEAN13(cleanBarcode)) {
+      return { isValid: false, error: 'Dígito verificador do EAN-13 inválido' };
+    }
+
+    return { isValid: true, error: null, normalized: cleanBarcode };
+  }
+
+  // ✅ VALIDAÇÃO DE SKU (código interno do produto/variação)
+  validateSKU(sku) {
+    if (!sku) return { isValid: false, error: 'SKU é obrigatório' };
+
+    const cleanSku = String(sku).trim().toUpperCase();
+
+    if (!/^[A-Z0-9._-]{1,60}$/.test(cleanSku)) {
+      return { isValid: false, error: 'SKU deve ter até 60 caracteres (letras, números, ".", "_" ou "-")' };
+    }
+
+    return { isValid: true, error: null, normalized: cleanSku };
+  }
+
   // ✅ VALIDAÇÃO DE TELEFONE
   validatePhone(phone) {
     if (!phone) return { isValid: false, error: 'Telefone é obrigatório' };
@@ -165,7 +215,7 @@ class BizFlowValidators {
       email: Joi.string().email().required(),
       password: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/).required(),
       full_name: Joi.string().min(2).max(100).required(),
-      role: Joi.string().valid('user', 'manager', 'admin').default('user'),
+      role: Joi.string().valid('user', 'manager', 'admin', 'super_admin').default('user'),
       empresa_id: Joi.number().integer().positive().default(1)
     });
   }
@@ -0,0 +1,170 @@
+// utils/webhooks.js - SISTEMA BIZFLOW FASE 5 COMPLETA
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+
+// ✅ EVENTOS DE NEGÓCIO DISPONÍVEIS PARA ASSINATURA ('*' = todos)
+const WEBHOOK_EVENTS = {
+  'venda.criada': 'Venda registrada',
+  'venda.cancelada': 'Venda cancelada',
+  'venda.devolvida': 'Devolução de itens de uma venda',
+  'produto.estoque_baixo': 'Produto atingiu o estoque mínimo',
+  'financeiro.vencido': 'Lançamento financeiro venceu sem baixa',
+  'pedido_compra.recebido': 'Pedido de compra recebido no estoque',
+  'inventario.efetivado': 'Inventário efetivado'
+};
+
+// Espera antes de cada nova tentativa (1 min, 5 min, 30 min, 2 h, 12 h); esgotadas, a entrega
+// vai para a lista de dead-letter e só volta a ser enviada manualmente
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 43200];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+// Cabeçalho da assinatura; o destino deve recusar timestamps com mais de 5 minutos (ver verify)
+const SIGNATURE_HEADER = 'X-BizFlow-Signature';
+
+class BizFlowWebhooks {
+  constructor() {
+    this.EVENTS = WEBHOOK_EVENTS;
+    this.MAX_ATTEMPTS = MAX_ATTEMPTS;
+    this.SIGNATURE_HEADER = SIGNATURE_HEADER;
+  }
+
+  // ✅ VALIDAR ASSINATURA DE WEBHOOK (partial = alteração: só os campos enviados)
+  validateSubscription(body = {}, partial = false) {
+    const errors = [];
+    const subscription = {};
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('url')) {
+      if (!this.isValidUrl(body.url)) errors.push('URL inválida (use http:// ou https:// com endereço público, até 500 caracteres)');
+      else subscription.url = body.url;
+    }
+
+    if (!partial || has('events')) {
+      const events = body.events;
+      if (!Array.isArray(events) || events.length === 0) {
+        errors.push('Informe ao menos um evento');
+      } else {
+        const invalid = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event]);
+        if (invalid.length > 0) errors.push(`Eventos inválidos: ${invalid.join(', ')}`);
+        else subscription.events = events.includes('*') ? ['*'] : [...new Set(events)];
+      }
+    }
+
+    if (has('description')) {
+      if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 255)) {
+        errors.push('Descrição deve ter até 255 caracteres');
+      } else {
+        subscription.description = body.description ? body.description.trim() : null;
+      }
+    }
+
+    if (has('is_active')) {
+      if (typeof body.is_active !== 'boolean') errors.push('is_active deve ser verdadeiro ou falso');
+      else subscription.is_active = body.is_active;
+    }
+
+    return { isValid: errors.length === 0, errors, subscription };
+  }
+
+  // ✅ ASSINATURA HMAC-SHA256 DO CORPO: "t=<unix>,v1=<hex>" sobre "<unix>.<corpo>"
+  // O destino recalcula com o segredo da assinatura e compara em tempo constante
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  verify(secret, body, header, toleranceSeconds = 300, now = Math.floor(Date.now() / 1000)) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!parts.v1 || isNaN(timestamp) || Math.abs(now - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(this.sign(secret, body, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // Segredo só é mostrado inteiro na criação (ou ao gerar um novo)
+  maskSecret(secret) {
+    return secret ? `${secret.substring(0, 10)}…` : null;
+  }
+
+  // ✅ PRÓXIMA TENTATIVA APÓS A FALHA Nº attempts (null = esgotou, vai para dead-letter)
+  nextRetryDelay(attempts) {
+    return attempts >= MAX_ATTEMPTS ? null : RETRY_DELAYS_SECONDS[attempts - 1];
+  }
+
+  subscribes(subscription, event) {
+    const events = subscription.events || [];
+    return events.includes('*') || events.includes(event);
+  }
+
+  isValidUrl(value) {
+    if (typeof value !== 'string' || value.length > 500) return false;
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) && !this.isInternalHost(url.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  // ✅ DESTINOS INTERNOS (loopback, rede privada, link-local) NÃO RECEBEM WEBHOOKS
+  // Evita que uma assinatura seja usada para alcançar serviços da rede do servidor (ex.: metadados da nuvem)
+  isInternalHost(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return net.isIP(host) !== 0 && this.isPrivateAddress(host);
+  }
+
+  isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+      const [a, b] = address.split('.').map(Number);
+      return a === 0 || a === 10 || a === 127 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168);
+    }
+
+    if (net.isIPv6(address)) {
+      const ip = address.toLowerCase();
+      // IPv4 mapeado em IPv6 (::ffff:127.0.0.1 ou ::ffff:7f00:1): vale a regra do IPv4
+      const mapped = ip.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+      if (mapped) {
+        if (mapped[1]) return this.isPrivateAddress(mapped[1]);
+        const high = parseInt(mapped[2], 16);
+        const low = parseInt(mapped[3], 16);
+        return this.isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+      }
+      // ::, ::1, fc00::/7 (rede privada) e fe80::/10 (link-local)
+      return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+    }
+
+    return false;
+  }
+
+  // ✅ CONFERE O DESTINO NA HORA DA ENTREGA: o nome pode passar a resolver para um endereço interno
+  // depois do cadastro, então a validação da URL não basta
+  async assertPublicDestination(value) {
+    const { hostname } = new URL(value);
+    if (this.isInternalHost(hostname)) {
+      throw new Error('Destino do webhook aponta para endereço interno');
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) !== 0) return;
+
+    const addresses = await dns.lookup(host, { all: true });
+    const internal = addresses.find(({ address }) => this.isPrivateAddress(address));
+    if (internal) {
+      throw new Error(`Destino do webhook resolve para endereço interno (${internal.address})`);
+    }
+  }
+}
+
+export default new BizFlowWebhooks();